@@ -18,5 +18,6 @@
 
 /* eslint-disable global-require */
 module.exports = {
-    provider: require('./lib/azureCloudProvider.js')
+    provider: require('./lib/azureCloudProvider.js'),
+    errors: require('./lib/errors.js')
 };
@@ -17,8 +17,12 @@
 'use strict';
 
 const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
 const util = require('util');
 const path = require('path');
+const querystring = require('querystring');
+const url = require('url');
 const q = require('q');
 const msRestAzure = require('ms-rest-azure');
 const azureEnvironment = require('ms-rest-azure/lib/azureEnvironment');
@@ -35,10 +39,68 @@ const localCryptoUtil = require('@f5devcentral/f5-cloud-libs').localCryptoUtil;
 
 const REG_EXPS = require('@f5devcentral/f5-cloud-libs').sharedConstants.REG_EXPS;
 
+const blockUpload = require('./blockUpload');
+const instanceStore = require('./instanceStore');
+const ConflictError = require('./errors').ConflictError;
+const ElectionLock = require('./electionLock').ElectionLock;
+const electionStrategies = require('./electionStrategies');
+const ipAddress = require('./ipAddress');
+const paging = require('./paging');
+const tagSelector = require('./tagSelector');
+const ucsEncryption = require('./ucsEncryption');
+const ucsRetention = require('./ucsRetention');
+
 let logger;
 
 const BACKUP_CONTAINER = 'backup';
-const INSTANCES_CONTAINER = 'instances';
+// Where getStoredUcs downloads a UCS while verifying its checksum
+const UCS_VERIFY_DIRECTORY = '/shared/tmp';
+// Retries of a whole UCS upload, which reuse the blocks staged by the failed attempt
+const UCS_UPLOAD_RETRY = { maxRetries: 2, retryIntervalMs: 2000 };
+const ENCRYPTED_UCS_SUFFIX = '.encrypted';
+// Hashed into the confighash metadata of stored UCS files
+const CONFIG_FILES = ['/config/bigip_base.conf', '/config/bigip.conf'];
+
+const CUSTOM_ENVIRONMENT_NAME = 'AzureCustom';
+
+const KEY_VAULT_API_VERSION = '7.0';
+const KEY_VAULT_REFRESH_INTERVAL_MS = 15 * 60000; // 15 minutes
+
+const STORAGE_TOKEN_AUDIENCE = 'https://storage.azure.com/';
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60000; // 5 minutes
+const TOKEN_REFRESH_RETRY_MS = 60000; // 1 minute
+
+// Instance properties read from the scale set VM on every getInstances
+const PROVIDER_PROPERTIES = [
+    'tags',
+    'zone',
+    'faultDomain',
+    'privateIpv6',
+    'publicIpv6',
+    'publicIps',
+    'health',
+    'timeCreated',
+    'priority',
+    'evictionPolicy'
+];
+
+const ORCHESTRATION_MODE_UNIFORM = 'Uniform';
+const ORCHESTRATION_MODE_FLEXIBLE = 'Flexible';
+
+// How long an instance marked as leaving by a scheduled event is kept out of elections.
+// Azure gives at most 15 minutes' notice; after that a rebooted or redeployed instance
+// is back and a terminated one is gone.
+const LEAVING_TIMEOUT_MS = 15 * 60000;
+
+const PRIORITY_REGULAR = 'Regular';
+const PRIORITY_UNKNOWN = 'Unknown';
+// Spot replaced Low (low-priority), which older scale sets may still report
+const EVICTABLE_PRIORITIES = ['spot', 'low'];
+
+// The compute SDK in use predates flexible orchestration and scale-in protection,
+// so those are read and written directly through ARM with this API version
+const COMPUTE_API_VERSION = '2022-03-01';
+const TAGS_API_VERSION = '2019-10-01';
 
 const specialLocations = {
     // Azure US Government cloud regions: US DoD Central, US DoD East, US Gov Arizona,
@@ -95,7 +157,8 @@ function AzureCloudProvider(options) {
  *
  * @param {Object}  providerOptions                            - Provider specific options.
  * @param {String}  [providerOptions.azCredentialsUrl]         - URL to file or location with credentials.
- *     Must specify azCredentialsUrl or provide the credentials directly in the providerOptions.
+ *     Must specify azCredentialsUrl, keyVaultSecretUri or provide the credentials directly in the
+ *     providerOptions.
  *     File/location should contain JSON object with the following:
  *         {
  *             clientId:        Azure client ID
@@ -103,28 +166,129 @@ function AzureCloudProvider(options) {
  *             secret:          Azure secret.
  *             subscriptionId:  Azure subscription ID
  *             storageAccount:  Azure storage account
- *             storageKey:      Azure storage account key
+ *             storageKey:      Azure storage account key. If not provided, the storage account is
+ *                              accessed with an Azure AD token from the same login as the other
+ *                              Azure clients (managed identity or service principal). The identity
+ *                              must have the Storage Blob Data Contributor role on the account.
  *         }
  * @param {Boolean} [providerOptions.azCredentialsEncrypted]  - Indicates that the credentials are encrypted.
+ * @param {String}  [providerOptions.keyVaultSecretUri]       - URI of an Azure Key Vault secret containing
+ *     the credentials. The secret value should be a JSON object in the same format as the azCredentialsUrl
+ *     file. Values in the secret override values from azCredentialsUrl or providerOptions. The managed
+ *     identity of this instance is used to read the secret, which is cached in memory and re-read
+ *     periodically so that rotated secrets are picked up. See refreshCredentials.
+ * @param {Number}  [providerOptions.keyVaultRefreshIntervalMs] - How often to check Key Vault for a new
+ *                                                              version of the secret.
+ *                                                              Default 15 minutes.
  * @param {Boolean} [providerOptions.useManagedIdentity]      - Rather than providing credentials, this
  *                                                              instance is running in Azure and has a
  *                                                              managed identity assigned to it.
  * @param {String}  [providerOptions.environment]             - Azure environment name.
  *      Required if environment should not be determined by instance metadata.
  *      Example: AzureUSGovernment
+ * @param {Object}  [providerOptions.customEnvironment]       - Endpoints for an environment that is not
+ *      built in to the Azure SDK, such as Azure Stack Hub. Takes precedence over environment.
+ *      The environment is always named AzureCustom.
+ *         {
+ *             resourceManagerEndpointUrl: ARM endpoint. Example: https://management.local.azurestack.external
+ *             activeDirectoryEndpointUrl: AAD login endpoint. Example: https://login.microsoftonline.com/
+ *             activeDirectoryResourceId:  Token audience for ARM. Default resourceManagerEndpointUrl
+ *             storageEndpointSuffix:      Storage endpoint suffix. Example: local.azurestack.external
+ *             keyVaultDnsSuffix:          Key Vault DNS suffix. Example: .vault.local.azurestack.external
+ *         }
+ * @param {String}  [providerOptions.instanceStore]           - Where to keep autoscale instance state.
+ *      'blob' (one JSON blob per instance), 'table' (Azure Table Storage, requires storageKey)
+ *      or 'memory' (for testing). Default 'blob'.
+ * @param {Boolean} [providerOptions.electionLock]            - Only the instance holding a lease on a blob in
+ *      the instances container elects the primary, and only it acts in primaryElected or
+ *      tagPrimaryInstance. Other instances use the primary it elected. See electPrimary. Requires storage.
+ * @param {Number}  [providerOptions.electionLockDurationSec] - Lease duration in seconds, 15 to 60. The lock
+ *      frees itself this long after the holder stops renewing it. Default 60.
+ * @param {String|Object|Function} [providerOptions.electionStrategy] - How electPrimary picks the primary.
+ *      'default' (lowest instance ID), 'oldest', 'zone', 'lastBackup' or 'tag', an object with the
+ *      name and options of one of those, for example { name: 'zone', zone: '2' } or
+ *      { name: 'tag', tag: 'my_priority_tag' }, or a function which is called with the instances
+ *      dictionary and returns the ID to elect. Default 'default'.
+ * @param {String[]} [providerOptions.drainingZones]          - Availability zones being drained. electPrimary
+ *      only elects an instance in one of these zones if there is no candidate in any other zone.
+ * @param {Boolean} [providerOptions.excludeUnhealthy]        - Never elect an instance whose health (see
+ *      getInstances) is not healthy, for example because the Application Health extension reports
+ *      that its BIG-IP stopped responding.
+ * @param {String}  [providerOptions.primaryTagName]          - Name of the scale set tag which holds the
+ *      private IP of the primary. Default <resourceGroup>-primary. See tagPrimaryInstance.
+ * @param {Boolean} [providerOptions.protectPrimary]          - When tagging the primary, protect its
+ *      scale set VM from scale-in and remove that protection from the other instances. Uniform scale
+ *      sets only.
+ * @param {Number}  [providerOptions.ucsBlockSize]            - storeUcs uploads UCS files in blocks of this
+ *      many bytes, which a retry of a failed upload resumes from. Default 8 MiB, maximum 100 MiB.
+ * @param {Number}  [providerOptions.ucsUploadParallelism]    - Number of UCS blocks to upload at once.
+ *      Default 4.
+ * @param {String}  [providerOptions.ucsChecksumAlgorithm]    - Checksum which storeUcs records in the
+ *      checksum metadata of each UCS blob, 'sha256' or 'md5'. Default 'sha256'.
+ * @param {String}  [providerOptions.ucsVerifyDirectory]      - Directory getStoredUcs downloads a UCS to
+ *      while verifying its checksum. Needs room for the largest UCS, twice over for an encrypted UCS
+ *      while it is decrypted. Default /shared/tmp.
+ * @param {String}  [providerOptions.ucsEncryptionKey]        - Encrypt UCS files before storeUcs uploads
+ *      them. 'local' to protect them with the local key pair of the BIG-IP (see localCryptoUtil), which
+ *      every instance that may restore them needs, or the URI of a Key Vault key which the managed
+ *      identity of every instance can wrap and unwrap keys with. getStoredUcs decrypts with the key
+ *      recorded in each UCS, so UCS files encrypted before the key changed stay readable as long as
+ *      that key (or Key Vault key version) still exists.
+ * @param {Number}  [providerOptions.ucsKeepAllHours]         - Keep every UCS stored in this many hours.
+ *      Setting this, ucsKeepDailyDays or ucsKeepWeeklyWeeks replaces the maxCopies of storeUcs.
+ * @param {Number}  [providerOptions.ucsKeepDailyDays]        - Keep the newest UCS of each day for this
+ *      many days.
+ * @param {Number}  [providerOptions.ucsKeepWeeklyWeeks]      - Keep the newest UCS of each week for this
+ *      many weeks.
+ * @param {Number}  [providerOptions.ucsCoolTierAfterDays]    - Move UCS files older than this many days to
+ *      the Cool access tier. The newest UCS is never moved.
+ * @param {Number}  [providerOptions.ucsArchiveTierAfterDays] - Move UCS files older than this many days to
+ *      the Archive access tier. getStoredUcs cannot read archived UCS files until they are moved back
+ *      to another tier.
+ * @param {Boolean} [providerOptions.ucsRetentionDryRun]      - Only log which UCS files storeUcs would
+ *      delete or move to another tier.
+ * @param {String}  [providerOptions.orchestrationMode]       - Orchestration mode of the scale set,
+ *      'Uniform' or 'Flexible'. Default is to read it from the scale set.
  * @param {String}  providerOptions.resourceGroup             - Resource group name.
  * @param {String}  providerOptions.scaleSet                  - Scale set name.
  * @param {Object}  [options]                                 - Options for this instance.
  * @param {Boolean} [options.autoscale]                       - Whether or not this instance will
- *                                                            be used for autoscaling.
+ *                                                            be used for autoscaling. If so, the
+ *                                                            orchestration mode of the scale set
+ *                                                            is detected during init.
  *
  * @returns {Promise} A promise which will be resolved when init is complete.
  */
-AzureCloudProvider.prototype.init = function init(providerOptions) {
+AzureCloudProvider.prototype.init = function init(providerOptions, options) {
     const deferred = q.defer();
     this.providerOptions = {};
     Object.assign(this.providerOptions, providerOptions);
 
+    try {
+        electionStrategies.get(this.providerOptions.electionStrategy);
+        ucsRetention.getPolicy(this.providerOptions);
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    const orchestrationMode = this.providerOptions.orchestrationMode;
+    if (orchestrationMode &&
+        [ORCHESTRATION_MODE_UNIFORM, ORCHESTRATION_MODE_FLEXIBLE].indexOf(orchestrationMode) === -1) {
+        return q.reject(new Error(`Unknown orchestration mode: ${orchestrationMode}`));
+    }
+    this.orchestrationMode = orchestrationMode;
+
+    const ucsChecksumAlgorithm = this.providerOptions.ucsChecksumAlgorithm;
+    if (ucsChecksumAlgorithm &&
+        blockUpload.CHECKSUM_ALGORITHMS.indexOf(ucsChecksumAlgorithm.toLowerCase()) === -1) {
+        return q.reject(new Error(`Unknown UCS checksum algorithm: ${ucsChecksumAlgorithm}`));
+    }
+
+    const ucsEncryptionKey = this.providerOptions.ucsEncryptionKey;
+    if (ucsEncryptionKey && !ucsEncryption.isValidKey(ucsEncryptionKey)) {
+        return q.reject(new Error(`Invalid UCS encryption key: ${ucsEncryptionKey}`));
+    }
+
     let credentialsPromise;
     let credentialsJson;
     let environment;
@@ -155,6 +319,9 @@ AzureCloudProvider.prototype.init = function init(providerOptions) {
                 credentialsJson = this.providerOptions;
             }
 
+            if (this.providerOptions.customEnvironment) {
+                return addCustomEnvironment(this.providerOptions.customEnvironment);
+            }
             if (this.providerOptions.environment) {
                 return q(this.providerOptions.environment);
             }
@@ -166,44 +333,28 @@ AzureCloudProvider.prototype.init = function init(providerOptions) {
                 return q.reject(new Error(`Provided Azure environment does not exist: ${response}`));
             }
             this.logger.debug(`Using Azure environment: ${environment.name}`);
-
-            const tryLogin = function () {
-                if (credentialsJson.useManagedIdentity) {
-                    return loginWithManagedIdentity(environment);
-                }
-                return loginWithServicePrincipal(credentialsJson, environment);
-            };
-
-            if (!(credentialsJson.clientId && credentialsJson.secret && credentialsJson.tenantId)
-                && !credentialsJson.useManagedIdentity
-            ) {
-                this.logger.debug('No credentials provided. Not logging in to Azure.');
-                return q();
+            this.environment = environment;
+
+            if (this.providerOptions.keyVaultSecretUri) {
+                return getKeyVaultSecret(environment, this.providerOptions.keyVaultSecretUri)
+                    .then((secret) => {
+                        this.logger.debug('Using credentials from Key Vault secret', secret.id);
+                        credentialsJson = Object.assign({}, credentialsJson, secret.credentials);
+                        this.keyVaultSecret = {
+                            id: secret.id,
+                            credentials: credentialsJson,
+                            lastRefresh: Date.now()
+                        };
+                    });
             }
-
-            return cloudUtil.tryUntil(this, cloudUtil.MEDIUM_RETRY, tryLogin);
+            return q();
         })
-        .then((credentials) => {
-            if (credentials && credentialsJson.subscriptionId) {
-                this.networkClient = new NetworkManagementClient(
-                    credentials,
-                    credentialsJson.subscriptionId,
-                    environment.resourceManagerEndpointUrl
-                );
-                this.computeClient = new ComputeManagementClient(
-                    credentials,
-                    credentialsJson.subscriptionId,
-                    environment.resourceManagerEndpointUrl
-                );
-            } else {
-                this.logger.debug('Azure credentials not provided. Not initializing Azure clients');
-            }
-            if (credentialsJson.storageAccount && credentialsJson.storageKey) {
-                this.storageClient = azureStorage.createBlobService(
-                    credentialsJson.storageAccount,
-                    credentialsJson.storageKey
-                );
-                return createContainers(this.storageClient, [BACKUP_CONTAINER, INSTANCES_CONTAINER]);
+        .then(() => {
+            return initClients.call(this, credentialsJson, environment);
+        })
+        .then(() => {
+            if (options && options.autoscale && this.scaleSet) {
+                return getOrchestrationMode.call(this, this.scaleSet);
             }
             return q();
         })
@@ -217,6 +368,38 @@ AzureCloudProvider.prototype.init = function init(providerOptions) {
     return deferred.promise;
 };
 
+/**
+ * Re-reads credentials from Key Vault if they were provided via keyVaultSecretUri
+ *
+ * The secret is only re-read if the refresh interval has passed. If a new version
+ * of the secret is found, the Azure clients are re-initialized with the new credentials.
+ * The instance store and election lock are kept, so that instance state held in memory
+ * and a held lease are not lost, and are switched to the new storage clients.
+ *
+ * Called at the start of each method which uses the Azure clients or storage, so there
+ * is no need to call it directly. Concurrent calls share a single refresh.
+ *
+ * @returns {Promise} A promise which will be resolved when the refresh is complete.
+ */
+AzureCloudProvider.prototype.refreshCredentials = function refreshCredentials() {
+    if (!this.keyVaultSecret) {
+        return q();
+    }
+
+    const refreshIntervalMs = this.providerOptions.keyVaultRefreshIntervalMs || KEY_VAULT_REFRESH_INTERVAL_MS;
+    if (Date.now() - this.keyVaultSecret.lastRefresh < refreshIntervalMs) {
+        return q();
+    }
+
+    if (!this.credentialRefresh) {
+        this.credentialRefresh = refreshKeyVaultSecret.call(this)
+            .finally(() => {
+                this.credentialRefresh = undefined;
+            });
+    }
+    return this.credentialRefresh;
+};
+
 /**
  * BIG-IP is now ready and providers can run BIG-IP functions
  * if necessary
@@ -272,12 +455,19 @@ AzureCloudProvider.prototype.getInstanceId = function getInstanceId() {
 
                     if (metaData.compute.name) {
                         instanceName = metaData.compute.name;
-                        return getInstanceIdFromScaleSet(
-                            this.computeClient,
-                            this.resourceGroup,
-                            this.scaleSet,
-                            instanceName
-                        );
+                        return getOrchestrationMode.call(this, this.scaleSet)
+                            .then((mode) => {
+                                // Flexible scale set VMs have no instance ID, use the VM name
+                                if (mode === ORCHESTRATION_MODE_FLEXIBLE) {
+                                    return instanceName;
+                                }
+                                return getInstanceIdFromScaleSet(
+                                    this.computeClient,
+                                    this.resourceGroup,
+                                    this.scaleSet,
+                                    instanceName
+                                );
+                            });
                     }
 
                     message = 'compute.name not found in metadata';
@@ -309,9 +499,13 @@ AzureCloudProvider.prototype.getInstanceId = function getInstanceId() {
  * Info is retrieval is cloud specific. Likely either from the cloud infrastructure
  * itself, stored info that we have in a database, or both.
  *
+ * Instances in a flexible orchestration mode scale set are keyed by VM name.
+ *
  * @param {Object} [options]             - Optional parameters
- * @param {String} [options.externalTag] - Also look for instances with this
- *                                         tag (outside of the autoscale group/set)
+ * @param {String|Object} [options.externalTag] - Also look for instances matching this tag
+ *                                                selector (outside of the autoscale group/set).
+ *                                                See getVmsByTag. { selector: <expression> }
+ *                                                is also accepted.
  *
  * @returns {Promise} A promise which will be resolved with a dictionary of instances
  *                    keyed by instance ID. Each instance value should be:
@@ -320,9 +514,34 @@ AzureCloudProvider.prototype.getInstanceId = function getInstanceId() {
  *                        hostname: <String>,
  *                        mgmtIp: <String>,
  *                        privateIp: <String>
- *                        publicIp: <String>,
+ *                        publicIp: <String> (public IP of the primary ipConfiguration),
+ *                        publicIps: <Object[]> (every public IP on every NIC of the instance:
+ *                            { ip, ipConfigurationName, nicName, allocationMethod }),
+ *                        privateIpv6: <String> (first IPv6 address on the primary NIC, if any),
+ *                        publicIpv6: <String> (public IP of that IPv6 ipConfiguration, if any),
  *                        providerVisible: <Boolean> (does the cloud provider know about this instance),
- *                        external: <Boolean> (true if this instance is external to the autoscale group/set)
+ *                        external: <Boolean> (true if this instance is external to the autoscale group/set),
+ *                        zone: <String> (availability zone, if the scale set is zonal),
+ *                        faultDomain: <Number> (platform fault domain),
+ *                        timeCreated: <String> (creation time of the VM, flexible scale sets only),
+ *                        priority: <String> ('Regular', 'Spot', 'Low' or 'Unknown' if it could
+ *                            not be read. Unknown is treated as Regular),
+ *                        evictionPolicy: <String> ('Deallocate' or 'Delete', Spot and Low only),
+ *                        health: {
+ *                            status: <String> (from the Application Health extension: 'healthy',
+ *                                'unhealthy', 'initializing' or 'unknown'),
+ *                            extensionState: <String> (provisioning state of the Application Health
+ *                                extension, for example 'succeeded' or 'failed', if it is installed),
+ *                            upgradeState: <String> ('current', 'outdated' if the VM does not
+ *                                have the latest scale set model, or 'updating'),
+ *                            healthy: <Boolean> (false if status is 'unhealthy' or the extension failed)
+ *                        },
+ *                        leaving: { (set in the instance store when a scheduled event takes the
+ *                            instance down, see scripts/scheduledEvents.js)
+ *                            eventId: <String>,
+ *                            eventType: <String>,
+ *                            time: <String> (when the instance was marked)
+ *                        }
  *                    }
  */
 AzureCloudProvider.prototype.getInstances = function getInstances(options) {
@@ -340,64 +559,151 @@ AzureCloudProvider.prototype.getInstances = function getInstances(options) {
 
     let vms;
     let bigIp;
+    let isFlexible;
+    let priority;
+
+    this.refreshCredentials()
+        .then(() => {
+            // The scale set model gives both the orchestration mode and the priority
+            return getScaleSet(this.computeClient, this.resourceGroup, this.scaleSet)
+                .catch((err) => {
+                    if (!this.orchestrationMode) {
+                        return q.reject(err);
+                    }
+                    logger.warn('Unable to read the scale set priority:', err.message);
+                    return q();
+                });
+        })
+        .then((scaleSet) => {
+            if (scaleSet) {
+                this.orchestrationMode = getScaleSetOrchestrationMode(scaleSet);
+            }
+            isFlexible = this.orchestrationMode === ORCHESTRATION_MODE_FLEXIBLE;
 
-    getScaleSetVms(this.computeClient, this.resourceGroup, this.scaleSet, { expand: 'instanceView' })
+            // Uniform scale set VMs all share the priority of the scale set model
+            if (!isFlexible) {
+                priority = scaleSet ? getScaleSetPriority(scaleSet) : { priority: PRIORITY_UNKNOWN };
+            }
+
+            return (isFlexible ? getFlexibleScaleSetVms : getScaleSetVms)(
+                this.computeClient,
+                this.resourceGroup,
+                this.scaleSet,
+                { expand: 'instanceView' }
+            );
+        })
         .then((results) => {
             vms = results;
+            if (priority) {
+                Object.keys(vms).forEach((instanceId) => {
+                    Object.assign(vms[instanceId], priority);
+                });
+            }
+        })
+        .then(() => {
+            if (isFlexible) {
+                return getFlexibleScaleSetNetworkInterfaces(this.networkClient, vms);
+            }
             return getScaleSetNetworkInterfaces(this.networkClient, this.resourceGroup, this.scaleSet);
         })
         .then((results) => {
             const nics = results;
+            const primaryNics = {};
+            // Which instance property the public IP of an ipConfiguration also goes in
+            const publicIpProperties = new Map();
+
+            const getPublicIpFromConfig = (nic, ipConfiguration, id) => {
+                const pubIp = ipConfiguration.publicIPAddress;
+                // Check if public IP address is within a VMSS
+                const isScaleSetIp = pubIp.id.toLowerCase()
+                    .indexOf('/microsoft.compute/virtualmachinescalesets') !== -1;
+                return (isScaleSetIp ? getPublicIpFromScaleSet : getPublicIp)(
+                    this.networkClient,
+                    this.resourceGroup,
+                    pubIp,
+                    id
+                )
+                    .then((publicIp) => {
+                        return Object.assign(publicIp, {
+                            ipConfigurationName: ipConfiguration.name,
+                            nicName: nic.name,
+                            property: publicIpProperties.get(ipConfiguration)
+                        });
+                    });
+            };
 
-            let instanceId;
-            let ipConfig;
-            let privateIp;
-
-            Object.keys(nics).forEach((nic) => {
-                if (nics[nic].virtualMachine) {
-                    instanceId = getInstanceIdFromVms(vms, nics[nic].virtualMachine.id);
-                    azureInstanceIds.push(instanceId);
-                    ipConfig = nics[nic].ipConfigurations[0];
-                    privateIp = ipConfig.privateIPAddress;
-
-                    const autoscaleInstance = new AutoscaleInstance()
-                        .setPrivateIp(privateIp)
-                        .setMgmtIp(privateIp);
-                    instances[instanceId] = autoscaleInstance;
-
-                    const pubIp = ipConfig.publicIPAddress;
-                    if (pubIp) {
-                        // Check if public IP address is within a VMSS
-                        if (pubIp.id.toLowerCase()
-                            .indexOf('/microsoft.compute/virtualmachinescalesets') !== -1) {
-                            publicIpPromises.push(getPublicIpFromScaleSet(
-                                this.networkClient,
-                                this.resourceGroup,
-                                pubIp,
-                                instanceId
-                            ));
-                        } else {
-                            publicIpPromises.push(getPublicIp(
-                                this.networkClient,
-                                this.resourceGroup,
-                                pubIp,
-                                instanceId
-                            ));
-                        }
+            // Instances can have several NICs. The primary NIC provides the instance addresses.
+            nics.forEach((nic) => {
+                if (nic.virtualMachine) {
+                    const instanceId = getInstanceIdFromVms(vms, nic.virtualMachine.id);
+                    if (!primaryNics[instanceId] ||
+                        (nic.primary === true && primaryNics[instanceId].primary !== true)) {
+                        primaryNics[instanceId] = nic;
                     }
+                }
+            });
 
-                    // Account for power state possibly being deallocated,
-                    // set providerVisible to false if so
-                    if (
-                        vms[instanceId].provisioningState === 'Succeeded' ||
-                        vms[instanceId].provisioningState === 'Creating'
-                    ) {
-                        instances[instanceId].providerVisible = true;
-                    } else {
-                        instances[instanceId].providerVisible = false;
-                    }
+            Object.keys(primaryNics).forEach((instanceId) => {
+                const ipConfig = getPrimaryIpConfiguration(primaryNics[instanceId].ipConfigurations);
+                const ipv6Config = getIpv6Configuration(primaryNics[instanceId].ipConfigurations);
+                const privateIp = ipConfig.privateIPAddress;
+
+                azureInstanceIds.push(instanceId);
+
+                const autoscaleInstance = new AutoscaleInstance()
+                    .setPrivateIp(privateIp)
+                    .setMgmtIp(privateIp);
+                autoscaleInstance.publicIps = [];
+                publicIpProperties.set(ipConfig, 'publicIp');
+                if (ipv6Config) {
+                    autoscaleInstance.privateIpv6 = ipv6Config.privateIPAddress;
+                    publicIpProperties.set(ipv6Config, 'publicIpv6');
+                }
+                if (vms[instanceId].tags) {
+                    // Used by the tag election strategy
+                    autoscaleInstance.tags = vms[instanceId].tags;
+                }
+                if (vms[instanceId].zones && vms[instanceId].zones.length > 0) {
+                    autoscaleInstance.zone = vms[instanceId].zones[0];
+                }
+                if (vms[instanceId].instanceView &&
+                    vms[instanceId].instanceView.platformFaultDomain !== undefined) {
+                    autoscaleInstance.faultDomain = vms[instanceId].instanceView.platformFaultDomain;
+                }
+                autoscaleInstance.health = getInstanceHealth(vms[instanceId]);
+                if (vms[instanceId].timeCreated) {
+                    // Used to find the oldest instance when IDs are VM names
+                    autoscaleInstance.timeCreated = vms[instanceId].timeCreated;
+                }
+                autoscaleInstance.priority = vms[instanceId].priority || PRIORITY_REGULAR;
+                if (vms[instanceId].evictionPolicy) {
+                    autoscaleInstance.evictionPolicy = vms[instanceId].evictionPolicy;
+                }
+                instances[instanceId] = autoscaleInstance;
+
+                // Account for power state possibly being deallocated,
+                // set providerVisible to false if so
+                if (
+                    vms[instanceId].provisioningState === 'Succeeded' ||
+                    vms[instanceId].provisioningState === 'Creating'
+                ) {
+                    instances[instanceId].providerVisible = true;
+                } else {
+                    instances[instanceId].providerVisible = false;
+                }
+            });
+
+            nics.forEach((nic) => {
+                if (nic.virtualMachine) {
+                    const instanceId = getInstanceIdFromVms(vms, nic.virtualMachine.id);
+                    nic.ipConfigurations.forEach((ipConfiguration) => {
+                        if (ipConfiguration.publicIPAddress) {
+                            publicIpPromises.push(getPublicIpFromConfig(nic, ipConfiguration, instanceId));
+                        }
+                    });
                 }
             });
+
             try {
                 logger.silly(JSON.stringify(vms));
                 Object.keys(vms).forEach((vmId) => {
@@ -421,7 +727,15 @@ AzureCloudProvider.prototype.getInstances = function getInstances(options) {
         })
         .then((publicIps) => {
             publicIps.forEach((publicIp) => {
-                instances[publicIp.id].publicIp = publicIp.ip;
+                instances[publicIp.id].publicIps.push({
+                    ip: publicIp.ip,
+                    ipConfigurationName: publicIp.ipConfigurationName,
+                    nicName: publicIp.nicName,
+                    allocationMethod: publicIp.allocationMethod
+                });
+                if (publicIp.property) {
+                    instances[publicIp.id][publicIp.property] = publicIp.ip;
+                }
             });
 
             if (externalTag) {
@@ -437,7 +751,7 @@ AzureCloudProvider.prototype.getInstances = function getInstances(options) {
                     // instances
                     const currentKeys = Object.keys(instances);
                     for (let i = 0; i < currentKeys.length; i++) {
-                        if (instances[currentKeys[i]].privateIp === externalVm.ip.privateIp) {
+                        if (ipAddress.isSame(instances[currentKeys[i]].privateIp, externalVm.ip.private)) {
                             delete instances[currentKeys[i]];
                         }
                     }
@@ -448,14 +762,20 @@ AzureCloudProvider.prototype.getInstances = function getInstances(options) {
                         external: true,
                         providerVisible: true
                     };
+                    if (externalVm.ip.privateIpv6) {
+                        instances[externalVm.id].privateIpv6 = externalVm.ip.privateIpv6;
+                    }
+                    if (externalVm.ip.publicIpv6) {
+                        instances[externalVm.id].publicIpv6 = externalVm.ip.publicIpv6;
+                    }
                     azureInstanceIds.push(externalVm.id);
                 });
             }
 
-            return getInstancesFromDb(this.storageClient);
+            return getInstanceStore.call(this).getInstances();
         })
         .then((registeredInstances) => {
-            logger.silly('getInstancesFromDb result:', registeredInstances);
+            logger.silly('getInstances from store result:', registeredInstances);
 
             // Only report instances that are primary and/or that Azure also knows about
             const registeredInstanceIds = Object.keys(registeredInstances);
@@ -483,15 +803,25 @@ AzureCloudProvider.prototype.getInstances = function getInstances(options) {
                 instance = registeredInstances[instanceId];
 
                 if (isValidInstance.call(this, instanceId, instance)) {
-                    if (!instances[instanceId]) {
+                    const azureInstance = instances[instanceId];
+                    if (!azureInstance) {
                         providerVisible = false;
                     } else {
                         // We have an updated providerVisible status from above,
                         // so use it
-                        providerVisible = instances[instanceId].providerVisible;
+                        providerVisible = azureInstance.providerVisible;
                     }
                     instances[instanceId] = instance;
                     instances[instanceId].providerVisible = providerVisible;
+                    if (azureInstance) {
+                        // Placement comes from Azure, not from what the instance last stored
+                        for (let j = 0; j < PROVIDER_PROPERTIES.length; ++j) {
+                            const property = PROVIDER_PROPERTIES[j];
+                            if (azureInstance[property] !== undefined) {
+                                instances[instanceId][property] = azureInstance[property];
+                            }
+                        }
+                    }
                 } else if (isPrimary) {
                     // Get a list of non-primary instances that we have in our db that Azure
                     // does not know about and delete them
@@ -561,7 +891,7 @@ AzureCloudProvider.prototype.getInstances = function getInstances(options) {
             }
 
             logger.debug('Deleting non-primaries that are not known to Azure', idsToDelete);
-            return deleteInstancesFromDb(this.storageClient, idsToDelete, { noWait: true });
+            return deleteInstancesFromDb(getInstanceStore.call(this), idsToDelete, { noWait: true });
         })
         .then(() => {
             dedupeInstances(instances);
@@ -577,12 +907,20 @@ AzureCloudProvider.prototype.getInstances = function getInstances(options) {
 /**
  * Searches for NICs that have a given tag.
  *
- * @param {Object} tag - Tag to search for. Tag is of the format:
+ * @param {String|Object} tag                    - Tag selector to search for. Either an expression
+ *                                                 as described in lib/tagSelector.js, for example
+ *                                                 'app=web AND tier~=front*', or the format:
  *
- *                 {
- *                     key: optional key
- *                     value: value to search for
- *                 }
+ *                                                 {
+ *                                                     key: key to search for
+ *                                                     value: value to search for
+ *                                                 }
+ * @param {Object}   [options]                   - Optional parameters
+ * @param {String[]} [options.resourceGroups]    - Resource groups to search. Default is the
+ *                                                 resource group from init.
+ * @param {Boolean}  [options.allResourceGroups] - Search every resource group. Overrides resourceGroups.
+ * @param {String[]} [options.subscriptionIds]   - Subscriptions to search, with the same credentials.
+ *                                                 Default is the subscription from the credentials.
  *
  * @returns {Promise} A promise which will be resolved with an array of instances.
  *                    Each instance value should be:
@@ -592,56 +930,52 @@ AzureCloudProvider.prototype.getInstances = function getInstances(options) {
  *                       ip: {
  *                           public: public IP (or first public IP on the NIC),
  *                           private: private IP (or first private IP on the NIC)
- *                       }
+ *                       },
+ *                       resourceGroup: resource group of the NIC,
+ *                       subscriptionId: subscription of the NIC,
+ *                       nicResourceId: Azure resource ID of the NIC
  *                   }
  */
-AzureCloudProvider.prototype.getNicsByTag = function getNicsByTag(tag) {
-    const deferred = q.defer();
-    const promises = [];
-    const nics = [];
+AzureCloudProvider.prototype.getNicsByTag = function getNicsByTag(tag, options) {
+    let selector;
 
-    if (!tag || !tag.key || !tag.value) {
-        deferred.reject(new Error('Tag with key and value must be provided'));
-        return deferred.promise;
+    try {
+        selector = tagSelector.parse(tag);
+    } catch (err) {
+        return q.reject(err);
     }
 
-    promises.push(getNetworkInterfaces(this.networkClient, this.resourceGroup, tag));
-    promises.push(getVmScaleSetNetworkInterfaces(
-        this.computeClient,
-        this.networkClient,
-        this.resourceGroup,
-        tag
-    ));
-
-    q.all(promises)
-        .then((results) => {
-            results.forEach((result) => {
-                result.forEach((nic) => {
-                    nics.push(nic);
-                });
+    return this.refreshCredentials()
+        .then(() => {
+            return searchScopes.call(this, options, (computeClient, networkClient, resourceGroup) => {
+                return q.all([
+                    getNetworkInterfaces(networkClient, resourceGroup, selector),
+                    getVmScaleSetNetworkInterfaces(computeClient, networkClient, resourceGroup, selector)
+                ]);
             });
-            deferred.resolve(nics);
-        })
-        .catch((err) => {
-            deferred.reject(err);
         });
-
-    return deferred.promise;
 };
 
 /**
  * Searches for VMs that have a given tag.
  *
- * @param {Object}  tag                 - Tag to search for. Tag is of the format:
+ * @param {String|Object} tag                    - Tag selector to search for. Either an expression
+ *                                                 as described in lib/tagSelector.js, for example
+ *                                                 'app=web AND tier~=front*', or the format:
  *
- *                                        {
- *                                            key: optional key
- *                                            value: value to search for
- *                                        }
- * @param {Object}  [options]             - Optional parameters
- * @param {Boolean} [options.labelByVmId] - Use the VM id to tag the vm. Default is to
- *                                          tag by instance ID for autoscaled instances
- *                                          and nic ID for static instances
+ *                                                 {
+ *                                                     key: key to search for
+ *                                                     value: value to search for
+ *                                                 }
+ * @param {Object}   [options]                   - Optional parameters
+ * @param {Boolean}  [options.labelByVmId]       - Use the VM id to tag the vm. Default is to
+ *                                                 tag by instance ID for autoscaled instances
+ *                                                 and nic ID for static instances
+ * @param {String[]} [options.resourceGroups]    - Resource groups to search. Default is the
+ *                                                 resource group from init.
+ * @param {Boolean}  [options.allResourceGroups] - Search every resource group. Overrides resourceGroups.
+ * @param {String[]} [options.subscriptionIds]   - Subscriptions to search, with the same credentials.
+ *                                                 Default is the subscription from the credentials.
  *
  * @returns {Promise} A promise which will be resolved with an array of instances.
  *                    Each instance value should be:
@@ -651,52 +985,39 @@ AzureCloudProvider.prototype.getNicsByTag = function getNicsByTag(tag) {
  *                       ip: {
  *                           public: public IP (or first public IP on the first NIC),
  *                           private: private IP (or first private IP on the first NIC)
- *                       }
+ *                       },
+ *                       resourceGroup: resource group of the VM's NIC or scale set,
+ *                       subscriptionId: subscription of the VM,
+ *                       nicResourceId: Azure resource ID of the VM's primary NIC
  *                   }
  */
 AzureCloudProvider.prototype.getVmsByTag = function getVmsByTag(tag, options) {
-    const deferred = q.defer();
-    const promises = [];
-    const vms = [];
-
     const labelByVmId = options ? options.labelByVmId : undefined;
+    let selector;
 
-    if (!tag || !tag.key || !tag.value) {
-        deferred.reject(new Error('Tag with key and value must be provided'));
-        return deferred.promise;
+    try {
+        selector = tagSelector.parse(tag);
+    } catch (err) {
+        return q.reject(err);
     }
 
     logger.debug('Getting vms with tag', tag);
 
-    promises.push(getVms(
-        this.computeClient,
-        this.networkClient,
-        this.resourceGroup,
-        tag,
-        { labelByVmId }
-    ));
-    promises.push(getVmScaleSetNetworkInterfaces(
-        this.computeClient,
-        this.networkClient,
-        this.resourceGroup,
-        tag,
-        { labelByVmId }
-    ));
-
-    q.all(promises)
-        .then((results) => {
-            results.forEach((result) => {
-                result.forEach((vm) => {
-                    vms.push(vm);
-                });
+    return this.refreshCredentials()
+        .then(() => {
+            return searchScopes.call(this, options, (computeClient, networkClient, resourceGroup) => {
+                return q.all([
+                    getVms(computeClient, networkClient, resourceGroup, selector, { labelByVmId }),
+                    getVmScaleSetNetworkInterfaces(
+                        computeClient,
+                        networkClient,
+                        resourceGroup,
+                        selector,
+                        { labelByVmId }
+                    )
+                ]);
             });
-            deferred.resolve(vms);
-        })
-        .catch((err) => {
-            deferred.reject(err);
         });
-
-    return deferred.promise;
 };
 
 /**
@@ -707,11 +1028,17 @@ AzureCloudProvider.prototype.getVmsByTag = function getVmsByTag(tag, options) {
  *
  * @param {String} resourceId             - The ID of the resource
  *                                            - For resourceType of 'tag', resourceId is '<tagKey>=<tagValue>'
+ *                                            - For resourceType of 'scaleSet', resourceId is the scale
+ *                                              set name
+ *                                            - For resourceType of 'resourceGroup', resourceId is the
+ *                                              resource group name
  * @param {Object} resourceType           - The type of resource. All implementing providers must support
  *                                          'tag' but may add others as well. For Azure, the following types
  *                                          are supported:
- *                                              - tag
- *                                              - scaleSet
+ *                                              - tag: VMs, NICs and scale sets with the tag
+ *                                              - scaleSet: VMs in the scale set
+ *                                              - resourceGroup: every VM and scale set VM in the
+ *                                                resource group
  *
  * @returns {Promise} A promise which will be resolved with an array of instances.
  *                    Each instance value should be:
@@ -721,26 +1048,84 @@ AzureCloudProvider.prototype.getVmsByTag = function getVmsByTag(tag, options) {
  *         ip: {
  *             public: public IP,
  *             private: private IP
- *         }
+ *         },
+ *         nicResourceId: Azure resource ID of the primary NIC
  *     }
+ *
+ *                    A node found more than once, such as a tagged VM with a tagged NIC, is
+ *                    only included once.
  */
 AzureCloudProvider.prototype.getNodesByResourceId = function getNodesByResourceId(resourceId, resourceType) {
     if (resourceType === 'scaleSet') {
-        return getScaleSetNetworkPrimaryInterfaces(
-            this.computeClient,
-            this.networkClient,
-            this.resourceGroup,
-            resourceId
-        );
+        return this.refreshCredentials()
+            .then(() => {
+                return getOrchestrationMode.call(this, resourceId);
+            })
+            .then((orchestrationMode) => {
+                return getScaleSetNetworkPrimaryInterfaces(
+                    this.computeClient,
+                    this.networkClient,
+                    this.resourceGroup,
+                    resourceId,
+                    { orchestrationMode }
+                );
+            });
+    }
+
+    if (resourceType === 'tag') {
+        const separatorIndex = resourceId ? resourceId.indexOf('=') : -1;
+        if (separatorIndex < 1) {
+            return q.reject(new Error("For resource type 'tag', resource ID must be '<tagKey>=<tagValue>'"));
+        }
+        const tag = {
+            key: resourceId.substring(0, separatorIndex),
+            value: resourceId.substring(separatorIndex + 1)
+        };
+
+        return q.all([this.getVmsByTag(tag), this.getNicsByTag(tag)])
+            .then((results) => {
+                return uniqueNodes(results[0].concat(results[1]));
+            });
+    }
+
+    if (resourceType === 'resourceGroup') {
+        if (!resourceId) {
+            return q.reject(new Error("For resource type 'resourceGroup', resource ID must be provided"));
+        }
+
+        return this.refreshCredentials()
+            .then(() => {
+                return searchScopes.call(
+                    this,
+                    { resourceGroups: [resourceId] },
+                    (computeClient, networkClient, resourceGroup) => {
+                        return q.all([
+                            getVms(computeClient, networkClient, resourceGroup),
+                            getVmScaleSetNetworkInterfaces(computeClient, networkClient, resourceGroup)
+                        ]);
+                    }
+                );
+            })
+            .then(uniqueNodes);
     }
 
-    return q.reject(new Error("Only resource types 'tag' and 'scaleSet' are supported"));
+    return q.reject(new Error("Only resource types 'tag', 'scaleSet' and 'resourceGroup' are supported"));
 };
 
 /**
  * Elects a new primary instance from the available instances
  *
- * @abstract
+ * Uses the strategy from providerOptions.electionStrategy, skipping instances in
+ * providerOptions.drainingZones unless there is no other choice. Within that, Spot and
+ * low-priority instances, which Azure can evict with 30 seconds' notice, are only elected
+ * if there is no regular-priority instance. With providerOptions.excludeUnhealthy,
+ * unhealthy instances are never elected. Instances marked as leaving for a scheduled
+ * event (see scripts/scheduledEvents.js) are never elected either. See init.
+ *
+ * With providerOptions.electionLock, only the instance holding the lock runs the
+ * election, and records the result in the lock blob. Every other instance resolves
+ * with that recorded result if it is still one of its candidates, so that all
+ * instances agree on the primary, and otherwise rejects until the holder has elected.
  *
  * @param {Object} instances - Dictionary of instances as returned by getInstances
  *
@@ -749,65 +1134,42 @@ AzureCloudProvider.prototype.getNodesByResourceId = function getNodesByResourceI
  */
 AzureCloudProvider.prototype.electPrimary = function electPrimary(instances) {
     const instanceIds = Object.keys(instances);
-    let lowestInstanceId = Number.MAX_SAFE_INTEGER;
-    let lowestExternalpToNumber = Number.MAX_SAFE_INTEGER;
-
-    let primaryFound = false;
-    let externalInstanceId;
-    const instancesWithRunningConfig = [];
+    let primaryId;
 
     if (instanceIds.length === 0) {
         return q.reject(new Error('No instances'));
     }
 
-    instanceIds.forEach((instanceId) => {
-        const instance = instances[instanceId];
-        let currentIpToNumber;
-        if (instance.versionOk && instance.providerVisible) {
-            if (instanceId < lowestInstanceId) {
-                lowestInstanceId = instanceId;
-                primaryFound = true;
-            }
-            if (instance.external) {
-                currentIpToNumber = cloudUtil.ipToNumber(instance.privateIp);
-                if (currentIpToNumber < lowestExternalpToNumber) {
-                    lowestExternalpToNumber = currentIpToNumber;
-                    externalInstanceId = instanceId;
-                    primaryFound = true;
-                }
+    const excludeUnhealthy = this.providerOptions ? this.providerOptions.excludeUnhealthy : undefined;
+    const candidates = getStayingInstances(excludeUnhealthy ? getHealthyInstances(instances) : instances);
+
+    return this.refreshCredentials()
+        .then(() => {
+            return holdsElectionLock.call(this);
+        })
+        .then((isHolder) => {
+            if (!isHolder) {
+                return getHolderElection.call(this, candidates);
             }
-            if (instance.lastBackup !== new Date(1970, 1, 1).getTime()) {
-                instancesWithRunningConfig.push({
-                    id: instanceId,
-                    mgmtIp: currentIpToNumber
-                });
+
+            try {
+                primaryId = runElection.call(this, candidates);
+            } catch (err) {
+                return q.reject(err);
             }
-        }
-    });
-    if (externalInstanceId) {
-        lowestInstanceId = externalInstanceId;
-    }
-    // prefer running config over UCS restore
-    // checking if availabe lowestIp has running conf
-    logger.silly('electPrimary: checking if lowest ip has running config');
-    const isLowestInstanceWithRunningConfig = instancesWithRunningConfig.some((instanceWithRunConf) => {
-        return lowestInstanceId === instanceWithRunConf.id;
-    });
-    // if not return the lowest with config
-    if (!isLowestInstanceWithRunningConfig && instancesWithRunningConfig.length > 0) {
-        logger.silly('electPrimary: elected primary does not have running config');
-        logger.silly('electPrimary: taking lowest with running config');
-        instancesWithRunningConfig.sort((instance01, instance02) => {
-            return instance01.mgmtIp - instance02.mgmtIp;
-        });
-        logger.silly(`electPrimary: instance after sort: ${instancesWithRunningConfig}`);
-        lowestInstanceId = instancesWithRunningConfig[0].id;
-    }
 
-    if (primaryFound) {
-        return q(lowestInstanceId);
-    }
-    return q.reject(new Error('No possible primary found'));
+            logger.silly('electPrimary: elected', primaryId);
+            if (primaryId === undefined) {
+                return q.reject(new Error('No possible primary found'));
+            }
+            if (!this.electionLock) {
+                return q(primaryId);
+            }
+            return this.electionLock.recordElection(primaryId)
+                .then(() => {
+                    return primaryId;
+                });
+        });
 };
 
 /**
@@ -897,35 +1259,128 @@ AzureCloudProvider.prototype.isValidPrimary = function isValidPrimary(instanceId
 /**
  * Called when a primary has been elected
  *
+ * Other instances are marked as non-primary with conditional writes so that
+ * concurrent updates to their records are not lost.
+ *
  * @param {String} primaryId - Instance ID that was elected primary.
  *
- * @returns {Promise} A promise which will be resolved when processing is complete.
+ * @returns {Promise} A promise which will be resolved when processing is complete, or
+ *                    rejected with a ConflictError if another instance kept updating
+ *                    the records.
  */
 AzureCloudProvider.prototype.primaryElected = function primaryElected(instanceId) {
-    // Find other instance in the db that are marked as primary, and mark them as non-primary
-    return getInstancesFromDb(this.storageClient)
+    const store = getInstanceStore.call(this);
+
+    const markNonPrimary = function (instance) {
+        if (!instance || !instance.isPrimary) {
+            return undefined;
+        }
+        const instanceToUpdate = instance;
+        instanceToUpdate.isPrimary = false;
+        instanceToUpdate.lastUpdate = new Date();
+        return instanceToUpdate;
+    };
+
+    return this.refreshCredentials()
+        .then(() => {
+            return holdsElectionLock.call(this);
+        })
+        .then((isHolder) => {
+            if (!isHolder) {
+                return q();
+            }
+
+            // Find other instance in the db that are marked as primary, and mark them as non-primary
+            return store.getInstances();
+        })
         .then((registeredInstances) => {
-            const registeredInstanceIds = Object.keys(registeredInstances);
             const promises = [];
-            let instance;
 
-            registeredInstanceIds.forEach((registeredId) => {
-                instance = registeredInstances[registeredId];
-                if (registeredId !== instanceId && instance.isPrimary) {
-                    instance.isPrimary = false;
-                    promises.push(this.putInstance(registeredId, instance));
+            if (!registeredInstances) {
+                return q();
+            }
+
+            Object.keys(registeredInstances).forEach((registeredId) => {
+                if (registeredId !== instanceId && registeredInstances[registeredId].isPrimary) {
+                    promises.push(store.updateInstance(registeredId, markNonPrimary));
                 }
             });
 
-            // Note: we are not returning the promise here - no need to wait for this to complete
-            q.all(promises);
+            return q.all(promises);
+        })
+        .then(() => {
+            return q();
+        })
+        .catch((err) => {
+            if (err instanceof ConflictError) {
+                logger.warn('Primary status changed by another instance during election:', err.message);
+            }
+            return q.reject(err);
+        });
+};
+
+/**
+ * Marks an instance as leaving, and not primary, in the instance store
+ *
+ * Only reads and writes the instance store, so that it is quick enough for the 30 seconds'
+ * notice of a Spot eviction. The instance is found by VM name, which is the instance ID
+ * in a Flexible scale set and <scale set>_<instance ID> in a Uniform one.
+ *
+ * @param {String} vmName   - Name of the VM, as in instance metadata.
+ * @param {Object} leaving  - Value for the leaving property of the instance. See getInstances.
+ *
+ * @returns {Promise} A promise which will be resolved with { instanceId, instance } for the
+ *                    updated instance, or undefined if the instance is not in the store.
+ */
+AzureCloudProvider.prototype.markInstanceLeaving = function markInstanceLeaving(vmName, leaving) {
+    const store = getInstanceStore.call(this);
+    const uniformPrefix = `${this.scaleSet}_`;
+    let instanceId;
+
+    return this.refreshCredentials()
+        .then(() => {
+            return store.getInstances();
+        })
+        .then((registeredInstances) => {
+            const candidateIds = [vmName];
+            if (vmName.indexOf(uniformPrefix) === 0) {
+                candidateIds.push(vmName.slice(uniformPrefix.length));
+            }
+            instanceId = candidateIds.filter((candidateId) => {
+                return !!registeredInstances[candidateId];
+            })[0];
+
+            if (instanceId === undefined) {
+                return q();
+            }
+
+            return store.updateInstance(instanceId, (instance) => {
+                if (!instance) {
+                    return undefined;
+                }
+                const instanceToUpdate = instance;
+                instanceToUpdate.isPrimary = false;
+                instanceToUpdate.leaving = leaving;
+                instanceToUpdate.lastUpdate = new Date();
+                return instanceToUpdate;
+            });
+        })
+        .then((instance) => {
+            return instance ? { instanceId, instance } : undefined;
         });
 };
 
 /**
  * Called when a primary has been elected.
  *
- * Update VirtualMachineScaleSet Tags, adding/updating the Deployment primary tag.
+ * Merges the primary tags into the VirtualMachineScaleSet tags: the primary tag
+ * (providerOptions.primaryTagName, default <resourceGroup>-primary) with the private IP
+ * of the primary, <primary tag>-hostname with its hostname and <primary tag>-elected
+ * with the time of the election. Other tags are not changed. As this is called on every
+ * autoscale run, the tags are read first and only written when the private IP (or the
+ * hostname) of the primary has changed.
+ * With providerOptions.protectPrimary, also protects the primary from scale-in and
+ * removes the protection from the other instances in the scale set.
  *
  * @param {String} primaryId - The instance ID of the elected primary.
  * @param {Object} instances - Dictionary of instances as returned from getInstances.
@@ -936,77 +1391,306 @@ AzureCloudProvider.prototype.tagPrimaryInstance = function tagPrimaryInstance(pr
     if (!instances[primaryIid]) {
         return q.reject(new Error('Primary Instance provided not in instances dictionary'));
     }
-    return getTagsFromScaleSet(this.computeClient, this.resourceGroup, this.scaleSet)
-        .then((tags) => {
-            const scaleSetTags = {};
-            scaleSetTags.tags = tags;
-            scaleSetTags.tags[`${this.resourceGroup}-primary`] = instances[primaryIid].privateIp;
-            return updateScaleSet(this.computeClient, this.resourceGroup, this.scaleSet, scaleSetTags);
+    return this.refreshCredentials()
+        .then(() => {
+            return holdsElectionLock.call(this);
         })
-        .catch((err) => {
-            return q.reject(err);
+        .then((isHolder) => {
+            if (!isHolder) {
+                return q();
+            }
+            const tagName = this.providerOptions && this.providerOptions.primaryTagName ?
+                this.providerOptions.primaryTagName : `${this.resourceGroup}-primary`;
+            const primary = instances[primaryIid];
+
+            return getScaleSetTags(this.computeClient, this.resourceGroup, this.scaleSet)
+                .then((currentTags) => {
+                    const tags = {};
+
+                    if (currentTags[tagName] !== primary.privateIp) {
+                        tags[tagName] = primary.privateIp;
+                        tags[`${tagName}-elected`] = new Date().toJSON();
+                    }
+                    if (primary.hostname && currentTags[`${tagName}-hostname`] !== primary.hostname) {
+                        tags[`${tagName}-hostname`] = primary.hostname;
+                    }
+
+                    if (Object.keys(tags).length === 0) {
+                        logger.silly('Primary tags are up to date');
+                        return q();
+                    }
+                    return mergeScaleSetTags(this.computeClient, this.resourceGroup, this.scaleSet, tags);
+                })
+                .then(() => {
+                    if (!this.providerOptions || !this.providerOptions.protectPrimary) {
+                        return q();
+                    }
+                    return protectPrimary.call(this, primaryIid);
+                });
         });
 };
 
 /**
- * Called to get check for and retrieve a stored UCS file
+ * Lists the stored UCS files
  *
- * @returns {Promise} A promise which will be resolved with a Buffer containing
- *                    the UCS data if it is present, resolved with undefined if not
- *                    found, or rejected if an error occurs.
+ * @returns {Promise} A promise which will be resolved with an array of UCS files, newest first:
+ *                    {
+ *                        name: <String>,
+ *                        lastModified: <Date>,
+ *                        size: <Number> (bytes),
+ *                        version: <String> (BIG-IP version),
+ *                        hostname: <String>,
+ *                        instanceId: <String>,
+ *                        configHash: <String>,
+ *                        checksum: <String>,
+ *                        checksumAlgorithm: <String>,
+ *                        encrypted: <Boolean>,
+ *                        accessTier: <String> (Hot, Cool or Archive)
+ *                    }
+ *                    Anything storeUcs did not record, for example because the UCS was stored
+ *                    by an older version, is undefined.
  */
-AzureCloudProvider.prototype.getStoredUcs = function getStoredUcs() {
-    const deferred = q.defer();
+AzureCloudProvider.prototype.listStoredUcs = function listStoredUcs() {
+    return this.refreshCredentials()
+        .then(() => {
+            return listUcsEntries.call(this);
+        })
+        .then((entries) => {
+            return entries.map(getUcsCatalogEntry);
+        });
+};
 
-    this.storageClient.listBlobsSegmented(BACKUP_CONTAINER, null, null, (err, result) => {
-        if (err) {
-            this.logger.warn('listBlobsSegmented failed:', err);
-            deferred.reject(err);
-            return;
+/**
+ * Called to get check for and retrieve a stored UCS file
+ *
+ * UCS files are tried newest first. A UCS with a checksum (see storeUcs) is downloaded to
+ * providerOptions.ucsVerifyDirectory while its checksum is calculated and is only returned
+ * if the checksum matches. An encrypted UCS is then decrypted. Otherwise the next newest
+ * UCS is tried. A UCS stored without a checksum or encryption cannot be verified and is
+ * returned as is. UCS files in the Archive access tier cannot be read and are skipped.
+ *
+ * The verified UCS is streamed from its copy in providerOptions.ucsVerifyDirectory, which is
+ * deleted once the stream closes. Callers which write the stream to a file of their own, as
+ * autoscale does, need room for a second copy of the UCS while they read it.
+ *
+ * Falling back means restoring an older configuration: changes made after that UCS was
+ * stored are lost. A warning is logged naming the newer UCS files and why they are invalid,
+ * as a corrupt upload of the newest UCS is otherwise only noticed from the restored
+ * configuration.
+ *
+ * @param {Object}        [options]          - Which UCS files to consider. Default is all of them.
+ * @param {String}        [options.name]     - Only the UCS with this name.
+ * @param {Date|String}   [options.before]   - Only UCS files stored at or before this time.
+ * @param {String}        [options.hostname] - Only UCS files from the BIG-IP with this hostname.
+ * @param {String}        [options.version]  - Only UCS files from a BIG-IP version which can be
+ *                                             restored on this version, that is the same or an
+ *                                             earlier version. UCS files with no recorded version
+ *                                             are not considered.
+ *
+ * @returns {Promise} A promise which will be resolved with a Stream of the UCS data if
+ *                    a valid UCS is present, resolved with undefined if not, or rejected
+ *                    if an error occurs.
+ */
+AzureCloudProvider.prototype.getStoredUcs = function getStoredUcs(options) {
+    const selection = options || {};
+    const invalidUcs = [];
+
+    const tryUcs = function (entries) {
+        const entry = entries[0];
+        const checksum = getUcsChecksum(entry);
+        const encrypted = ucsEncryption.isEncrypted(entry.metadata);
+        const reasons = [];
+        let invalidReason;
+
+        if (!checksum && !encrypted) {
+            const reason = 'no checksum was stored with it, so it is not verified';
+            logUcsChoice.call(this, entry, reason, invalidUcs);
+            return q(this.storageClient.createReadStream(BACKUP_CONTAINER, entry.name));
         }
 
-        let newestDate = new Date(1970, 1, 1);
-        let newest;
-        let currentDate;
-        let blobStream;
-
-        result.entries.forEach((entry) => {
-            if (entry.name.endsWith('.ucs')) {
-                currentDate = new Date(entry.lastModified);
-                if (currentDate > newestDate) {
-                    newest = entry;
-                    newestDate = currentDate;
+        const directory = this.providerOptions && this.providerOptions.ucsVerifyDirectory ?
+            this.providerOptions.ucsVerifyDirectory : UCS_VERIFY_DIRECTORY;
+        const file = path.join(directory, entry.name);
+        const downloadedFile = encrypted ? `${file}${ENCRYPTED_UCS_SUFFIX}` : file;
+
+        return downloadVerifiedBlob(
+            this.storageClient,
+            BACKUP_CONTAINER,
+            entry.name,
+            downloadedFile,
+            checksum
+        )
+            .then((actual) => {
+                if (!checksum) {
+                    reasons.push('no checksum was stored with it');
+                } else if (actual === checksum.value) {
+                    reasons.push(`its ${checksum.algorithm} checksum ${actual} matches`);
+                } else {
+                    invalidReason = `${checksum.algorithm} checksum is ${actual}, expected ${checksum.value}`;
+                    return q();
                 }
-            }
-        });
 
-        if (newest) {
-            this.logger.silly('getting blob', newest.name);
-            blobStream = this.storageClient.createReadStream(BACKUP_CONTAINER, newest.name);
-            deferred.resolve(blobStream);
-        } else {
-            this.logger.debug('No UCS found in storage account');
-            deferred.resolve();
-        }
-    });
+                if (!encrypted) {
+                    return q();
+                }
 
-    return deferred.promise;
+                const decryptOptions = { keyVaultClient: getKeyVaultClient.call(this) };
+                return ucsEncryption.decryptFile(downloadedFile, file, entry.metadata, decryptOptions)
+                    .then(() => {
+                        reasons.push(`it decrypted with key ${entry.metadata.encryptionkeyid}`);
+                    })
+                    .catch((err) => {
+                        invalidReason = `decryption failed: ${err && err.message ? err.message : err}`;
+                    });
+            })
+            .then(() => {
+                if (encrypted) {
+                    fs.unlink(downloadedFile, () => {});
+                }
+
+                if (!invalidReason) {
+                    logUcsChoice.call(this, entry, reasons.join(' and '), invalidUcs);
+
+                    const ucsStream = fs.createReadStream(file);
+                    ucsStream.on('close', () => {
+                        fs.unlink(file, () => {});
+                    });
+                    return ucsStream;
+                }
+
+                this.logger.warn(`UCS ${entry.name} is invalid:`, invalidReason);
+                invalidUcs.push(`${entry.name} (${invalidReason})`);
+                fs.unlink(file, () => {});
+
+                if (entries.length === 1) {
+                    this.logger.error('No valid UCS found. Invalid UCS files:', invalidUcs.join(', '));
+                    return q();
+                }
+                return tryUcs.call(this, entries.slice(1));
+            })
+            .catch((err) => {
+                fs.unlink(file, () => {});
+                if (encrypted) {
+                    fs.unlink(downloadedFile, () => {});
+                }
+                return q.reject(err);
+            });
+    };
+
+    return this.refreshCredentials()
+        .then(() => {
+            return listUcsEntries.call(this);
+        })
+        .then((entries) => {
+            const ucsEntries = entries.filter((entry) => {
+                if (entry.accessTier === ucsRetention.TIER_ARCHIVE) {
+                    this.logger.silly('Skipping archived UCS', entry.name);
+                    return false;
+                }
+                return isSelectedUcs(getUcsCatalogEntry(entry), selection);
+            });
+
+            if (ucsEntries.length === 0) {
+                if (entries.length === 0) {
+                    this.logger.debug('No UCS found in storage account');
+                } else {
+                    this.logger.info('No UCS found matching', selection);
+                }
+                return q();
+            }
+
+            return tryUcs.call(this, ucsEntries);
+        });
 };
 
 /**
  * Stores a UCS file in cloud storage
  *
- * @param {String} file      - Full path to file to store.
- * @param {Number} maxCopies - Number of files to store. Oldest files over
- *                             this number should be deleted.
- * @param {String} prefix    - The common prefix for autosaved UCS files
+ * The file is uploaded in blocks (see providerOptions.ucsBlockSize in init). If the upload
+ * fails, it is retried a couple of times, and each retry only uploads the blocks Azure does
+ * not already have.
+ * The checksum of the file is stored in the blob metadata as checksum and checksumalgorithm.
+ * If providerOptions.ucsEncryptionKey is set, the file is encrypted first (see init) to
+ * <file>.encrypted, which is removed once the upload has finished or failed.
+ *
+ * The BIG-IP version, hostname, instance ID and a hash of the BIG-IP configuration files are
+ * also stored in the metadata, as far as they can be read, for listStoredUcs and getStoredUcs.
+ *
+ * Old UCS files are then deleted, or moved to a cooler access tier, as configured by the
+ * retention provider options (see init).
+ *
+ * @param {String} file            - Full path to file to store.
+ * @param {Number} maxCopies       - Number of files to store. Oldest files over
+ *                                   this number should be deleted.
+ * @param {String} prefix          - The common prefix for autosaved UCS files
+ * @param {Object} [options]       - Optional parameters
+ * @param {Object} [options.bigIp] - Initialized BigIp to read the version and hostname from.
+ *                                   Default is the BIG-IP initialized by bigIpReady.
  *
- * @returns {Promise} A promise which is resolved when processing is complete.
+ * @returns {Promise} A promise which is resolved when processing is complete, with
+ *                    {
+ *                        deleted: <String[]> (names of the UCS files deleted),
+ *                        tiered: <Object> (new access tier of the UCS files moved, by name),
+ *                        dryRun: <Boolean> (true if nothing was actually deleted or moved)
+ *                    }
  */
-AzureCloudProvider.prototype.storeUcs = function storeUcs(file, maxCopies, prefix) {
-    return putFileObject(this.storageClient, BACKUP_CONTAINER, path.basename(file), file)
+AzureCloudProvider.prototype.storeUcs = function storeUcs(file, maxCopies, prefix, options) {
+    const providerOptions = this.providerOptions || {};
+    const uploadOptions = {
+        blockSize: providerOptions.ucsBlockSize,
+        parallelism: providerOptions.ucsUploadParallelism,
+        checksumAlgorithm: providerOptions.ucsChecksumAlgorithm
+    };
+    const name = path.basename(file);
+    const encryptionKey = providerOptions.ucsEncryptionKey;
+    const bigIp = options && options.bigIp ? options.bigIp : this.bigIp;
+    let uploadFile = file;
+
+    return this.refreshCredentials()
+        .then(() => {
+            return getUcsCatalogMetadata.call(this, bigIp);
+        })
+        .then((metadata) => {
+            uploadOptions.metadata = metadata;
+
+            if (!encryptionKey) {
+                return q();
+            }
+
+            uploadFile = `${file}${ENCRYPTED_UCS_SUFFIX}`;
+            return ucsEncryption.encryptFile(file, uploadFile, {
+                key: encryptionKey,
+                keyVaultClient: getKeyVaultClient.call(this)
+            })
+                .then((encryptionMetadata) => {
+                    Object.assign(uploadOptions.metadata, encryptionMetadata);
+                });
+        })
+        .then(() => {
+            return cloudUtil.tryUntil(
+                blockUpload,
+                UCS_UPLOAD_RETRY,
+                blockUpload.uploadFile,
+                [this.storageClient, BACKUP_CONTAINER, name, uploadFile, uploadOptions]
+            );
+        })
+        .then((result) => {
+            this.logger.silly('storeUcs: uploaded', file, result);
+        })
+        .finally(() => {
+            // Whether or not the upload worked, as the next UCS has a new name
+            if (encryptionKey) {
+                return ucsEncryption.removeEncryptedFile(uploadFile);
+            }
+            return q();
+        })
         .then(() => {
-            return deleteOldestObjects(this.storageClient, BACKUP_CONTAINER, maxCopies, prefix);
+            return deleteOldestObjects(
+                this.storageClient,
+                BACKUP_CONTAINER,
+                ucsRetention.getPolicy(providerOptions, maxCopies),
+                prefix
+            );
         });
 };
 
@@ -1021,7 +1705,10 @@ AzureCloudProvider.prototype.storeUcs = function storeUcs(file, maxCopies, prefi
  */
 
 AzureCloudProvider.prototype.deleteStoredUcs = function deleteStoredUcs(fileName) {
-    return deleteObject(this.storageClient, BACKUP_CONTAINER, fileName);
+    return this.refreshCredentials()
+        .then(() => {
+            return deleteObject(this.storageClient, BACKUP_CONTAINER, fileName);
+        });
 };
 
 
@@ -1037,18 +1724,20 @@ AzureCloudProvider.prototype.deleteStoredUcs = function deleteStoredUcs(fileName
  *                    or rejected if an error occurs.
  */
 AzureCloudProvider.prototype.getDataFromUri = function getDataFromUri(uri) {
-    const azureRegex = /https:\/\/[a-z0-9]+\.blob\.core\.windows\.net/;
+    const environment = this.environment || azureEnvironment.Azure;
+    const blobEndpoint = `blob.${environment.storageEndpointSuffix}`;
+    const azureRegex = new RegExp(`^https://[a-z0-9]+\\.${escapeRegExp(blobEndpoint)}`);
     if (!uri.match(azureRegex)) {
         return q.reject(new Error('Invalid URI. URI should be an Azure Storage URI'));
     }
 
-    // URI format is: https://account.blob.core.windows.net/container/blob
-    let parts = uri.split('blob.core.windows.net/');
+    // URI format is: https://account.blob.<storageEndpointSuffix>/container/blob
+    let parts = uri.split(`${blobEndpoint}/`);
 
     // Get container and blob
-    parts = parts[1].split('/');
+    parts = parts.length > 1 ? parts[1].split('/') : [];
     if (parts.length < 2) {
-        const exampleURI = 'https://account.blob.core.windows.net/container/blob';
+        const exampleURI = `https://account.${blobEndpoint}/container/blob`;
         return q.reject(new Error(`Invalid URI. Format should be ${exampleURI}`));
     }
 
@@ -1056,7 +1745,10 @@ AzureCloudProvider.prototype.getDataFromUri = function getDataFromUri(uri) {
     const container = parts.splice(0, 1)[0];
     const blob = parts.join('/');
 
-    return getBlobToText(this.storageClient, container, blob)
+    return this.refreshCredentials()
+        .then(() => {
+            return getBlobToText(this.storageClient, container, blob);
+        })
         .then((data) => {
             return data.toString();
         })
@@ -1077,19 +1769,241 @@ AzureCloudProvider.prototype.putInstance = function putInstance(instanceId, inst
     logger.silly('putInstance:', instanceId, instance);
     const instanceToUpdate = instance;
     instanceToUpdate.lastUpdate = new Date();
-    return putJsonObject.call(this, this.storageClient, INSTANCES_CONTAINER, instanceId, instanceToUpdate);
+    return this.refreshCredentials()
+        .then(() => {
+            return getInstanceStore.call(this).putInstance(instanceId, instanceToUpdate);
+        });
 };
 
-function loginWithServicePrincipal(credentialsJson, environment) {
+/**
+ * Logs in to Azure and creates the network, compute and storage clients
+ *
+ * @param {Object}  credentialsJson - Credentials as described in init
+ * @param {Object}  environment     - Azure environment
+ * @param {Boolean} [isRefresh]     - Whether the clients are being re-created with new credentials,
+ *                                    in which case the existing instance store and election lock are
+ *                                    kept, and switched to the new storage clients.
+ *
+ * @returns {Promise} A promise which will be resolved when the clients are ready.
+ */
+function initClients(credentialsJson, environment, isRefresh) {
+    const tryLogin = function (tokenAudience) {
+        if (credentialsJson.useManagedIdentity) {
+            return loginWithManagedIdentity(environment, tokenAudience);
+        }
+        return loginWithServicePrincipal(credentialsJson, environment, tokenAudience);
+    };
+
+    const haveCredentials = !!credentialsJson.useManagedIdentity
+        || !!(credentialsJson.clientId && credentialsJson.secret && credentialsJson.tenantId);
+
+    const storeType = this.providerOptions.instanceStore;
+    if (storeType === instanceStore.STORE_TYPE_TABLE && !credentialsJson.storageKey) {
+        return q.reject(new Error('Table instance store requires a storage key'));
+    }
+    if (this.providerOptions.electionLock && !credentialsJson.storageAccount) {
+        return q.reject(new Error('Election lock requires a storage account'));
+    }
+
+    let loginPromise;
+    if (!haveCredentials) {
+        this.logger.debug('No credentials provided. Not logging in to Azure.');
+        loginPromise = q();
+    } else {
+        loginPromise = cloudUtil.tryUntil(this, cloudUtil.MEDIUM_RETRY, tryLogin);
+    }
+
+    return loginPromise
+        .then((credentials) => {
+            if (credentials && credentialsJson.subscriptionId) {
+                this.networkClient = new NetworkManagementClient(
+                    credentials,
+                    credentialsJson.subscriptionId,
+                    environment.resourceManagerEndpointUrl
+                );
+                this.computeClient = new ComputeManagementClient(
+                    credentials,
+                    credentialsJson.subscriptionId,
+                    environment.resourceManagerEndpointUrl
+                );
+                this.subscriptionClients = {};
+            } else {
+                this.logger.debug('Azure credentials not provided. Not initializing Azure clients');
+            }
+
+            // A new storage client replaces the token refresh of the previous one
+            stopTokenRefresh.call(this);
+            if (credentialsJson.storageAccount && credentialsJson.storageKey) {
+                return q(azureStorage.createBlobService(
+                    credentialsJson.storageAccount,
+                    credentialsJson.storageKey,
+                    getStorageHost(credentialsJson.storageAccount, environment)
+                ));
+            }
+            if (credentialsJson.storageAccount && haveCredentials) {
+                this.logger.debug('No storage key provided. Using Azure AD authentication for storage.');
+                const storageHost = getStorageHost(credentialsJson.storageAccount, environment);
+                return cloudUtil.tryUntil(this, cloudUtil.MEDIUM_RETRY, tryLogin, [STORAGE_TOKEN_AUDIENCE])
+                    .then((storageCredentials) => {
+                        return createBlobServiceWithToken.call(this, storageCredentials, storageHost);
+                    });
+            }
+            return q();
+        })
+        .then((storageClient) => {
+            const promises = [];
+
+            if (storageClient) {
+                this.storageClient = storageClient;
+                promises.push(createContainers(this.storageClient, [BACKUP_CONTAINER]));
+            }
+
+            if (storeType === instanceStore.STORE_TYPE_MEMORY || storageClient) {
+                const storeOptions = { storageClient, logger: this.logger };
+                if (storeType === instanceStore.STORE_TYPE_TABLE) {
+                    storeOptions.tableClient = azureStorage.createTableService(
+                        credentialsJson.storageAccount,
+                        credentialsJson.storageKey,
+                        getStorageHost(credentialsJson.storageAccount, environment, 'table')
+                    );
+                }
+                // Keep the store on a refresh, so that instances held in memory are not lost
+                if (isRefresh && this.instanceStore) {
+                    this.instanceStore.setClients(storeOptions);
+                } else {
+                    this.instanceStore = instanceStore.create(storeType, storeOptions);
+                    promises.push(this.instanceStore.init());
+                }
+            }
+
+            // Keep the lock on a refresh, so that a held lease is not lost
+            if (this.providerOptions.electionLock && storageClient && isRefresh && this.electionLock) {
+                this.electionLock.setStorageClient(storageClient);
+            } else if (this.providerOptions.electionLock && storageClient) {
+                this.electionLock = new ElectionLock(storageClient, {
+                    leaseDurationSec: this.providerOptions.electionLockDurationSec,
+                    logger: this.logger
+                });
+                promises.push(this.electionLock.init());
+            }
+
+            return q.all(promises);
+        });
+}
+
+/**
+ * Creates a blob service which authenticates with an Azure AD access token
+ *
+ * The token is refreshed in the background before it expires.
+ *
+ * @param {Object} storageCredentials - Credentials object with a token audience of Azure storage
+ * @param {String} host               - Blob service endpoint of the storage account
+ *
+ * @returns {Promise} A promise which will be resolved with the blob service.
+ */
+function createBlobServiceWithToken(storageCredentials, host) {
+    return getToken(storageCredentials)
+        .then((tokenResponse) => {
+            const tokenCredential = new azureStorage.TokenCredential(tokenResponse.accessToken);
+            this.storageTokenCredential = tokenCredential;
+            scheduleTokenRefresh.call(
+                this,
+                storageCredentials,
+                tokenCredential,
+                getTokenRefreshDelay(tokenResponse)
+            );
+            return azureStorage.createBlobServiceWithTokenCredential(host, tokenCredential);
+        });
+}
+
+/**
+ * Refreshes a storage token credential after a delay
+ *
+ * Only the token credential of the current storage client is refreshed. The timer
+ * does not keep the process alive. See stopTokenRefresh.
+ *
+ * @param {Object} storageCredentials - Credentials object used to get new tokens
+ * @param {Object} tokenCredential    - azure-storage TokenCredential to update
+ * @param {Number} delayMs            - Milliseconds to wait before refreshing
+ */
+function scheduleTokenRefresh(storageCredentials, tokenCredential, delayMs) {
+    if (this.storageTokenCredential !== tokenCredential) {
+        return;
+    }
+
+    clearTimeout(this.storageTokenTimer);
+    this.storageTokenTimer = setTimeout(() => {
+        getToken(storageCredentials)
+            .then((tokenResponse) => {
+                logger.silly('Refreshed storage access token');
+                tokenCredential.updateToken(tokenResponse.accessToken);
+                scheduleTokenRefresh.call(
+                    this,
+                    storageCredentials,
+                    tokenCredential,
+                    getTokenRefreshDelay(tokenResponse)
+                );
+            })
+            .catch((err) => {
+                logger.warn(
+                    'Unable to refresh storage access token:',
+                    err && err.message ? err.message : err
+                );
+                scheduleTokenRefresh.call(this, storageCredentials, tokenCredential, TOKEN_REFRESH_RETRY_MS);
+            });
+    }, delayMs);
+
+    if (this.storageTokenTimer.unref) {
+        this.storageTokenTimer.unref();
+    }
+}
+
+/**
+ * Stops refreshing the token credential of the storage client, if it has one
+ */
+function stopTokenRefresh() {
+    clearTimeout(this.storageTokenTimer);
+    this.storageTokenTimer = undefined;
+    this.storageTokenCredential = undefined;
+}
+
+/**
+ * Determines how long to wait before refreshing a token
+ *
+ * @param {Object} tokenResponse - Token response as returned by getToken
+ *
+ * @returns {Number} Milliseconds to wait
+ */
+function getTokenRefreshDelay(tokenResponse) {
+    let expiresInMs;
+
+    if (tokenResponse.expiresIn) {
+        expiresInMs = tokenResponse.expiresIn * 1000;
+    } else if (tokenResponse.expiresOn) {
+        expiresInMs = new Date(tokenResponse.expiresOn).getTime() - Date.now();
+    }
+
+    if (!expiresInMs || expiresInMs - TOKEN_REFRESH_MARGIN_MS < TOKEN_REFRESH_RETRY_MS) {
+        return TOKEN_REFRESH_RETRY_MS;
+    }
+    return expiresInMs - TOKEN_REFRESH_MARGIN_MS;
+}
+
+function loginWithServicePrincipal(credentialsJson, environment, tokenAudience) {
     const loginDeferred = q.defer();
+    const loginOptions = {
+        environment
+    };
+
+    if (tokenAudience) {
+        loginOptions.tokenAudience = tokenAudience;
+    }
 
     msRestAzure.loginWithServicePrincipalSecret(
         credentialsJson.clientId,
         credentialsJson.secret,
         credentialsJson.tenantId,
-        {
-            environment
-        },
+        loginOptions,
         (err, credentials) => {
             if (err) {
                 loginDeferred.reject(err);
@@ -1102,15 +2016,123 @@ function loginWithServicePrincipal(credentialsJson, environment) {
     return loginDeferred.promise;
 }
 
-function loginWithManagedIdentity(environment) {
+function loginWithManagedIdentity(environment, tokenAudience) {
     const credentials = new msRestAzure.MSIVmTokenCredentials({
-        resource: environment.resourceManagerEndpointUrl,
+        resource: tokenAudience || environment.resourceManagerEndpointUrl,
         msiApiVersion: '2018-02-01'
     });
 
     return q.resolve(credentials);
 }
 
+/**
+ * Gets a token from a credentials object
+ *
+ * @param {Object} credentials - Credentials object from ms-rest-azure
+ *
+ * @returns {Promise} A promise which will be resolved with the token response
+ *                    (accessToken, expiresIn, etc) or rejected if an error occurs.
+ */
+function getToken(credentials) {
+    const deferred = q.defer();
+
+    credentials.getToken((err, tokenResponse) => {
+        if (err) {
+            deferred.reject(err);
+        } else {
+            deferred.resolve(tokenResponse);
+        }
+    });
+
+    return deferred.promise;
+}
+
+/**
+ * Re-reads the Key Vault secret and re-initializes the Azure clients if it has a new version
+ *
+ * @returns {Promise} A promise which will be resolved when the refresh is complete.
+ */
+function refreshKeyVaultSecret() {
+    return getKeyVaultSecret(this.environment, this.providerOptions.keyVaultSecretUri)
+        .then((secret) => {
+            this.keyVaultSecret.lastRefresh = Date.now();
+            if (secret.id === this.keyVaultSecret.id) {
+                this.logger.silly('Key Vault secret has not changed');
+                return q();
+            }
+
+            this.logger.info('Key Vault secret has been rotated. Re-initializing Azure clients.');
+            const credentialsJson = Object.assign({}, this.keyVaultSecret.credentials, secret.credentials);
+            return initClients.call(this, credentialsJson, this.environment, true)
+                .then(() => {
+                    this.keyVaultSecret.id = secret.id;
+                    this.keyVaultSecret.credentials = credentialsJson;
+                });
+        });
+}
+
+/**
+ * Reads credentials from an Azure Key Vault secret using the managed identity of this instance
+ *
+ * @param {Object} environment - Azure environment
+ * @param {String} secretUri   - URI of the secret. If the URI does not include a version,
+ *                               the current version of the secret is read.
+ *
+ * @returns {Promise} A promise which will be resolved with:
+ *                    {
+ *                        id: <ID of the secret, including the version>,
+ *                        credentials: <parsed secret value>
+ *                    }
+ *                    or rejected if an error occurs.
+ */
+function getKeyVaultSecret(environment, secretUri) {
+    return getToken(getKeyVaultCredentials(environment))
+        .then((tokenResponse) => {
+            const secretUrl = url.parse(secretUri);
+            secretUrl.search = querystring.stringify(
+                Object.assign(querystring.parse(secretUrl.query), { 'api-version': KEY_VAULT_API_VERSION })
+            );
+
+            return cloudUtil.getDataFromUrl(
+                url.format(secretUrl),
+                {
+                    headers: {
+                        Authorization: `Bearer ${tokenResponse.accessToken}`
+                    }
+                }
+            );
+        })
+        .then((response) => {
+            const secret = typeof response === 'string' ? JSON.parse(response) : response;
+            if (!secret || !secret.value) {
+                return q.reject(new Error(`Key Vault secret ${secretUri} has no value`));
+            }
+
+            return {
+                id: secret.id,
+                credentials: JSON.parse(secret.value)
+            };
+        });
+}
+
+function getKeyVaultCredentials(environment) {
+    return new msRestAzure.MSIVmTokenCredentials({
+        resource: `https://${environment.keyVaultDnsSuffix.replace(/^\./, '')}`,
+        msiApiVersion: '2018-02-01'
+    });
+}
+
+/**
+ * Gets a service client for Key Vault keys, authenticated with the managed identity of this instance
+ */
+function getKeyVaultClient() {
+    if (!this.keyVaultClient) {
+        const environment = this.environment || azureEnvironment.Azure;
+        this.keyVaultClient = new msRestAzure.AzureServiceClient(getKeyVaultCredentials(environment));
+    }
+    return this.keyVaultClient;
+}
+
 function getInstanceMetadata() {
     return cloudUtil.getDataFromUrl(
         'http://169.254.169.254/metadata/instance?api-version=2017-04-02',
@@ -1126,192 +2148,822 @@ function getInstanceMetadata() {
 }
 
 /**
- * Gets list of network interfaces in a tagged scale set
+ * Runs a search in each subscription and resource group of the discovery options
+ *
+ * @param {Object}   [options]                   - Discovery options as described in getVmsByTag
+ * @param {Function} search                      - Called with the compute client, network client and
+ *                                                 resource group (undefined for every resource group)
+ *                                                 of each scope. Returns a promise which is resolved
+ *                                                 with an array of arrays of nodes.
+ *
+ * @returns {Promise} A promise which will be resolved with the nodes from every scope, each
+ *                    annotated with its subscription ID
+ */
+function searchScopes(options, search) {
+    const discoveryOptions = options || {};
+    const subscriptionIds = discoveryOptions.subscriptionIds || [this.computeClient.subscriptionId];
+    let resourceGroups = discoveryOptions.resourceGroups || [this.resourceGroup];
+    const promises = [];
+
+    if (discoveryOptions.allResourceGroups) {
+        resourceGroups = [undefined];
+    }
+
+    subscriptionIds.forEach((subscriptionId) => {
+        const clients = getSubscriptionClients.call(this, subscriptionId);
+
+        resourceGroups.forEach((resourceGroup) => {
+            promises.push(search(clients.computeClient, clients.networkClient, resourceGroup)
+                .then((results) => {
+                    const nodes = [];
+                    results.forEach((result) => {
+                        result.forEach((node) => {
+                            nodes.push(Object.assign(node, { subscriptionId }));
+                        });
+                    });
+                    return nodes;
+                }));
+        });
+    });
+
+    return q.all(promises)
+        .then((results) => {
+            const nodes = [];
+            results.forEach((result) => {
+                Array.prototype.push.apply(nodes, result);
+            });
+            return nodes;
+        });
+}
+
+/**
+ * Gets compute and network clients for a subscription, using the credentials of
+ * the clients from init
+ *
+ * @param {String} subscriptionId - Subscription ID
+ *
+ * @returns {Object} { computeClient, networkClient }
+ */
+function getSubscriptionClients(subscriptionId) {
+    if (subscriptionId === this.computeClient.subscriptionId) {
+        return {
+            computeClient: this.computeClient,
+            networkClient: this.networkClient
+        };
+    }
+
+    if (!this.subscriptionClients) {
+        this.subscriptionClients = {};
+    }
+
+    if (!this.subscriptionClients[subscriptionId]) {
+        this.subscriptionClients[subscriptionId] = {
+            computeClient: new ComputeManagementClient(
+                this.computeClient.credentials,
+                subscriptionId,
+                this.computeClient.baseUri
+            ),
+            networkClient: new NetworkManagementClient(
+                this.networkClient.credentials,
+                subscriptionId,
+                this.networkClient.baseUri
+            )
+        };
+    }
+
+    return this.subscriptionClients[subscriptionId];
+}
+
+/**
+ * Lists every resource of an SDK operations group in a resource group, or in the whole
+ * subscription if no resource group is given
+ *
+ * @param {Object} operations      - SDK operations group. Example: computeClient.virtualMachines
+ * @param {String} [resourceGroup] - Name of the resource group
+ *
+ * @returns {Promise} A promise which will be resolved with an array of the resources
+ */
+function listInScope(operations, resourceGroup) {
+    if (resourceGroup) {
+        return paging.listAll(operations, 'list', [resourceGroup]);
+    }
+    return paging.listAll(operations, 'listAll');
+}
+
+function getResourceGroupFromId(resourceId) {
+    return resourceId.split('/')[4];
+}
+
+/**
+ * Gets list of network interfaces in a tagged scale set
+ *
+ * @param {Object}  computeClient         - Azure compute instance
+ * @param {Object}  networkClient         - Azure network client instance
+ * @param {String}  [resourceGroup]       - Name of the resource group. Default is every resource group
+ *                                          in the subscription
+ * @param {Object}  [tag]                 - Tag selector to search for. See lib/tagSelector.js.
+ *                                          Default is every scale set
+ * @param {Object}  [options]             - Optional parameters
+ * @param {Boolean} [options.labelByVmId] - Use the VM id to tag the vm. Default is to
+ *                                          label by nic ID
+ *
+ * @returns {Promise} A promise which will be resolved with a dictonary of nics with
+ *                    the given tag, keyed by nic ID or vmId based on options.labelByVmId
+ */
+function getVmScaleSetNetworkInterfaces(computeClient, networkClient, resourceGroup, tag, options) {
+    assert.ok(computeClient, 'getVmScaleSetNetworkInterfaces: no compute client');
+    assert.ok(networkClient, 'getVmScaleSetNetworkInterfaces: no network client');
+
+    const deferred = q.defer();
+    const promises = [];
+
+    const labelByVmId = options ? options.labelByVmId : false;
+
+    let vmScaleSets;
+
+    listInScope(computeClient.virtualMachineScaleSets, resourceGroup).then((results) => {
+        let scaleSetName;
+
+        vmScaleSets = results;
+
+        logger.silly('virtualMachineScaleSets.list results:', vmScaleSets);
+
+        vmScaleSets.forEach((vmScaleSet) => {
+            if (tagSelector.matches(vmScaleSet.tags, tag)) {
+                scaleSetName = vmScaleSet.name;
+                promises.push(getScaleSetNetworkPrimaryInterfaces(
+                    computeClient,
+                    networkClient,
+                    resourceGroup || getResourceGroupFromId(vmScaleSet.id),
+                    scaleSetName,
+                    { labelByVmId }
+                ));
+            }
+        });
+
+        q.all(promises)
+            .then((nicResults) => {
+                const nics = [];
+                nicResults.forEach((nicResult) => {
+                    nicResult.forEach((nic) => {
+                        nics.push(nic);
+                    });
+                });
+                deferred.resolve(nics);
+            })
+            .catch((nicErr) => {
+                deferred.reject(nicErr);
+            });
+    })
+        .catch((err) => {
+            deferred.reject(err);
+        });
+
+    return deferred.promise;
+}
+
+/**
+ * Gets list of VMs with a given tag
+ *
+ * @param {Object}  computeClient         - Azure compute instance
+ * @param {Object}  networkClient         - Azure network client instance
+ * @param {String}  [resourceGroup]       - Name of the resource group. Default is every resource group
+ *                                          in the subscription
+ * @param {Object}  [tag]                 - Tag selector to search for. See lib/tagSelector.js.
+ *                                          Default is every VM
+ * @param {Object}  [options]             - Optional parameters
+ * @param {Boolean} [options.labelByVmId] - Use the VM id to tag the vm. Default is to
+ *                                          label by nic ID
+ *
+ * @returns {Promise} A promise which will be resolved with a dictonary of VMs with
+ *                    the given tag, keyed by nic ID or vmId based on options.labelByVmId
+ */
+function getVms(computeClient, networkClient, resourceGroup, tag, options) {
+    assert.ok(computeClient, 'getVms: no compute client');
+    assert.ok(networkClient, 'getVms: no network client');
+
+    const deferred = q.defer();
+    const promises = [];
+    let nicName;
+
+    const labelByVmId = options ? options.labelByVmId : false;
+
+    listInScope(computeClient.virtualMachines, resourceGroup).then((results) => {
+        let networkInterfaceOptions;
+
+        logger.silly('virtualMachines.list results:', results);
+
+        results.forEach((result) => {
+            if (labelByVmId) {
+                networkInterfaceOptions = {
+                    key: result.vmId
+                };
+            }
+
+            if (result.networkProfile && tagSelector.matches(result.tags, tag)) {
+                result.networkProfile.networkInterfaces.forEach((networkInterface) => {
+                    if (
+                        !Object.prototype.hasOwnProperty.call(networkInterface, 'primary') ||
+                        networkInterface.primary === true
+                    ) {
+                        nicName = networkInterface.id.split('/')[8];
+                        promises.push(getNetworkInterface(
+                            networkClient,
+                            getResourceGroupFromId(networkInterface.id),
+                            nicName,
+                            networkInterfaceOptions
+                        ));
+                    }
+                });
+            }
+        });
+
+        q.all(promises)
+            .then((nicResults) => {
+                deferred.resolve(nicResults);
+            })
+            .catch((nicErr) => {
+                deferred.reject(nicErr);
+            });
+    })
+        .catch((err) => {
+            deferred.reject(err);
+        });
+
+    return deferred.promise;
+}
+
+/**
+ * Gets all VMs in a scale set
+ *
+ * @param {Object}    computeClient    - Azure compute instance
+ * @param {String}    resourceGroup    - Name of the resource group the scale set is in
+ * @param {String}    scaleSetName     - Name of the scale set
+ *
+ * @returns {Promise} Promise which will be resolved with a dictionary of VMs keyed by the instance ID
+ */
+function getScaleSetVms(computeClient, resourceGroup, scaleSetName, options) {
+    assert.ok(computeClient, 'getScaleSetVms: no compute client');
+    assert.ok(resourceGroup, 'getScaleSetVms: no resource group');
+    assert.ok(scaleSetName, 'getScaleSetVms: no scaleSetName group');
+
+    const vms = {};
+    const rawZones = {};
+    let localOptions = {};
+
+    if (options) {
+        localOptions = options;
+    }
+
+    const onPage = function (page, response) {
+        Object.assign(rawZones, getRawScaleSetVmZones(response));
+    };
+
+    return paging.listAll(
+        computeClient.virtualMachineScaleSetVMs,
+        'list',
+        [resourceGroup, scaleSetName, localOptions],
+        { onPage }
+    )
+        .then((results) => {
+            logger.silly('virtualMachineScaleSetVMs.list results:', results);
+            results.forEach((vm) => {
+                vms[vm.instanceId] = vm;
+                if (!vm.zones && rawZones[vm.instanceId]) {
+                    vms[vm.instanceId].zones = rawZones[vm.instanceId];
+                }
+            });
+            return vms;
+        });
+}
+
+
+/**
+ * Filters out instances in any of the given availability zones
+ *
+ * @param {Object}   instances - Dictionary of instances as returned by getInstances
+ * @param {String[]} zones     - Zones to filter out
+ *
+ * @returns {Object} Dictionary of the instances not in any of the zones
+ */
+function getInstancesOutsideZones(instances, zones) {
+    const excludedZones = zones.map((zone) => {
+        return `${zone}`;
+    });
+    const filtered = {};
+
+    Object.keys(instances).forEach((instanceId) => {
+        const zone = instances[instanceId].zone;
+        if (zone === undefined || zone === null || excludedZones.indexOf(`${zone}`) === -1) {
+            filtered[instanceId] = instances[instanceId];
+        }
+    });
+
+    return filtered;
+}
+
+/**
+ * Filters out Spot and low-priority instances
+ *
+ * @param {Object} instances - Dictionary of instances as returned by getInstances
+ *
+ * @returns {Object} Dictionary of the instances which Azure does not evict
+ */
+function getRegularPriorityInstances(instances) {
+    const filtered = {};
+
+    Object.keys(instances).forEach((instanceId) => {
+        const priority = instances[instanceId].priority;
+        if (!priority || EVICTABLE_PRIORITIES.indexOf(priority.toLowerCase()) === -1) {
+            filtered[instanceId] = instances[instanceId];
+        }
+    });
+
+    return filtered;
+}
+
+/**
+ * Protects the primary from scale-in and removes the protection from every other
+ * instance in the scale set. Only instances whose protection changes are updated.
+ *
+ * Failures are logged but do not fail the caller, since the primary tag is already
+ * written by then.
+ *
+ * @param {String} primaryId - Instance ID of the primary
+ *
+ * @returns {Promise} A promise which is resolved when all updates are complete
+ */
+function protectPrimary(primaryId) {
+    const scaleSetPath = `/subscriptions/${this.computeClient.subscriptionId}/resourceGroups/` +
+        `${this.resourceGroup}/providers/Microsoft.Compute/virtualMachineScaleSets/${this.scaleSet}`;
+
+    return getOrchestrationMode.call(this, this.scaleSet)
+        .then((orchestrationMode) => {
+            if (orchestrationMode === ORCHESTRATION_MODE_FLEXIBLE) {
+                logger.warn('protectPrimary: scale-in protection is not supported in flexible scale sets');
+                return q();
+            }
+
+            return listArmResources(this.computeClient, `${scaleSetPath}/virtualMachines`)
+                .then((vms) => {
+                    const promises = [];
+
+                    vms.forEach((vm) => {
+                        const properties = vm.properties || {};
+                        const isProtected = !!properties.protectionPolicy &&
+                            properties.protectionPolicy.protectFromScaleIn === true;
+                        const shouldProtect = `${vm.instanceId}` === `${primaryId}`;
+
+                        if (isProtected !== shouldProtect) {
+                            logger.info(
+                                'protectPrimary: setting protectFromScaleIn',
+                                shouldProtect,
+                                'on instance',
+                                vm.instanceId
+                            );
+                            promises.push(setScaleInProtection.call(
+                                this,
+                                `${scaleSetPath}/virtualMachines/${vm.instanceId}`,
+                                shouldProtect
+                            ));
+                        }
+                    });
+
+                    return q.all(promises);
+                });
+        })
+        .catch((err) => {
+            logger.warn('protectPrimary: unable to update scale-in protection:', err.message);
+        });
+}
+
+/**
+ * Sets scale-in protection on one scale set VM
+ *
+ * A PUT replaces the whole VM, so the current model is read and written back with
+ * only its protection policy changed.
+ *
+ * @param {String}  vmPath             - ARM resource path of the scale set VM.
+ * @param {Boolean} protectFromScaleIn - Whether to protect the VM from scale-in.
+ *
+ * @returns {Promise} A promise which will be resolved when the VM is updated.
+ */
+function setScaleInProtection(vmPath, protectFromScaleIn) {
+    return getArmResource(this.computeClient, vmPath)
+        .then((vm) => {
+            const model = vm;
+            model.properties = model.properties || {};
+            model.properties.protectionPolicy = Object.assign(
+                {},
+                model.properties.protectionPolicy,
+                { protectFromScaleIn }
+            );
+            return putArmResource(this.computeClient, vmPath, model);
+        });
+}
+
+/**
+ * Gets the instances that are not known to be unhealthy
+ *
+ * @param {Object} instances - Dictionary of instances as returned by getInstances
+ *
+ * @returns {Object} Dictionary of the instances whose health is not marked unhealthy
+ */
+function getHealthyInstances(instances) {
+    const filtered = {};
+
+    Object.keys(instances).forEach((instanceId) => {
+        const health = instances[instanceId].health;
+        if (!health || health.healthy !== false) {
+            filtered[instanceId] = instances[instanceId];
+        } else {
+            logger.info('electPrimary: excluding unhealthy instance', instanceId, health);
+        }
+    });
+
+    return filtered;
+}
+
+/**
+ * Gets the instances that are not about to go down for a scheduled event
+ *
+ * @param {Object} instances - Dictionary of instances as returned by getInstances
+ *
+ * @returns {Object} Dictionary of the instances which have not been marked as leaving
+ *                   in the last LEAVING_TIMEOUT_MS
+ */
+function getStayingInstances(instances) {
+    const filtered = {};
+
+    Object.keys(instances).forEach((instanceId) => {
+        const leaving = instances[instanceId].leaving;
+        const leavingMs = leaving ? new Date() - Date.parse(leaving.time) : undefined;
+        if (leavingMs >= 0 && leavingMs < LEAVING_TIMEOUT_MS) {
+            logger.info('electPrimary: excluding leaving instance', instanceId, leaving);
+        } else {
+            filtered[instanceId] = instances[instanceId];
+        }
+    });
+
+    return filtered;
+}
+
+/**
+ * Gets the health of a scale set VM from its instance view
+ *
+ * @param {Object} vm - Scale set VM, with instanceView
+ *
+ * @returns {Object} Health as described in getInstances
+ */
+function getInstanceHealth(vm) {
+    const instanceView = vm.instanceView || {};
+    const getState = function (code) {
+        return code ? code.split('/').pop().toLowerCase() : undefined;
+    };
+
+    const health = {
+        status: 'unknown',
+        upgradeState: 'current'
+    };
+
+    if (instanceView.vmHealth && instanceView.vmHealth.status) {
+        health.status = getState(instanceView.vmHealth.status.code) || 'unknown';
+    }
+
+    (instanceView.extensions || []).forEach((extension) => {
+        if (/ApplicationHealth/i.test(extension.type || extension.name) &&
+            extension.statuses && extension.statuses.length > 0) {
+            health.extensionState = getState(extension.statuses[0].code);
+        }
+    });
+
+    if (vm.latestModelApplied === false) {
+        health.upgradeState = 'outdated';
+    }
+    (instanceView.statuses || []).forEach((status) => {
+        if (status.code && status.code.toLowerCase() === 'provisioningstate/updating') {
+            health.upgradeState = 'updating';
+        }
+    });
+
+    health.healthy = health.status !== 'unhealthy' && health.extensionState !== 'failed';
+
+    return health;
+}
+
+/**
+ * Gets the zones of each VM from a raw virtualMachineScaleSetVMs.list response
+ *
+ * The compute SDK model for scale set VMs predates zonal scale sets, so its
+ * deserializer drops the zones property even though Azure returns it.
+ *
+ * @param {Object} response - HTTP response passed to the list callback
+ *
+ * @returns {Object} Dictionary of zone arrays keyed by instance ID
+ */
+function getRawScaleSetVmZones(response) {
+    const zones = {};
+    let body;
+
+    try {
+        body = response && response.body ? JSON.parse(response.body) : undefined;
+    } catch (err) {
+        logger.silly('Unable to parse scale set VM list response for zones:', err.message);
+    }
+
+    if (body && Array.isArray(body.value)) {
+        body.value.forEach((vm) => {
+            if (vm.instanceId && Array.isArray(vm.zones)) {
+                zones[vm.instanceId] = vm.zones;
+            }
+        });
+    }
+
+    return zones;
+}
+
+
+/**
+ * Gets all VMs in a flexible orchestration mode scale set
+ *
+ * Flexible scale set members are regular VMs which reference the scale set. They are
+ * returned in the same shape as uniform scale set VMs, with the VM name as the instance ID.
+ *
+ * @param {Object}    computeClient    - Azure compute instance
+ * @param {String}    resourceGroup    - Name of the resource group the scale set is in
+ * @param {String}    scaleSetName     - Name of the scale set
+ * @param {Object}    [options]        - Optional parameters
+ * @param {String}    [options.expand] - 'instanceView' to also get the instance view of each VM
+ *
+ * @returns {Promise} Promise which will be resolved with a dictionary of VMs keyed by VM name
+ */
+function getFlexibleScaleSetVms(computeClient, resourceGroup, scaleSetName, options) {
+    assert.ok(computeClient, 'getFlexibleScaleSetVms: no compute client');
+    assert.ok(resourceGroup, 'getFlexibleScaleSetVms: no resource group');
+    assert.ok(scaleSetName, 'getFlexibleScaleSetVms: no scaleSetName');
+
+    const expandInstanceView = options && options.expand === 'instanceView';
+    const computePath = `/subscriptions/${computeClient.subscriptionId}/resourceGroups/${resourceGroup}` +
+        '/providers/Microsoft.Compute';
+    const scaleSetId = `${computePath}/virtualMachineScaleSets/${scaleSetName}`;
+    const vms = {};
+
+    return listArmResources(
+        computeClient,
+        `${computePath}/virtualMachines`,
+        { $filter: `virtualMachineScaleSet/id eq '${scaleSetId}'` }
+    )
+        .then((results) => {
+            const instanceViewPromises = [];
+
+            results.forEach((vm) => {
+                const properties = vm.properties || {};
+                const vmScaleSet = properties.virtualMachineScaleSet;
+
+                if (vmScaleSet && vmScaleSet.id.toLowerCase() === scaleSetId.toLowerCase()) {
+                    vms[vm.name] = {
+                        instanceId: vm.name,
+                        name: vm.name,
+                        id: vm.id,
+                        vmId: properties.vmId,
+                        tags: vm.tags,
+                        zones: vm.zones,
+                        provisioningState: properties.provisioningState,
+                        timeCreated: properties.timeCreated,
+                        networkProfile: properties.networkProfile,
+                        // Flexible scale sets can mix priorities, so each VM has its own
+                        priority: properties.priority,
+                        evictionPolicy: properties.evictionPolicy
+                    };
+
+                    if (expandInstanceView) {
+                        instanceViewPromises.push(getArmResource(computeClient, `${vm.id}/instanceView`)
+                            .then((instanceView) => {
+                                vms[vm.name].instanceView = instanceView;
+                            }));
+                    }
+                }
+            });
+
+            logger.silly('flexible scale set VMs:', Object.keys(vms));
+            return q.all(instanceViewPromises);
+        })
+        .then(() => {
+            return vms;
+        });
+}
+
+/**
+ * Gets the network interfaces of the VMs in a flexible orchestration mode scale set
  *
- * @param {Object}  computeClient         - Azure compute instance
- * @param {Object}  networkClient         - Azure network client instance
- * @param {String}  resourceGroup         - Name of the resource group
- * @param {String}  tag                   - Tag to search for
- * @param {Object}  [options]             - Optional parameters
- * @param {Boolean} [options.labelByVmId] - Use the VM id to tag the vm. Default is to
- *                                          label by nic ID
+ * @param {Object} networkClient - Azure network client
+ * @param {Object} vms           - Dictionary of VMs as returned by getFlexibleScaleSetVms
  *
- * @returns {Promise} A promise which will be resolved with a dictonary of nics with
- *                    the given tag, keyed by nic ID or vmId based on options.labelByVmId
+ * @returns {Promise} Promise which will be resolved with an array of network interfaces
+ *                    or rejected if an error occurs
  */
-function getVmScaleSetNetworkInterfaces(computeClient, networkClient, resourceGroup, tag, options) {
-    assert.ok(computeClient, 'getVmScaleSetNetworkInterfaces: no compute client');
-    assert.ok(networkClient, 'getVmScaleSetNetworkInterfaces: no network client');
-    assert.ok(resourceGroup, 'getVmScaleSetNetworkInterfaces: no resource group');
-    assert.ok(tag, 'getVmScaleSetNetworkInterfaces: no tag');
+function getFlexibleScaleSetNetworkInterfaces(networkClient, vms) {
+    assert.ok(networkClient, 'getFlexibleScaleSetNetworkInterfaces: no network client');
 
-    const deferred = q.defer();
     const promises = [];
 
-    const labelByVmId = options ? options.labelByVmId : false;
-
-    let vmScaleSets;
-
-    computeClient.virtualMachineScaleSets.list(resourceGroup, (err, results) => {
-        let scaleSetName;
-
-        if (err) {
-            deferred.reject(err);
-            return;
-        }
-
-        vmScaleSets = results;
-
-        logger.silly('virtualMachineScaleSets.list results:', vmScaleSets);
+    Object.keys(vms).forEach((vmName) => {
+        const networkProfile = vms[vmName].networkProfile;
+        const nicReferences = networkProfile && networkProfile.networkInterfaces ?
+            networkProfile.networkInterfaces : [];
 
-        vmScaleSets.forEach((vmScaleSet) => {
-            if (vmScaleSet.tags && vmScaleSet.tags[tag.key] && vmScaleSet.tags[tag.key] === tag.value) {
-                scaleSetName = vmScaleSet.name;
-                promises.push(getScaleSetNetworkPrimaryInterfaces(
-                    computeClient,
-                    networkClient,
-                    resourceGroup,
-                    scaleSetName,
-                    { labelByVmId }
-                ));
-            }
-        });
+        nicReferences.forEach((nicReference) => {
+            const deferred = q.defer();
+            const nicIdParts = nicReference.id.split('/');
 
-        q.all(promises)
-            .then((nicResults) => {
-                const nics = [];
-                nicResults.forEach((nicResult) => {
-                    nicResult.forEach((nic) => {
-                        nics.push(nic);
-                    });
-                });
-                deferred.resolve(nics);
-            })
-            .catch((nicErr) => {
-                deferred.reject(nicErr);
+            networkClient.networkInterfaces.get(nicIdParts[4], nicIdParts[8], (err, result) => {
+                if (err) {
+                    deferred.reject(err);
+                } else {
+                    deferred.resolve(result);
+                }
             });
+            promises.push(deferred.promise);
+        });
     });
 
-    return deferred.promise;
+    return q.all(promises)
+        .then((results) => {
+            logger.silly('flexible scale set network interfaces:', results);
+            return results;
+        });
 }
 
 /**
- * Gets list of VMs with a given tag
+ * Gets the orchestration mode of this provider's scale set, or of another scale set
+ * in the same resource group. The mode of this provider's scale set is cached.
  *
- * @param {Object}  computeClient         - Azure compute instance
- * @param {Object}  networkClient         - Azure network client instance
- * @param {String}  resourceGroup         - Name of the resource group
- * @param {String}  tag                   - Tag to search for
- * @param {Object}  [options]             - Optional parameters
- * @param {Boolean} [options.labelByVmId] - Use the VM id to tag the vm. Default is to
- *                                          label by nic ID
+ * @param {String} scaleSetName - Name of the scale set
  *
- * @returns {Promise} A promise which will be resolved with a dictonary of VMs with
- *                    the given tag, keyed by nic ID or vmId based on options.labelByVmId
+ * @returns {Promise} A promise which will be resolved with 'Uniform' or 'Flexible'
  */
-function getVms(computeClient, networkClient, resourceGroup, tag, options) {
-    assert.ok(computeClient, 'getVms: no compute client');
-    assert.ok(networkClient, 'getVms: no network client');
-    assert.ok(resourceGroup, 'getVms: no resource group');
-    assert.ok(tag, 'getVms: no tag');
+function getOrchestrationMode(scaleSetName) {
+    const isOwnScaleSet = scaleSetName === this.scaleSet;
 
-    const deferred = q.defer();
-    const promises = [];
-    let nicName;
+    if (isOwnScaleSet && this.orchestrationMode) {
+        return q(this.orchestrationMode);
+    }
 
-    const labelByVmId = options ? options.labelByVmId : false;
+    return getScaleSet(this.computeClient, this.resourceGroup, scaleSetName)
+        .then((scaleSet) => {
+            const mode = getScaleSetOrchestrationMode(scaleSet);
+            if (isOwnScaleSet) {
+                this.logger.debug(`Scale set orchestration mode: ${mode}`);
+                this.orchestrationMode = mode;
+            }
+            return mode;
+        });
+}
 
-    computeClient.virtualMachines.list(resourceGroup, (err, results) => {
-        let networkInterfaceOptions;
+/**
+ * Reads the model of a scale set
+ *
+ * @param {Object} computeClient - Azure compute instance
+ * @param {String} resourceGroup - Name of the resource group the scale set is in
+ * @param {String} scaleSetName  - Name of the scale set
+ *
+ * @returns {Promise} A promise which will be resolved with the scale set
+ */
+function getScaleSet(computeClient, resourceGroup, scaleSetName) {
+    assert.ok(computeClient, 'getScaleSet: no compute client');
+    assert.ok(resourceGroup, 'getScaleSet: no resource group');
+    assert.ok(scaleSetName, 'getScaleSet: no scaleSetName');
 
-        if (err) {
-            deferred.reject(err);
-            return;
-        }
+    const scaleSetPath = `/subscriptions/${computeClient.subscriptionId}/resourceGroups/${resourceGroup}` +
+        `/providers/Microsoft.Compute/virtualMachineScaleSets/${scaleSetName}`;
 
-        logger.silly('virtualMachines.list results:', results);
+    return getArmResource(computeClient, scaleSetPath);
+}
 
-        results.forEach((result) => {
-            if (labelByVmId) {
-                networkInterfaceOptions = {
-                    key: result.vmId
-                };
-            }
+/**
+ * Gets the orchestration mode from the model of a scale set
+ *
+ * @param {Object} scaleSet - Scale set, as returned by getScaleSet
+ *
+ * @returns {String} 'Uniform' or 'Flexible'
+ */
+function getScaleSetOrchestrationMode(scaleSet) {
+    const properties = scaleSet.properties || {};
+    // Scale sets created before flexible mode existed do not report a mode
+    return properties.orchestrationMode === ORCHESTRATION_MODE_FLEXIBLE ?
+        ORCHESTRATION_MODE_FLEXIBLE : ORCHESTRATION_MODE_UNIFORM;
+}
 
-            if (
-                result.networkProfile &&
-                result.tags &&
-                result.tags[tag.key] &&
-                result.tags[tag.key] === tag.value
-            ) {
-                result.networkProfile.networkInterfaces.forEach((networkInterface) => {
-                    if (
-                        !Object.prototype.hasOwnProperty.call(networkInterface, 'primary') ||
-                        networkInterface.primary === true
-                    ) {
-                        nicName = networkInterface.id.split('/')[8];
-                        promises.push(getNetworkInterface(
-                            networkClient,
-                            resourceGroup,
-                            nicName,
-                            networkInterfaceOptions
-                        ));
-                    }
-                });
-            }
-        });
+/**
+ * Gets the VM priority and eviction policy from the model of a scale set
+ *
+ * @param {Object} scaleSet - Scale set, as returned by getScaleSet
+ *
+ * @returns {Object} { priority, evictionPolicy }. Either is undefined if the scale set
+ *                   does not set it.
+ */
+function getScaleSetPriority(scaleSet) {
+    const properties = scaleSet.properties || {};
+    const profile = properties.virtualMachineProfile || {};
+    return {
+        priority: profile.priority,
+        evictionPolicy: profile.evictionPolicy
+    };
+}
 
-        q.all(promises)
-            .then((nicResults) => {
-                deferred.resolve(nicResults);
-            })
-            .catch((nicErr) => {
-                deferred.reject(nicErr);
-            });
-    });
+/**
+ * Gets a resource directly from Azure Resource Manager
+ *
+ * @param {Object} client         - Azure management client to send the request with
+ * @param {String} resourcePath   - Path of the resource, starting with /subscriptions
+ * @param {Object} [query]        - Additional query parameters
+ *
+ * @returns {Promise} A promise which will be resolved with the parsed response body
+ *                    or rejected if an error occurs
+ */
+function getArmResource(client, resourcePath, query) {
+    return sendArmRequest(client, 'GET', getArmResourceUrl(client, resourcePath, query));
+}
 
-    return deferred.promise;
+/**
+ * Creates or updates a resource directly through Azure Resource Manager
+ *
+ * @param {Object} client         - Azure management client to send the request with
+ * @param {String} resourcePath   - Path of the resource, starting with /subscriptions
+ * @param {Object} body           - Request body
+ *
+ * @returns {Promise} A promise which will be resolved with the parsed response body
+ *                    or rejected if an error occurs
+ */
+function putArmResource(client, resourcePath, body) {
+    return sendArmRequest(client, 'PUT', getArmResourceUrl(client, resourcePath), body);
 }
 
 /**
- * Gets all VMs in a scale set
+ * Lists resources directly from Azure Resource Manager, following nextLink
  *
- * @param {Object}    computeClient    - Azure compute instance
- * @param {String}    resourceGroup    - Name of the resource group the scale set is in
- * @param {String}    scaleSetName     - Name of the scale set
+ * @param {Object} client         - Azure management client to send the request with
+ * @param {String} resourcePath   - Path of the resource collection, starting with /subscriptions
+ * @param {Object} [query]        - Additional query parameters
  *
- * @returns {Promise} Promise which will be resolved with a dictionary of VMs keyed by the instance ID
+ * @returns {Promise} A promise which will be resolved with an array of all resources
+ *                    or rejected if an error occurs
  */
-function getScaleSetVms(computeClient, resourceGroup, scaleSetName, options) {
-    assert.ok(computeClient, 'getScaleSetVms: no compute client');
-    assert.ok(resourceGroup, 'getScaleSetVms: no resource group');
-    assert.ok(scaleSetName, 'getScaleSetVms: no scaleSetName group');
+function listArmResources(client, resourcePath, query) {
+    const resources = [];
 
+    const addPage = function (page) {
+        Array.prototype.push.apply(resources, page.value || []);
+        if (page.nextLink) {
+            return sendArmRequest(client, 'GET', page.nextLink).then(addPage);
+        }
+        return q(resources);
+    };
+
+    return getArmResource(client, resourcePath, query).then(addPage);
+}
+
+function getArmResourceUrl(client, resourcePath, query) {
+    const fullQuery = Object.assign({ 'api-version': COMPUTE_API_VERSION }, query);
+    const queryString = Object.keys(fullQuery).map((key) => {
+        return `${key}=${encodeURIComponent(fullQuery[key])}`;
+    }).join('&');
+
+    const baseUri = client.baseUri.replace(/\/$/, '');
+
+    return `${baseUri}${resourcePath}?${queryString}`;
+}
+
+function sendArmRequest(client, method, requestUrl, body) {
     const deferred = q.defer();
-    const vms = {};
-    let localOptions = {};
+    const requestOptions = { method, url: requestUrl };
 
-    if (options) {
-        localOptions = options;
+    if (body) {
+        requestOptions.body = body;
     }
 
-    computeClient.virtualMachineScaleSetVMs.list(resourceGroup, scaleSetName, localOptions,
-        (err, results) => {
-            if (err) {
-                deferred.reject(err);
-            } else {
-                logger.silly('virtualMachineScaleSetVMs.list results:', results);
-                results.forEach((vm) => {
-                    vms[vm.instanceId] = vm;
-                });
-                deferred.resolve(vms);
-            }
-        });
+    client.sendRequest(requestOptions, (err, result, request, response) => {
+        if (err) {
+            deferred.reject(err);
+            return;
+        }
+
+        const statusCode = response ? response.statusCode : undefined;
+        if (statusCode >= 400) {
+            const message = result && result.error ?
+                result.error.message : `status code ${statusCode}`;
+            const error = new Error(`${method} ${requestUrl.split('?')[0]} failed: ${message}`);
+            error.statusCode = statusCode;
+            deferred.reject(error);
+            return;
+        }
+
+        deferred.resolve(result);
+    });
 
     return deferred.promise;
 }
 
-
 /**
  * Gets all network interfaces in a scale set
  *
@@ -1327,25 +2979,18 @@ function getScaleSetNetworkInterfaces(networkClient, resourceGroup, scaleSetName
     assert.ok(resourceGroup, 'getScaleSetNetworkInterfaces: no resource group');
     assert.ok(scaleSetName, 'getScaleSetNetworkInterfaces: no scaleSetName group');
 
-    const deferred = q.defer();
-
-    networkClient.networkInterfaces.listVirtualMachineScaleSetNetworkInterfaces(
-        resourceGroup,
-        scaleSetName,
-        (err, results) => {
-            if (err) {
-                deferred.reject(err);
-            } else {
-                logger.silly(
-                    'networkInterfaces.listVirtualMachineScaleSetNetworkInterfaces result:',
-                    results
-                );
-                deferred.resolve(results);
-            }
-        }
-    );
-
-    return deferred.promise;
+    return paging.listAll(
+        networkClient.networkInterfaces,
+        'listVirtualMachineScaleSetNetworkInterfaces',
+        [resourceGroup, scaleSetName]
+    )
+        .then((results) => {
+            logger.silly(
+                'networkInterfaces.listVirtualMachineScaleSetNetworkInterfaces result:',
+                results
+            );
+            return results;
+        });
 }
 
 /**
@@ -1357,6 +3002,8 @@ function getScaleSetNetworkInterfaces(networkClient, resourceGroup, scaleSetName
  * @param {String} scaleSetName           - Name of the scale set
  * @param {Boolean} [options.labelByVmId] - Use the VM id to tag the vm. Default is to
  *                                          label by nic ID
+ * @param {String} [options.orchestrationMode] - Orchestration mode of the scale set.
+ *                                               Default is to read it from the scale set.
  *
  *
  * @returns {Promise} Promise which will be resolved with the network interfaces
@@ -1375,25 +3022,47 @@ function getScaleSetNetworkPrimaryInterfaces(
     assert.ok(scaleSetName, 'getScaleSetNetworkPrimaryInterfaces: no scaleSetName group');
 
     const labelByVmId = options ? options.labelByVmId : false;
+    const orchestrationMode = options ? options.orchestrationMode : undefined;
 
     let nic;
     let nicId;
     let instanceId;
+    let ipv6Config;
     let machineIdToVmIdMap;
-    let promise;
-
-    if (labelByVmId) {
-        promise = mapMachineIdToVmId(computeClient, resourceGroup, scaleSetName);
-    } else {
-        promise = q();
-    }
+    let flexibleVms;
+
+    return (orchestrationMode ?
+        q(orchestrationMode) : getScaleSet(computeClient, resourceGroup, scaleSetName)
+            .then(getScaleSetOrchestrationMode))
+        .then((mode) => {
+            if (mode === ORCHESTRATION_MODE_FLEXIBLE) {
+                return getFlexibleScaleSetVms(computeClient, resourceGroup, scaleSetName);
+            }
+            return q();
+        })
+        .then((results) => {
+            flexibleVms = results;
 
-    return promise
+            if (labelByVmId && flexibleVms) {
+                const idMap = {};
+                Object.keys(flexibleVms).forEach((vmName) => {
+                    idMap[flexibleVms[vmName].id] = flexibleVms[vmName].vmId;
+                });
+                return q(idMap);
+            }
+            if (labelByVmId) {
+                return mapMachineIdToVmId(computeClient, resourceGroup, scaleSetName);
+            }
+            return q();
+        })
         .then((results) => {
             if (labelByVmId) {
                 machineIdToVmIdMap = results;
             }
 
+            if (flexibleVms) {
+                return getFlexibleScaleSetNetworkInterfaces(networkClient, flexibleVms);
+            }
             return getScaleSetNetworkInterfaces(networkClient, resourceGroup, scaleSetName);
         })
         .then((results) => {
@@ -1402,15 +3071,30 @@ function getScaleSetNetworkPrimaryInterfaces(
                 if (networkInterface.primary === true) {
                     networkInterface.ipConfigurations.forEach((ipConfiguration) => {
                         if (ipConfiguration.primary === true) {
-                            instanceId = networkInterface.id.split('/')[10];
-                            nicId = `${resourceGroup}-${scaleSetName}${instanceId}`;
+                            if (flexibleVms) {
+                                // Flexible scale set VM names already include the scale set name
+                                instanceId = getInstanceIdFromVms(
+                                    flexibleVms,
+                                    networkInterface.virtualMachine.id
+                                );
+                                nicId = `${resourceGroup}-${instanceId}`;
+                            } else {
+                                instanceId = networkInterface.id.split('/')[10];
+                                nicId = `${resourceGroup}-${scaleSetName}${instanceId}`;
+                            }
                             nic = {
                                 id: labelByVmId ?
                                     machineIdToVmIdMap[networkInterface.virtualMachine.id] || nicId : nicId,
                                 ip: {
                                     private: ipConfiguration.privateIPAddress
-                                }
+                                },
+                                resourceGroup,
+                                nicResourceId: networkInterface.id
                             };
+                            ipv6Config = getIpv6Configuration(networkInterface.ipConfigurations);
+                            if (ipv6Config) {
+                                nic.ip.privateIpv6 = ipv6Config.privateIPAddress;
+                            }
                             nics.push(nic);
                         }
                     });
@@ -1423,30 +3107,23 @@ function getScaleSetNetworkPrimaryInterfaces(
 
 function getNetworkInterfaces(networkClient, resourceGroup, tag) {
     assert.ok(networkClient, 'getNetworkInterfaces: no network client');
-    assert.ok(resourceGroup, 'getNetworkInterfaces: no resource group');
     assert.ok(tag, 'getNetworkInterfaces: no tag');
 
     const deferred = q.defer();
     const promises = [];
 
-    networkClient.networkInterfaces.list(resourceGroup, (err, results) => {
-        if (err) {
-            deferred.reject(err);
-            return;
-        }
-
+    listInScope(networkClient.networkInterfaces, resourceGroup).then((results) => {
         logger.silly('networkInterfaces.list results:', results);
 
         results.forEach((result) => {
             const nicName = result.name;
 
-            if (
-                result.primary === true &&
-                result.tags &&
-                result.tags[tag.key] &&
-                result.tags[tag.key] === tag.value
-            ) {
-                promises.push(getNetworkInterface(networkClient, resourceGroup, nicName));
+            if (result.primary === true && tagSelector.matches(result.tags, tag)) {
+                promises.push(getNetworkInterface(
+                    networkClient,
+                    resourceGroup || getResourceGroupFromId(result.id),
+                    nicName
+                ));
             }
         });
 
@@ -1457,7 +3134,10 @@ function getNetworkInterfaces(networkClient, resourceGroup, tag) {
             .catch((nicErr) => {
                 deferred.reject(nicErr);
             });
-    });
+    })
+        .catch((err) => {
+            deferred.reject(err);
+        });
 
     return deferred.promise;
 }
@@ -1497,34 +3177,80 @@ function getNetworkInterface(networkClient, resourceGroup, nicName, options) {
         const actualNicName = result.name;
         nicId = `${resourceGroupName}-${actualNicName}`;
 
-        result.ipConfigurations.forEach((ipConfiguration) => {
-            if (ipConfiguration.primary === true) {
-                nic = {
-                    id: providedKey || nicId,
-                    ip: {
-                        private: ipConfiguration.privateIPAddress
-                    }
-                };
+        const ipConfiguration = getPrimaryIpConfiguration(result.ipConfigurations);
+        const ipv6Configuration = getIpv6Configuration(result.ipConfigurations);
+        const publicIpPromises = [];
+
+        nic = {
+            id: providedKey || nicId,
+            ip: {
+                private: ipConfiguration.privateIPAddress
+            },
+            resourceGroup: resourceGroupName,
+            nicResourceId: result.id
+        };
+
+        if (ipConfiguration.publicIPAddress) {
+            publicIpPromises.push(
+                getPublicIp(networkClient, resourceGroupName, ipConfiguration.publicIPAddress)
+                    .then((ipResult) => {
+                        nic.ip.public = ipResult.ip;
+                    })
+            );
+        }
 
-                if (ipConfiguration.publicIPAddress) {
-                    getPublicIp(networkClient, resourceGroupName, ipConfiguration.publicIPAddress)
+        if (ipv6Configuration) {
+            nic.ip.privateIpv6 = ipv6Configuration.privateIPAddress;
+            if (ipv6Configuration.publicIPAddress) {
+                publicIpPromises.push(
+                    getPublicIp(networkClient, resourceGroupName, ipv6Configuration.publicIPAddress)
                         .then((ipResult) => {
-                            nic.ip.public = ipResult.ip;
-                            deferred.resolve(nic);
+                            nic.ip.publicIpv6 = ipResult.ip;
                         })
-                        .catch((ipErr) => {
-                            deferred.reject(ipErr);
-                        });
-                } else {
-                    deferred.resolve(nic);
-                }
+                );
             }
-        });
+        }
+
+        q.all(publicIpPromises)
+            .then(() => {
+                deferred.resolve(nic);
+            })
+            .catch((ipErr) => {
+                deferred.reject(ipErr);
+            });
     });
 
     return deferred.promise;
 }
 
+/**
+ * Gets the primary IP configuration of a NIC. This is always an IPv4 configuration.
+ *
+ * @param {Object[]} ipConfigurations - IP configurations of the NIC
+ *
+ * @returns {Object} The primary IP configuration, or the first one if none is marked primary
+ */
+function getPrimaryIpConfiguration(ipConfigurations) {
+    const primary = ipConfigurations.filter((ipConfiguration) => {
+        return ipConfiguration.primary === true;
+    });
+    return primary.length > 0 ? primary[0] : ipConfigurations[0];
+}
+
+/**
+ * Gets the first IPv6 IP configuration of a NIC
+ *
+ * @param {Object[]} ipConfigurations - IP configurations of the NIC
+ *
+ * @returns {Object} The IPv6 IP configuration, or undefined if the NIC has none
+ */
+function getIpv6Configuration(ipConfigurations) {
+    return ipConfigurations.filter((ipConfiguration) => {
+        return ipConfiguration.privateIPAddressVersion === 'IPv6' ||
+            ipAddress.getFamily(ipConfiguration.privateIPAddress) === 6;
+    })[0];
+}
+
 /**
  * Gets the public IP from a public IP object
  *
@@ -1550,7 +3276,8 @@ function getPublicIp(networkClient, resourceGroup, publicIPAddress, id) {
         deferred.resolve(
             {
                 id,
-                ip: result.ipAddress
+                ip: result.ipAddress,
+                allocationMethod: result.publicIPAllocationMethod
             }
         );
     });
@@ -1588,7 +3315,8 @@ function getPublicIpFromScaleSet(networkClient, resourceGroup, publicIPAddress,
             deferred.resolve(
                 {
                     id,
-                    ip: result[0].ipAddress
+                    ip: result[0].ipAddress,
+                    allocationMethod: result[0].publicIPAllocationMethod
                 }
             );
         });
@@ -1626,51 +3354,72 @@ function getInstanceIdFromScaleSet(computeClient, resourceGroup, scaleSet, insta
         });
 }
 
-function getTagsFromScaleSet(computeClient, resourceGroup, scaleSet) {
-    assert.ok(computeClient, 'getTagsFromScaleSet: no compute client');
-    assert.ok(resourceGroup, 'getTagsFromScaleSet: no resource group');
-    assert.ok(scaleSet, 'getTagsFromScaleSet: no scaleSet');
-
-    const deferred = q.defer();
-
-    computeClient.virtualMachineScaleSets.get(resourceGroup, scaleSet, {}, (err, results) => {
-        if (err) {
-            deferred.reject(err);
-        }
-        if (results.tags) {
-            logger.silly('Scale Set tags: ', results.tags);
-            deferred.resolve(results.tags);
-        }
-    });
-    return deferred.promise;
+/**
+ * Reads the tags of a Virtual Machine Scale Set
+ *
+ * @param {Object} computeClient   - Azure compute client
+ * @param {String} resourceGroup   - Name of the resource group
+ * @param {String} scaleSet        - Virtual Machine Scale Set name
+ *
+ * @returns {Promise} A promise which is resolved with the tags, or rejected if error occurs
+ */
+function getScaleSetTags(computeClient, resourceGroup, scaleSet) {
+    assert.ok(computeClient, 'getScaleSetTags: no compute client');
+    assert.ok(resourceGroup, 'getScaleSetTags: no resource group');
+    assert.ok(scaleSet, 'getScaleSetTags: no scaleSet');
+
+    const scaleSetPath = `/subscriptions/${computeClient.subscriptionId}/resourceGroups/${resourceGroup}` +
+        `/providers/Microsoft.Compute/virtualMachineScaleSets/${scaleSet}`;
+
+    return getArmResource(
+        computeClient,
+        `${scaleSetPath}/providers/Microsoft.Resources/tags/default`,
+        { 'api-version': TAGS_API_VERSION }
+    )
+        .then((response) => {
+            const properties = response && response.properties ? response.properties : {};
+            return properties.tags || {};
+        });
 }
 
 /**
- * Updates parameters on Virtual Machine Scale Set
- * When updating Scale Set Tags, ALL tags should be provided
+ * Merges tags into the tags of a Virtual Machine Scale Set
+ *
+ * Uses the ARM Tags API, so tags that are not in the request are left alone and
+ * tags written by others in the meantime are not lost.
  *
  * @param {Object} computeClient   - Azure compute client
  * @param {String} resourceGroup   - Name of the resource group
  * @param {String} scaleSet        - Virtual Machine Scale Set name
- * @param {Object} [params]        - Parameters to update in Scale Set
- *      {
- *          tags: {
- *              application: 'app'
- *          }
- *      }
+ * @param {Object} tags            - Tags to add or update. Example: { application: 'app' }
+ *
  * @returns {Promise} A promise which is resolved, or rejected if error occurs
  */
-function updateScaleSet(computeClient, resourceGroup, scaleSet, params) {
-    assert.ok(computeClient, 'updateScaleSet: no compute client');
-    assert.ok(resourceGroup, 'updateScaleSet: no resource group');
-    assert.ok(scaleSet, 'updateScaleSet: no scaleSet');
-
-    computeClient.virtualMachineScaleSets.update(resourceGroup, scaleSet, params, {}, (err) => {
-        if (err) {
-            return q.reject(err);
+function mergeScaleSetTags(computeClient, resourceGroup, scaleSet, tags) {
+    assert.ok(computeClient, 'mergeScaleSetTags: no compute client');
+    assert.ok(resourceGroup, 'mergeScaleSetTags: no resource group');
+    assert.ok(scaleSet, 'mergeScaleSetTags: no scaleSet');
+
+    const scaleSetPath = `/subscriptions/${computeClient.subscriptionId}/resourceGroups/${resourceGroup}` +
+        `/providers/Microsoft.Compute/virtualMachineScaleSets/${scaleSet}`;
+
+    logger.silly('Merging scale set tags:', tags);
+
+    return sendArmRequest(
+        computeClient,
+        'PATCH',
+        getArmResourceUrl(
+            computeClient,
+            `${scaleSetPath}/providers/Microsoft.Resources/tags/default`,
+            { 'api-version': TAGS_API_VERSION }
+        ),
+        {
+            operation: 'Merge',
+            properties: {
+                tags
+            }
         }
-        return q();
-    });
+    );
 }
 
 function getInstanceIdFromVms(vms, vmId) {
@@ -1709,10 +3458,8 @@ function mapMachineIdToVmId(computeClient, resourceGroup, scaleSetName) {
     const deferred = q.defer();
     const idMap = {};
 
-    computeClient.virtualMachineScaleSetVMs.list(resourceGroup, scaleSetName, (listErr, results) => {
-        if (listErr) {
-            deferred.reject(listErr);
-        } else {
+    paging.listAll(computeClient.virtualMachineScaleSetVMs, 'list', [resourceGroup, scaleSetName])
+        .then((results) => {
             const numRequested = results.length;
             let numReceived = 0;
 
@@ -1734,58 +3481,110 @@ function mapMachineIdToVmId(computeClient, resourceGroup, scaleSetName) {
                     }
                 );
             });
-        }
-    });
+        })
+        .catch((listErr) => {
+            deferred.reject(listErr);
+        });
 
     return deferred.promise;
 }
 
 /**
- * Gets our view of the current instances
+ * Determines whether this instance may act on an election
  *
- * @param {Object} storageClient - Azure storage instance
+ * Always true if no election lock is configured. Otherwise, acquires or extends
+ * the lock for this instance.
  *
- * @returns {Object} Object containing a dictionary of instances keyed by Instance IDs
+ * @returns {Promise} A promise which will be resolved with true if this instance
+ *                    holds the election lock.
  */
-function getInstancesFromDb(storageClient) {
-    assert.ok(storageClient, 'getInstancesFromDb: no storage client');
-
-    const deferred = q.defer();
+function holdsElectionLock() {
+    if (!this.electionLock) {
+        return q(true);
+    }
 
-    storageClient.listBlobsSegmented(INSTANCES_CONTAINER, null, null, (err, result) => {
-        const promises = [];
-        const instanceIds = [];
+    return this.getInstanceId()
+        .then((instanceId) => {
+            return this.electionLock.acquire(instanceId);
+        })
+        .then((isHolder) => {
+            if (!isHolder) {
+                logger.info('Election lock is held by another instance, deferring to its election');
+            }
+            return isHolder;
+        });
+}
 
-        if (err) {
-            deferred.reject(err);
-        } else {
-            logger.silly('listBlobsSegmented data:', result);
-            result.entries.forEach((entry) => {
-                instanceIds.push(entry.name);
-                promises.push(getJsonObject(storageClient, INSTANCES_CONTAINER, entry.name));
-            });
+/**
+ * Runs the configured election strategy
+ *
+ * Candidates outside providerOptions.drainingZones are tried first, and within each
+ * set, regular-priority instances before Spot and low-priority ones.
+ *
+ * @param {Object} candidates - Dictionary of instances which may be elected.
+ *
+ * @returns {String} The instance ID of the elected primary, or undefined if none was elected.
+ */
+function runElection(candidates) {
+    const strategy = this.providerOptions ? this.providerOptions.electionStrategy : undefined;
+    const drainingZones = this.providerOptions ? this.providerOptions.drainingZones : undefined;
+    const elect = electionStrategies.get(strategy);
+    const candidateSets = [];
+    let primaryId;
+
+    if (drainingZones && drainingZones.length > 0) {
+        const outsideZones = getInstancesOutsideZones(candidates, drainingZones);
+        candidateSets.push(getRegularPriorityInstances(outsideZones), outsideZones);
+    }
+    candidateSets.push(getRegularPriorityInstances(candidates), candidates);
 
-            q.all(promises)
-                .then((dbInstances) => {
-                    const instances = {};
-                    dbInstances.forEach((instance, index) => {
-                        instances[instanceIds[index]] = instance;
-                    });
-                    deferred.resolve(instances);
-                })
-                .catch((jsonErr) => {
-                    deferred.reject(jsonErr);
-                });
+    for (let i = 0; i < candidateSets.length && primaryId === undefined; i++) {
+        if (Object.keys(candidateSets[i]).length > 0) {
+            primaryId = elect(candidateSets[i]);
         }
-    });
+    }
 
-    return deferred.promise;
+    return primaryId;
 }
 
 /**
- * Generic Azure storage deleteObject
+ * Gets the primary elected by the holder of the election lock
  *
- * @param {Object}    storageClient    - Azure storage instance
+ * @param {Object} candidates - Dictionary of instances which may be elected.
+ *
+ * @returns {Promise} A promise which will be resolved with the instance ID recorded by
+ *                    the holder, or rejected if it has not recorded one of the candidates.
+ */
+function getHolderElection(candidates) {
+    return this.electionLock.getElection()
+        .then((election) => {
+            if (!election || !candidates[election.primaryId]) {
+                return q.reject(new Error('Waiting for the election lock holder to elect a primary'));
+            }
+
+            logger.silly('electPrimary: using primary elected by lock holder', election.primaryId);
+            return election.primaryId;
+        });
+}
+
+/**
+ * Gets the store which holds our view of the current instances
+ *
+ * Defaults to a blob store on the storage client if init did not create one.
+ *
+ * @returns {Object} The instance store. See {@link module:instanceStore.create}
+ */
+function getInstanceStore() {
+    if (this.instanceStore) {
+        return this.instanceStore;
+    }
+    return instanceStore.create(instanceStore.STORE_TYPE_BLOB, { storageClient: this.storageClient, logger });
+}
+
+/**
+ * Deletes instances from the instance store
+ *
+ * @param {Object}    store            - Instance store
  * @param {String[]}  idsToDelete      - Array of IDs to delete
  * @param {Object}    [options]        - Optional parameters
  * @param {Boolean}   [options.noWait] - Whether or not to wait for completion before returning.
@@ -1793,86 +3592,137 @@ function getInstancesFromDb(storageClient) {
  *
  * @returns {Promise} Promise which will be resolved when the operation completes
  */
-function deleteInstancesFromDb(storageClient, idsToDelete, options) {
-    assert.ok(storageClient, 'deleteInstancesFromDb: no storage client');
-
-    const promises = [];
+function deleteInstancesFromDb(store, idsToDelete, options) {
+    assert.ok(store, 'deleteInstancesFromDb: no instance store');
 
     const noWait = options ? options.noWait : false;
 
     if (idsToDelete.length > 0) {
-        idsToDelete.forEach((id) => {
-            promises.push(deleteObject(storageClient, INSTANCES_CONTAINER, id));
-        });
+        const promise = store.deleteInstances(idsToDelete);
 
         if (noWait) {
-            q.all(promises);
+            promise.catch((err) => {
+                logger.debug('Error deleting instances:', err);
+            });
             return q();
         }
-        return q.all(promises);
+        return promise;
     }
     return q();
 }
 
-function deleteOldestObjects(storageClient, container, maxCopies, prefix) {
+/**
+ * Applies a retention policy to the objects in a container
+ *
+ * @param {Object} storageClient - Azure storage instance
+ * @param {String} container     - Name of the container
+ * @param {Object} policy        - Policy from ucsRetention.getPolicy
+ * @param {String} [prefix]      - Only consider objects whose names start with this
+ *
+ * @returns {Promise} A promise which will be resolved with
+ *                    {
+ *                        deleted: <String[]>,
+ *                        tiered: <Object> (new access tier by name),
+ *                        dryRun: <Boolean>
+ *                    }
+ *                    In a dry run, what would have been deleted or moved.
+ */
+function deleteOldestObjects(storageClient, container, policy, prefix) {
     assert.ok(storageClient, 'deleteOldestObjects: no storage client');
     assert.ok(container, 'deleteOldestObjects: no container');
 
-    const deferred = q.defer();
-
-    storageClient.listBlobsSegmented(container, null, (err, result) => {
-        const promises = [];
-        let objectsToCheck;
-
-        if (err) {
+    return paging.listAllBlobs(storageClient, container)
+        .catch((err) => {
             logger.info('deleteOldestObjects: listBlobsSegmented error', err);
-            deferred.reject(err);
-            return;
-        }
-
-        if (!prefix) {
-            objectsToCheck = result.entries;
-        } else {
-            objectsToCheck = result.entries.filter((entry) => {
-                return entry.name.startsWith(prefix);
-            });
-        }
-
-        if (objectsToCheck.length > maxCopies) {
-            const idsToDelete = [];
-
-            // Sort so that oldest is first
-            objectsToCheck.sort((a, b) => {
-                if (a.lastModified < b.lastModified) {
-                    return -1;
-                } else if (b.lastModified < a.lastModified) {
-                    return 1;
-                }
-                return 0;
+            return q.reject(err);
+        })
+        .then((entries) => {
+            const objectsToCheck = entries.filter((entry) => {
+                return !prefix || entry.name.startsWith(prefix);
             });
+            const retentionPlan = ucsRetention.plan(objectsToCheck, policy);
+            const report = {
+                deleted: retentionPlan.delete,
+                tiered: retentionPlan.tier,
+                dryRun: policy.dryRun
+            };
 
-            for (let i = 0; i < objectsToCheck.length - maxCopies; i++) {
-                idsToDelete.push(objectsToCheck[i].name);
+            if (policy.dryRun) {
+                logger.info('Retention dry run. Would delete:', report.deleted, 'would move:', report.tiered);
+                return report;
             }
 
-            idsToDelete.forEach((id) => {
-                promises.push(deleteObject(storageClient, BACKUP_CONTAINER, id));
+            const promises = retentionPlan.delete.map((name) => {
+                return deleteObject(storageClient, container, name);
+            });
+            Object.keys(retentionPlan.tier).forEach((name) => {
+                promises.push(setObjectTier(storageClient, container, name, retentionPlan.tier[name]));
             });
 
-            q.all(promises)
+            return q.all(promises)
                 .then(() => {
-                    deferred.resolve();
+                    if (report.deleted.length > 0 || Object.keys(report.tiered).length > 0) {
+                        logger.info('Retention deleted:', report.deleted, 'moved:', report.tiered);
+                    }
+                    return report;
                 })
-                .catch((deleteErr) => {
-                    logger.info('deleteOldestObjects: deleteObject error:', deleteErr);
-                    deferred.reject(deleteErr);
+                .catch((err) => {
+                    logger.info('deleteOldestObjects: retention error:', err);
+                    return q.reject(err);
                 });
-        } else {
-            deferred.resolve();
-        }
-    });
+        });
+}
 
-    return deferred.promise;
+/**
+ * Adds a custom Azure environment, such as Azure Stack Hub, to the known environments
+ *
+ * @param {Object} customEnvironment - Environment endpoints as described in init
+ *
+ * @returns {Promise} Promise which will be resolved with the name of the environment, AzureCustom,
+ *                    or rejected if the environment is not valid.
+ */
+function addCustomEnvironment(customEnvironment) {
+    if (!customEnvironment.resourceManagerEndpointUrl) {
+        return q.reject(new Error('Custom environment must include resourceManagerEndpointUrl'));
+    }
+    if (!customEnvironment.storageEndpointSuffix) {
+        return q.reject(new Error('Custom environment must include storageEndpointSuffix'));
+    }
+
+    // The SDK requires these, but they are not used by this provider. Any name given is
+    // ignored, so that the environment cannot replace one of the built in ones.
+    const parameters = Object.assign(
+        {
+            portalUrl: customEnvironment.resourceManagerEndpointUrl,
+            managementEndpointUrl: customEnvironment.resourceManagerEndpointUrl,
+            activeDirectoryResourceId: customEnvironment.resourceManagerEndpointUrl
+        },
+        customEnvironment,
+        { name: CUSTOM_ENVIRONMENT_NAME }
+    );
+
+    try {
+        return q(azureEnvironment.add(parameters).name);
+    } catch (err) {
+        return q.reject(err);
+    }
+}
+
+/**
+ * Gets a storage service host for a storage account
+ *
+ * @param {String} storageAccount - Name of the storage account
+ * @param {Object} environment    - Azure environment
+ * @param {String} [service]      - Storage service: 'blob' or 'table'. Default 'blob'.
+ *
+ * @returns {String} The service host. Example: https://account.blob.core.windows.net
+ */
+function getStorageHost(storageAccount, environment, service) {
+    return `https://${storageAccount}.${service || 'blob'}.${environment.storageEndpointSuffix}`;
+}
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
@@ -1936,81 +3786,247 @@ function createContainers(storageClient, containers) {
     return q.all(promises);
 }
 
-function putFileObject(storageClient, container, name, file) {
-    assert.ok(storageClient, 'putFileObject: no storage client');
-    assert.ok(container, 'putFileObject: no container');
-    assert.ok(name, 'putFileObject: no name');
-    assert.ok(file, 'putFileObject: no file');
+/**
+ * Lists the UCS blobs, with their metadata
+ *
+ * @returns {Promise} A promise which will be resolved with the blob entries, newest first
+ */
+function listUcsEntries() {
+    return paging.listAllBlobs(this.storageClient, BACKUP_CONTAINER, { include: 'metadata' })
+        .catch((err) => {
+            this.logger.warn('listBlobsSegmented failed:', err);
+            return q.reject(err);
+        })
+        .then((entries) => {
+            const ucsEntries = entries.filter((entry) => {
+                return entry.name.endsWith('.ucs');
+            });
+
+            ucsEntries.sort((a, b) => {
+                return new Date(b.lastModified) - new Date(a.lastModified);
+            });
 
-    const deferred = q.defer();
-    storageClient.createBlockBlobFromLocalFile(container, name, file, (err) => {
-        if (err) {
-            deferred.reject(err);
-        } else {
-            deferred.resolve();
-        }
-    });
-    return deferred.promise;
+            return ucsEntries;
+        });
+}
+
+/**
+ * Converts a UCS blob entry to the format returned by listStoredUcs
+ */
+function getUcsCatalogEntry(entry) {
+    const metadata = entry.metadata || {};
+
+    return {
+        name: entry.name,
+        lastModified: new Date(entry.lastModified),
+        size: entry.contentLength !== undefined ? parseInt(entry.contentLength, 10) : undefined,
+        version: metadata.bigipversion,
+        hostname: metadata.hostname,
+        instanceId: metadata.instanceid,
+        configHash: metadata.confighash,
+        checksum: metadata.checksum,
+        checksumAlgorithm: metadata.checksumalgorithm,
+        encrypted: ucsEncryption.isEncrypted(metadata),
+        accessTier: entry.accessTier
+    };
+}
+
+/**
+ * Checks whether a UCS matches the options of getStoredUcs
+ */
+function isSelectedUcs(catalogEntry, selection) {
+    if (selection.name && catalogEntry.name !== selection.name) {
+        return false;
+    }
+    if (selection.before && catalogEntry.lastModified > new Date(selection.before)) {
+        return false;
+    }
+    if (selection.hostname && catalogEntry.hostname !== selection.hostname) {
+        return false;
+    }
+    if (selection.version &&
+        (!catalogEntry.version || cloudUtil.versionCompare(catalogEntry.version, selection.version) > 0)) {
+        return false;
+    }
+    return true;
 }
 
 /**
- * Stores a JSON ojbect in Azure storage
+ * Gets the metadata storeUcs records about where a UCS came from
  *
- * @param {Object}    storageClient    - Azure storage instance
- * @param {String}    container        - Name of the container in which to store the Object
- * @param {String}    name             - Name to store the object as
- * @param {Object}    data             - Object to store
+ * Anything which cannot be read is logged and left out, rather than failing the backup.
  *
- * @returns {Promise} Promise which will be resolved when the operation completes
- *                    or rejected if an error occurs.
+ * @param {Object} [bigIp] - Initialized BigIp to read the version and hostname from
+ *
+ * @returns {Promise} A promise which will be resolved with the blob metadata
  */
-function putJsonObject(storageClient, container, name, data) {
-    assert.ok(storageClient, 'putJsonObject: no storage client');
-    assert.ok(container, 'putJsonObject: no container');
-    assert.ok(name, 'putJsonObject: no name');
+function getUcsCatalogMetadata(bigIp) {
+    const metadata = {};
+
+    return q.allSettled([
+        bigIp ? bigIp.deviceInfo(cloudUtil.SHORT_RETRY) : q(),
+        this.getInstanceId(),
+        hashConfigFiles()
+    ])
+        .then((results) => {
+            results.forEach((result) => {
+                if (result.state === 'rejected') {
+                    const err = result.reason;
+                    this.logger.info('Unable to read UCS metadata:', err && err.message ? err.message : err);
+                }
+            });
 
-    const jsonData = JSON.stringify(data);
+            const deviceInfo = results[0].value;
+            if (deviceInfo) {
+                metadata.bigipversion = deviceInfo.version;
+                metadata.hostname = deviceInfo.hostname;
+            }
+            metadata.instanceid = results[1].value;
+            metadata.confighash = results[2].value;
 
-    const tryCreateBlob = function () {
-        const deferred = q.defer();
+            Object.keys(metadata).forEach((key) => {
+                if (metadata[key] === undefined) {
+                    delete metadata[key];
+                } else {
+                    metadata[key] = String(metadata[key]);
+                }
+            });
 
-        storageClient.createBlockBlobFromText(container, name, jsonData, (err) => {
-            if (err) {
-                deferred.reject(err);
-            } else {
-                deferred.resolve();
-            }
+            return metadata;
         });
-        return deferred.promise;
-    };
+}
 
-    return cloudUtil.tryUntil(this, cloudUtil.MEDIUM_RETRY, tryCreateBlob);
+/**
+ * Hashes the BIG-IP configuration files
+ *
+ * @returns {Promise} A promise which will be resolved with the hex SHA-256 of the files
+ *                    which exist, or undefined if none do
+ */
+function hashConfigFiles() {
+    const promises = CONFIG_FILES.map((file) => {
+        return q.nfcall(fs.readFile, file)
+            .catch(() => {
+                return undefined;
+            });
+    });
+
+    return q.all(promises)
+        .then((contents) => {
+            const hash = crypto.createHash('sha256');
+            let hashed = false;
+
+            contents.forEach((data) => {
+                if (data) {
+                    hash.update(data);
+                    hashed = true;
+                }
+            });
+
+            return hashed ? hash.digest('hex') : undefined;
+        });
 }
 
 /**
- * Gets a JSON ojbect from Azure storage
+ * Gets the checksum a UCS blob was stored with
  *
- * @param {Object}    storageClient    - Azure storage instance
- * @param {String}    container        - Name of the container in which to store the Object
- * @param {String}    name             - Name to store the object as
+ * @param {Object} entry - Blob entry, listed with metadata
  *
- * @returns {Promise} Promise which will be resolved with the object
- *                    or rejected if an error occurs.
+ * @returns {Object} { algorithm, value } with a hex value, or undefined if the blob has no
+ *                   checksum in an algorithm we can calculate.
+ */
+function getUcsChecksum(entry) {
+    const metadata = entry.metadata || {};
+    const contentSettings = entry.contentSettings || {};
+
+    if (metadata.checksum && metadata.checksumalgorithm) {
+        const algorithm = metadata.checksumalgorithm.toLowerCase();
+        if (blockUpload.CHECKSUM_ALGORITHMS.indexOf(algorithm) !== -1) {
+            return {
+                algorithm,
+                value: metadata.checksum.toLowerCase()
+            };
+        }
+    }
+
+    // UCS files uploaded in one shot by older versions may have a Content-MD5
+    if (contentSettings.contentMD5) {
+        return {
+            algorithm: 'md5',
+            value: Buffer.from(contentSettings.contentMD5, 'base64').toString('hex')
+        };
+    }
+
+    return undefined;
+}
+
+/**
+ * Logs which UCS getStoredUcs chose and why
+ */
+function logUcsChoice(entry, reason, invalidUcs) {
+    let message = `Using UCS ${entry.name} from ${entry.lastModified}`;
+    if (invalidUcs.length > 0) {
+        message += ` because newer UCS files are invalid: ${invalidUcs.join(', ')}, and`;
+        this.logger.warn(`${message} ${reason}`);
+        return;
+    }
+    message += ' because it is the newest, and';
+    this.logger.info(`${message} ${reason}`);
+}
+
+/**
+ * Downloads a blob to a file, calculating its checksum on the way
+ *
+ * @returns {Promise} A promise which will be resolved with the hex checksum of the blob
+ *                    (undefined if there is no checksum to calculate) once the file is
+ *                    written, or rejected if an error occurs.
  */
-function getJsonObject(storageClient, container, name) {
+function downloadVerifiedBlob(storageClient, container, name, file, checksum) {
     const deferred = q.defer();
-    getBlobToText(storageClient, container, name)
-        .then((data) => {
-            try {
-                logger.silly('getBlobToText result:', data);
-                deferred.resolve(JSON.parse(data));
-            } catch (jsonErr) {
-                deferred.reject(jsonErr);
-            }
-        })
-        .catch((err) => {
+    const hash = checksum ? crypto.createHash(checksum.algorithm) : undefined;
+    const fileStream = fs.createWriteStream(file);
+    const blobStream = storageClient.createReadStream(container, name);
+    let blobError;
+
+    blobStream.on('data', (chunk) => {
+        if (hash) {
+            hash.update(chunk);
+        }
+    });
+    blobStream.on('error', (err) => {
+        // Finish the file first so that the caller can remove it
+        blobError = err;
+        fileStream.end();
+    });
+    fileStream.on('error', (err) => {
+        deferred.reject(err);
+    });
+    fileStream.on('finish', () => {
+        if (blobError) {
+            deferred.reject(blobError);
+        } else {
+            deferred.resolve(hash ? hash.digest('hex') : undefined);
+        }
+    });
+
+    blobStream.pipe(fileStream);
+
+    return deferred.promise;
+}
+
+function setObjectTier(storageClient, container, name, tier) {
+    assert.ok(storageClient, 'setObjectTier: no storage client');
+    assert.ok(container, 'setObjectTier: no container');
+    assert.ok(name, 'setObjectTier: no name');
+
+    const deferred = q.defer();
+
+    storageClient.setBlobTier(container, name, tier, (err) => {
+        if (err) {
             deferred.reject(err);
-        });
+        } else {
+            deferred.resolve();
+        }
+    });
     return deferred.promise;
 }
 
@@ -2050,6 +4066,30 @@ function deleteObject(storageClient, container, name) {
     return deferred.promise;
 }
 
+/**
+ * Removes nodes found more than once, such as a tagged VM with a tagged NIC
+ *
+ * Nodes are the same if they have the same NIC. Node IDs are not used, as one made from
+ * a resource group and NIC name can be the same as one from another resource group.
+ *
+ * @param {Object[]} nodes - Nodes as returned by getNodesByResourceId
+ *
+ * @returns {Object[]} The nodes, keeping the first node with each NIC
+ */
+function uniqueNodes(nodes) {
+    const ids = {};
+
+    return nodes.filter((node) => {
+        // Azure resource IDs are not case sensitive
+        const key = node.nicResourceId.toLowerCase();
+        if (ids[key]) {
+            return false;
+        }
+        ids[key] = true;
+        return true;
+    });
+}
+
 /**
  * De-duplicates instances object
  *
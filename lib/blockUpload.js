@@ -0,0 +1,336 @@
+/**
+ * Copyright 2016-2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const q = require('q');
+const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
+
+/**
+ * Uploads large files to block blobs in blocks which are staged separately and then
+ * committed, so that a failed upload can resume from the blocks Azure already has.
+ *
+ * Block IDs are derived from the file size, modification time and block size, so calling
+ * uploadFile again for the same, unchanged file and blob name, as storeUcs does when an
+ * upload fails, reuses the blocks staged (or committed) by the earlier attempt. Azure keeps
+ * uncommitted blocks for a week.
+ */
+
+const DEFAULT_BLOCK_SIZE = 8 * 1024 * 1024;
+// Largest block the storage API version of the SDK accepts
+const MAX_BLOCK_SIZE = 100 * 1024 * 1024;
+const DEFAULT_PARALLELISM = 4;
+const DEFAULT_CHECKSUM_ALGORITHM = 'sha256';
+const CHECKSUM_ALGORITHMS = ['md5', 'sha256'];
+const DEFAULT_RETRY = { maxRetries: 3, retryIntervalMs: 5000 };
+
+/**
+ * Uploads a local file to a block blob
+ *
+ * @param {Object} storageClient               - Azure blob service
+ * @param {String} container                   - Name of the container
+ * @param {String} name                        - Name of the blob
+ * @param {String} file                        - Full path to the file
+ * @param {Object} [options]                   - Optional parameters
+ * @param {Number} [options.blockSize]         - Size of each block in bytes. Default 8 MiB.
+ * @param {Number} [options.parallelism]       - Number of blocks to upload at once. Default 4.
+ * @param {String} [options.checksumAlgorithm] - 'md5' or 'sha256'. Default 'sha256'.
+ * @param {Object} [options.retry]             - Retry options for each block, as for util.tryUntil.
+ *                                               Default 3 retries, 5 seconds apart.
+ * @param {Object} [options.metadata]          - Additional metadata for the blob.
+ *
+ * @returns {Promise} A promise which will be resolved with
+ *                    {
+ *                        checksum: <String> (hex digest of the file),
+ *                        checksumAlgorithm: <String>,
+ *                        blocks: <Number> (number of blocks in the blob),
+ *                        resumedBlocks: <Number> (blocks which were already in Azure)
+ *                    }
+ *                    The checksum is also stored in the blob metadata as checksum and
+ *                    checksumalgorithm.
+ */
+function uploadFile(storageClient, container, name, file, options) {
+    assert.ok(storageClient, 'uploadFile: no storage client');
+    assert.ok(container, 'uploadFile: no container');
+    assert.ok(name, 'uploadFile: no name');
+    assert.ok(file, 'uploadFile: no file');
+
+    let settings;
+    try {
+        settings = getSettings(options);
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    const hash = crypto.createHash(settings.checksumAlgorithm);
+    const blockIds = [];
+    let fd;
+    let stats;
+    let existingBlocks;
+    let resumedBlocks = 0;
+
+    return q.nfcall(fs.stat, file)
+        .then((response) => {
+            stats = response;
+            return listBlocks(storageClient, container, name);
+        })
+        .then((response) => {
+            existingBlocks = response;
+            return q.nfcall(fs.open, file, 'r');
+        })
+        .then((response) => {
+            fd = response;
+
+            const idPrefix = getBlockIdPrefix(stats, settings.blockSize);
+            const blockCount = Math.ceil(stats.size / settings.blockSize);
+            let nextIndex = 0;
+            let readPromise = q();
+            let failed = false;
+
+            // Blocks are read in order so that the checksum covers the file in order, even
+            // though uploads run in parallel
+            const readNext = function () {
+                readPromise = readPromise.then(() => {
+                    if (failed || nextIndex >= blockCount) {
+                        return undefined;
+                    }
+                    const index = nextIndex;
+                    const length = Math.min(settings.blockSize, stats.size - (index * settings.blockSize));
+                    nextIndex += 1;
+
+                    return readBlock(fd, index * settings.blockSize, length)
+                        .then((data) => {
+                            hash.update(data);
+                            return {
+                                id: `${idPrefix}-${padIndex(index)}`,
+                                data
+                            };
+                        });
+                });
+                return readPromise;
+            };
+
+            const uploadNext = function () {
+                return readNext()
+                    .then((block) => {
+                        if (!block) {
+                            return q();
+                        }
+
+                        // Blocks come out of readNext in file order
+                        blockIds.push(block.id);
+                        if (existingBlocks[block.id] === block.data.length) {
+                            resumedBlocks += 1;
+                            return uploadNext();
+                        }
+
+                        return cloudUtil.tryUntil(
+                            null,
+                            settings.retry,
+                            createBlock,
+                            [storageClient, container, name, block]
+                        )
+                            .then(uploadNext);
+                    })
+                    .catch((err) => {
+                        // Stop the other uploads. The blocks staged so far are kept for a retry.
+                        failed = true;
+                        return q.reject(err);
+                    });
+            };
+
+            const uploads = [];
+            for (let i = 0; i < Math.min(settings.parallelism, blockCount); i++) {
+                uploads.push(uploadNext());
+            }
+
+            // Wait for every upload to stop before the file is closed
+            return q.allSettled(uploads);
+        })
+        .then((results) => {
+            const rejected = results.filter((result) => {
+                return result.state === 'rejected';
+            });
+            if (rejected.length > 0) {
+                return q.reject(rejected[0].reason);
+            }
+            return q();
+        })
+        .then(() => {
+            const checksum = hash.digest();
+            const commitOptions = {
+                metadata: Object.assign({}, settings.metadata, {
+                    checksum: checksum.toString('hex'),
+                    checksumalgorithm: settings.checksumAlgorithm
+                })
+            };
+            if (settings.checksumAlgorithm === 'md5') {
+                commitOptions.contentSettings = { contentMD5: checksum.toString('base64') };
+            }
+
+            return commitBlocks(storageClient, container, name, blockIds, commitOptions)
+                .then(() => {
+                    return {
+                        checksum: checksum.toString('hex'),
+                        checksumAlgorithm: settings.checksumAlgorithm,
+                        blocks: blockIds.length,
+                        resumedBlocks
+                    };
+                });
+        })
+        .finally(() => {
+            if (fd !== undefined) {
+                fs.close(fd, () => {});
+            }
+        });
+}
+
+function getSettings(options) {
+    const settings = {
+        blockSize: DEFAULT_BLOCK_SIZE,
+        parallelism: DEFAULT_PARALLELISM,
+        checksumAlgorithm: DEFAULT_CHECKSUM_ALGORITHM,
+        retry: DEFAULT_RETRY
+    };
+
+    if (options) {
+        if (options.blockSize) {
+            settings.blockSize = parseInt(options.blockSize, 10);
+        }
+        if (options.parallelism) {
+            settings.parallelism = parseInt(options.parallelism, 10);
+        }
+        if (options.checksumAlgorithm) {
+            settings.checksumAlgorithm = options.checksumAlgorithm.toLowerCase();
+        }
+        if (options.retry) {
+            settings.retry = options.retry;
+        }
+        if (options.metadata) {
+            settings.metadata = options.metadata;
+        }
+    }
+
+    if (!(settings.blockSize > 0 && settings.blockSize <= MAX_BLOCK_SIZE)) {
+        throw new Error(`Block size must be between 1 and ${MAX_BLOCK_SIZE} bytes`);
+    }
+    if (!(settings.parallelism > 0)) {
+        throw new Error('Parallelism must be at least 1');
+    }
+    if (CHECKSUM_ALGORITHMS.indexOf(settings.checksumAlgorithm) === -1) {
+        throw new Error(`Unknown checksum algorithm: ${settings.checksumAlgorithm}`);
+    }
+
+    return settings;
+}
+
+/**
+ * Block IDs must all be the same length within a blob. The prefix is always 8 characters,
+ * followed by a 6 digit block index, the same shape as the IDs the SDK generates.
+ */
+function getBlockIdPrefix(stats, blockSize) {
+    return crypto.createHash('md5')
+        .update(`${stats.size}:${stats.mtime.getTime()}:${blockSize}`)
+        .digest('hex')
+        .substring(0, 8);
+}
+
+function padIndex(index) {
+    return `00000${index}`.slice(-6);
+}
+
+function readBlock(fd, position, length) {
+    const deferred = q.defer();
+    const buffer = Buffer.alloc(length);
+
+    fs.read(fd, buffer, 0, length, position, (err, bytesRead) => {
+        if (err) {
+            deferred.reject(err);
+        } else if (bytesRead !== length) {
+            deferred.reject(new Error(`Read ${bytesRead} of ${length} bytes at ${position}. File changed?`));
+        } else {
+            deferred.resolve(buffer);
+        }
+    });
+
+    return deferred.promise;
+}
+
+/**
+ * Gets the blocks Azure already has for a blob, staged or committed
+ *
+ * @returns {Promise} A promise which will be resolved with a dictionary of block sizes
+ *                    keyed by block ID. Empty if the blob does not exist.
+ */
+function listBlocks(storageClient, container, name) {
+    const deferred = q.defer();
+
+    storageClient.listBlocks(container, name, 'all', (err, result) => {
+        if (err) {
+            if (err.statusCode === 404) {
+                deferred.resolve({});
+            } else {
+                deferred.reject(err);
+            }
+            return;
+        }
+
+        const blocks = {};
+        (result.CommittedBlocks || []).concat(result.UncommittedBlocks || []).forEach((block) => {
+            blocks[block.Name] = parseInt(block.Size, 10);
+        });
+        deferred.resolve(blocks);
+    });
+
+    return deferred.promise;
+}
+
+function createBlock(storageClient, container, name, block) {
+    const deferred = q.defer();
+
+    storageClient.createBlockFromText(block.id, container, name, block.data, (err) => {
+        if (err) {
+            deferred.reject(err);
+        } else {
+            deferred.resolve();
+        }
+    });
+
+    return deferred.promise;
+}
+
+function commitBlocks(storageClient, container, name, blockIds, options) {
+    const deferred = q.defer();
+
+    // LatestBlocks takes the staged block if there is one, otherwise the committed one
+    storageClient.commitBlocks(container, name, { LatestBlocks: blockIds }, options, (err) => {
+        if (err) {
+            deferred.reject(err);
+        } else {
+            deferred.resolve();
+        }
+    });
+
+    return deferred.promise;
+}
+
+module.exports = {
+    uploadFile,
+    CHECKSUM_ALGORITHMS
+};
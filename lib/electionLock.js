@@ -0,0 +1,301 @@
+/**
+ * Copyright 2016-2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const q = require('q');
+const azureStorage = require('azure-storage');
+const errors = require('./errors');
+
+const LOCK_CONTAINER = 'instances';
+const LOCK_BLOB = 'primary-election-lock';
+
+// Azure allows finite leases of 15 to 60 seconds
+const MIN_LEASE_DURATION_SEC = 15;
+const MAX_LEASE_DURATION_SEC = 60;
+
+/**
+ * Primary election lock backed by a lease on a blob in the instances container.
+ *
+ * The lease ID is derived from the holder's instance ID, so the same instance can
+ * re-acquire (and so extend) its own lease from a new process. Other instances are
+ * refused until the lease is released or expires. Leases are finite, so the lock is
+ * freed automatically if the holder VM goes away.
+ *
+ * @class
+ *
+ * @param {Object} storageClient              - Azure blob service.
+ * @param {Object} [options]                  - Options for the lock.
+ * @param {Number} [options.leaseDurationSec] - Lease duration, 15 to 60 seconds. Default 60.
+ * @param {Object} [options.logger]           - Logger to use.
+ */
+function ElectionLock(storageClient, options) {
+    assert.ok(storageClient, 'ElectionLock: no storage client');
+
+    const leaseDurationSec = options && options.leaseDurationSec ?
+        options.leaseDurationSec : MAX_LEASE_DURATION_SEC;
+    assert.ok(
+        leaseDurationSec >= MIN_LEASE_DURATION_SEC && leaseDurationSec <= MAX_LEASE_DURATION_SEC,
+        `ElectionLock: lease duration must be between ${MIN_LEASE_DURATION_SEC} and ` +
+        `${MAX_LEASE_DURATION_SEC} seconds`
+    );
+
+    this.storageClient = storageClient;
+    this.leaseDurationSec = leaseDurationSec;
+    this.logger = options ? options.logger : undefined;
+    this.leaseId = undefined;
+    this.renewTimer = undefined;
+}
+
+/**
+ * Creates the lock blob if it does not exist
+ *
+ * @returns {Promise} A promise which will be resolved when the lock blob exists.
+ */
+ElectionLock.prototype.init = function init() {
+    const deferred = q.defer();
+    const requestOptions = {
+        accessConditions: azureStorage.AccessCondition.generateIfNotExistsCondition()
+    };
+
+    this.storageClient.createContainerIfNotExists(LOCK_CONTAINER, (containerErr) => {
+        if (containerErr) {
+            deferred.reject(containerErr);
+            return;
+        }
+
+        this.storageClient.createBlockBlobFromText(LOCK_CONTAINER, LOCK_BLOB, '', requestOptions, (err) => {
+            // A conflict means another instance already created it
+            if (err && !errors.isConflict(err)) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve();
+            }
+        });
+    });
+
+    return deferred.promise;
+};
+
+/**
+ * Switches the lock to a new storage client, for example after a storage key rotation
+ *
+ * The lease, if held, is kept and is renewed with the new client.
+ *
+ * @param {Object} storageClient - Azure blob service.
+ */
+ElectionLock.prototype.setStorageClient = function setStorageClient(storageClient) {
+    assert.ok(storageClient, 'ElectionLock: no storage client');
+    this.storageClient = storageClient;
+};
+
+/**
+ * Acquires the lock, or extends it if already held by this instance
+ *
+ * While held, the lease is renewed in the background for the life of the process.
+ *
+ * @param {String} holderId - Instance ID of the instance acquiring the lock.
+ *
+ * @returns {Promise} A promise which will be resolved with true if this instance holds
+ *                    the lock, false if another instance does, or rejected if an error occurs.
+ */
+ElectionLock.prototype.acquire = function acquire(holderId) {
+    assert.ok(holderId, 'acquire: no holder ID');
+
+    const deferred = q.defer();
+    const leaseOptions = {
+        leaseDuration: this.leaseDurationSec,
+        proposedLeaseId: getLeaseId(holderId)
+    };
+
+    this.storageClient.acquireLease(LOCK_CONTAINER, LOCK_BLOB, leaseOptions, (err, result) => {
+        if (err) {
+            // 409 LeaseAlreadyPresent - someone else holds the lease
+            if (err.statusCode === 409) {
+                log.call(this, 'Election lock held by another instance');
+                stopRenewing.call(this);
+                this.leaseId = undefined;
+                deferred.resolve(false);
+            } else {
+                deferred.reject(err);
+            }
+            return;
+        }
+
+        this.leaseId = result.id;
+        startRenewing.call(this);
+        deferred.resolve(true);
+    });
+
+    return deferred.promise;
+};
+
+/**
+ * Releases the lock if this instance holds it
+ *
+ * @returns {Promise} A promise which will be resolved when the lock is released.
+ */
+ElectionLock.prototype.release = function release() {
+    const deferred = q.defer();
+    const leaseId = this.leaseId;
+
+    stopRenewing.call(this);
+    this.leaseId = undefined;
+
+    if (!leaseId) {
+        return q();
+    }
+
+    this.storageClient.releaseLease(LOCK_CONTAINER, LOCK_BLOB, leaseId, (err) => {
+        // A conflict means the lease already expired and was taken by someone else
+        if (err && !errors.isConflict(err)) {
+            deferred.reject(err);
+        } else {
+            deferred.resolve();
+        }
+    });
+
+    return deferred.promise;
+};
+
+/**
+ * Records the result of an election in the lock blob
+ *
+ * Only the holder can write the blob while the lease is held, so the recorded
+ * result is always that of the current (or last) holder.
+ *
+ * @param {String} primaryId - Instance ID of the elected primary.
+ *
+ * @returns {Promise} A promise which will be resolved when the result is recorded, or
+ *                    rejected if this instance does not hold the lock.
+ */
+ElectionLock.prototype.recordElection = function recordElection(primaryId) {
+    const deferred = q.defer();
+    const election = {
+        primaryId,
+        time: new Date().toJSON()
+    };
+
+    if (!this.leaseId) {
+        return q.reject(new Error('recordElection: election lock not held'));
+    }
+
+    this.storageClient.createBlockBlobFromText(
+        LOCK_CONTAINER,
+        LOCK_BLOB,
+        JSON.stringify(election),
+        { leaseId: this.leaseId },
+        (err) => {
+            if (err) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve();
+            }
+        }
+    );
+
+    return deferred.promise;
+};
+
+/**
+ * Gets the result of the last election recorded by a lock holder
+ *
+ * @returns {Promise} A promise which will be resolved with { primaryId, time } or
+ *                    undefined if no election has been recorded.
+ */
+ElectionLock.prototype.getElection = function getElection() {
+    const deferred = q.defer();
+
+    this.storageClient.getBlobToText(LOCK_CONTAINER, LOCK_BLOB, (err, text) => {
+        if (err) {
+            deferred.reject(err);
+            return;
+        }
+
+        try {
+            const election = text ? JSON.parse(text) : undefined;
+            deferred.resolve(election && election.primaryId ? election : undefined);
+        } catch (parseErr) {
+            log.call(this, 'Ignoring unreadable election result:', parseErr.message);
+            deferred.resolve();
+        }
+    });
+
+    return deferred.promise;
+};
+
+/**
+ * Whether this instance held the lock when it was last acquired or renewed
+ *
+ * @returns {Boolean} True if this instance holds the lock.
+ */
+ElectionLock.prototype.isHolder = function isHolder() {
+    return !!this.leaseId;
+};
+
+function startRenewing() {
+    if (this.renewTimer) {
+        return;
+    }
+
+    // Renew at half the duration so a single slow request does not lose the lease
+    this.renewTimer = setInterval(() => {
+        this.storageClient.renewLease(LOCK_CONTAINER, LOCK_BLOB, this.leaseId, (err) => {
+            if (err) {
+                log.call(this, 'Lost election lock:', err.message || err);
+                stopRenewing.call(this);
+                this.leaseId = undefined;
+            }
+        });
+    }, (this.leaseDurationSec * 1000) / 2);
+
+    // Do not keep the process alive just to hold the lock
+    this.renewTimer.unref();
+}
+
+function stopRenewing() {
+    if (this.renewTimer) {
+        clearInterval(this.renewTimer);
+        this.renewTimer = undefined;
+    }
+}
+
+/**
+ * Lease IDs must be GUIDs. Derive one from the holder ID so it is stable across processes.
+ */
+function getLeaseId(holderId) {
+    const hash = crypto.createHash('md5').update(`${holderId}`).digest('hex');
+    return [
+        hash.substr(0, 8),
+        hash.substr(8, 4),
+        hash.substr(12, 4),
+        hash.substr(16, 4),
+        hash.substr(20, 12)
+    ].join('-');
+}
+
+function log() {
+    if (this.logger) {
+        this.logger.debug.apply(this.logger, arguments);
+    }
+}
+
+module.exports = {
+    ElectionLock,
+    LOCK_BLOB
+};
@@ -0,0 +1,243 @@
+/**
+ * Copyright 2016-2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ipAddress = require('./ipAddress');
+
+const DEFAULT_PRIORITY_TAG = 'f5_election_priority';
+const NO_BACKUP = new Date(1970, 1, 1).getTime();
+
+/**
+ * Primary election strategies.
+ *
+ * Each strategy is called with the instances dictionary from getInstances and the
+ * strategy options, and returns the ID of the instance to elect, or undefined if no
+ * instance can be primary. Only instances that are providerVisible and versionOk
+ * are considered.
+ *
+ * Uniform scale set instance IDs are assigned in increasing order and never reused, so
+ * the lowest numeric ID is the oldest instance. Flexible scale set instances are keyed
+ * by VM name, so their age comes from the timeCreated of the VM instead.
+ */
+const strategies = {
+    /**
+     * Oldest instance wins, external instances win by lowest IP, and instances with
+     * a running config win over instances that would need a UCS restore. IPv4 addresses
+     * are lower than IPv6 addresses.
+     */
+    default(instances) {
+        const instanceIds = getCandidateIds(instances);
+        let lowestInstanceId;
+
+        let primaryFound = false;
+        let externalInstanceId;
+        const instancesWithRunningConfig = [];
+
+        instanceIds.forEach((instanceId) => {
+            const instance = instances[instanceId];
+            if (lowestInstanceId === undefined || compareAge(instances, instanceId, lowestInstanceId) < 0) {
+                lowestInstanceId = instanceId;
+                primaryFound = true;
+            }
+            if (instance.external) {
+                if (externalInstanceId === undefined ||
+                    ipAddress.compare(instance.privateIp, instances[externalInstanceId].privateIp) < 0) {
+                    externalInstanceId = instanceId;
+                    primaryFound = true;
+                }
+            }
+            if (instance.lastBackup !== NO_BACKUP) {
+                instancesWithRunningConfig.push({
+                    id: instanceId,
+                    mgmtIp: instance.external ? instance.privateIp : undefined
+                });
+            }
+        });
+        if (externalInstanceId) {
+            lowestInstanceId = externalInstanceId;
+        }
+
+        // prefer running config over UCS restore
+        const isLowestInstanceWithRunningConfig = instancesWithRunningConfig.some((instanceWithRunConf) => {
+            return lowestInstanceId === instanceWithRunConf.id;
+        });
+        if (!isLowestInstanceWithRunningConfig && instancesWithRunningConfig.length > 0) {
+            instancesWithRunningConfig.sort((instance01, instance02) => {
+                return ipAddress.compare(instance01.mgmtIp, instance02.mgmtIp);
+            });
+            lowestInstanceId = instancesWithRunningConfig[0].id;
+        }
+
+        return primaryFound ? lowestInstanceId : undefined;
+    },
+
+    /**
+     * Oldest instance wins. Instances of unknown age (external instances, for example)
+     * come last.
+     */
+    oldest(instances) {
+        return getCandidateIds(instances).sort(compareAge.bind(null, instances))[0];
+    },
+
+    /**
+     * Oldest instance in the preferred availability zone wins. Falls back to the
+     * oldest instance in any zone.
+     *
+     * @param {Object} options      - Strategy options.
+     * @param {String} options.zone - Preferred availability zone. Example: '1'
+     */
+    zone(instances, options) {
+        const preferredZone = options && options.zone !== undefined ? `${options.zone}` : undefined;
+        if (preferredZone === undefined) {
+            throw new Error('zone election strategy requires a zone');
+        }
+
+        const candidateIds = getCandidateIds(instances).sort(compareAge.bind(null, instances));
+        const inZone = candidateIds.filter((instanceId) => {
+            const instanceZone = instances[instanceId].zone;
+            return instanceZone !== undefined && instanceZone !== null && `${instanceZone}` === preferredZone;
+        });
+
+        return inZone.length > 0 ? inZone[0] : candidateIds[0];
+    },
+
+    /**
+     * Instance with the most recent backup wins, so the primary has the newest
+     * running config. Ties go to the oldest instance.
+     */
+    lastBackup(instances) {
+        return getCandidateIds(instances).sort((id01, id02) => {
+            const difference = getLastBackup(instances[id02]) - getLastBackup(instances[id01]);
+            return difference !== 0 ? difference : compareAge(instances, id01, id02);
+        })[0];
+    },
+
+    /**
+     * Instance with the highest numeric value in a tag on its scale set VM wins.
+     * Instances without the tag lose to instances with it. Ties go to the oldest instance.
+     *
+     * @param {Object} [options]     - Strategy options.
+     * @param {String} [options.tag] - Name of the tag. Default f5_election_priority.
+     */
+    tag(instances, options) {
+        const tagName = options && options.tag ? options.tag : DEFAULT_PRIORITY_TAG;
+
+        return getCandidateIds(instances).sort((id01, id02) => {
+            const priority01 = getTagPriority(instances[id01], tagName);
+            const priority02 = getTagPriority(instances[id02], tagName);
+            if (priority01 !== priority02) {
+                return priority02 > priority01 ? 1 : -1;
+            }
+            return compareAge(instances, id01, id02);
+        })[0];
+    }
+};
+
+/**
+ * Gets an election strategy
+ *
+ * @param {String|Object|Function} [strategy] - One of:
+ *     - the name of a built in strategy: 'default', 'oldest', 'zone', 'lastBackup' or 'tag'
+ *     - an object with the name of a built in strategy and its options. Example:
+ *           { name: 'zone', zone: '2' }
+ *     - a function which is called with the instances dictionary and returns the ID to elect
+ *     Default is 'default'.
+ *
+ * @returns {Function} A function which is called with the instances dictionary and returns
+ *                     the ID of the instance to elect, or undefined if there is none.
+ */
+function get(strategy) {
+    if (typeof strategy === 'function') {
+        return strategy;
+    }
+
+    let name = 'default';
+    let options = {};
+
+    if (typeof strategy === 'string') {
+        name = strategy;
+    } else if (strategy) {
+        name = strategy.name;
+        options = strategy;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(strategies, name)) {
+        throw new Error(`Unknown election strategy: ${name}`);
+    }
+
+    return function elect(instances) {
+        return strategies[name](instances, options);
+    };
+}
+
+function getCandidateIds(instances) {
+    return Object.keys(instances).filter((instanceId) => {
+        const instance = instances[instanceId];
+        return instance.versionOk && instance.providerVisible;
+    });
+}
+
+/**
+ * Sorts instance IDs oldest first
+ *
+ * Instances created at a known time (flexible scale set VMs) are compared by that time and
+ * instances with numeric IDs (uniform scale set VMs) by ID. Instances of known age come
+ * before the rest, which are compared by ID as strings.
+ */
+function compareAge(instances, id01, id02) {
+    const created01 = getTimeCreated(instances[id01]);
+    const created02 = getTimeCreated(instances[id02]);
+    const isNumeric01 = /^\d+$/.test(id01);
+    const isNumeric02 = /^\d+$/.test(id02);
+
+    if (created01 !== undefined && created02 !== undefined && created01 !== created02) {
+        return created01 - created02;
+    }
+    if (isNumeric01 && isNumeric02) {
+        return parseInt(id01, 10) - parseInt(id02, 10);
+    }
+
+    const isKnown01 = created01 !== undefined || isNumeric01;
+    const isKnown02 = created02 !== undefined || isNumeric02;
+    if (isKnown01 !== isKnown02) {
+        return isKnown01 ? -1 : 1;
+    }
+    if (id01 === id02) {
+        return 0;
+    }
+    return id01 < id02 ? -1 : 1;
+}
+
+function getTimeCreated(instance) {
+    const timeCreated = instance && instance.timeCreated ? new Date(instance.timeCreated).getTime() : NaN;
+    return Number.isNaN(timeCreated) ? undefined : timeCreated;
+}
+
+function getLastBackup(instance) {
+    const lastBackup = new Date(instance.lastBackup).getTime();
+    return Number.isNaN(lastBackup) ? NO_BACKUP : lastBackup;
+}
+
+function getTagPriority(instance, tagName) {
+    const priority = instance.tags ? parseFloat(instance.tags[tagName]) : NaN;
+    return Number.isNaN(priority) ? -Infinity : priority;
+}
+
+module.exports = {
+    get,
+    STRATEGY_NAMES: Object.keys(strategies)
+};
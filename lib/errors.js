@@ -0,0 +1,57 @@
+/**
+ * Copyright 2016-2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const util = require('util');
+
+/**
+ * Error thrown when a conditional write fails because the stored object
+ * changed (or was created) since it was read.
+ *
+ * @class
+ *
+ * @param {String} message      - Error message.
+ * @param {Object} [cause]      - Error returned by Azure storage, if any.
+ */
+function ConflictError(message, cause) {
+    Error.captureStackTrace(this, ConflictError);
+    this.name = 'ConflictError';
+    this.message = message;
+    this.cause = cause;
+    this.statusCode = cause ? cause.statusCode : undefined;
+}
+
+util.inherits(ConflictError, Error);
+
+/**
+ * Whether an Azure storage error is a precondition failure on a conditional write.
+ *
+ * If-Match failures return 412. If-None-Match: * failures and inserts of existing
+ * table entities return 409.
+ *
+ * @param {Object} err - Error returned by Azure storage.
+ *
+ * @returns {Boolean} True if the error indicates a conflicting write.
+ */
+function isConflict(err) {
+    return !!err && (err.statusCode === 412 || err.statusCode === 409);
+}
+
+module.exports = {
+    ConflictError,
+    isConflict
+};
@@ -0,0 +1,589 @@
+/**
+ * Copyright 2016-2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const q = require('q');
+const azureStorage = require('azure-storage');
+const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
+const errors = require('./errors');
+const paging = require('./paging');
+const LOCK_BLOB = require('./electionLock').LOCK_BLOB;
+
+const ConflictError = errors.ConflictError;
+
+const INSTANCES_CONTAINER = 'instances';
+const INSTANCES_TABLE = 'instances';
+const INSTANCES_PARTITION = 'instance';
+
+const STORE_TYPE_BLOB = 'blob';
+const STORE_TYPE_TABLE = 'table';
+const STORE_TYPE_MEMORY = 'memory';
+
+const UPDATE_MAX_TRIES = 5;
+const UPDATE_RETRY_INTERVAL_MS = 200;
+
+/**
+ * Creates an instance store.
+ *
+ * Instance stores hold the autoscale view of each instance, keyed by instance ID. All
+ * stores implement the same interface:
+ *
+ *     init()                                     - Creates any backing resources (container, table).
+ *     getInstances()                             - Resolves with a dictionary of instances keyed by
+ *                                                  instance ID.
+ *     getInstance(instanceId)                    - Resolves with { instance, etag }. Both are undefined
+ *                                                  if the instance is not stored.
+ *     putInstance(instanceId, instance, options) - Saves one instance. If options.etag is set, only
+ *                                                  writes if the stored ETag matches. If
+ *                                                  options.ifNotExists is set, only writes if the
+ *                                                  instance is not stored. Rejects with a ConflictError
+ *                                                  if the condition is not met.
+ *     updateInstance(instanceId, updateFn)       - Read-modify-write of one instance. See conditionalUpdate.
+ *     deleteInstances(instanceIds)               - Deletes instances. Missing instances are not an error.
+ *     setClients(clients)                        - Switches to new Azure clients, for example after a
+ *                                                  storage key rotation. Takes storageClient and
+ *                                                  tableClient as in the options below.
+ *
+ * @param {String} [type]                  - Store type: 'blob', 'table' or 'memory'. Default 'blob'.
+ * @param {Object} [options]               - Options for the store.
+ * @param {Object} [options.storageClient] - Azure blob service. Required for 'blob'.
+ * @param {Object} [options.tableClient]   - Azure table service. Required for 'table'.
+ * @param {Object} [options.logger]        - Logger to use.
+ *
+ * @returns {Object} The instance store.
+ */
+function create(type, options) {
+    const storeType = type || STORE_TYPE_BLOB;
+    const storeOptions = options || {};
+
+    switch (storeType) {
+    case STORE_TYPE_BLOB:
+        return new BlobInstanceStore(storeOptions.storageClient, storeOptions);
+    case STORE_TYPE_TABLE:
+        return new TableInstanceStore(storeOptions.tableClient, storeOptions);
+    case STORE_TYPE_MEMORY:
+        return new MemoryInstanceStore(storeOptions);
+    default:
+        throw new Error(`Unknown instance store type: ${storeType}`);
+    }
+}
+
+/**
+ * Instance store which keeps one JSON blob per instance in the instances container.
+ *
+ * @class
+ *
+ * @param {Object} storageClient    - Azure blob service.
+ * @param {Object} [options]        - Options for the store.
+ * @param {Object} [options.logger] - Logger to use.
+ */
+function BlobInstanceStore(storageClient, options) {
+    assert.ok(storageClient, 'BlobInstanceStore: no storage client');
+
+    this.storageClient = storageClient;
+    this.logger = options ? options.logger : undefined;
+}
+
+BlobInstanceStore.prototype.setClients = function setClients(clients) {
+    assert.ok(clients.storageClient, 'BlobInstanceStore: no storage client');
+    this.storageClient = clients.storageClient;
+};
+
+BlobInstanceStore.prototype.init = function init() {
+    const deferred = q.defer();
+
+    this.storageClient.createContainerIfNotExists(INSTANCES_CONTAINER, (err) => {
+        if (err) {
+            deferred.reject(err);
+        } else {
+            deferred.resolve();
+        }
+    });
+
+    return deferred.promise;
+};
+
+BlobInstanceStore.prototype.getInstances = function getInstances() {
+    const instanceIds = [];
+
+    return paging.listAllBlobs(this.storageClient, INSTANCES_CONTAINER)
+        .then((entries) => {
+            const promises = [];
+
+            log.call(this, 'listBlobsSegmented entries:', entries);
+            entries.forEach((entry) => {
+                // The election lock shares the instances container
+                if (entry.name === LOCK_BLOB) {
+                    return;
+                }
+                instanceIds.push(entry.name);
+                promises.push(getJsonObject(this.storageClient, INSTANCES_CONTAINER, entry.name));
+            });
+
+            return q.all(promises);
+        })
+        .then((dbInstances) => {
+            const instances = {};
+            dbInstances.forEach((instance, index) => {
+                instances[instanceIds[index]] = instance;
+            });
+            return instances;
+        });
+};
+
+BlobInstanceStore.prototype.getInstance = function getInstance(instanceId) {
+    assert.ok(instanceId, 'getInstance: no instance ID');
+
+    const deferred = q.defer();
+
+    this.storageClient.getBlobToText(INSTANCES_CONTAINER, instanceId, (err, data, blobResult) => {
+        if (err) {
+            if (err.statusCode === 404) {
+                deferred.resolve({});
+            } else {
+                deferred.reject(err);
+            }
+            return;
+        }
+
+        try {
+            deferred.resolve({
+                instance: JSON.parse(data),
+                etag: blobResult ? blobResult.etag : undefined
+            });
+        } catch (jsonErr) {
+            deferred.reject(jsonErr);
+        }
+    });
+
+    return deferred.promise;
+};
+
+BlobInstanceStore.prototype.putInstance = function putInstance(instanceId, instance, options) {
+    assert.ok(instanceId, 'putInstance: no instance ID');
+
+    const jsonData = JSON.stringify(instance);
+    const accessConditions = getAccessConditions(options);
+
+    const tryCreateBlob = function () {
+        const deferred = q.defer();
+        const requestOptions = accessConditions ? { accessConditions } : {};
+
+        this.storageClient.createBlockBlobFromText(
+            INSTANCES_CONTAINER,
+            instanceId,
+            jsonData,
+            requestOptions,
+            (err) => {
+                if (err) {
+                    deferred.reject(toConflictError(err, instanceId));
+                } else {
+                    deferred.resolve();
+                }
+            }
+        );
+        return deferred.promise;
+    };
+
+    // Conditional writes are retried by updateInstance, which re-reads the instance first
+    if (accessConditions) {
+        return tryCreateBlob.call(this);
+    }
+    return cloudUtil.tryUntil(this, cloudUtil.MEDIUM_RETRY, tryCreateBlob);
+};
+
+BlobInstanceStore.prototype.updateInstance = function updateInstance(instanceId, updateFn) {
+    return conditionalUpdate(this, instanceId, updateFn);
+};
+
+BlobInstanceStore.prototype.deleteInstances = function deleteInstances(instanceIds) {
+    const promises = [];
+
+    instanceIds.forEach((instanceId) => {
+        const deferred = q.defer();
+
+        this.storageClient.deleteBlobIfExists(INSTANCES_CONTAINER, instanceId, (err) => {
+            if (err) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve();
+            }
+        });
+        promises.push(deferred.promise);
+    });
+
+    return q.all(promises);
+};
+
+/**
+ * Instance store which keeps one entity per instance in an Azure Table.
+ *
+ * Reading all instances is a single partition query rather than a blob listing
+ * followed by one read per instance.
+ *
+ * @class
+ *
+ * @param {Object} tableClient         - Azure table service.
+ * @param {Object} [options]           - Options for the store.
+ * @param {String} [options.tableName] - Name of the table. Default 'instances'.
+ * @param {Object} [options.logger]    - Logger to use.
+ */
+function TableInstanceStore(tableClient, options) {
+    assert.ok(tableClient, 'TableInstanceStore: no table client');
+
+    this.tableClient = tableClient;
+    this.tableName = options && options.tableName ? options.tableName : INSTANCES_TABLE;
+    this.logger = options ? options.logger : undefined;
+}
+
+TableInstanceStore.prototype.setClients = function setClients(clients) {
+    assert.ok(clients.tableClient, 'TableInstanceStore: no table client');
+    this.tableClient = clients.tableClient;
+};
+
+TableInstanceStore.prototype.init = function init() {
+    const deferred = q.defer();
+
+    this.tableClient.createTableIfNotExists(this.tableName, (err) => {
+        if (err) {
+            deferred.reject(err);
+        } else {
+            deferred.resolve();
+        }
+    });
+
+    return deferred.promise;
+};
+
+TableInstanceStore.prototype.getInstances = function getInstances() {
+    const deferred = q.defer();
+    const tableQuery = new azureStorage.TableQuery().where('PartitionKey eq ?', INSTANCES_PARTITION);
+    const instances = {};
+
+    const queryPage = (continuationToken) => {
+        this.tableClient.queryEntities(this.tableName, tableQuery, continuationToken, (err, result) => {
+            if (err) {
+                deferred.reject(err);
+                return;
+            }
+
+            log.call(this, 'queryEntities data:', result);
+            try {
+                result.entries.forEach((entity) => {
+                    instances[getEntityValue(entity.RowKey)] = JSON.parse(getEntityValue(entity.data));
+                });
+            } catch (jsonErr) {
+                deferred.reject(jsonErr);
+                return;
+            }
+
+            if (result.continuationToken) {
+                queryPage(result.continuationToken);
+            } else {
+                deferred.resolve(instances);
+            }
+        });
+    };
+
+    queryPage(null);
+
+    return deferred.promise;
+};
+
+TableInstanceStore.prototype.getInstance = function getInstance(instanceId) {
+    assert.ok(instanceId, 'getInstance: no instance ID');
+
+    const deferred = q.defer();
+
+    this.tableClient.retrieveEntity(this.tableName, INSTANCES_PARTITION, instanceId, (err, entity) => {
+        if (err) {
+            if (err.statusCode === 404) {
+                deferred.resolve({});
+            } else {
+                deferred.reject(err);
+            }
+            return;
+        }
+
+        try {
+            deferred.resolve({
+                instance: JSON.parse(getEntityValue(entity.data)),
+                etag: entity['.metadata'] ? entity['.metadata'].etag : undefined
+            });
+        } catch (jsonErr) {
+            deferred.reject(jsonErr);
+        }
+    });
+
+    return deferred.promise;
+};
+
+TableInstanceStore.prototype.putInstance = function putInstance(instanceId, instance, options) {
+    assert.ok(instanceId, 'putInstance: no instance ID');
+
+    const entityGenerator = azureStorage.TableUtilities.entityGenerator;
+    const entity = {
+        PartitionKey: entityGenerator.String(INSTANCES_PARTITION),
+        RowKey: entityGenerator.String(instanceId),
+        data: entityGenerator.String(JSON.stringify(instance))
+    };
+
+    // replaceEntity sends If-Match with the entity ETag, insertEntity fails if the entity exists
+    let operation = 'insertOrReplaceEntity';
+    if (options && options.etag) {
+        entity['.metadata'] = { etag: options.etag };
+        operation = 'replaceEntity';
+    } else if (options && options.ifNotExists) {
+        operation = 'insertEntity';
+    }
+
+    const tryInsertEntity = function () {
+        const deferred = q.defer();
+
+        this.tableClient[operation](this.tableName, entity, (err) => {
+            if (err) {
+                deferred.reject(toConflictError(err, instanceId));
+            } else {
+                deferred.resolve();
+            }
+        });
+        return deferred.promise;
+    };
+
+    if (operation !== 'insertOrReplaceEntity') {
+        return tryInsertEntity.call(this);
+    }
+    return cloudUtil.tryUntil(this, cloudUtil.MEDIUM_RETRY, tryInsertEntity);
+};
+
+TableInstanceStore.prototype.updateInstance = function updateInstance(instanceId, updateFn) {
+    return conditionalUpdate(this, instanceId, updateFn);
+};
+
+TableInstanceStore.prototype.deleteInstances = function deleteInstances(instanceIds) {
+    const entityGenerator = azureStorage.TableUtilities.entityGenerator;
+    const promises = [];
+
+    instanceIds.forEach((instanceId) => {
+        const deferred = q.defer();
+        const entity = {
+            PartitionKey: entityGenerator.String(INSTANCES_PARTITION),
+            RowKey: entityGenerator.String(instanceId)
+        };
+
+        this.tableClient.deleteEntity(this.tableName, entity, (err) => {
+            if (err && err.statusCode !== 404) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve();
+            }
+        });
+        promises.push(deferred.promise);
+    });
+
+    return q.all(promises);
+};
+
+/**
+ * Instance store which keeps instances in memory. Intended for tests.
+ *
+ * Instances are serialized on the way in and out so that callers see the same
+ * types (dates as strings, for example) that the persistent stores return.
+ *
+ * @class
+ *
+ * @param {Object} [options]           - Options for the store.
+ * @param {Object} [options.instances] - Initial dictionary of instances keyed by instance ID.
+ */
+function MemoryInstanceStore(options) {
+    this.instances = {};
+    this.version = 0;
+
+    const instances = options && options.instances ? options.instances : {};
+    Object.keys(instances).forEach((instanceId) => {
+        storeInMemory.call(this, instanceId, instances[instanceId]);
+    });
+}
+
+MemoryInstanceStore.prototype.setClients = function setClients() {};
+
+MemoryInstanceStore.prototype.init = function init() {
+    return q();
+};
+
+MemoryInstanceStore.prototype.getInstances = function getInstances() {
+    const instances = {};
+    Object.keys(this.instances).forEach((instanceId) => {
+        instances[instanceId] = JSON.parse(this.instances[instanceId].data);
+    });
+    return q(instances);
+};
+
+MemoryInstanceStore.prototype.getInstance = function getInstance(instanceId) {
+    assert.ok(instanceId, 'getInstance: no instance ID');
+
+    const stored = this.instances[instanceId];
+    if (!stored) {
+        return q({});
+    }
+    return q({
+        instance: JSON.parse(stored.data),
+        etag: stored.etag
+    });
+};
+
+MemoryInstanceStore.prototype.putInstance = function putInstance(instanceId, instance, options) {
+    assert.ok(instanceId, 'putInstance: no instance ID');
+
+    const stored = this.instances[instanceId];
+    if (options && options.etag && (!stored || stored.etag !== options.etag)) {
+        return q.reject(toConflictError({ statusCode: 412 }, instanceId));
+    }
+    if (options && options.ifNotExists && stored) {
+        return q.reject(toConflictError({ statusCode: 409 }, instanceId));
+    }
+
+    storeInMemory.call(this, instanceId, instance);
+    return q();
+};
+
+MemoryInstanceStore.prototype.updateInstance = function updateInstance(instanceId, updateFn) {
+    return conditionalUpdate(this, instanceId, updateFn);
+};
+
+MemoryInstanceStore.prototype.deleteInstances = function deleteInstances(instanceIds) {
+    instanceIds.forEach((instanceId) => {
+        delete this.instances[instanceId];
+    });
+    return q();
+};
+
+/**
+ * Read-modify-write of one instance using conditional writes
+ *
+ * Reads the instance and its ETag, passes the instance to updateFn and writes the
+ * result only if the stored instance has not changed in the meantime. If it has,
+ * the instance is read again and updateFn re-applied.
+ *
+ * @param {Object}   store      - Instance store.
+ * @param {String}   instanceId - ID of the instance to update.
+ * @param {Function} updateFn   - Called with the stored instance (undefined if not stored). Should
+ *                                return the instance to write, or undefined to skip the write.
+ *
+ * @returns {Promise} A promise which will be resolved with the written instance (undefined if
+ *                    updateFn skipped the write), or rejected with a ConflictError if the instance
+ *                    kept changing.
+ */
+function conditionalUpdate(store, instanceId, updateFn) {
+    let numTries = 0;
+
+    const tryUpdate = function () {
+        let updated;
+        numTries += 1;
+
+        return store.getInstance(instanceId)
+            .then((result) => {
+                updated = updateFn(result.instance);
+                if (!updated) {
+                    return q();
+                }
+
+                const putOptions = result.etag ? { etag: result.etag } : { ifNotExists: true };
+                return store.putInstance(instanceId, updated, putOptions);
+            })
+            .then(() => {
+                return updated;
+            })
+            .catch((err) => {
+                if (err instanceof ConflictError && numTries < UPDATE_MAX_TRIES) {
+                    log.call(store, `Instance ${instanceId} changed during update, retrying`);
+                    return q.delay(UPDATE_RETRY_INTERVAL_MS).then(tryUpdate);
+                }
+                return q.reject(err);
+            });
+    };
+
+    return tryUpdate();
+}
+
+function getAccessConditions(options) {
+    if (options && options.etag) {
+        return azureStorage.AccessCondition.generateIfMatchCondition(options.etag);
+    }
+    if (options && options.ifNotExists) {
+        return azureStorage.AccessCondition.generateIfNotExistsCondition();
+    }
+    return undefined;
+}
+
+function toConflictError(err, instanceId) {
+    if (errors.isConflict(err)) {
+        return new ConflictError(`Instance ${instanceId} was changed by another writer`, err);
+    }
+    return err;
+}
+
+function storeInMemory(instanceId, instance) {
+    this.version += 1;
+    this.instances[instanceId] = {
+        data: JSON.stringify(instance),
+        etag: `${this.version}`
+    };
+}
+
+function getJsonObject(storageClient, container, name) {
+    const deferred = q.defer();
+
+    storageClient.getBlobToText(container, name, (err, data) => {
+        if (err) {
+            deferred.reject(err);
+            return;
+        }
+
+        try {
+            deferred.resolve(JSON.parse(data));
+        } catch (jsonErr) {
+            deferred.reject(jsonErr);
+        }
+    });
+
+    return deferred.promise;
+}
+
+/**
+ * Entities from queryEntities wrap each property as { _: value, $: type }
+ */
+function getEntityValue(property) {
+    return property && typeof property === 'object' ? property._ : property;
+}
+
+function log() {
+    if (this.logger) {
+        this.logger.silly.apply(this.logger, arguments);
+    }
+}
+
+module.exports = {
+    create,
+    BlobInstanceStore,
+    TableInstanceStore,
+    MemoryInstanceStore,
+    STORE_TYPE_BLOB,
+    STORE_TYPE_TABLE,
+    STORE_TYPE_MEMORY
+};
@@ -0,0 +1,208 @@
+/**
+ * Copyright 2016-2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * IPv4 and IPv6 address helpers.
+ *
+ * Addresses may come from Azure (2001:db8::4) or from BIG-IP, which adds route
+ * domains and prefix lengths (2001:DB8:0:0::4%1/64). These helpers accept both.
+ */
+
+const net = require('net');
+
+/**
+ * Removes the route domain and prefix length from an address
+ *
+ * @param {String} address - Address. Example: 10.0.0.4%1/24
+ *
+ * @returns {String} The bare address, or undefined if address is not a string
+ */
+function strip(address) {
+    if (typeof address !== 'string') {
+        return undefined;
+    }
+    return address.split('/')[0].split('%')[0].trim();
+}
+
+/**
+ * Gets the address family of an address
+ *
+ * @param {String} address - Address
+ *
+ * @returns {Number} 4 or 6, or undefined if the address is not valid
+ */
+function getFamily(address) {
+    const parsed = parse(address);
+    return parsed ? parsed.family : undefined;
+}
+
+/**
+ * Normalizes an address so that equal addresses have equal strings. IPv6 addresses
+ * are lower case with the longest run of zero groups compressed (RFC 5952).
+ *
+ * @param {String} address - Address
+ *
+ * @returns {String} The normalized address. Invalid addresses are only stripped.
+ */
+function normalize(address) {
+    const parsed = parse(address);
+
+    if (!parsed) {
+        return strip(address);
+    }
+
+    if (parsed.family === 4) {
+        return parsed.values.join('.');
+    }
+
+    let longestStart = -1;
+    let longestLength = 0;
+    let runStart = -1;
+    parsed.values.forEach((value, index) => {
+        if (value === 0) {
+            if (runStart === -1) {
+                runStart = index;
+            }
+            const runLength = (index - runStart) + 1;
+            if (runLength > longestLength) {
+                longestStart = runStart;
+                longestLength = runLength;
+            }
+        } else {
+            runStart = -1;
+        }
+    });
+
+    const groups = parsed.values.map((value) => {
+        return value.toString(16);
+    });
+    if (longestLength < 2) {
+        return groups.join(':');
+    }
+    const head = groups.slice(0, longestStart).join(':');
+    const tail = groups.slice(longestStart + longestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Whether two addresses are the same address
+ *
+ * @param {String} address01 - Address
+ * @param {String} address02 - Address
+ *
+ * @returns {Boolean} True if both addresses are present and equal once normalized
+ */
+function isSame(address01, address02) {
+    const normalized01 = normalize(address01);
+    return !!normalized01 && normalized01 === normalize(address02);
+}
+
+/**
+ * Compares addresses for sorting. IPv4 addresses sort before IPv6 addresses and
+ * numerically within each family. Missing or invalid addresses sort last.
+ *
+ * @param {String} address01 - Address
+ * @param {String} address02 - Address
+ *
+ * @returns {Number} Negative, zero or positive, as for Array.prototype.sort
+ */
+function compare(address01, address02) {
+    const parsed01 = parse(address01);
+    const parsed02 = parse(address02);
+
+    if (!parsed01 || !parsed02) {
+        return (parsed01 ? 0 : 1) - (parsed02 ? 0 : 1);
+    }
+    if (parsed01.family !== parsed02.family) {
+        return parsed01.family - parsed02.family;
+    }
+
+    for (let i = 0; i < parsed01.values.length; i++) {
+        if (parsed01.values[i] !== parsed02.values[i]) {
+            return parsed01.values[i] - parsed02.values[i];
+        }
+    }
+    return 0;
+}
+
+/**
+ * Parses an address into its family and its octets (IPv4) or 16 bit groups (IPv6)
+ */
+function parse(address) {
+    const stripped = strip(address);
+    const family = stripped ? net.isIP(stripped) : 0;
+
+    if (family === 4) {
+        return {
+            family,
+            values: parseIpv4(stripped)
+        };
+    }
+    if (family === 6) {
+        return {
+            family,
+            values: parseIpv6(stripped)
+        };
+    }
+    return undefined;
+}
+
+function parseIpv4(address) {
+    return address.split('.').map((octet) => {
+        return parseInt(octet, 10);
+    });
+}
+
+/**
+ * Expands an address already validated by net.isIPv6 into its eight groups
+ */
+function parseIpv6(address) {
+    const toGroups = function (half) {
+        const groups = [];
+        if (!half) {
+            return groups;
+        }
+        half.split(':').forEach((part) => {
+            if (net.isIPv4(part)) {
+                // Embedded IPv4 address, for example ::ffff:10.0.0.4
+                const octets = parseIpv4(part);
+                groups.push((octets[0] * 256) + octets[1], (octets[2] * 256) + octets[3]);
+            } else {
+                groups.push(parseInt(part, 16));
+            }
+        });
+        return groups;
+    };
+
+    const halves = address.split('::');
+    const head = toGroups(halves[0]);
+    const tail = toGroups(halves[1]);
+    const zeros = [];
+    for (let i = head.length + tail.length; i < 8; i++) {
+        zeros.push(0);
+    }
+    return head.concat(zeros, tail);
+}
+
+module.exports = {
+    strip,
+    getFamily,
+    normalize,
+    isSame,
+    compare
+};
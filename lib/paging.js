@@ -0,0 +1,110 @@
+/**
+ * Copyright 2016-2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const q = require('q');
+
+/**
+ * Gets every page of an Azure SDK list operation
+ *
+ * SDK list operations return one page of results with a nextLink if there are more.
+ * The following pages come from the matching <method>Next operation.
+ *
+ * @param {Object}   operations       - SDK operations group. Example: computeClient.virtualMachines
+ * @param {String}   method           - Name of the list operation. Example: 'list'
+ * @param {Array}    [args]           - Arguments for the list operation, not including the callback
+ * @param {Object}   [options]        - Optional parameters
+ * @param {Function} [options.onPage] - Called with the results and raw HTTP response of each page
+ *
+ * @returns {Promise} A promise which will be resolved with an array of the results from all
+ *                    pages, or rejected if an error occurs.
+ */
+function listAll(operations, method, args, options) {
+    assert.ok(operations, 'listAll: no operations');
+    assert.ok(typeof operations[method] === 'function', `listAll: no ${method} operation`);
+
+    const deferred = q.defer();
+    const results = [];
+    const onPage = options ? options.onPage : undefined;
+
+    const handlePage = function (err, page, request, response) {
+        if (err) {
+            deferred.reject(err);
+            return;
+        }
+
+        if (onPage) {
+            onPage(page, response);
+        }
+        Array.prototype.push.apply(results, page || []);
+
+        if (page && page.nextLink) {
+            operations[`${method}Next`](page.nextLink, handlePage);
+        } else {
+            deferred.resolve(results);
+        }
+    };
+
+    operations[method].apply(operations, (args || []).concat(handlePage));
+
+    return deferred.promise;
+}
+
+/**
+ * Gets every blob in a container, following continuation tokens
+ *
+ * @param {Object} storageClient - Azure blob service
+ * @param {String} container     - Name of the container
+ * @param {Object} [options]     - Options for listBlobsSegmented. Example: { include: 'metadata' }
+ *
+ * @returns {Promise} A promise which will be resolved with an array of the blob entries from
+ *                    all segments, or rejected if an error occurs.
+ */
+function listAllBlobs(storageClient, container, options) {
+    assert.ok(storageClient, 'listAllBlobs: no storage client');
+    assert.ok(container, 'listAllBlobs: no container');
+
+    const deferred = q.defer();
+    const entries = [];
+
+    const listSegment = function (continuationToken) {
+        storageClient.listBlobsSegmented(container, continuationToken, options || null, (err, result) => {
+            if (err) {
+                deferred.reject(err);
+                return;
+            }
+
+            Array.prototype.push.apply(entries, result.entries || []);
+
+            if (result.continuationToken) {
+                listSegment(result.continuationToken);
+            } else {
+                deferred.resolve(entries);
+            }
+        });
+    };
+
+    listSegment(null);
+
+    return deferred.promise;
+}
+
+module.exports = {
+    listAll,
+    listAllBlobs
+};
@@ -0,0 +1,243 @@
+/**
+ * Copyright 2016-2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Tag selectors match the tags on Azure resources.
+ *
+ * A selector is an expression made of terms joined by AND and OR (AND binds tighter),
+ * with parentheses for grouping:
+ *
+ *     key             - the resource has the tag key, with any value
+ *     key=value       - the tag value matches exactly
+ *     key~=value      - the tag key and value match, ignoring case
+ *
+ * Values may contain the wildcards * (any characters) and ? (one character). Keys or
+ * values containing spaces, parentheses, '=' or the words AND and OR can be quoted with
+ * single or double quotes. Example:
+ *
+ *     f5_tg AND (app=web OR app~='front end*')
+ *
+ * The legacy { key, value } object is still accepted and matches exactly.
+ */
+
+const KEYWORDS = ['AND', 'OR'];
+
+/**
+ * Compiles a tag selector
+ *
+ * @param {String|Object|Function} selector - A selector expression, one of the objects
+ *                                            { key, value } or { selector: <expression> },
+ *                                            or an already compiled selector.
+ *
+ * @returns {Function} A function which is called with the tags on a resource and returns
+ *                     true if they match.
+ */
+function parse(selector) {
+    if (typeof selector === 'function') {
+        return selector;
+    }
+
+    if (selector && typeof selector === 'object') {
+        if (selector.selector) {
+            return parse(selector.selector);
+        }
+        if (!selector.key || !selector.value) {
+            throw new Error('Tag selector must have a key and value');
+        }
+        return function matchTag(tags) {
+            return !!tags && tags[selector.key] === selector.value;
+        };
+    }
+
+    if (typeof selector !== 'string' || !selector.trim()) {
+        throw new Error('Tag selector must be an expression or { key, value }');
+    }
+
+    const parser = new Parser(selector);
+    const match = parser.parseOr();
+
+    if (parser.position < parser.tokens.length) {
+        throw selectorError(selector, `unexpected '${parser.tokens[parser.position].text}'`);
+    }
+
+    return function matchSelector(tags) {
+        return match(tags || {});
+    };
+}
+
+/**
+ * Whether the tags on a resource match a selector
+ *
+ * @param {Object}                  tags       - Tags on the resource
+ * @param {String|Object|Function} [selector] - Selector as described in parse. If not provided,
+ *                                              every resource matches.
+ *
+ * @returns {Boolean} True if the tags match
+ */
+function matches(tags, selector) {
+    if (!selector) {
+        return true;
+    }
+    return parse(selector)(tags);
+}
+
+function tokenize(selector) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < selector.length) {
+        const char = selector[index];
+
+        if (/\s/.test(char)) {
+            index += 1;
+        } else if (char === '(' || char === ')' || char === '=') {
+            tokens.push({ type: char, text: char });
+            index += 1;
+        } else if (char === '~' && selector[index + 1] === '=') {
+            tokens.push({ type: '~=', text: '~=' });
+            index += 2;
+        } else if (char === '"' || char === "'") {
+            const end = selector.indexOf(char, index + 1);
+            if (end === -1) {
+                throw selectorError(selector, 'unterminated quote');
+            }
+            tokens.push({ type: 'word', text: selector.substring(index + 1, end) });
+            index = end + 1;
+        } else {
+            let end = index;
+            while (end < selector.length && !/[\s()='"]/.test(selector[end])
+                && !(selector[end] === '~' && selector[end + 1] === '=')) {
+                end += 1;
+            }
+            const text = selector.substring(index, end);
+            const keyword = text.toUpperCase();
+            tokens.push({ type: KEYWORDS.indexOf(keyword) !== -1 ? keyword : 'word', text });
+            index = end;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive descent parser which compiles a selector expression into match functions
+ *
+ * @class
+ *
+ * @param {String} selector - Selector expression
+ */
+function Parser(selector) {
+    this.selector = selector;
+    this.tokens = tokenize(selector);
+    this.position = 0;
+}
+
+Parser.prototype.parseOr = function parseOr() {
+    const terms = [this.parseAnd()];
+
+    while (this.accept('OR')) {
+        terms.push(this.parseAnd());
+    }
+
+    return terms.length === 1 ? terms[0] : function matchAny(tags) {
+        return terms.some((term) => {
+            return term(tags);
+        });
+    };
+};
+
+Parser.prototype.parseAnd = function parseAnd() {
+    const terms = [this.parseTerm()];
+
+    while (this.accept('AND')) {
+        terms.push(this.parseTerm());
+    }
+
+    return terms.length === 1 ? terms[0] : function matchAll(tags) {
+        return terms.every((term) => {
+            return term(tags);
+        });
+    };
+};
+
+Parser.prototype.parseTerm = function parseTerm() {
+    if (this.accept('(')) {
+        const match = this.parseOr();
+        this.expect(')');
+        return match;
+    }
+
+    const key = this.expect('word').text;
+
+    if (this.accept('=')) {
+        return matchValue(key, this.expect('word').text, false);
+    }
+    if (this.accept('~=')) {
+        return matchValue(key, this.expect('word').text, true);
+    }
+
+    return function matchKey(tags) {
+        return Object.prototype.hasOwnProperty.call(tags, key);
+    };
+};
+
+Parser.prototype.accept = function accept(type) {
+    const token = this.tokens[this.position];
+    if (token && token.type === type) {
+        this.position += 1;
+        return token;
+    }
+    return undefined;
+};
+
+Parser.prototype.expect = function expect(type) {
+    const token = this.accept(type);
+    if (!token) {
+        const found = this.tokens[this.position];
+        const expected = type === 'word' ? 'a tag key or value' : `'${type}'`;
+        throw selectorError(
+            this.selector,
+            `expected ${expected} but found ${found ? `'${found.text}'` : 'the end'}`
+        );
+    }
+    return token;
+};
+
+function matchValue(key, value, ignoreCase) {
+    const pattern = new RegExp(
+        `^${value.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+        ignoreCase ? 'i' : ''
+    );
+    const lowerKey = key.toLowerCase();
+
+    return function matchKeyValue(tags) {
+        return Object.keys(tags).some((tagKey) => {
+            const keyMatches = ignoreCase ? tagKey.toLowerCase() === lowerKey : tagKey === key;
+            return keyMatches && typeof tags[tagKey] === 'string' && pattern.test(tags[tagKey]);
+        });
+    };
+}
+
+function selectorError(selector, reason) {
+    return new Error(`Invalid tag selector "${selector}": ${reason}`);
+}
+
+module.exports = {
+    parse,
+    matches
+};
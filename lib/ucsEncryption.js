@@ -0,0 +1,311 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const q = require('q');
+const cryptoUtil = require('@f5devcentral/f5-cloud-libs').cryptoUtil;
+const localCryptoUtil = require('@f5devcentral/f5-cloud-libs').localCryptoUtil;
+const KEYS = require('@f5devcentral/f5-cloud-libs').sharedConstants.KEYS;
+
+/**
+ * Envelope encryption of UCS files.
+ *
+ * Each file is encrypted with its own random AES-256-GCM data key. The data key is wrapped
+ * with a key encryption key, which is either the local key pair of this BIG-IP
+ * (see localCryptoUtil) or a Key Vault key, and stored next to the encrypted file in the
+ * blob metadata along with the ID of the key encryption key.
+ *
+ * The key ID of a Key Vault key includes its version, so files encrypted before the key
+ * was rotated are unwrapped with the older version of the key.
+ */
+
+const ENCRYPTION_ALGORITHM = 'AES256-GCM';
+const CIPHER = 'aes-256-gcm';
+const DATA_KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+const LOCAL_KEY = 'local';
+const LOCAL_KEY_ID_PREFIX = 'local:';
+const KEY_VAULT_API_VERSION = '7.0';
+const KEY_VAULT_WRAP_ALGORITHM = 'RSA-OAEP';
+
+/**
+ * Checks that a key is 'local' or the URI of a Key Vault key
+ *
+ * @param {String} key - The key
+ *
+ * @returns {Boolean} Whether or not the key is valid
+ */
+function isValidKey(key) {
+    return key === LOCAL_KEY || /^https:\/\/[^/]+\/keys\/[^/]+(\/[^/]+)?\/?$/.test(key);
+}
+
+/**
+ * Checks whether blob metadata describes an encrypted file
+ *
+ * @param {Object} [metadata] - Blob metadata
+ *
+ * @returns {Boolean} Whether or not the blob is encrypted
+ */
+function isEncrypted(metadata) {
+    return !!(metadata && metadata.encryption);
+}
+
+/**
+ * Encrypts a file
+ *
+ * The caller removes target once it has been uploaded, see removeEncryptedFile.
+ *
+ * @param {String} source                   - Full path of the file to encrypt
+ * @param {String} target                   - Full path of the encrypted file to write
+ * @param {Object} options                  - Key options
+ * @param {String} options.key              - 'local' to wrap the data key with the local key pair
+ *                                            of this BIG-IP, or the URI of a Key Vault key.
+ * @param {Object} [options.keyVaultClient] - Service client with Key Vault credentials. Required
+ *                                            for Key Vault keys.
+ *
+ * @returns {Promise} A promise which will be resolved with the blob metadata describing the
+ *                    encryption, or rejected if an error occurs.
+ */
+function encryptFile(source, target, options) {
+    assert.ok(source, 'encryptFile: no source');
+    assert.ok(target, 'encryptFile: no target');
+    assert.ok(options && options.key, 'encryptFile: no key');
+
+    const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+    let authTag;
+
+    return cipherFile(crypto.createCipheriv(CIPHER, dataKey, iv), source, target)
+        .then((cipher) => {
+            authTag = cipher.getAuthTag();
+            return wrapKey(dataKey, options);
+        })
+        .then((wrapped) => {
+            return {
+                encryption: ENCRYPTION_ALGORITHM,
+                encryptionkeyid: wrapped.keyId,
+                encryptedkey: wrapped.encryptedKey,
+                encryptioniv: iv.toString('base64'),
+                encryptiontag: authTag.toString('base64')
+            };
+        });
+}
+
+/**
+ * Decrypts a file encrypted by encryptFile
+ *
+ * @param {String} source                   - Full path of the encrypted file
+ * @param {String} target                   - Full path of the decrypted file to write
+ * @param {Object} metadata                 - Blob metadata returned by encryptFile
+ * @param {Object} [options]                - Key options
+ * @param {Object} [options.keyVaultClient] - Service client with Key Vault credentials. Required
+ *                                            if the file was encrypted with a Key Vault key.
+ *
+ * @returns {Promise} A promise which will be resolved when the file is decrypted, or rejected
+ *                    if an error occurs, including if the file was modified after encryption.
+ */
+function decryptFile(source, target, metadata, options) {
+    assert.ok(source, 'decryptFile: no source');
+    assert.ok(target, 'decryptFile: no target');
+
+    if (!isEncrypted(metadata)) {
+        return q.reject(new Error('No encryption metadata'));
+    }
+    if (metadata.encryption !== ENCRYPTION_ALGORITHM) {
+        return q.reject(new Error(`Unknown encryption algorithm: ${metadata.encryption}`));
+    }
+
+    return unwrapKey(metadata.encryptionkeyid, metadata.encryptedkey, options || {})
+        .then((dataKey) => {
+            const decipher = crypto.createDecipheriv(
+                CIPHER,
+                dataKey,
+                Buffer.from(metadata.encryptioniv, 'base64')
+            );
+            decipher.setAuthTag(Buffer.from(metadata.encryptiontag, 'base64'));
+
+            return cipherFile(decipher, source, target);
+        })
+        .then(() => {
+            return q();
+        });
+}
+
+/**
+ * Removes an encrypted file written by encryptFile, once it is no longer needed
+ *
+ * @param {String} target - Full path of the encrypted file
+ *
+ * @returns {Promise} A promise which will be resolved when the file is removed, or if
+ *                    there was no file to remove
+ */
+function removeEncryptedFile(target) {
+    return q.nfcall(fs.unlink, target)
+        .catch(() => {
+            return q();
+        });
+}
+
+/**
+ * Pipes source through a cipher or decipher into target
+ *
+ * @returns {Promise} A promise which will be resolved with the cipher once target is written
+ */
+function cipherFile(cipher, source, target) {
+    const deferred = q.defer();
+    const sourceStream = fs.createReadStream(source);
+    const targetStream = fs.createWriteStream(target);
+
+    const onError = function (err) {
+        targetStream.end();
+        deferred.reject(err);
+    };
+
+    sourceStream.on('error', onError);
+    cipher.on('error', onError);
+    targetStream.on('error', onError);
+    targetStream.on('finish', () => {
+        deferred.resolve(cipher);
+    });
+
+    sourceStream.pipe(cipher).pipe(targetStream);
+
+    return deferred.promise;
+}
+
+/**
+ * Wraps a data key with a key encryption key
+ *
+ * @returns {Promise} A promise which will be resolved with
+ *                    {
+ *                        keyId: <String> (ID of the key encryption key),
+ *                        encryptedKey: <String> (base64 wrapped data key)
+ *                    }
+ */
+function wrapKey(dataKey, options) {
+    if (options.key === LOCAL_KEY) {
+        return cryptoUtil.encrypt(KEYS.LOCAL_PUBLIC_KEY_PATH, dataKey.toString('base64'))
+            .then((encryptedKey) => {
+                return {
+                    keyId: `${LOCAL_KEY_ID_PREFIX}${KEYS.LOCAL_PRIVATE_KEY_FOLDER}/${KEYS.LOCAL_PRIVATE_KEY}`,
+                    encryptedKey
+                };
+            });
+    }
+
+    const keyUri = options.key.replace(/\/$/, '');
+    const body = {
+        alg: KEY_VAULT_WRAP_ALGORITHM,
+        value: toBase64Url(dataKey)
+    };
+
+    return sendKeyVaultRequest(options.keyVaultClient, `${keyUri}/wrapkey`, body)
+        .then((response) => {
+            return {
+                keyId: response.kid,
+                encryptedKey: Buffer.from(fromBase64Url(response.value), 'base64').toString('base64')
+            };
+        });
+}
+
+/**
+ * Unwraps a data key with the key encryption key it was wrapped with
+ *
+ * @returns {Promise} A promise which will be resolved with the data key
+ */
+function unwrapKey(keyId, encryptedKey, options) {
+    if (!keyId || !encryptedKey) {
+        return q.reject(new Error('No wrapped data key'));
+    }
+
+    if (keyId.startsWith(LOCAL_KEY_ID_PREFIX)) {
+        const keyPath = keyId.substring(LOCAL_KEY_ID_PREFIX.length);
+        const folder = keyPath.substring(0, keyPath.lastIndexOf('/'));
+        const name = keyPath.substring(keyPath.lastIndexOf('/') + 1);
+
+        return localCryptoUtil.decryptData(encryptedKey, folder, name)
+            .then((dataKey) => {
+                return Buffer.from(dataKey, 'base64');
+            });
+    }
+
+    const body = {
+        alg: KEY_VAULT_WRAP_ALGORITHM,
+        value: toBase64Url(Buffer.from(encryptedKey, 'base64'))
+    };
+
+    return sendKeyVaultRequest(options.keyVaultClient, `${keyId}/unwrapkey`, body)
+        .then((response) => {
+            return Buffer.from(fromBase64Url(response.value), 'base64');
+        });
+}
+
+function sendKeyVaultRequest(client, url, body) {
+    if (!client) {
+        return q.reject(new Error(`No Key Vault client for ${url}`));
+    }
+
+    const deferred = q.defer();
+    const requestOptions = {
+        method: 'POST',
+        url: `${url}?api-version=${KEY_VAULT_API_VERSION}`,
+        body
+    };
+
+    client.sendRequest(requestOptions, (err, result, request, response) => {
+        if (err) {
+            deferred.reject(err);
+            return;
+        }
+
+        const statusCode = response ? response.statusCode : undefined;
+        if (statusCode >= 400 || !result || !result.value) {
+            const message = result && result.error ? result.error.message : `status code ${statusCode}`;
+            deferred.reject(new Error(`POST ${url} failed: ${message}`));
+            return;
+        }
+
+        deferred.resolve(result);
+    });
+
+    return deferred.promise;
+}
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+    return value
+        .replace(/-/g, '+')
+        .replace(/_/g, '/');
+}
+
+module.exports = {
+    isValidKey,
+    isEncrypted,
+    encryptFile,
+    decryptFile,
+    removeEncryptedFile
+};
@@ -0,0 +1,167 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Retention of stored UCS files.
+ *
+ * Either the newest maxCopies UCS files are kept, or, with a tiered policy, every UCS from
+ * the last keepAllHours, the newest UCS of each day for keepDailyDays and the newest UCS of
+ * each week (starting Monday, UTC) for keepWeeklyWeeks. The newest UCS is always kept.
+ *
+ * UCS files which are kept can also be moved to the Cool or Archive access tier once they
+ * are old enough. The newest UCS is never moved, so that there is always one to restore.
+ */
+
+const HOUR_MS = 60 * 60000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+const TIER_HOT = 'Hot';
+const TIER_COOL = 'Cool';
+const TIER_ARCHIVE = 'Archive';
+const TIER_ORDER = [TIER_HOT, TIER_COOL, TIER_ARCHIVE];
+
+// Provider option names, by policy property
+const POLICY_OPTIONS = {
+    keepAllHours: 'ucsKeepAllHours',
+    keepDailyDays: 'ucsKeepDailyDays',
+    keepWeeklyWeeks: 'ucsKeepWeeklyWeeks',
+    coolAfterDays: 'ucsCoolTierAfterDays',
+    archiveAfterDays: 'ucsArchiveTierAfterDays'
+};
+
+/**
+ * Gets the retention policy from the provider options
+ *
+ * @param {Object} [providerOptions] - Provider options, as described in init
+ * @param {Number} [maxCopies]       - Number of UCS files to keep if there is no tiered policy.
+ *                                     All are kept if this is not a number.
+ *
+ * @returns {Object} The policy, for plan. Throws if an option is not valid.
+ */
+function getPolicy(providerOptions, maxCopies) {
+    const options = providerOptions || {};
+    const policy = {
+        maxCopies: maxCopies !== undefined ? parseInt(maxCopies, 10) : undefined,
+        dryRun: options.ucsRetentionDryRun === true || options.ucsRetentionDryRun === 'true'
+    };
+
+    Object.keys(POLICY_OPTIONS).forEach((property) => {
+        const value = options[POLICY_OPTIONS[property]];
+        if (value === undefined || value === '') {
+            return;
+        }
+
+        const number = Number(value);
+        if (!(number >= 0)) {
+            throw new Error(`Invalid UCS retention option ${POLICY_OPTIONS[property]}: ${value}`);
+        }
+        policy[property] = number;
+    });
+
+    policy.tiered = policy.keepAllHours !== undefined
+        || policy.keepDailyDays !== undefined
+        || policy.keepWeeklyWeeks !== undefined;
+
+    return policy;
+}
+
+/**
+ * Works out which UCS files to keep, delete and move to another access tier
+ *
+ * @param {Object[]} entries - Blob entries of the UCS files, with name, lastModified
+ *                             and accessTier
+ * @param {Object}   policy  - Policy returned by getPolicy
+ * @param {Number}   [now]   - Current time in milliseconds. Default Date.now().
+ *
+ * @returns {Object} The plan:
+ *                   {
+ *                       keep: <String[]> (names),
+ *                       delete: <String[]> (names),
+ *                       tier: <Object> (new access tier, by name)
+ *                   }
+ */
+function plan(entries, policy, now) {
+    const currentTime = now || Date.now();
+    const days = {};
+    const weeks = {};
+    const result = {
+        keep: [],
+        delete: [],
+        tier: {}
+    };
+
+    const sorted = entries.slice().sort((a, b) => {
+        return new Date(b.lastModified) - new Date(a.lastModified);
+    });
+
+    sorted.forEach((entry, index) => {
+        const modified = new Date(entry.lastModified).getTime();
+        const age = currentTime - modified;
+        const day = Math.floor(modified / DAY_MS);
+        // Day 0 was a Thursday, so this starts weeks on Monday
+        const week = Math.floor((day + 3) / 7);
+        let keep;
+
+        if (index === 0) {
+            keep = true;
+        } else if (!policy.tiered) {
+            keep = !(policy.maxCopies >= 0) || index < policy.maxCopies;
+        } else {
+            keep = isWithin(age, policy.keepAllHours, HOUR_MS)
+                || (isWithin(age, policy.keepDailyDays, DAY_MS) && !days[day])
+                || (isWithin(age, policy.keepWeeklyWeeks, WEEK_MS) && !weeks[week]);
+        }
+
+        if (!keep) {
+            result.delete.push(entry.name);
+            return;
+        }
+
+        result.keep.push(entry.name);
+        days[day] = true;
+        weeks[week] = true;
+
+        const tier = index === 0 ? undefined : getTargetTier(age, policy);
+        if (tier && TIER_ORDER.indexOf(tier) > TIER_ORDER.indexOf(entry.accessTier || TIER_HOT)) {
+            result.tier[entry.name] = tier;
+        }
+    });
+
+    return result;
+}
+
+function isWithin(age, count, unitMs) {
+    return count !== undefined && age <= count * unitMs;
+}
+
+function getTargetTier(age, policy) {
+    if (policy.archiveAfterDays !== undefined && age >= policy.archiveAfterDays * DAY_MS) {
+        return TIER_ARCHIVE;
+    }
+    if (policy.coolAfterDays !== undefined && age >= policy.coolAfterDays * DAY_MS) {
+        return TIER_COOL;
+    }
+    return undefined;
+}
+
+module.exports = {
+    getPolicy,
+    plan,
+    TIER_ARCHIVE
+};
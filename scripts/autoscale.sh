@@ -4,6 +4,7 @@ log_level=info
 backup_ucs_interval=86400
 cluster_update_interval=120
 metrics_collector_interval=60
+scheduled_events_interval=60
 
 # parse the command line arguments
 while [[ $# -gt 1 ]]; do
@@ -98,6 +99,9 @@ while [[ $# -gt 1 ]]; do
         --metricsCollectorInterval)
             metrics_collector_interval=$2
             shift 2;;
+        --scheduledEventsInterval)
+            scheduled_events_interval=$2
+            shift 2;;
         --logLevel)
             log_level=$2
             shift 2;;
@@ -304,6 +308,27 @@ else
     echo "Appears the $icall_handler_name icall already exists!"
 fi
 
+# Create Scheduled Events iCall and script, which demotes, backs up and revokes the license of
+# this instance before Azure terminates, preempts, reboots or redeploys it. Each run checks every
+# 5 seconds until the next one starts, as Spot instances get only 30 seconds' notice.
+script_loc="/config/cloud/scheduledEventsScript.sh"
+backup_ucs_files=${backup_ucs:-7}
+if [[ ! -z $big_iq_address ]]; then
+    echo "/usr/bin/f5-rest-node /config/cloud/azure/node_modules/@f5devcentral/f5-cloud-libs-azure/scripts/scheduledEvents.js --log-level $log_level --poll-interval 5 --run-time 55 --host localhost --port $mgmt_port --user $user --password-url file://$passwd_file --password-encrypted --max-ucs-files $backup_ucs_files --license-pool --big-iq-host $big_iq_address --big-iq-user $big_iq_user --big-iq-password-uri file://$big_iq_password --big-iq-password-encrypted --license-pool-name $big_iq_lic_pool_name --provider-options scaleSet:$vmss_name,azCredentialsUrl:file://$azure_secret_file,azCredentialsEncrypted:true,resourceGroup:$resource_group" > $script_loc
+else
+    echo "/usr/bin/f5-rest-node /config/cloud/azure/node_modules/@f5devcentral/f5-cloud-libs-azure/scripts/scheduledEvents.js --log-level $log_level --poll-interval 5 --run-time 55 --host localhost --port $mgmt_port --user $user --password-url file://$passwd_file --password-encrypted --max-ucs-files $backup_ucs_files --provider-options scaleSet:$vmss_name,azCredentialsUrl:file://$azure_secret_file,azCredentialsEncrypted:true,resourceGroup:$resource_group" > $script_loc
+fi
+icall_handler_name="ScheduledEventsHandler"
+icall_script_name="ScheduledEvents"
+# First check if iCall already exists
+tmsh list sys icall handler | grep $icall_handler_name
+if [[ $? != 0 ]]; then
+    tmsh create sys icall script $icall_script_name definition { exec bash $script_loc }
+    tmsh create sys icall handler periodic /Common/$icall_handler_name { first-occurrence now interval ${scheduled_events_interval} script /Common/$icall_script_name }
+else
+    echo "Appears the $icall_handler_name icall already exists!"
+fi
+
 # Create iCall to run Application Insights Provider code if required
 if [[ ! -z $app_insights_key ]]; then
     icall_handler_name="MetricsCollectorHandler"
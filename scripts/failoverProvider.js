@@ -11,43 +11,23 @@ const armResource = require('azure-arm-resource');
 const azureStorage = require('azure-storage');
 const azureEnvironment = require('ms-rest-azure/lib/azureEnvironment');
 const f5CloudLibs = require('@f5devcentral/f5-cloud-libs');
+const errors = require('../lib/errors');
+const ipAddress = require('../lib/ipAddress');
+const paging = require('../lib/paging');
+const tagSelector = require('../lib/tagSelector');
 
 const Logger = f5CloudLibs.logger;
 const util = f5CloudLibs.util;
 const localCryptoUtil = f5CloudLibs.localCryptoUtil;
+const ConflictError = errors.ConflictError;
 
-/**
- * Grab command line arguments
-*/
-options
-    .version('1.0.0')
-
-    .option('--log-level [type]', 'Specify the log level', 'info')
-    .option('--config-file [type]', 'Specify the configuration file', '/config/cloud/.azCredentials')
-    .option('--log-file [type]', 'Specify the log file', '/var/log/cloud/azure/failover.log')
-    .parse(process.argv);
-
-const loggerOptions = { logLevel: options.logLevel, fileName: options.logFile, console: true };
-const logger = Logger.getLogger(loggerOptions);
 const BigIp = f5CloudLibs.bigIp;
-const bigip = new BigIp({ logger });
+const optionsForTest = {};
 
+let logger;
+let bigip;
 let configFile;
-if (fs.existsSync(options.configFile)) {
-    configFile = fs.readFileSync(options.configFile, 'utf8');
-} else {
-    logger.error('Configuration file not found');
-    return;
-}
-
 let routeFilter = [];
-const managedRoutesFile = '/config/cloud/managedRoutes';
-if (fs.existsSync(managedRoutesFile)) {
-    logger.silly('Managed routes file found');
-    routeFilter = fs.readFileSync(managedRoutesFile, 'utf8').replace(/(\r\n|\n|\r)/gm, '').split(',');
-} else {
-    logger.info('Managed routes file not found');
-}
 
 const specialLocations = {
     // Azure US Government cloud regions: US DoD Central, US DoD East, US Gov Arizona,
@@ -65,6 +45,12 @@ const FAILOVER_STATUS_SUCCESS = 'succeeded';
 const FAILOVER_STATUS_FAIL = 'failed';
 const FAILOVER_STATUS_RUN = 'running';
 const MAX_RUNNING_TASK_MS = 10 * 60000; // 10 minutes
+const FAILOVER_DB_UPDATE_MAX_TRIES = 5;
+const FAILOVER_DB_UPDATE_RETRY_MS = 1000;
+const STORAGE_TOKEN_AUDIENCE = 'https://storage.azure.com/';
+// Route tables need non-empty f5_tg and f5_ha tags, and must also match the
+// routeTableTagSelector from the config file, if any
+const ROUTE_TABLE_TAG_SELECTOR = 'f5_tg=?* AND f5_ha=?*';
 let tgStats = [];
 let globalSettings = [];
 let virtualAddresses = [];
@@ -93,12 +79,15 @@ let storageClient;
 let credentials;
 const networkClients = [];
 let subClient;
+let routeTableSelector;
 
 const performFailover = function () {
     const deferred = q.defer();
+    let started = false;
 
-    putJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE, failoverDb)
+    startFailover()
         .then(() => {
+            started = true;
             return notifyStateUpdate('delete');
         })
         .then(() => {
@@ -141,16 +130,30 @@ const performFailover = function () {
         })
         .then(() => {
             logger.silly('Updating failover database in storage');
-            failoverDb.status = FAILOVER_STATUS_SUCCESS;
-            return putJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE, failoverDb);
+            return updateFailoverDb((db) => {
+                const updatedDb = db;
+                updatedDb.status = FAILOVER_STATUS_SUCCESS;
+                return updatedDb;
+            });
         })
         .then(() => {
             logger.silly('Updated failover database successfully');
             deferred.resolve();
         })
         .catch((err) => {
-            failoverDb.status = FAILOVER_STATUS_FAIL;
-            putJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE, failoverDb)
+            if (!started) {
+                // Another failover is running, so its status is left alone
+                deferred.reject(err);
+                return;
+            }
+            updateFailoverDb((db) => {
+                const updatedDb = db;
+                updatedDb.status = FAILOVER_STATUS_FAIL;
+                return updatedDb;
+            })
+                .catch((updateErr) => {
+                    logger.error('Error updating failover database:', updateErr);
+                })
                 .then(() => {
                     logger.error('Error during failover:', err);
                     deferred.reject(err);
@@ -159,85 +162,160 @@ const performFailover = function () {
     return deferred.promise;
 };
 
-q.all([
-    localCryptoUtil.symmetricDecryptPassword(configFile)
-])
-    .then((results) => {
-        configFile = JSON.parse(results[0]);
-        primarySubscriptionId = configFile.subscriptionId;
-        location = configFile.location;
-        uniqueLabel = configFile.uniqueLabel;
-        resourceGroup = configFile.resourceGroupName;
-
-        // Detect environment based on location (region), default to Azure
-        environment = azureEnvironment.Azure;
-        if (location) {
-            location = location.toLowerCase();
-            logger.info(`Location: ${location}`);
-            Object.keys(specialLocations).forEach((specialLocation) => {
-                locArr = specialLocations[specialLocation];
-                for (let l = locArr.length - 1; l >= 0; l--) {
-                    if (location.includes(locArr[l])) {
-                        environment = azureEnvironment[specialLocation];
-                        break;
-                    }
-                }
-            });
+const runner = {
+    /**
+     * Runs the failover provider script
+     *
+     * @param {String[]}    argv                        - The process arguments
+     * @param {Object}      [testOpts]                  - Options used during testing
+     * @param {Object}      [testOpts.logger]           - Logger to use for testing
+     * @param {Object}      [testOpts.bigIp]            - BigIp object to use for testing
+     * @param {Object}      [testOpts.storageClient]    - Azure storage client to use for testing
+     * @param {Object}      [testOpts.networkClients]   - Azure network clients keyed by subscription ID
+     *                                                    to use for testing
+     * @param {Function}    [cb]                        - Optional cb for call when done
+     */
+    run(argv, testOpts, cb) {
+        options
+            .version('1.0.0')
+            .option('--log-level [type]', 'Specify the log level', 'info')
+            .option('--config-file [type]', 'Specify the configuration file', '/config/cloud/.azCredentials')
+            .option(
+                '--managed-routes-file [type]',
+                'Specify the file listing the managed route prefixes',
+                '/config/cloud/managedRoutes'
+            )
+            .option(
+                '--state-file [type]',
+                'Specify the file which marks a failover state update in progress',
+                '/config/cloud/failoverState'
+            )
+            .option('--log-file [type]', 'Specify the log file', '/var/log/cloud/azure/failover.log')
+            .parse(argv);
+
+        Object.assign(optionsForTest, testOpts);
+
+        const loggerOptions = { logLevel: options.logLevel, fileName: options.logFile, console: true };
+        logger = optionsForTest.logger || Logger.getLogger(loggerOptions);
+        bigip = optionsForTest.bigIp || new BigIp({ logger });
+
+        if (fs.existsSync(options.configFile)) {
+            configFile = fs.readFileSync(options.configFile, 'utf8');
+        } else {
+            logger.error('Configuration file not found');
+            if (cb) {
+                cb();
+            }
+            return;
         }
 
-        storageAccount = configFile.storageAccount;
-        storageKey = configFile.storageKey;
-        storageClient = azureStorage.createBlobService(
-            storageAccount,
-            storageKey,
-            `${storageAccount}.blob${environment.storageEndpointSuffix}`
-        );
+        if (fs.existsSync(options.managedRoutesFile)) {
+            logger.silly('Managed routes file found');
+            routeFilter = fs.readFileSync(options.managedRoutesFile, 'utf8')
+                .replace(/(\r\n|\n|\r)/gm, '')
+                .split(',');
+        } else {
+            logger.info('Managed routes file not found');
+        }
 
-        credentials = new msRestAzure.ApplicationTokenCredentials(
-            configFile.clientId, configFile.tenantId, configFile.secret, { environment }
-        );
+        q.all([
+            localCryptoUtil.symmetricDecryptPassword(configFile)
+        ])
+            .then((results) => {
+                configFile = JSON.parse(results[0]);
+                primarySubscriptionId = configFile.subscriptionId;
+                location = configFile.location;
+                uniqueLabel = configFile.uniqueLabel;
+                resourceGroup = configFile.resourceGroupName;
+
+                // Detect environment based on location (region), default to Azure
+                environment = azureEnvironment.Azure;
+                if (location) {
+                    location = location.toLowerCase();
+                    logger.info(`Location: ${location}`);
+                    Object.keys(specialLocations).forEach((specialLocation) => {
+                        locArr = specialLocations[specialLocation];
+                        for (let l = locArr.length - 1; l >= 0; l--) {
+                            if (location.includes(locArr[l])) {
+                                environment = azureEnvironment[specialLocation];
+                                break;
+                            }
+                        }
+                    });
+                }
 
-        return storageInit(storageClient);
-    })
-    .then(() => {
-        return initNetworkClients();
-    })
-    .then(() => {
-        // Avoid the case where multiple tgactive/tgrefresh scripts are triggered
-        // within a short time frame may stomp on each other
-        return notifyStateUpdate('check');
-    })
-    .then(() => {
-        return getJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE);
-    })
-    .then((results) => {
-        failoverDb = results;
-
-        // If status tells us previous task is either running or failed then we need to wait
-        logger.silly('Failover database status:', failoverDb.status);
-        if (failoverDb.status === FAILOVER_STATUS_RUN || failoverDb.status === FAILOVER_STATUS_FAIL) {
-            logger.info('Waiting for previous task to complete before continuing');
-            return processPreviousTask();
-        }
-        return q();
-    })
-    .then(() => {
-        // If recovering from previous task, log
-        if (recoverPreviousTask) {
-            logger.info('Recovering from previous task');
-        }
-        failoverDb.status = FAILOVER_STATUS_RUN;
-        failoverDb.timeStamp = new Date().toJSON();
-        return performFailover();
-    })
-    .then(() => {
-        logger.info('Failover finished successfully');
-        notifyStateUpdate('delete');
-    })
-    .catch((error) => {
-        logger.error('Failover failed:', error.message);
-        notifyStateUpdate('delete');
-    });
+                storageAccount = configFile.storageAccount;
+                storageKey = configFile.storageKey;
+
+                routeTableSelector = tagSelector.parse(ROUTE_TABLE_TAG_SELECTOR);
+                if (configFile.routeTableTagSelector) {
+                    routeTableSelector = tagSelector.parse(
+                        `${ROUTE_TABLE_TAG_SELECTOR} AND (${configFile.routeTableTagSelector})`
+                    );
+                }
+
+                credentials = new msRestAzure.ApplicationTokenCredentials(
+                    configFile.clientId, configFile.tenantId, configFile.secret, { environment }
+                );
+
+                return optionsForTest.storageClient ? q(optionsForTest.storageClient) : createStorageClient();
+            })
+            .then((client) => {
+                storageClient = client;
+                return storageInit(storageClient);
+            })
+            .then(() => {
+                if (optionsForTest.networkClients) {
+                    Object.assign(networkClients, optionsForTest.networkClients);
+                    return q();
+                }
+                return initNetworkClients();
+            })
+            .then(() => {
+                // Avoid the case where multiple tgactive/tgrefresh scripts are triggered
+                // within a short time frame may stomp on each other
+                return notifyStateUpdate('check');
+            })
+            .then(() => {
+                return getJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE);
+            })
+            .then((results) => {
+                failoverDb = results.data;
+
+                // If status tells us previous task is either running or failed then we need to wait
+                logger.silly('Failover database status:', failoverDb.status);
+                if (failoverDb.status === FAILOVER_STATUS_RUN || failoverDb.status === FAILOVER_STATUS_FAIL) {
+                    logger.info('Waiting for previous task to complete before continuing');
+                    return processPreviousTask();
+                }
+                return q();
+            })
+            .then(() => {
+                // If recovering from previous task, log
+                if (recoverPreviousTask) {
+                    logger.info('Recovering from previous task');
+                }
+                return performFailover();
+            })
+            .then(() => {
+                logger.info('Failover finished successfully');
+                return notifyStateUpdate('delete');
+            })
+            .catch((error) => {
+                if (error instanceof ConflictError) {
+                    logger.info('Not failing over:', error.message);
+                } else {
+                    logger.error('Failover failed:', error.message);
+                }
+                return notifyStateUpdate('delete');
+            })
+            .done(() => {
+                if (cb) {
+                    cb();
+                }
+            });
+    }
+};
 
 const retryRoutes = function (routeTableGroup, routeTableName, routeName, routeParams, subscription) {
     return new Promise(
@@ -336,7 +414,8 @@ function processPreviousTask() {
             ((resolve, reject) => {
                 const differenceInMs = new Date() - Date.parse(failoverDb.timeStamp);
                 getJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE)
-                    .then((data) => {
+                    .then((result) => {
+                        const data = result.data;
                         // If previous task reports success we are fine to perform failover
                         logger.silly('status: ', data.status);
                         if (data.status === FAILOVER_STATUS_SUCCESS) {
@@ -386,7 +465,7 @@ function processPreviousTask() {
     * @returns {Promise} A promise which will be resolved after state update actions taken
 */
 function notifyStateUpdate(action) {
-    const stateFile = '/config/cloud/failoverState';
+    const stateFile = options.stateFile;
     const stateFileContents = 'Currently updating failover state status';
     const deferred = q.defer();
 
@@ -476,21 +555,11 @@ function listRouteTables() {
     const promises = [];
 
     const getRouteTable = function (subscription) {
-        const routeDeferred = q.defer();
-        networkClients[subscription].routeTables.listAll(
-            (error, data) => {
-                if (error) {
-                    routeDeferred.reject(error);
-                } else if (data !== undefined) {
-                    routesAndSubscriptionsData[subscription] = data;
-                    routeDeferred.resolve(data);
-                } else {
-                    routeDeferred.resolve();
-                }
-            }
-        );
-
-        return routeDeferred.promise;
+        return paging.listAll(networkClients[subscription].routeTables, 'listAll')
+            .then((data) => {
+                routesAndSubscriptionsData[subscription] = data;
+                return data;
+            });
     };
 
     Object.keys(networkClients).forEach((subscription) => {
@@ -524,8 +593,7 @@ function getRoutes(mySelfIp, routeTablesSubscriptions, myTrafficGroupsArr) {
     Object.keys(networkClients).forEach((sub) => {
         const routeTables = routeTablesSubscriptions[sub];
         routeTables.forEach((routeTable) => {
-            if (routeTable.tags && routeTable.tags.f5_tg
-                && routeTable.tags.f5_ha
+            if (tagSelector.matches(routeTable.tags, routeTableSelector)
                 && mySelfIp.name.includes(routeTable.tags.f5_ha)) {
                 // get the tag for each route table that has one
                 const tgTag = routeTable.tags.f5_tg;
@@ -562,8 +630,9 @@ function getRoutes(mySelfIp, routeTablesSubscriptions, myTrafficGroupsArr) {
 */
 function sendRoutes(routes, routeTableGroup, routeTableName, mySelfIp, subscription) {
     routes.forEach(function routeFunction(route) {
-        if (routeFilter.indexOf(route.addressPrefix) !== -1) {
-            // if route matches our file,
+        if (routeFilter.indexOf(route.addressPrefix) !== -1
+            && ipAddress.getFamily(route.addressPrefix) === ipAddress.getFamily(mySelfIp.address)) {
+            // if route matches our file and the address family of our self IP,
             // update its next hop
             const myRoute = route;
             const routeName = myRoute.name;
@@ -597,7 +666,7 @@ function matchRoutes(routeTables, selfIps, tgs, global) {
     selfIps.forEach((self) => {
         mySelfIpArr.push({
             name: self.name,
-            address: self.address.split('/')[0].split('%')[0]
+            address: ipAddress.strip(self.address)
         });
     });
 
@@ -623,17 +692,10 @@ function matchRoutes(routeTables, selfIps, tgs, global) {
     * @returns {Promise} A promise which can be resolved with a non-error response from Azure REST API
 */
 function listAzNics(resourceGroupName) {
-    return new Promise(
-        ((resolve, reject) => {
-            networkClients[primarySubscriptionId].networkInterfaces.list(resourceGroupName,
-                (error, data) => {
-                    if (error) {
-                        reject(error);
-                    } else {
-                        resolve(data);
-                    }
-                });
-        })
+    return paging.listAll(
+        networkClients[primarySubscriptionId].networkInterfaces,
+        'list',
+        [resourceGroupName]
     );
 }
 
@@ -649,6 +711,8 @@ function getNicConfig(ipConfig) {
         name: ipConfig.name,
         privateIPAllocationMethod: ipConfig.privateIPAllocationMethod,
         privateIPAddress: ipConfig.privateIPAddress,
+        // Without this, IPv6 configurations are recreated as IPv4 and the update fails
+        privateIPAddressVersion: ipConfig.privateIPAddressVersion,
         primary: ipConfig.primary,
         publicIPAddress: ipConfig.publicIPAddress,
         subnet: ipConfig.subnet,
@@ -770,12 +834,12 @@ function matchNics(nics, vs, selfIps, tgs, global) {
 
         if (tgMatch) {
             floatingSelfIpArr.push({
-                address: self.address.split('/')[0].split('%')[0],
+                address: ipAddress.strip(self.address),
                 trafficGroup: self.trafficGroup
             });
         } else {
             mySelfIpArr.push({
-                address: self.address.split('/')[0].split('%')[0]
+                address: ipAddress.strip(self.address)
             });
         }
     });
@@ -784,7 +848,7 @@ function matchNics(nics, vs, selfIps, tgs, global) {
         logger.error('No virtual addresses exist, create them prior to failover.');
     } else {
         vs.forEach((virtualAddress) => {
-            const address = virtualAddress.address.split('%')[0];
+            const address = ipAddress.strip(virtualAddress.address);
             const tg = virtualAddress.trafficGroup;
 
             myTrafficGroupsArr.forEach((tgmember) => {
@@ -820,7 +884,7 @@ function matchNics(nics, vs, selfIps, tgs, global) {
             ipConfigurations = nic.ipConfigurations;
             ipConfigurations.forEach((ipConfiguration) => {
                 mySelfIpArr.forEach((selfIp) => {
-                    if (ipConfiguration.privateIPAddress === selfIp.address) {
+                    if (ipAddress.isSame(ipConfiguration.privateIPAddress, selfIp.address)) {
                         if (myNicsArr.indexOf(nic) === -1) {
                             myNicsArr.push({
                                 nic
@@ -829,7 +893,7 @@ function matchNics(nics, vs, selfIps, tgs, global) {
                     }
                 });
                 trafficGroupIpArr.forEach((trafficGroupIp) => {
-                    if (ipConfiguration.privateIPAddress === trafficGroupIp.address) {
+                    if (ipAddress.isSame(ipConfiguration.privateIPAddress, trafficGroupIp.address)) {
                         if (theirNicsArr.indexOf(nic) === -1) {
                             theirNicsArr.push({
                                 nic
@@ -875,7 +939,7 @@ function matchNics(nics, vs, selfIps, tgs, global) {
 
                 for (i = theirNicArr.length - 1; i >= 0; i--) {
                     for (t = trafficGroupIpArr.length - 1; t >= 0; t--) {
-                        if (trafficGroupIpArr[t].address === theirNicArr[i].privateIPAddress) {
+                        if (ipAddress.isSame(trafficGroupIpArr[t].address, theirNicArr[i].privateIPAddress)) {
                             logger.silly('Match:', theirNicArr[i].privateIPAddress);
                             myNicArr.push(getNicConfig(theirNicArr[i]));
                             theirNicArr.splice(i, 1);
@@ -920,12 +984,17 @@ function matchNics(nics, vs, selfIps, tgs, global) {
         }
     }
     // Update failover database with desired configuration prior to updating NICs
-    if (disassociateArr && disassociateArr.length && associateArr && associateArr.length) {
-        failoverDb.desiredConfiguration.nicArr.disassociateArr = disassociateArr;
-        failoverDb.desiredConfiguration.nicArr.associateArr = associateArr;
-    }
-
-    putJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE, failoverDb)
+    updateFailoverDb((db) => {
+        const updatedDb = db;
+        if (disassociateArr && disassociateArr.length && associateArr && associateArr.length) {
+            updatedDb.desiredConfiguration = updatedDb.desiredConfiguration || {};
+            updatedDb.desiredConfiguration.nicArr = {
+                disassociateArr,
+                associateArr
+            };
+        }
+        return updatedDb;
+    })
         .then(() => {
             const disassociatePromises = disassociateArr.map(retrier.bind(null, updateNics));
             return q.all(disassociatePromises);
@@ -946,6 +1015,45 @@ function matchNics(nics, vs, selfIps, tgs, global) {
     return deferred.promise;
 }
 
+/**
+ * Creates the storage client
+ *
+ * Uses the storage account key if there is one. Otherwise, authenticates to storage with
+ * an Azure AD token for the service principal, which allows shared key access to be
+ * disabled on the storage account.
+ *
+ * @returns {Promise} A promise which will be resolved with the storage client.
+ */
+function createStorageClient() {
+    const storageHost = `https://${storageAccount}.blob.${environment.storageEndpointSuffix}`;
+
+    if (storageKey) {
+        return q(azureStorage.createBlobService(storageAccount, storageKey, storageHost));
+    }
+
+    logger.info('No storage key provided, using Azure AD authentication for storage');
+    const deferred = q.defer();
+    const storageCredentials = new msRestAzure.ApplicationTokenCredentials(
+        configFile.clientId,
+        configFile.tenantId,
+        configFile.secret,
+        { environment, tokenAudience: STORAGE_TOKEN_AUDIENCE }
+    );
+
+    storageCredentials.getToken((err, tokenResponse) => {
+        if (err) {
+            deferred.reject(err);
+        } else {
+            deferred.resolve(azureStorage.createBlobServiceWithTokenCredential(
+                storageHost,
+                new azureStorage.TokenCredential(tokenResponse.accessToken)
+            ));
+        }
+    });
+
+    return deferred.promise;
+}
+
 /**
  * Initialize storage
  *
@@ -965,9 +1073,18 @@ function storageInit(sClient) {
                 // blob exists, continue
                 deferred.resolve();
             } else {
-                putJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE, failoverDb)
+                const putOptions = { ifNotExists: true };
+                putJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE, failoverDb, putOptions)
                     .then(() => {
                         deferred.resolve();
+                    })
+                    .catch((err) => {
+                        // Another instance created the blob first, which is fine
+                        if (err instanceof ConflictError) {
+                            deferred.resolve();
+                        } else {
+                            deferred.reject(err);
+                        }
                     });
             }
         })
@@ -1044,20 +1161,23 @@ function checkJsonObject(sClient, container, name) {
  * @param {String}    container  - Name of the container in which to store the Object
  * @param {String}    name       - Name to store the object as
  *
- * @returns {Promise} Promise which will be resolved with the object
+ * @returns {Promise} Promise which will be resolved with { data, etag }
  *                    or rejected if an error occurs.
  */
 function getJsonObject(sClient, container, name) {
     const deferred = q.defer();
 
-    sClient.getBlobToText(container, name, (err, data) => {
+    sClient.getBlobToText(container, name, (err, data, blobResult) => {
         if (err) {
             logger.error('error from getBlobToText:', err);
             deferred.reject(err);
         } else {
             try {
                 logger.silly('getBlobToText result:', data);
-                deferred.resolve(JSON.parse(data));
+                deferred.resolve({
+                    data: JSON.parse(data),
+                    etag: blobResult ? blobResult.etag : undefined
+                });
             } catch (jsonErr) {
                 deferred.reject(jsonErr);
             }
@@ -1070,22 +1190,37 @@ function getJsonObject(sClient, container, name) {
 /**
  * Stores a JSON object in Azure storage
  *
- * @param {Object}    sClient   - Azure storage instance
- * @param {String}    container - Name of the container in which to store the Object
- * @param {String}    name      - Name to store the object as
- * @param {Object}    data      - Object to store
+ * @param {Object}    sClient                  - Azure storage instance
+ * @param {String}    container                - Name of the container in which to store the Object
+ * @param {String}    name                     - Name to store the object as
+ * @param {Object}    data                     - Object to store
+ * @param {Object}    [putOptions]             - Optional parameters
+ * @param {String}    [putOptions.etag]        - Only write if the stored object has this ETag (If-Match)
+ * @param {Boolean}   [putOptions.ifNotExists] - Only write if the object does not exist (If-None-Match)
  *
- * @returns {Promise} Promise which will be resolved when the operation completes
- *                    or rejected if an error occurs.
+ * @returns {Promise} Promise which will be resolved when the operation completes, rejected
+ *                    with a ConflictError if a condition is not met, or rejected if an error occurs.
  */
-function putJsonObject(sClient, container, name, data) {
+function putJsonObject(sClient, container, name, data, putOptions) {
     logger.silly('putJsonObject data:', data);
     const deferred = q.defer();
     const jsonData = JSON.stringify(data);
+    const requestOptions = {};
+    const AccessCondition = azureStorage.AccessCondition;
+
+    if (putOptions && putOptions.etag) {
+        requestOptions.accessConditions = AccessCondition.generateIfMatchCondition(putOptions.etag);
+    } else if (putOptions && putOptions.ifNotExists) {
+        requestOptions.accessConditions = AccessCondition.generateIfNotExistsCondition();
+    }
 
-    sClient.createBlockBlobFromText(container, name, jsonData, (err) => {
+    sClient.createBlockBlobFromText(container, name, jsonData, requestOptions, (err) => {
         if (err) {
-            deferred.reject(err);
+            if (errors.isConflict(err)) {
+                deferred.reject(new ConflictError(`${name} was changed by another writer`, err));
+            } else {
+                deferred.reject(err);
+            }
         } else {
             deferred.resolve();
         }
@@ -1093,3 +1228,82 @@ function putJsonObject(sClient, container, name, data) {
 
     return deferred.promise;
 }
+
+/**
+ * Read-modify-write of the failover database
+ *
+ * Writes with If-Match on the ETag that was read, so that concurrent failover
+ * scripts cannot overwrite each other's changes. On a conflict, the database is
+ * read again and updateFn re-applied.
+ *
+ * @param {Function} updateFn - Called with the stored failover database. Should return the
+ *                              database to write, or throw to abort the update.
+ *
+ * @returns {Promise} Promise which will be resolved when the update is written, or rejected
+ *                    with a ConflictError if the database kept changing.
+ */
+function updateFailoverDb(updateFn) {
+    let numTries = 0;
+
+    const tryUpdate = function () {
+        numTries += 1;
+
+        return getJsonObject(storageClient, FAILOVER_CONTAINER, FAILOVER_FILE)
+            .then((result) => {
+                // Errors from updateFn are not retried
+                const updatedDb = updateFn(result.data);
+                return putJsonObject(
+                    storageClient,
+                    FAILOVER_CONTAINER,
+                    FAILOVER_FILE,
+                    updatedDb,
+                    { etag: result.etag }
+                )
+                    .then(() => {
+                        failoverDb = updatedDb;
+                    })
+                    .catch((err) => {
+                        if (err instanceof ConflictError && numTries < FAILOVER_DB_UPDATE_MAX_TRIES) {
+                            logger.info('Failover database changed by another instance, retrying update');
+                            return q.delay(FAILOVER_DB_UPDATE_RETRY_MS).then(tryUpdate);
+                        }
+                        return q.reject(err);
+                    });
+            });
+    };
+
+    return tryUpdate();
+}
+
+/**
+ * Marks the failover database as running this failover
+ *
+ * The status is checked again in the same read-modify-write as the update, so that of two
+ * failovers which both saw the previous task finish, only the first one runs. A running
+ * status is only taken over once it is older than MAX_RUNNING_TASK_MS, as when recovering
+ * from a task which never finished.
+ *
+ * @returns {Promise} Promise which will be resolved when the status is written, or rejected
+ *                    with a ConflictError if another failover is running.
+ */
+function startFailover() {
+    return updateFailoverDb((db) => {
+        const runningMs = new Date() - Date.parse(db.timeStamp);
+        if (db.status === FAILOVER_STATUS_RUN && runningMs <= MAX_RUNNING_TASK_MS) {
+            throw new ConflictError(`Another failover has been running since ${db.timeStamp}`);
+        }
+
+        const updatedDb = db;
+        updatedDb.status = FAILOVER_STATUS_RUN;
+        updatedDb.timeStamp = new Date().toJSON();
+        return updatedDb;
+    });
+}
+
+module.exports = runner;
+
+// If we're called from the command line, run
+// This allows for test code to call us as a module
+if (!module.parent) {
+    runner.run(process.argv);
+}
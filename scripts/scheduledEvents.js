@@ -0,0 +1,565 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2019 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Checks the Azure Scheduled Events endpoint for events which take this instance down and
+ * gets the cluster ready for them. This is the Azure equivalent of an AWS lifecycle hook.
+ * Meant to be run periodically (see autoscale.sh). Azure gives 5 minutes' notice of a
+ * Terminate but only 30 seconds of a Preempt (Spot eviction), so use --poll-interval and
+ * --run-time to check every few seconds on Spot instances.
+ *
+ * For each Terminate, Preempt, Reboot or Redeploy event which includes this instance:
+ *     - mark this instance as leaving, and not primary, in the instance store so that the
+ *       next cluster update elects another instance. This comes first as it is quick.
+ *     - save a UCS and store it in cloud storage
+ *     - for Terminate and Preempt, revoke the BIG-IQ license of this instance
+ *     - acknowledge the event so that Azure starts it without waiting out the notice period
+ *
+ * If any step fails, the event is not acknowledged. The next run tries again and Azure
+ * starts the event at its NotBefore time regardless. A Preempt is different: there is no
+ * time for another try, so marking the instance only touches the instance store, the
+ * backup and license revocation are given until shortly before NotBefore and the event
+ * is always acknowledged. The steps done for each event are
+ * recorded in --state-file, so a retry picks up where the last run stopped: it stores
+ * the UCS already saved rather than saving another one.
+ */
+
+'use strict';
+
+const parser = require('commander');
+const q = require('q');
+const fs = require('fs');
+const http = require('http');
+const f5CloudLibs = require('@f5devcentral/f5-cloud-libs');
+const AzureCloudProvider = require('../lib/azureCloudProvider');
+
+const util = f5CloudLibs.util;
+const Logger = f5CloudLibs.logger;
+const BigIp = f5CloudLibs.bigIp;
+
+const METADATA_SERVER = '169.254.169.254';
+const INSTANCE_API_VERSION = '2017-12-01';
+const SCHEDULED_EVENTS_API_VERSION = '2020-07-01';
+const UCS_BACKUP_PREFIX = 'ucsAutosave_';
+const UCS_BACKUP_DIRECTORY = '/var/local/ucs';
+
+// Events which take the instance down, and those after which it does not come back
+const HANDLED_EVENT_TYPES = ['Terminate', 'Preempt', 'Reboot', 'Redeploy'];
+const REMOVING_EVENT_TYPES = ['Terminate', 'Preempt'];
+const PREEMPT_EVENT_TYPE = 'Preempt';
+
+// How long before the NotBefore time of a Preempt to stop waiting for the backup
+const PREEMPT_ACK_MARGIN_MS = 5000;
+
+const optionsForTest = {};
+
+let logger;
+
+// Steps done for each event, keyed by EventId, as { <step>: <result> }
+let completedSteps = {};
+
+(function run() {
+    const runner = {
+        /**
+         * Runs the scheduled events script
+         *
+         * @param {String[]}    argv                    - The process arguments
+         * @param {Object}      testOpts                - Options used during testing
+         * @param {Object}      testOpts.bigIp          - BigIp object to use for testing
+         * @param {Object}      testOpts.cloudProvider  - Cloud provider object to use for testing
+         * @param {Object}      testOpts.logger         - Logger to use for testing
+         * @param {Function}    cb                      - Optional cb for call when done
+         */
+        run(argv, testOpts, cb) {
+            /* eslint-disable max-len */
+            parser
+                .version('1.0.0')
+                .option('--host [type]', 'BIG-IP management IP', 'localhost')
+                .option('--port [type]', 'BIG-IP management port', '443')
+                .option('-u, --user [type]', 'BIG-IP admin user', 'admin')
+                .option('--password-url [type]', 'URL (file, http(s)) to location that contains BIG-IP admin user password', '')
+                .option('--password-encrypted', 'Indicates that the password is encrypted')
+                .option('--provider-options <cloud_options>', 'Options specific to Azure, as key:value pairs separated by commas. For example, scaleSet:myScaleSet,resourceGroup:myResourceGroup', util.map)
+                .option('--max-ucs-files [type]', 'Maximum number of UCS files to keep in cloud storage', 7)
+                .option('--license-pool', 'BIG-IP was licensed from a BIG-IQ license pool')
+                .option('--big-iq-host [type]', 'IP or FQDN of BIG-IQ')
+                .option('--big-iq-user [type]', 'BIG-IQ admin user name')
+                .option('--big-iq-password [type]', 'BIG-IQ admin user password')
+                .option('--big-iq-password-uri [type]', 'URI (file, http(s)) to location that contains BIG-IQ admin user password')
+                .option('--big-iq-password-encrypted', 'Indicates that the BIG-IQ password is encrypted')
+                .option('--license-pool-name [type]', 'Name of BIG-IQ license pool')
+                .option('--poll-interval [type]', 'Seconds between checks for scheduled events. Default is to check once', 0)
+                .option('--run-time [type]', 'With --poll-interval, seconds to keep checking for', 60)
+                .option('--metadata-server [type]', 'Host (and :port) of the instance metadata service', METADATA_SERVER)
+                .option('--state-file [type]', 'File which records the steps done for each scheduled event', '/config/cloud/scheduledEventsState')
+                .option('--log-level [type]', 'Specify the log level', 'info')
+                .option('--log-file [type]', 'Specify the log file location', '/var/log/cloud/azure/scheduledEvents.log')
+                .parse(argv);
+            /* eslint-enable max-len */
+
+            Object.assign(optionsForTest, testOpts);
+
+            const loggerOptions = { logLevel: parser.logLevel, fileName: parser.logFile, console: true };
+            logger = optionsForTest.logger || Logger.getLogger(loggerOptions);
+
+            completedSteps = loadCompletedSteps();
+
+            const pollIntervalMs = parseInt(parser.pollInterval, 10) * 1000;
+            const stopTime = Date.now() + (parseInt(parser.runTime, 10) * 1000);
+
+            const poll = function () {
+                return checkEvents(loggerOptions)
+                    .catch((err) => {
+                        // Try again on the next check
+                        logger.error(`Scheduled events failed: ${err && err.message ? err.message : err}`);
+                        return false;
+                    })
+                    .then((handled) => {
+                        if (handled || !pollIntervalMs || Date.now() + pollIntervalMs > stopTime) {
+                            return q();
+                        }
+                        return q.delay(pollIntervalMs).then(poll);
+                    });
+            };
+
+            poll()
+                .done(() => {
+                    if (cb) {
+                        cb();
+                    }
+                });
+        }
+    };
+
+    /**
+     * Checks for scheduled events for this instance and handles any there are
+     *
+     * @param {Object} loggerOptions - Options for the BigIp and cloud provider loggers
+     *
+     * @returns {Promise} A promise which is resolved with true if there were events, which
+     *                    have been handled and acknowledged
+     */
+    function checkEvents(loggerOptions) {
+        let bigIp;
+        let provider;
+        let instanceName;
+        let events;
+
+        return getInstanceMetadata()
+            .then((metadata) => {
+                instanceName = metadata.compute.name;
+                return getScheduledEvents();
+            })
+            .then((response) => {
+                events = getEventsForInstance(response, instanceName);
+                forgetOtherEvents(events);
+                if (events.length === 0) {
+                    logger.silly('No scheduled events for', instanceName);
+                    return false;
+                }
+
+                events.forEach((event) => {
+                    logger.info(
+                        `Scheduled event ${event.EventId}: ${event.EventType}`,
+                        `not before ${event.NotBefore || 'now'}`
+                    );
+                });
+
+                bigIp = optionsForTest.bigIp || new BigIp({ loggerOptions });
+                provider = optionsForTest.cloudProvider || new AzureCloudProvider({
+                    loggerOptions,
+                    clOptions: parser
+                });
+
+                // Not an autoscale init, which reads the scale set first
+                return provider.init(parser.providerOptions || {})
+                    .then(() => {
+                        return prepareForEvents(bigIp, provider, instanceName, events);
+                    })
+                    .catch((err) => {
+                        if (!isPreempted(events)) {
+                            return q.reject(err);
+                        }
+                        // The instance goes down in seconds whatever happens
+                        const message = err && err.message ? err.message : err;
+                        logger.warn(`Preparing for preemption failed: ${message}`);
+                        return q();
+                    })
+                    .then(() => {
+                        return acknowledgeEvents(events);
+                    })
+                    .then(() => {
+                        logger.info('Acknowledged scheduled events');
+                        return true;
+                    });
+            });
+    }
+
+    /**
+     * Marks this instance as leaving, backs up the configuration and, if the instance
+     * is being removed, revokes its license. Steps already done for the events are skipped.
+     *
+     * For a Preempt, marking the instance and the backup start together and are best
+     * effort: failures are logged and the steps are only waited for until
+     * PREEMPT_ACK_MARGIN_MS before NotBefore.
+     *
+     * @param {Object}   bigIp         - BigIp object, initialized here
+     * @param {Object}   provider      - Initialized cloud provider
+     * @param {String}   instanceName  - Name of this VM, as in instance metadata
+     * @param {Object[]} events        - Scheduled events for this instance
+     *
+     * @returns {Promise} A promise which is resolved when the instance is ready for the events
+     */
+    function prepareForEvents(bigIp, provider, instanceName, events) {
+        if (!isPreempted(events)) {
+            return leaveCluster(provider, instanceName, events)
+                .then((instance) => {
+                    return backUpUcs(bigIp, provider, events)
+                        .then(() => {
+                            return revokeLicense(bigIp, provider, events, instance);
+                        });
+                });
+        }
+
+        const leaving = leaveCluster(provider, instanceName, events)
+            .catch((err) => {
+                logger.warn(`Unable to mark instance as leaving: ${err && err.message ? err.message : err}`);
+                return undefined;
+            });
+        const backup = q.all([leaving, backUpUcs(bigIp, provider, events)])
+            .then((results) => {
+                return revokeLicense(bigIp, provider, events, results[0]);
+            });
+        return waitForPreemptBackup(backup, events);
+    }
+
+    /**
+     * Marks this instance as leaving, and not primary, in the instance store
+     *
+     * @param {Object}   provider      - Initialized cloud provider
+     * @param {String}   instanceName  - Name of this VM, as in instance metadata
+     * @param {Object[]} events        - Scheduled events for this instance
+     *
+     * @returns {Promise} A promise which is resolved with this instance as in the instance
+     *                    store, or undefined if it is not there
+     */
+    function leaveCluster(provider, instanceName, events) {
+        return runStep(events, 'leave', () => {
+            logger.info('Marking instance as leaving', instanceName);
+            return provider.markInstanceLeaving(
+                instanceName,
+                {
+                    eventId: events[0].EventId,
+                    eventType: events[0].EventType,
+                    time: new Date().toJSON()
+                }
+            )
+                .then((result) => {
+                    if (!result) {
+                        logger.info('Instance not found in instance store:', instanceName);
+                    }
+                    return result;
+                });
+        })
+            .then((result) => {
+                return result ? result.instance : undefined;
+            });
+    }
+
+    /**
+     * Saves a UCS on the BIG-IP and stores it in cloud storage
+     *
+     * @param {Object}   bigIp     - BigIp object, initialized here
+     * @param {Object}   provider  - Initialized cloud provider
+     * @param {Object[]} events    - Scheduled events for this instance
+     *
+     * @returns {Promise} A promise which is resolved when the UCS is stored
+     */
+    function backUpUcs(bigIp, provider, events) {
+        return bigIp.init(
+            parser.host,
+            parser.user,
+            parser.passwordUrl,
+            {
+                port: parser.port,
+                passwordIsUrl: true,
+                passwordEncrypted: parser.passwordEncrypted
+            }
+        )
+            .then(() => {
+                return runStep(events, 'saveUcs', () => {
+                    const ucsName = `${UCS_BACKUP_PREFIX}${Date.now()}`;
+                    logger.info('Backing up UCS', ucsName);
+                    return bigIp.saveUcs(ucsName)
+                        .then(() => {
+                            return ucsName;
+                        });
+                });
+            })
+            .then((ucsName) => {
+                return runStep(events, 'storeUcs', () => {
+                    return provider.storeUcs(
+                        `${UCS_BACKUP_DIRECTORY}/${ucsName}.ucs`,
+                        parser.maxUcsFiles,
+                        UCS_BACKUP_PREFIX,
+                        { bigIp }
+                    );
+                });
+            });
+    }
+
+    /**
+     * Revokes the BIG-IQ license of this instance if it is being removed
+     *
+     * @param {Object}   bigIp       - Initialized BigIp object
+     * @param {Object}   provider    - Initialized cloud provider
+     * @param {Object[]} events      - Scheduled events for this instance
+     * @param {Object}   [instance]  - This instance as in the instance store, if it is there
+     *
+     * @returns {Promise} A promise which is resolved when the license is revoked
+     */
+    function revokeLicense(bigIp, provider, events, instance) {
+        const removing = events.some((event) => {
+            return REMOVING_EVENT_TYPES.indexOf(event.EventType) !== -1;
+        });
+
+        if (!removing || !instance) {
+            return q();
+        }
+
+        return runStep(events, 'revokeLicense', () => {
+            logger.info('Revoking license for instance', instance.hostname);
+            return provider.revokeLicenses([instance], { bigIp });
+        });
+    }
+
+    /**
+     * Waits for the backup before a Preempt for as long as there is time
+     *
+     * @param {Promise}  backup  - Promise for the backup and license revocation
+     * @param {Object[]} events  - Scheduled events for this instance
+     *
+     * @returns {Promise} A promise which is resolved when the backup is done, has failed or
+     *                    there is no time left. It is never rejected.
+     */
+    function waitForPreemptBackup(backup, events) {
+        const notBefore = events.reduce((earliest, event) => {
+            const time = Date.parse(event.NotBefore);
+            return Number.isNaN(time) || time > earliest ? earliest : time;
+        }, Infinity);
+        const waitMs = notBefore - Date.now() - PREEMPT_ACK_MARGIN_MS;
+
+        return (waitMs === Infinity ? backup : backup.timeout(Math.max(waitMs, 0), 'no time left'))
+            .catch((err) => {
+                logger.warn(`Backup before preemption not done: ${err && err.message ? err.message : err}`);
+            });
+    }
+
+    function isPreempted(events) {
+        return events.some((event) => {
+            return event.EventType === PREEMPT_EVENT_TYPE;
+        });
+    }
+
+    /**
+     * Runs a step for the events unless it has already been done for all of them
+     *
+     * @param {Object[]} events  - Scheduled events for this instance
+     * @param {String}   step    - Name of the step
+     * @param {Function} fn      - Function which does the step, returning a promise
+     *
+     * @returns {Promise} A promise which is resolved with the result of the step, or
+     *                    that of the earlier run if the step has already been done
+     */
+    function runStep(events, step, fn) {
+        const pendingEvents = events.filter((event) => {
+            return !completedSteps[event.EventId] || completedSteps[event.EventId][step] === undefined;
+        });
+
+        if (pendingEvents.length === 0) {
+            logger.info('Already done for these scheduled events:', step);
+            return q(completedSteps[events[0].EventId][step]);
+        }
+
+        return fn()
+            .then((result) => {
+                const recordedResult = result === undefined ? true : result;
+                pendingEvents.forEach((event) => {
+                    completedSteps[event.EventId] = completedSteps[event.EventId] || {};
+                    completedSteps[event.EventId][step] = recordedResult;
+                });
+                saveCompletedSteps();
+                return recordedResult;
+            });
+    }
+
+    /**
+     * Drops the recorded steps of events which are no longer scheduled
+     *
+     * @param {Object[]} events - Scheduled events for this instance
+     */
+    function forgetOtherEvents(events) {
+        const eventIds = events.map((event) => {
+            return event.EventId;
+        });
+        const otherEventIds = Object.keys(completedSteps).filter((eventId) => {
+            return eventIds.indexOf(eventId) === -1;
+        });
+
+        if (otherEventIds.length > 0) {
+            otherEventIds.forEach((eventId) => {
+                delete completedSteps[eventId];
+            });
+            saveCompletedSteps();
+        }
+    }
+
+    function loadCompletedSteps() {
+        try {
+            return JSON.parse(fs.readFileSync(parser.stateFile, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.warn('Unable to read scheduled events state:', err.message);
+            }
+            return {};
+        }
+    }
+
+    function saveCompletedSteps() {
+        try {
+            fs.writeFileSync(parser.stateFile, JSON.stringify(completedSteps), 'utf8');
+        } catch (err) {
+            // Only costs repeating steps on the next run
+            logger.warn('Unable to save scheduled events state:', err.message);
+        }
+    }
+
+    /**
+     * Filters the scheduled events to those we handle which include this instance
+     *
+     * @param {Object} response      - Response from the Scheduled Events endpoint
+     * @param {String} instanceName  - Name of this VM, as in instance metadata
+     *
+     * @returns {Object[]} Events for this instance which have not started
+     */
+    function getEventsForInstance(response, instanceName) {
+        const events = response && Array.isArray(response.Events) ? response.Events : [];
+
+        return events.filter((event) => {
+            return HANDLED_EVENT_TYPES.indexOf(event.EventType) !== -1
+                && event.EventStatus === 'Scheduled'
+                && Array.isArray(event.Resources)
+                && event.Resources.indexOf(instanceName) !== -1;
+        });
+    }
+
+    /**
+     * Acknowledges scheduled events so that they start right away
+     *
+     * @param {Object[]} events - Events to acknowledge
+     *
+     * @returns {Promise} A promise which is resolved when the events are acknowledged
+     */
+    function acknowledgeEvents(events) {
+        const body = {
+            StartRequests: events.map((event) => {
+                return { EventId: event.EventId };
+            })
+        };
+        return sendMetadataRequest(
+            'POST',
+            `/metadata/scheduledevents?api-version=${SCHEDULED_EVENTS_API_VERSION}`,
+            body
+        );
+    }
+
+    function getScheduledEvents() {
+        return sendMetadataRequest(
+            'GET',
+            `/metadata/scheduledevents?api-version=${SCHEDULED_EVENTS_API_VERSION}`
+        );
+    }
+
+    function getInstanceMetadata() {
+        return sendMetadataRequest('GET', `/metadata/instance?api-version=${INSTANCE_API_VERSION}`);
+    }
+
+    /**
+     * Sends a request to the instance metadata service
+     *
+     * @param {String} method  - HTTP method
+     * @param {String} path    - Path and query
+     * @param {Object} [body]  - Body, sent as JSON
+     *
+     * @returns {Promise} A promise which is resolved with the parsed response body, if any
+     */
+    function sendMetadataRequest(method, path, body) {
+        const deferred = q.defer();
+        const data = body ? JSON.stringify(body) : undefined;
+        const headers = { Metadata: 'True' };
+
+        if (data) {
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(data);
+        }
+
+        const server = parser.metadataServer.split(':');
+        const request = http.request({
+            host: server[0],
+            port: server[1],
+            method,
+            path,
+            headers
+        }, (response) => {
+            let responseBody = '';
+            response.on('data', (chunk) => {
+                responseBody += chunk;
+            });
+            response.on('end', () => {
+                if (response.statusCode >= 300) {
+                    const message = `${method} ${path} returned status code ${response.statusCode}`;
+                    deferred.reject(new Error(message));
+                    return;
+                }
+                try {
+                    deferred.resolve(responseBody ? JSON.parse(responseBody) : undefined);
+                } catch (err) {
+                    deferred.reject(err);
+                }
+            });
+        });
+
+        request.on('error', (err) => {
+            deferred.reject(err);
+        });
+        if (data) {
+            request.write(data);
+        }
+        request.end();
+
+        return deferred.promise;
+    }
+
+    module.exports = runner;
+
+    // If we're called from the command line, run
+    // This allows for test code to call us as a module
+    if (!module.parent) {
+        runner.run(process.argv);
+    }
+}());
@@ -46,7 +46,7 @@ describe('azureCloudProvider', () => {
     let AutoscaleInstance;
     let provider;
     let createBlobFromTextParams;
-    let virtualMachineScaleSetUpdateParams;
+    let tagsPatch;
 
     let getBlobToTextParams;
 
@@ -55,6 +55,7 @@ describe('azureCloudProvider', () => {
     let receivedTenantId;
     let receivedAzureEnvironment;
     let loginWithManagedIdentityCalled;
+    let armResources;
 
     let azureLocation;
     let deleteBlobIfExistsCalled = false;
@@ -84,6 +85,15 @@ describe('azureCloudProvider', () => {
         provider = new AzureCloudProvider({ clOptions: { user: 'foo', password: 'bar' } });
         provider.resourceGroup = 'my resource group';
 
+        // Resources read directly from ARM, keyed by path. Anything else is a uniform scale set.
+        armResources = {};
+        azureComputeMock.baseUri = 'https://management.azure.com';
+        azureComputeMock.subscriptionId = subscriptionId;
+        azureComputeMock.sendRequest = function sendRequest(options, cb) {
+            const resourcePath = options.url.split('?')[0].replace(azureComputeMock.baseUri, '');
+            cb(null, armResources[resourcePath] || { properties: {} }, {}, { statusCode: 200 });
+        };
+
         azureStorageMock.createBlobService = function createBlobService() {
             return {
                 createContainerIfNotExists(container, cb) {
@@ -97,6 +107,9 @@ describe('azureCloudProvider', () => {
         Object.keys(require.cache).forEach((key) => {
             delete require.cache[key];
         });
+        // Each test requires fresh copies of the Azure SDK, which would otherwise
+        // stay referenced as children of this module until the whole run ends
+        module.children = [];
     });
 
     describe('init tests', () => {
@@ -225,6 +238,522 @@ describe('azureCloudProvider', () => {
                 });
         });
 
+        describe('storage endpoint tests', () => {
+            let receivedStorageHost;
+
+            beforeEach(() => {
+                receivedStorageHost = undefined;
+                azureStorageMock.createBlobService = function createBlobService(account, key, host) {
+                    receivedStorageHost = host;
+                    return {
+                        createContainerIfNotExists(container, cb) {
+                            cb();
+                        }
+                    };
+                };
+            });
+
+            it('azure commercial test', () => {
+                return provider.init({ azCredentialsUrl: 'file:///foo/bar' })
+                    .then(() => {
+                        assert.strictEqual(
+                            receivedStorageHost,
+                            `https://${storageAccount}.blob.core.windows.net`
+                        );
+                    });
+            });
+
+            it('azure china test', () => {
+                azureLocation = 'chinaeast';
+
+                return provider.init({ azCredentialsUrl: 'file:///foo/bar' })
+                    .then(() => {
+                        assert.strictEqual(receivedAzureEnvironment.name, 'AzureChina');
+                        assert.strictEqual(
+                            receivedStorageHost,
+                            `https://${storageAccount}.blob.core.chinacloudapi.cn`
+                        );
+                    });
+            });
+
+            it('custom environment test', () => {
+                const providerOptions = {
+                    azCredentialsUrl: 'file:///foo/bar',
+                    environment: 'AzureUSGovernment',
+                    customEnvironment: {
+                        name: 'MyAzureStack',
+                        resourceManagerEndpointUrl: 'https://management.local.azurestack.external',
+                        activeDirectoryEndpointUrl: 'https://login.microsoftonline.com/',
+                        storageEndpointSuffix: 'local.azurestack.external'
+                    }
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        // The name is always AzureCustom
+                        assert.strictEqual(receivedAzureEnvironment.name, 'AzureCustom');
+                        assert.strictEqual(
+                            receivedAzureEnvironment.resourceManagerEndpointUrl,
+                            'https://management.local.azurestack.external'
+                        );
+                        assert.strictEqual(
+                            receivedStorageHost,
+                            `https://${storageAccount}.blob.local.azurestack.external`
+                        );
+                    });
+            });
+
+            it('custom environment missing storage suffix test', () => {
+                const providerOptions = {
+                    azCredentialsUrl: 'file:///foo/bar',
+                    customEnvironment: {
+                        resourceManagerEndpointUrl: 'https://management.local.azurestack.external',
+                        activeDirectoryEndpointUrl: 'https://login.microsoftonline.com/'
+                    }
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        assert.ok(false, 'Should have thrown missing storageEndpointSuffix');
+                    })
+                    .catch((err) => {
+                        assert.notStrictEqual(err.message.indexOf('storageEndpointSuffix'), -1);
+                    });
+            });
+
+            it('custom environment missing aad endpoint test', () => {
+                const providerOptions = {
+                    azCredentialsUrl: 'file:///foo/bar',
+                    customEnvironment: {
+                        resourceManagerEndpointUrl: 'https://management.local.azurestack.external',
+                        storageEndpointSuffix: 'local.azurestack.external'
+                    }
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        assert.ok(false, 'Should have thrown missing activeDirectoryEndpointUrl');
+                    })
+                    .catch((err) => {
+                        assert.notStrictEqual(err.message.indexOf('activeDirectoryEndpointUrl'), -1);
+                    });
+            });
+        });
+
+        describe('instance store tests', () => {
+            it('memory store test', () => {
+                const providerOptions = {
+                    azCredentialsUrl: 'file:///foo/bar',
+                    instanceStore: 'memory'
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        return provider.putInstance('123', { isPrimary: true });
+                    })
+                    .then(() => {
+                        return provider.putInstance('456', { isPrimary: true });
+                    })
+                    .then(() => {
+                        return provider.primaryElected('456');
+                    })
+                    .then(() => {
+                        return provider.instanceStore.getInstances();
+                    })
+                    .then((instances) => {
+                        assert.strictEqual(instances['123'].isPrimary, false);
+                        assert.strictEqual(instances['456'].isPrimary, true);
+                    });
+            });
+
+            it('primary elected conflict test', () => {
+                const providerOptions = {
+                    azCredentialsUrl: 'file:///foo/bar',
+                    instanceStore: 'memory'
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        return provider.putInstance('123', { isPrimary: true });
+                    })
+                    .then(() => {
+                        provider.instanceStore.updateInstance = function updateInstance() {
+                            // eslint-disable-next-line global-require
+                            const ConflictError = require('../../lib/errors').ConflictError;
+                            return q.reject(new ConflictError('Instance 123 was changed by another writer'));
+                        };
+                        return provider.primaryElected('456');
+                    })
+                    .then(() => {
+                        assert.ok(false, 'should have thrown conflict');
+                    })
+                    .catch((err) => {
+                        assert.strictEqual(err.name, 'ConflictError');
+                    });
+            });
+
+            it('primary elected write error test', () => {
+                const providerOptions = {
+                    azCredentialsUrl: 'file:///foo/bar',
+                    instanceStore: 'memory'
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        return provider.putInstance('123', { isPrimary: true });
+                    })
+                    .then(() => {
+                        provider.instanceStore.updateInstance = function updateInstance() {
+                            return q.reject(new Error('store unavailable'));
+                        };
+                        return provider.primaryElected('456');
+                    })
+                    .then(() => {
+                        assert.ok(false, 'should have thrown write error');
+                    })
+                    .catch((err) => {
+                        assert.strictEqual(err.message, 'store unavailable');
+                    });
+            });
+
+            it('mark instance leaving test', () => {
+                const providerOptions = {
+                    azCredentialsUrl: 'file:///foo/bar',
+                    instanceStore: 'memory',
+                    scaleSet: 'vmss'
+                };
+                const leaving = { eventId: 'event-1', eventType: 'Preempt', time: new Date().toJSON() };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        return provider.putInstance('3', { isPrimary: true, hostname: 'host3' });
+                    })
+                    .then(() => {
+                        return provider.putInstance('vmss_ab12', { isPrimary: false });
+                    })
+                    .then(() => {
+                        // Uniform VM names end in the instance ID
+                        return provider.markInstanceLeaving('vmss_3', leaving);
+                    })
+                    .then((result) => {
+                        assert.strictEqual(result.instanceId, '3');
+                        assert.strictEqual(result.instance.hostname, 'host3');
+                        return provider.markInstanceLeaving('vmss_ab12', leaving);
+                    })
+                    .then((result) => {
+                        assert.strictEqual(result.instanceId, 'vmss_ab12');
+                        return provider.markInstanceLeaving('vmss_4', leaving);
+                    })
+                    .then((result) => {
+                        assert.strictEqual(result, undefined);
+                        return provider.instanceStore.getInstances();
+                    })
+                    .then((instances) => {
+                        assert.strictEqual(instances['3'].isPrimary, false);
+                        assert.deepStrictEqual(instances['3'].leaving, leaving);
+                        assert.deepStrictEqual(instances.vmss_ab12.leaving, leaving);
+                    });
+            });
+
+            it('table store test', () => {
+                let receivedTableHost;
+                let receivedTableName;
+                azureStorageMock.createTableService = function createTableService(account, key, host) {
+                    receivedTableHost = host;
+                    return {
+                        createTableIfNotExists(table, cb) {
+                            receivedTableName = table;
+                            cb();
+                        }
+                    };
+                };
+
+                const providerOptions = {
+                    azCredentialsUrl: 'file:///foo/bar',
+                    instanceStore: 'table'
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        assert.strictEqual(
+                            receivedTableHost,
+                            `https://${storageAccount}.table.core.windows.net`
+                        );
+                        assert.strictEqual(receivedTableName, 'instances');
+                    });
+            });
+
+            it('table store no storage key test', () => {
+                const providerOptions = {
+                    storageAccount,
+                    useManagedIdentity: true,
+                    environment: 'Azure',
+                    instanceStore: 'table'
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        assert.ok(false, 'should have thrown no storage key');
+                    })
+                    .catch((err) => {
+                        assert.strictEqual(err.message, 'Table instance store requires a storage key');
+                    });
+            });
+        });
+
+        describe('storage token auth tests', () => {
+            let receivedStorageHost;
+            let receivedStorageToken;
+            let receivedTokenAudience;
+            let createBlobServiceCalled;
+
+            beforeEach(() => {
+                receivedStorageHost = undefined;
+                receivedStorageToken = undefined;
+                receivedTokenAudience = undefined;
+                createBlobServiceCalled = false;
+
+                azureStorageMock.createBlobService = function createBlobService() {
+                    createBlobServiceCalled = true;
+                    return {
+                        createContainerIfNotExists(container, cb) {
+                            cb();
+                        }
+                    };
+                };
+                azureStorageMock.TokenCredential = function TokenCredential(token) {
+                    receivedStorageToken = token;
+                };
+                azureStorageMock.createBlobServiceWithTokenCredential = function createWithToken(host) {
+                    receivedStorageHost = host;
+                    return {
+                        createContainerIfNotExists(container, cb) {
+                            cb();
+                        }
+                    };
+                };
+
+                azureMock.MSIVmTokenCredentials = function MSIVmTokenCredentials(options) {
+                    this.resource = options.resource;
+                };
+                azureMock.MSIVmTokenCredentials.prototype.getToken = function getToken(cb) {
+                    cb(null, { accessToken: `token for ${this.resource}`, expiresIn: 3600 });
+                };
+
+                azureMock.loginWithServicePrincipalSecret = function loginWithServicePrincipalSecret(
+                    aClientId,
+                    aSecret,
+                    aTenantId,
+                    options,
+                    cb
+                ) {
+                    receivedTokenAudience = options.tokenAudience;
+                    cb(null, {
+                        getToken(tokenCb) {
+                            tokenCb(null, { accessToken: 'sp storage token' });
+                        }
+                    });
+                };
+            });
+
+            it('managed identity test', () => {
+                const providerOptions = {
+                    resourceGroup: 'myResourceGroup',
+                    storageAccount,
+                    useManagedIdentity: true,
+                    environment: 'AzureUSGovernment'
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        assert.strictEqual(createBlobServiceCalled, false);
+                        assert.strictEqual(
+                            receivedStorageHost,
+                            `https://${storageAccount}.blob.core.usgovcloudapi.net`
+                        );
+                        assert.strictEqual(receivedStorageToken, 'token for https://storage.azure.com/');
+                        assert.ok(provider.storageClient);
+                    });
+            });
+
+            it('service principal test', () => {
+                const providerOptions = {
+                    resourceGroup: 'myResourceGroup',
+                    clientId,
+                    secret,
+                    tenantId,
+                    storageAccount,
+                    environment: 'Azure'
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        assert.strictEqual(receivedTokenAudience, 'https://storage.azure.com/');
+                        assert.strictEqual(
+                            receivedStorageHost,
+                            `https://${storageAccount}.blob.core.windows.net`
+                        );
+                        assert.strictEqual(receivedStorageToken, 'sp storage token');
+                    });
+            });
+
+            it('storage key preferred test', () => {
+                const providerOptions = {
+                    resourceGroup: 'myResourceGroup',
+                    storageAccount,
+                    storageKey,
+                    useManagedIdentity: true,
+                    environment: 'Azure'
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        assert.strictEqual(createBlobServiceCalled, true);
+                        assert.strictEqual(receivedStorageHost, undefined);
+                    });
+            });
+        });
+
+        describe('key vault tests', () => {
+            const keyVaultSecretUri = 'https://myvault.vault.azure.net/secrets/mySecret';
+            let secretVersion;
+            let receivedKeyVaultUrl;
+            let receivedKeyVaultHeaders;
+            let receivedMsiResource;
+
+            beforeEach(() => {
+                secretVersion = 'version1';
+                receivedKeyVaultHeaders = undefined;
+                receivedMsiResource = undefined;
+
+                utilMock.getDataFromUrl = function getDataFromUrl(url, options) {
+                    if (url.indexOf('http://169.254.169.254') !== -1) {
+                        return q({
+                            compute: {
+                                location: azureLocation
+                            }
+                        });
+                    }
+                    if (url.startsWith(keyVaultSecretUri)) {
+                        receivedKeyVaultUrl = url;
+                        receivedKeyVaultHeaders = options.headers;
+                        return q({
+                            id: `${keyVaultSecretUri}/${secretVersion}`,
+                            value: JSON.stringify({
+                                clientId,
+                                tenantId,
+                                subscriptionId,
+                                storageAccount,
+                                secret: `${secret}_${secretVersion}`,
+                                storageKey: `${storageKey}_${secretVersion}`
+                            })
+                        });
+                    }
+                    return q.reject(new Error(`unexpected url ${url}`));
+                };
+
+                azureMock.MSIVmTokenCredentials = function MSIVmTokenCredentials(options) {
+                    receivedMsiResource = options.resource;
+                };
+                azureMock.MSIVmTokenCredentials.prototype.getToken = function getToken(cb) {
+                    cb(null, { accessToken: 'myAccessToken' });
+                };
+            });
+
+            it('basic test', () => {
+                const providerOptions = {
+                    resourceGroup: 'myResourceGroup',
+                    keyVaultSecretUri
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        assert.strictEqual(receivedMsiResource, 'https://vault.azure.net');
+                        assert.strictEqual(receivedKeyVaultHeaders.Authorization, 'Bearer myAccessToken');
+                        assert.strictEqual(receivedKeyVaultUrl, `${keyVaultSecretUri}?api-version=7.0`);
+                        assert.strictEqual(receivedClientId, clientId);
+                        assert.strictEqual(receivedSecret, `${secret}_version1`);
+                        assert.strictEqual(receivedTenantId, tenantId);
+                    });
+            });
+
+            it('refresh rotated secret test', () => {
+                const providerOptions = {
+                    resourceGroup: 'myResourceGroup',
+                    keyVaultSecretUri,
+                    keyVaultRefreshIntervalMs: -1
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        secretVersion = 'version2';
+                        return provider.refreshCredentials();
+                    })
+                    .then(() => {
+                        assert.strictEqual(receivedSecret, `${secret}_version2`);
+                        assert.strictEqual(provider.keyVaultSecret.id, `${keyVaultSecretUri}/version2`);
+                    });
+            });
+
+            it('refresh from other methods test', () => {
+                const providerOptions = {
+                    resourceGroup: 'myResourceGroup',
+                    keyVaultSecretUri,
+                    keyVaultRefreshIntervalMs: -1
+                };
+                let store;
+                let oldStorageClient;
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        store = provider.instanceStore;
+                        oldStorageClient = store.storageClient;
+                        store.getInstances = function getInstances() {
+                            return q({});
+                        };
+                        secretVersion = 'version2';
+                        return provider.markInstanceLeaving('myVm', {});
+                    })
+                    .then(() => {
+                        assert.strictEqual(receivedSecret, `${secret}_version2`);
+                        // The instance store is kept, but uses the client for the new storage key
+                        assert.strictEqual(provider.instanceStore, store);
+                        assert.notStrictEqual(provider.storageClient, oldStorageClient);
+                        assert.strictEqual(store.storageClient, provider.storageClient);
+                    });
+            });
+
+            it('refresh not needed test', () => {
+                const providerOptions = {
+                    resourceGroup: 'myResourceGroup',
+                    keyVaultSecretUri
+                };
+
+                return provider.init(providerOptions)
+                    .then(() => {
+                        secretVersion = 'version2';
+                        return provider.refreshCredentials();
+                    })
+                    .then(() => {
+                        assert.strictEqual(receivedSecret, `${secret}_version1`);
+                    });
+            });
+
+            it('no secret value test', () => {
+                utilMock.getDataFromUrl = function getDataFromUrl() {
+                    return q({ id: keyVaultSecretUri });
+                };
+
+                return provider.init({ keyVaultSecretUri, environment: 'Azure' })
+                    .then(() => {
+                        assert.ok(false, 'Should have thrown no value');
+                    })
+                    .catch((err) => {
+                        assert.notStrictEqual(err.message.indexOf('has no value'), -1);
+                    });
+            });
+        });
+
         it('azure login bad credentials url test', () => {
             const errorMessage = 'bad url';
             utilMock.getDataFromUrl = function getDataFromUrl() {
@@ -306,6 +835,15 @@ describe('azureCloudProvider', () => {
                 });
         });
 
+        it('flexible test', () => {
+            provider.orchestrationMode = 'Flexible';
+
+            return provider.getInstanceId()
+                .then((instanceId) => {
+                    assert.strictEqual(instanceId, 'instance456');
+                });
+        });
+
         it('cached test', () => {
             provider.instanceId = '789';
             return provider.getInstanceId()
@@ -365,6 +903,308 @@ describe('azureCloudProvider', () => {
         });
     });
 
+    describe('store ucs tests', () => {
+        let committed;
+        let deletedBlobs;
+        let uploadedBlocks;
+        let ucsFile;
+
+        beforeEach(() => {
+            /* eslint-disable global-require */
+            const fs = require('fs');
+            const os = require('os');
+            /* eslint-enable global-require */
+
+            committed = undefined;
+            deletedBlobs = [];
+            uploadedBlocks = [];
+            ucsFile = `${os.tmpdir()}/ucsAutosave_3.ucs`;
+            fs.writeFileSync(ucsFile, 'my ucs');
+
+            provider.providerOptions = { ucsChecksumAlgorithm: 'md5' };
+            provider.instanceId = '3';
+            provider.bigIp = {
+                deviceInfo() {
+                    return q({ version: '15.1.0', hostname: 'bigip1.example.com' });
+                }
+            };
+            provider.storageClient = {
+                listBlocks(container, name, type, cb) {
+                    cb({ statusCode: 404 });
+                },
+                createBlockFromText(id, container, name, data, cb) {
+                    uploadedBlocks.push(data);
+                    cb();
+                },
+                commitBlocks(container, name, blockList, options, cb) {
+                    committed = { container, name, metadata: options.metadata };
+                    cb();
+                },
+                listBlobsSegmented(container, token, options, cb) {
+                    cb(null, {
+                        entries: [
+                            { name: 'ucsAutosave_1.ucs', lastModified: 'Mon, 19 Oct 2026 09:00:00 GMT' },
+                            { name: 'ucsAutosave_2.ucs', lastModified: 'Mon, 19 Oct 2026 10:00:00 GMT' },
+                            { name: 'ucsAutosave_3.ucs', lastModified: 'Mon, 19 Oct 2026 11:00:00 GMT' }
+                        ]
+                    });
+                },
+                deleteBlobIfExists(container, name, cb) {
+                    deletedBlobs.push(name);
+                    cb();
+                }
+            };
+        });
+
+        afterEach(() => {
+            // eslint-disable-next-line global-require
+            require('fs').unlinkSync(ucsFile);
+        });
+
+        it('basic test', () => {
+            return provider.storeUcs(ucsFile, 2, 'ucsAutosave_')
+                .then(() => {
+                    assert.deepStrictEqual(committed, {
+                        container: 'backup',
+                        name: 'ucsAutosave_3.ucs',
+                        metadata: {
+                            bigipversion: '15.1.0',
+                            hostname: 'bigip1.example.com',
+                            instanceid: '3',
+                            checksum: '62fa593f228bfe4c1870449281990f54',
+                            checksumalgorithm: 'md5'
+                        }
+                    });
+                    assert.deepStrictEqual(deletedBlobs, ['ucsAutosave_1.ucs']);
+                });
+        });
+
+        it('retention test', () => {
+            const tieredBlobs = {};
+            const now = Date.now();
+            const entries = [
+                { name: 'ucsAutosave_1.ucs', lastModified: new Date(now - (20 * 86400000)).toUTCString() },
+                { name: 'ucsAutosave_2.ucs', lastModified: new Date(now - (2 * 3600000)).toUTCString() },
+                { name: 'ucsAutosave_3.ucs', lastModified: new Date(now - 60000).toUTCString() }
+            ];
+
+            provider.providerOptions = {
+                ucsKeepAllHours: 4,
+                ucsCoolTierAfterDays: '0'
+            };
+            provider.storageClient.listBlobsSegmented = function listBlobsSegmented(c, t, o, cb) {
+                cb(null, { entries });
+            };
+            provider.storageClient.setBlobTier = function setBlobTier(container, name, tier, cb) {
+                tieredBlobs[name] = tier;
+                cb();
+            };
+
+            return provider.storeUcs(ucsFile, 1, 'ucsAutosave_')
+                .then((report) => {
+                    assert.deepStrictEqual(report, {
+                        deleted: ['ucsAutosave_1.ucs'],
+                        tiered: { 'ucsAutosave_2.ucs': 'Cool' },
+                        dryRun: false
+                    });
+                    assert.deepStrictEqual(deletedBlobs, ['ucsAutosave_1.ucs']);
+                    assert.deepStrictEqual(tieredBlobs, { 'ucsAutosave_2.ucs': 'Cool' });
+                });
+        });
+
+        it('retention dry run test', () => {
+            const now = Date.now();
+            const daysAgo = function (days) {
+                return new Date(now - (days * 86400000)).toUTCString();
+            };
+
+            provider.providerOptions = {
+                ucsRetentionDryRun: 'true',
+                ucsArchiveTierAfterDays: 1
+            };
+            provider.storageClient.listBlobsSegmented = function listBlobsSegmented(c, t, o, cb) {
+                cb(null, {
+                    entries: [
+                        { name: 'ucsAutosave_1.ucs', lastModified: daysAgo(3) },
+                        { name: 'ucsAutosave_2.ucs', lastModified: daysAgo(2) },
+                        { name: 'ucsAutosave_3.ucs', lastModified: daysAgo(0) }
+                    ]
+                });
+            };
+            provider.storageClient.setBlobTier = function setBlobTier() {
+                assert.ok(false, 'setBlobTier should not be called');
+            };
+
+            return provider.storeUcs(ucsFile, 2, 'ucsAutosave_')
+                .then((report) => {
+                    assert.deepStrictEqual(report, {
+                        deleted: ['ucsAutosave_1.ucs'],
+                        tiered: { 'ucsAutosave_2.ucs': 'Archive' },
+                        dryRun: true
+                    });
+                    assert.deepStrictEqual(deletedBlobs, []);
+                });
+        });
+
+        it('big ip option test', () => {
+            const bigIp = {
+                deviceInfo() {
+                    return q({ version: '16.1.3', hostname: 'bigip2.example.com' });
+                }
+            };
+
+            return provider.storeUcs(ucsFile, 2, 'ucsAutosave_', { bigIp })
+                .then(() => {
+                    assert.strictEqual(committed.metadata.bigipversion, '16.1.3');
+                    assert.strictEqual(committed.metadata.hostname, 'bigip2.example.com');
+                });
+        });
+
+        it('metadata error test', () => {
+            provider.bigIp.deviceInfo = function deviceInfo() {
+                return q.reject(new Error('BIG-IP not ready'));
+            };
+
+            return provider.storeUcs(ucsFile, 2, 'ucsAutosave_')
+                .then(() => {
+                    assert.strictEqual(committed.metadata.bigipversion, undefined);
+                    assert.strictEqual(committed.metadata.hostname, undefined);
+                    assert.strictEqual(committed.metadata.instanceid, '3');
+                });
+        });
+
+        it('encrypted test', () => {
+            /* eslint-disable global-require */
+            const fs = require('fs');
+            const os = require('os');
+            const stream = require('stream');
+            /* eslint-enable global-require */
+
+            const keyUri = 'https://myvault.vault.azure.net/keys/ucs';
+            const wrappedKeys = {};
+
+            provider.providerOptions = {
+                ucsEncryptionKey: keyUri,
+                ucsVerifyDirectory: os.tmpdir()
+            };
+            provider.keyVaultClient = {
+                sendRequest(options, cb) {
+                    if (options.url.startsWith(`${keyUri}/wrapkey`)) {
+                        // base64url of 'wrapped'
+                        wrappedKeys.d3JhcHBlZA = options.body.value;
+                        cb(null, { kid: `${keyUri}/v1`, value: 'd3JhcHBlZA' }, {}, { statusCode: 200 });
+                    } else {
+                        cb(null, { value: wrappedKeys[options.body.value] }, {}, { statusCode: 200 });
+                    }
+                }
+            };
+
+            return provider.storeUcs(ucsFile, 2, 'ucsAutosave_')
+                .then(() => {
+                    const uploaded = Buffer.concat(uploadedBlocks);
+
+                    assert.strictEqual(committed.metadata.encryption, 'AES256-GCM');
+                    assert.strictEqual(committed.metadata.encryptionkeyid, `${keyUri}/v1`);
+                    assert.strictEqual(committed.metadata.checksumalgorithm, 'sha256');
+                    assert.strictEqual(uploaded.indexOf('my ucs'), -1);
+                    assert.strictEqual(fs.existsSync(`${ucsFile}.encrypted`), false);
+
+                    provider.storageClient.listBlobsSegmented = function listBlobsSegmented(c, t, o, cb) {
+                        cb(null, {
+                            entries: [
+                                {
+                                    name: 'ucsAutosave_4.ucs',
+                                    lastModified: 'Mon, 19 Oct 2026 11:00:00 GMT',
+                                    metadata: committed.metadata
+                                }
+                            ]
+                        });
+                    };
+                    provider.storageClient.createReadStream = function createReadStream() {
+                        const blobStream = new stream.PassThrough();
+                        blobStream.end(uploaded);
+                        return blobStream;
+                    };
+
+                    return provider.getStoredUcs();
+                })
+                .then((ucsData) => {
+                    const deferred = q.defer();
+                    let data = '';
+                    ucsData.on('data', (chunk) => {
+                        data += chunk;
+                    });
+                    ucsData.on('end', () => {
+                        deferred.resolve(data);
+                    });
+                    return deferred.promise;
+                })
+                .then((data) => {
+                    assert.strictEqual(data, 'my ucs');
+                });
+        });
+
+        it('encrypted upload error test', () => {
+            /* eslint-disable global-require */
+            const fs = require('fs');
+            const cryptoUtilMock = require('@f5devcentral/f5-cloud-libs').cryptoUtil;
+            /* eslint-enable global-require */
+
+            provider.providerOptions = { ucsEncryptionKey: 'local' };
+            cryptoUtilMock.encrypt = function encrypt(keyFile, data) {
+                return q(`encrypted:${data}`);
+            };
+            provider.storageClient.commitBlocks = function commitBlocks(container, name, list, options, cb) {
+                cb(new Error('storage unavailable'));
+            };
+
+            return provider.storeUcs(ucsFile, 2, 'ucsAutosave_')
+                .then(() => {
+                    assert.ok(false, 'should have thrown upload error');
+                })
+                .catch((err) => {
+                    assert.notStrictEqual(err.message.indexOf('storage unavailable'), -1);
+                    assert.strictEqual(fs.existsSync(`${ucsFile}.encrypted`), false);
+                });
+        }).timeout(10000);
+
+        it('upload retry test', () => {
+            const stagedBlocks = {};
+            let commitCount = 0;
+
+            provider.storageClient.listBlocks = function listBlocks(container, name, type, cb) {
+                cb(null, {
+                    UncommittedBlocks: Object.keys(stagedBlocks).map((id) => {
+                        return { Name: id, Size: `${stagedBlocks[id]}` };
+                    })
+                });
+            };
+            provider.storageClient.createBlockFromText = function createBlockFromText(id, c, n, data, cb) {
+                stagedBlocks[id] = data.length;
+                uploadedBlocks.push(data);
+                cb();
+            };
+            provider.storageClient.commitBlocks = function commitBlocks(container, name, list, options, cb) {
+                commitCount += 1;
+                if (commitCount === 1) {
+                    cb(new Error('storage unavailable'));
+                    return;
+                }
+                committed = { container, name, metadata: options.metadata };
+                cb();
+            };
+
+            return provider.storeUcs(ucsFile, 2, 'ucsAutosave_')
+                .then(() => {
+                    assert.strictEqual(commitCount, 2);
+                    assert.strictEqual(committed.name, 'ucsAutosave_3.ucs');
+
+                    // The retry reuses the block staged by the first attempt
+                    assert.strictEqual(uploadedBlocks.length, 1);
+                });
+        }).timeout(5000);
+    });
+
     describe('delete stored ucs tests', () => {
         beforeEach(() => {
             provider.storageClient = {
@@ -445,8 +1285,8 @@ describe('azureCloudProvider', () => {
 
             azureNetworkMock.networkInterfaces = {
                 listVirtualMachineScaleSetNetworkInterfaces(resourceGroup, scaleSet, cb) {
-                    cb(null, {
-                        123: {
+                    cb(null, [
+                        {
                             virtualMachine: {
                                 id: 'instance/123'
                             },
@@ -459,7 +1299,7 @@ describe('azureCloudProvider', () => {
                                 }
                             ]
                         },
-                        456: {
+                        {
                             virtualMachine: {
                                 id: 'instance/456'
                             },
@@ -469,7 +1309,7 @@ describe('azureCloudProvider', () => {
                                 }
                             ]
                         }
-                    });
+                    ]);
                 }
             };
 
@@ -492,6 +1332,406 @@ describe('azureCloudProvider', () => {
             provider.resourceGroup = 'my resource group';
         });
 
+        it('vm tags test', () => {
+            const list = azureComputeMock.virtualMachineScaleSetVMs.list;
+            azureComputeMock.virtualMachineScaleSetVMs.list = function listVms(group, scaleSet, options, cb) {
+                list(group, scaleSet, options, (err, vms) => {
+                    // eslint-disable-next-line no-param-reassign
+                    vms[0].tags = { f5_election_priority: '10' };
+                    cb(err, vms);
+                });
+            };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.deepStrictEqual(instances['123'].tags, { f5_election_priority: '10' });
+                    assert.strictEqual(instances['456'].tags, undefined);
+                });
+        });
+
+        it('ipv6 test', () => {
+            const receivedPublicIpNames = [];
+            const listNics = azureNetworkMock.networkInterfaces.listVirtualMachineScaleSetNetworkInterfaces;
+            azureNetworkMock.networkInterfaces.listVirtualMachineScaleSetNetworkInterfaces =
+                function listNetworkInterfaces(resourceGroup, scaleSet, cb) {
+                    listNics(resourceGroup, scaleSet, (err, nics) => {
+                        // IPv6 configurations are never primary and need not come first
+                        nics[0].ipConfigurations.unshift({
+                            privateIPAddress: 'ace:cab:deca::4',
+                            privateIPAddressVersion: 'IPv6',
+                            publicIPAddress: {
+                                id: '/one/two/three/four/five/six/seven/ipv6Name'
+                            }
+                        });
+                        // eslint-disable-next-line no-param-reassign
+                        nics[0].ipConfigurations[1].primary = true;
+                        nics[1].ipConfigurations.push({
+                            privateIPAddress: 'ace:cab:deca::5'
+                        });
+                        cb(err, nics);
+                    });
+                };
+            azureNetworkMock.publicIPAddresses.get = function get(resourceGroup, publicIpName, cb) {
+                receivedPublicIpNames.push(publicIpName);
+                cb(null, {
+                    ipAddress: publicIpName === 'ipv6Name' ? '2001:db8::1' : '123.456.789.1'
+                });
+            };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.strictEqual(instances['123'].privateIp, '5.6.7.8');
+                    assert.strictEqual(instances['123'].publicIp, '123.456.789.1');
+                    assert.strictEqual(instances['123'].privateIpv6, 'ace:cab:deca::4');
+                    assert.strictEqual(instances['123'].publicIpv6, '2001:db8::1');
+                    assert.strictEqual(instances['456'].privateIp, '7.8.9.0');
+                    assert.strictEqual(instances['456'].privateIpv6, 'ace:cab:deca::5');
+                    assert.strictEqual(instances['456'].publicIpv6, undefined);
+                    assert.strictEqual(receivedPublicIpNames.length, 2);
+                });
+        });
+
+        it('health test', () => {
+            const list = azureComputeMock.virtualMachineScaleSetVMs.list;
+            azureComputeMock.virtualMachineScaleSetVMs.list = function listVms(group, scaleSet, options, cb) {
+                list(group, scaleSet, options, (err, vms) => {
+                    /* eslint-disable no-param-reassign */
+                    vms[0].latestModelApplied = false;
+                    vms[0].instanceView.vmHealth = {
+                        status: { code: 'HealthState/unhealthy' }
+                    };
+                    vms[1].instanceView.vmHealth = {
+                        status: { code: 'HealthState/healthy' }
+                    };
+                    vms[1].instanceView.extensions = [
+                        {
+                            name: 'healthExtension',
+                            type: 'Microsoft.ManagedServices.ApplicationHealthLinux',
+                            statuses: [{ code: 'ProvisioningState/failed' }]
+                        }
+                    ];
+                    vms[1].instanceView.statuses.push({ code: 'ProvisioningState/updating' });
+                    /* eslint-enable no-param-reassign */
+                    cb(err, vms);
+                });
+            };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.deepStrictEqual(instances['123'].health, {
+                        status: 'unhealthy',
+                        upgradeState: 'outdated',
+                        healthy: false
+                    });
+                    assert.deepStrictEqual(instances['456'].health, {
+                        status: 'healthy',
+                        extensionState: 'failed',
+                        upgradeState: 'updating',
+                        healthy: false
+                    });
+                    // Health does not change whether Azure knows about the instance
+                    assert.strictEqual(instances['123'].providerVisible, true);
+                });
+        });
+
+        it('public ips test', () => {
+            azureNetworkMock.networkInterfaces.listVirtualMachineScaleSetNetworkInterfaces =
+                function listNetworkInterfaces(resourceGroup, scaleSet, cb) {
+                    const makeConfig = function (name, privateIp, publicIpName, primary) {
+                        return {
+                            name,
+                            primary,
+                            privateIPAddress: privateIp,
+                            publicIPAddress: publicIpName ? {
+                                id: `/one/two/three/four/five/six/seven/${publicIpName}`
+                            } : undefined
+                        };
+                    };
+                    cb(null, [
+                        {
+                            name: 'secondaryNic',
+                            primary: false,
+                            virtualMachine: { id: 'instance/123' },
+                            ipConfigurations: [makeConfig('ipconfig1', '10.0.1.4', 'secondaryIp', true)]
+                        },
+                        {
+                            name: 'primaryNic',
+                            primary: true,
+                            virtualMachine: { id: 'instance/123' },
+                            ipConfigurations: [
+                                makeConfig('ipconfig1', '10.0.0.4', 'primaryIp', true),
+                                makeConfig('ipconfig2', '10.0.0.5', 'otherIp', false)
+                            ]
+                        },
+                        {
+                            name: 'nic456',
+                            virtualMachine: { id: 'instance/456' },
+                            ipConfigurations: [makeConfig('ipconfig1', '10.0.0.6')]
+                        }
+                    ]);
+                };
+            azureNetworkMock.publicIPAddresses.get = function get(resourceGroup, publicIpName, cb) {
+                const addresses = {
+                    primaryIp: '1.1.1.1',
+                    otherIp: '2.2.2.2',
+                    secondaryIp: '3.3.3.3'
+                };
+                cb(null, {
+                    ipAddress: addresses[publicIpName],
+                    publicIPAllocationMethod: publicIpName === 'otherIp' ? 'Dynamic' : 'Static'
+                });
+            };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.strictEqual(instances['123'].privateIp, '10.0.0.4');
+                    assert.strictEqual(instances['123'].publicIp, '1.1.1.1');
+                    assert.deepStrictEqual(instances['123'].publicIps, [
+                        {
+                            ip: '3.3.3.3',
+                            ipConfigurationName: 'ipconfig1',
+                            nicName: 'secondaryNic',
+                            allocationMethod: 'Static'
+                        },
+                        {
+                            ip: '1.1.1.1',
+                            ipConfigurationName: 'ipconfig1',
+                            nicName: 'primaryNic',
+                            allocationMethod: 'Static'
+                        },
+                        {
+                            ip: '2.2.2.2',
+                            ipConfigurationName: 'ipconfig2',
+                            nicName: 'primaryNic',
+                            allocationMethod: 'Dynamic'
+                        }
+                    ]);
+                    assert.strictEqual(instances['456'].publicIp, undefined);
+                    assert.deepStrictEqual(instances['456'].publicIps, []);
+                });
+        });
+
+        it('multiple pages test', () => {
+            const list = azureComputeMock.virtualMachineScaleSetVMs.list;
+            azureComputeMock.virtualMachineScaleSetVMs.list = function listVms(group, scaleSet, options, cb) {
+                list(group, scaleSet, options, (err, vms) => {
+                    const firstPage = [vms[0]];
+                    firstPage.nextLink = 'vmPage2';
+                    cb(err, firstPage);
+                });
+            };
+            azureComputeMock.virtualMachineScaleSetVMs.listNext = function listVmsNext(nextLink, cb) {
+                list(null, null, null, (err, vms) => {
+                    cb(err, [vms[1]]);
+                });
+            };
+
+            const listNics = azureNetworkMock.networkInterfaces.listVirtualMachineScaleSetNetworkInterfaces;
+            azureNetworkMock.networkInterfaces.listVirtualMachineScaleSetNetworkInterfaces =
+                function listNetworkInterfaces(resourceGroup, scaleSet, cb) {
+                    listNics(resourceGroup, scaleSet, (err, nics) => {
+                        const firstPage = [nics[0]];
+                        firstPage.nextLink = 'nicPage2';
+                        cb(err, firstPage);
+                    });
+                };
+            azureNetworkMock.networkInterfaces.listVirtualMachineScaleSetNetworkInterfacesNext =
+                function listNetworkInterfacesNext(nextLink, cb) {
+                    listNics(null, null, (err, nics) => {
+                        cb(err, [nics[1]]);
+                    });
+                };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.deepStrictEqual(Object.keys(instances).sort(), ['123', '456']);
+                    assert.strictEqual(instances['456'].privateIp, '7.8.9.0');
+                });
+        });
+
+        it('zone and fault domain test', () => {
+            const list = azureComputeMock.virtualMachineScaleSetVMs.list;
+            azureComputeMock.virtualMachineScaleSetVMs.list = function listVms(group, scaleSet, options, cb) {
+                list(group, scaleSet, options, (err, vms) => {
+                    // The SDK model drops zones, so they only show up in the raw response
+                    const response = {
+                        body: JSON.stringify({
+                            value: [
+                                { instanceId: '123', zones: ['2'] },
+                                { instanceId: '456' }
+                            ]
+                        })
+                    };
+                    /* eslint-disable no-param-reassign */
+                    vms[0].instanceView.platformFaultDomain = 0;
+                    vms[1].instanceView.platformFaultDomain = 1;
+                    /* eslint-enable no-param-reassign */
+                    cb(err, vms, {}, response);
+                });
+            };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.strictEqual(instances['123'].zone, '2');
+                    assert.strictEqual(instances['123'].faultDomain, 0);
+                    assert.strictEqual(instances['456'].zone, undefined);
+                    assert.strictEqual(instances['456'].faultDomain, 1);
+                });
+        });
+
+        it('spot priority test', () => {
+            const scaleSetId = `/subscriptions/${subscriptionId}/resourceGroups/my resource group` +
+                '/providers/Microsoft.Compute/virtualMachineScaleSets/my scale set';
+            armResources[scaleSetId] = {
+                properties: {
+                    virtualMachineProfile: { priority: 'Spot', evictionPolicy: 'Delete' }
+                }
+            };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.strictEqual(instances['123'].priority, 'Spot');
+                    assert.strictEqual(instances['123'].evictionPolicy, 'Delete');
+                    assert.strictEqual(instances['456'].priority, 'Spot');
+                });
+        });
+
+        it('regular priority test', () => {
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.strictEqual(instances['123'].priority, 'Regular');
+                    assert.strictEqual(instances['123'].evictionPolicy, undefined);
+                });
+        });
+
+        it('single scale set read test', () => {
+            const scaleSetId = `/subscriptions/${subscriptionId}/resourceGroups/my resource group` +
+                '/providers/Microsoft.Compute/virtualMachineScaleSets/my scale set';
+            const sendRequest = azureComputeMock.sendRequest;
+            let scaleSetReads = 0;
+            armResources[scaleSetId] = {
+                properties: {
+                    orchestrationMode: 'Uniform',
+                    virtualMachineProfile: { priority: 'Spot', evictionPolicy: 'Delete' }
+                }
+            };
+            azureComputeMock.sendRequest = function countScaleSetReads(options, cb) {
+                if (options.url.split('?')[0] === `${azureComputeMock.baseUri}${scaleSetId}`) {
+                    scaleSetReads += 1;
+                }
+                sendRequest(options, cb);
+            };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.strictEqual(scaleSetReads, 1);
+                    assert.strictEqual(provider.orchestrationMode, 'Uniform');
+                    assert.strictEqual(instances['123'].priority, 'Spot');
+                });
+        });
+
+        it('unknown priority test', () => {
+            const scaleSetId = `/subscriptions/${subscriptionId}/resourceGroups/my resource group` +
+                '/providers/Microsoft.Compute/virtualMachineScaleSets/my scale set';
+            const sendRequest = azureComputeMock.sendRequest;
+            azureComputeMock.sendRequest = function failScaleSetRead(options, cb) {
+                if (options.url.split('?')[0] === `${azureComputeMock.baseUri}${scaleSetId}`) {
+                    cb(new Error('scale set not readable'));
+                    return;
+                }
+                sendRequest(options, cb);
+            };
+            provider.orchestrationMode = 'Uniform';
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.strictEqual(instances['123'].priority, 'Unknown');
+                    assert.strictEqual(instances['456'].priority, 'Unknown');
+                });
+        });
+
+        it('flexible test', () => {
+            const computePath = `/subscriptions/${subscriptionId}/resourceGroups/my resource group` +
+                '/providers/Microsoft.Compute';
+            const scaleSetId = `${computePath}/virtualMachineScaleSets/my scale set`;
+            const makeVm = function (name, vmScaleSetId) {
+                return {
+                    name,
+                    id: `${computePath}/virtualMachines/${name}`,
+                    zones: ['3'],
+                    properties: {
+                        vmId: `${name}-vmId`,
+                        provisioningState: 'Succeeded',
+                        timeCreated: '2026-01-05T10:00:00.0000000+00:00',
+                        virtualMachineScaleSet: { id: vmScaleSetId },
+                        networkProfile: {
+                            networkInterfaces: [
+                                {
+                                    id: '/subscriptions/s/resourceGroups/nicRg/providers/Microsoft.Network' +
+                                        `/networkInterfaces/${name}-nic`
+                                }
+                            ]
+                        }
+                    }
+                };
+            };
+
+            armResources[scaleSetId] = { properties: { orchestrationMode: 'Flexible' } };
+            armResources[`${computePath}/virtualMachines`] = {
+                value: [
+                    makeVm('vmss_1', scaleSetId),
+                    makeVm('other_1', `${computePath}/virtualMachineScaleSets/other`)
+                ],
+                nextLink: `${azureComputeMock.baseUri}/page2`
+            };
+            // Resource IDs are not case sensitive
+            armResources['/page2'] = { value: [makeVm('vmss_2', scaleSetId.toLowerCase())] };
+            // Flexible scale sets can mix Spot and regular VMs
+            armResources['/page2'].value[0].properties.priority = 'Spot';
+            armResources['/page2'].value[0].properties.evictionPolicy = 'Deallocate';
+            armResources[`${computePath}/virtualMachines/vmss_1/instanceView`] = {
+                platformFaultDomain: 0,
+                statuses: [{ code: 'PowerState/running' }]
+            };
+            armResources[`${computePath}/virtualMachines/vmss_2/instanceView`] = {
+                platformFaultDomain: 1,
+                statuses: [{ code: 'PowerState/deallocated' }]
+            };
+
+            const receivedNics = [];
+            azureNetworkMock.networkInterfaces = {
+                get(resourceGroup, nicName, cb) {
+                    receivedNics.push(`${resourceGroup}/${nicName}`);
+                    const vmName = nicName.replace('-nic', '');
+                    cb(null, {
+                        virtualMachine: { id: `${computePath}/virtualMachines/${vmName}` },
+                        ipConfigurations: [
+                            {
+                                privateIPAddress: vmName === 'vmss_1' ? '10.0.0.4' : '10.0.0.5'
+                            }
+                        ]
+                    });
+                }
+            };
+
+            return provider.getInstances()
+                .then((instances) => {
+                    assert.deepStrictEqual(Object.keys(instances).sort(), ['vmss_1', 'vmss_2']);
+                    assert.deepStrictEqual(receivedNics.sort(), ['nicRg/vmss_1-nic', 'nicRg/vmss_2-nic']);
+                    assert.strictEqual(instances.vmss_1.privateIp, '10.0.0.4');
+                    assert.strictEqual(instances.vmss_1.providerVisible, true);
+                    assert.strictEqual(instances.vmss_1.zone, '3');
+                    assert.strictEqual(instances.vmss_1.faultDomain, 0);
+                    assert.strictEqual(instances.vmss_1.timeCreated, '2026-01-05T10:00:00.0000000+00:00');
+                    assert.strictEqual(instances.vmss_2.privateIp, '10.0.0.5');
+                    assert.strictEqual(instances.vmss_2.providerVisible, false);
+                    assert.strictEqual(instances.vmss_1.priority, 'Regular');
+                    assert.strictEqual(instances.vmss_2.priority, 'Spot');
+                    assert.strictEqual(instances.vmss_2.evictionPolicy, 'Deallocate');
+                    assert.strictEqual(provider.orchestrationMode, 'Flexible');
+                });
+        });
+
         it('basic test', () => {
             return provider.getInstances()
                 .then((instances) => {
@@ -571,6 +1811,16 @@ describe('azureCloudProvider', () => {
                             mgmtIp: '5.6.7.8',
                             privateIp: '5.6.7.8',
                             publicIp: '123.456.789.1',
+                            publicIps: [
+                                {
+                                    ip: '123.456.789.1',
+                                    ipConfigurationName: undefined,
+                                    nicName: undefined,
+                                    allocationMethod: undefined
+                                }
+                            ],
+                            health: { status: 'unknown', upgradeState: 'current', healthy: true },
+                            priority: 'Regular',
                             hostname: '5.6.7.8_myHostname',
                             providerVisible: true,
                             isPrimary: true,
@@ -579,6 +1829,9 @@ describe('azureCloudProvider', () => {
                         456: {
                             mgmtIp: '7.8.9.0',
                             privateIp: '7.8.9.0',
+                            publicIps: [],
+                            health: { status: 'unknown', upgradeState: 'current', healthy: true },
+                            priority: 'Regular',
                             hostname: '7.8.9.0_myHostname',
                             providerVisible: true,
                             isPrimary: false,
@@ -868,6 +2121,73 @@ describe('azureCloudProvider', () => {
                 });
         });
 
+        it('External tag scale set instance test', () => {
+            const externalTag = {
+                key: 'foo',
+                value: 'bar'
+            };
+
+            azureComputeMock.virtualMachines = {
+                list(resourceGroup, cb) {
+                    cb(
+                        null,
+                        [
+                            {
+                                name: 'vm123',
+                                vmId: 'vmId123',
+                                networkProfile: {
+                                    networkInterfaces: [
+                                        {
+                                            // eslint-disable-next-line max-len
+                                            id: '/subscriptions/foofoo/resourceGroups/barbar01/providers/Microsoft.Network/networkInterfaces/barbar01-mgmt0',
+                                            properties: {
+                                                primary: true
+                                            }
+                                        }
+                                    ]
+                                },
+                                tags: {
+                                    foo: externalTag.value
+                                }
+                            }
+                        ]
+                    );
+                },
+            };
+
+            azureComputeMock.virtualMachineScaleSets = {
+                list(resourceGroup, cb) {
+                    cb(null, []);
+                }
+            };
+
+            // Same VM as instance 123 in the scale set
+            azureNetworkMock.networkInterfaces.get = function get(resourceGroup, nicName, cb) {
+                cb(
+                    null,
+                    {
+                        id: 'networkInterface1/one/two/three/myResourceGroup/five',
+                        name: 'myInterface',
+                        ipConfigurations: [
+                            {
+                                primary: true,
+                                privateIPAddress: '5.6.7.8'
+                            }
+                        ]
+                    }
+                );
+            };
+
+            return provider.getInstances({ externalTag })
+                .then((instances) => {
+                    assert.strictEqual(instances['123'], undefined);
+                    assert.strictEqual(instances.vmId123.privateIp, '5.6.7.8');
+                    assert.strictEqual(instances.vmId123.external, true);
+                    assert.strictEqual(instances['456'].privateIp, '7.8.9.0');
+                    assert.strictEqual(instances['456'].external, false);
+                });
+        });
+
         it('error test', () => {
             const errorMessage = 'some error occurred';
             bigIpMock.prototype.init = function init() {
@@ -931,27 +2251,326 @@ describe('azureCloudProvider', () => {
                 });
         });
 
-        it('bad resource type test', () => {
-            return provider.getNodesByResourceId('resourceId', 'resourceType')
-                .then(() => {
-                    assert.ok(false, 'should have thrown');
-                })
-                .catch((err) => {
-                    assert.notStrictEqual(err.message.indexOf('supported'), -1);
+        it('flexible test', () => {
+            const computePath = `/subscriptions/${subscriptionId}/resourceGroups/my resource group` +
+                '/providers/Microsoft.Compute';
+            const scaleSetId = `${computePath}/virtualMachineScaleSets/otherScaleSet`;
+
+            armResources[scaleSetId] = { properties: { orchestrationMode: 'Flexible' } };
+            armResources[`${computePath}/virtualMachines`] = {
+                value: [
+                    {
+                        name: 'otherScaleSet_1',
+                        id: `${computePath}/virtualMachines/otherScaleSet_1`,
+                        properties: {
+                            vmId: 'vm-1',
+                            virtualMachineScaleSet: { id: scaleSetId },
+                            networkProfile: {
+                                networkInterfaces: [
+                                    {
+                                        id: '/subscriptions/s/resourceGroups/rg/providers/Microsoft.Network' +
+                                            '/networkInterfaces/nic1'
+                                    }
+                                ]
+                            }
+                        }
+                    }
+                ]
+            };
+            azureNetworkMock.networkInterfaces = {
+                get(resourceGroup, nicName, cb) {
+                    cb(null, {
+                        virtualMachine: { id: `${computePath}/virtualMachines/otherScaleSet_1` },
+                        ipConfigurations: [
+                            {
+                                privateIPAddress: '10.0.0.4',
+                                primary: true
+                            }
+                        ],
+                        primary: true
+                    });
+                }
+            };
+
+            return provider.getNodesByResourceId('otherScaleSet', 'scaleSet')
+                .then((instances) => {
+                    assert.strictEqual(instances.length, 1);
+                    assert.strictEqual(instances[0].id, 'my resource group-otherScaleSet_1');
+                    assert.strictEqual(instances[0].ip.private, '10.0.0.4');
+                    // only this provider's own scale set mode is cached
+                    assert.strictEqual(provider.orchestrationMode, undefined);
                 });
         });
-    });
 
-    describe('elect primary tests', () => {
-        it('basic test', () => {
-            const instances = {
-                123: {
-                    mgmtIp: '5.6.7.8',
-                    privateIp: '5.6.7.8',
-                    hostname: '5.6.7.8_myHostname',
-                    providerVisible: true,
-                    versionOk: true
-                },
+        describe('tag and resource group tests', () => {
+            const nicPath = '/subscriptions/s/resourceGroups/rg/providers/Microsoft.Network' +
+                '/networkInterfaces';
+            const privateIps = {
+                nic1: '10.0.0.1',
+                nic2: '10.0.0.2',
+                nic3: '10.0.0.3'
+            };
+            const makeVm = function (name, nicName, tags) {
+                return {
+                    name,
+                    vmId: `${name}-vmId`,
+                    tags,
+                    networkProfile: {
+                        networkInterfaces: [
+                            {
+                                id: `${nicPath}/${nicName}`
+                            }
+                        ]
+                    }
+                };
+            };
+
+            const scaleSetNicId = '/subscriptions/mySubId/resourceGroups/myResourceGroup/providers' +
+                '/Microsoft.Compute/virtualMachineScaleSets/myScaleSetName/virtualMachines/3' +
+                '/networkInterfaces/nic1';
+            const makeNode = function (id, privateIp, resourceGroup, nicResourceId) {
+                return {
+                    id,
+                    ip: { private: privateIp },
+                    resourceGroup,
+                    nicResourceId: nicResourceId || `${nicPath}/${id.split('-')[1]}`,
+                    subscriptionId
+                };
+            };
+
+            let receivedResourceGroups;
+
+            beforeEach(() => {
+                receivedResourceGroups = [];
+
+                azureComputeMock.virtualMachines = {
+                    list(resourceGroup, cb) {
+                        receivedResourceGroups.push(resourceGroup);
+                        cb(null, [
+                            makeVm('vm1', 'nic1', { app: 'web' }),
+                            makeVm('vm2', 'nic2', { app: 'db' })
+                        ]);
+                    }
+                };
+
+                azureComputeMock.virtualMachineScaleSets = {
+                    list(resourceGroup, cb) {
+                        receivedResourceGroups.push(resourceGroup);
+                        cb(null, [{ name: 'myScaleSetName', tags: { app: 'db' } }]);
+                    }
+                };
+
+                azureNetworkMock.networkInterfaces.list = function list(resourceGroup, cb) {
+                    cb(null, [
+                        { name: 'nic1', primary: true, tags: { app: 'web' } },
+                        { name: 'nic3', primary: true, tags: { app: 'web' } }
+                    ]);
+                };
+
+                azureNetworkMock.networkInterfaces.get = function get(resourceGroup, nicName, cb) {
+                    cb(null, {
+                        id: `${nicPath}/${nicName}`,
+                        name: nicName,
+                        ipConfigurations: [
+                            {
+                                primary: true,
+                                privateIPAddress: privateIps[nicName]
+                            }
+                        ]
+                    });
+                };
+            });
+
+            it('tag test', () => {
+                return provider.getNodesByResourceId('app=web', 'tag')
+                    .then((nodes) => {
+                        // nic1 is found through both the VM tag and the NIC tag
+                        assert.deepStrictEqual(nodes, [
+                            makeNode('rg-nic1', '10.0.0.1', 'rg'),
+                            makeNode('rg-nic3', '10.0.0.3', 'rg')
+                        ]);
+                    });
+            });
+
+            it('tag scale set test', () => {
+                return provider.getNodesByResourceId('app=db', 'tag')
+                    .then((nodes) => {
+                        assert.deepStrictEqual(nodes.map((node) => { return node.ip.private; }).sort(), [
+                            '10.0.0.2',
+                            '5.6.7.8'
+                        ]);
+                    });
+            });
+
+            it('bad tag test', () => {
+                return provider.getNodesByResourceId('app', 'tag')
+                    .then(() => {
+                        assert.ok(false, 'should have thrown bad tag');
+                    })
+                    .catch((err) => {
+                        assert.notStrictEqual(err.message.indexOf('<tagKey>=<tagValue>'), -1);
+                    });
+            });
+
+            it('resource group test', () => {
+                return provider.getNodesByResourceId('otherResourceGroup', 'resourceGroup')
+                    .then((nodes) => {
+                        assert.deepStrictEqual(
+                            receivedResourceGroups,
+                            ['otherResourceGroup', 'otherResourceGroup']
+                        );
+                        assert.deepStrictEqual(nodes, [
+                            makeNode('rg-nic1', '10.0.0.1', 'rg'),
+                            makeNode('rg-nic2', '10.0.0.2', 'rg'),
+                            makeNode(
+                                'otherResourceGroup-myScaleSetName3',
+                                '5.6.7.8',
+                                'otherResourceGroup',
+                                scaleSetNicId
+                            )
+                        ]);
+                    });
+            });
+
+            it('same node id test', () => {
+                const otherNicPath = '/subscriptions/s/resourceGroups/otherResourceGroup/providers' +
+                    '/Microsoft.Network/networkInterfaces';
+
+                // A VM NIC whose node ID is the same as that of the scale set VM
+                azureComputeMock.virtualMachines.list = function list(resourceGroup, cb) {
+                    cb(null, [makeVm('vm3', 'myScaleSetName3', {})]);
+                };
+                azureNetworkMock.networkInterfaces.get = function get(resourceGroup, nicName, cb) {
+                    cb(null, {
+                        id: `${otherNicPath}/${nicName}`,
+                        name: nicName,
+                        ipConfigurations: [
+                            {
+                                primary: true,
+                                privateIPAddress: '10.0.0.4'
+                            }
+                        ]
+                    });
+                };
+
+                return provider.getNodesByResourceId('otherResourceGroup', 'resourceGroup')
+                    .then((nodes) => {
+                        assert.deepStrictEqual(nodes.map((node) => { return node.id; }), [
+                            'otherResourceGroup-myScaleSetName3',
+                            'otherResourceGroup-myScaleSetName3'
+                        ]);
+                        assert.deepStrictEqual(nodes.map((node) => { return node.ip.private; }), [
+                            '10.0.0.4',
+                            '5.6.7.8'
+                        ]);
+                    });
+            });
+
+            it('vms by tag resource groups test', () => {
+                return provider.getVmsByTag({ key: 'app', value: 'web' }, { resourceGroups: ['rg1', 'rg2'] })
+                    .then((vms) => {
+                        assert.deepStrictEqual(receivedResourceGroups.sort(), ['rg1', 'rg1', 'rg2', 'rg2']);
+                        assert.strictEqual(vms.length, 2);
+                        assert.deepStrictEqual(vms[0], makeNode('rg-nic1', '10.0.0.1', 'rg'));
+                    });
+            });
+
+            it('vms by tag all resource groups test', () => {
+                azureComputeMock.virtualMachines.listAll = function listAll(cb) {
+                    cb(null, [makeVm('vm3', 'nic3', { app: 'web' })]);
+                };
+                azureComputeMock.virtualMachineScaleSets.listAll = function listAll(cb) {
+                    cb(null, []);
+                };
+
+                return provider.getVmsByTag({ key: 'app', value: 'web' }, { allResourceGroups: true })
+                    .then((vms) => {
+                        assert.deepStrictEqual(receivedResourceGroups, []);
+                        assert.deepStrictEqual(vms, [makeNode('rg-nic3', '10.0.0.3', 'rg')]);
+                    });
+            });
+
+            it('vms by tag selector test', () => {
+                return provider.getVmsByTag('app~=WEB OR app=d?')
+                    .then((vms) => {
+                        assert.deepStrictEqual(vms.map((vm) => { return vm.ip.private; }).sort(), [
+                            '10.0.0.1',
+                            '10.0.0.2',
+                            '5.6.7.8'
+                        ]);
+                    });
+            });
+
+            it('vms by tag bad selector test', () => {
+                return provider.getVmsByTag('app=(web')
+                    .then(() => {
+                        assert.ok(false, 'should have thrown bad selector');
+                    })
+                    .catch((err) => {
+                        assert.notStrictEqual(err.message.indexOf('Invalid tag selector'), -1);
+                    });
+            });
+
+            it('nics by tag subscriptions test', () => {
+                const otherNetworkMock = {
+                    networkInterfaces: {
+                        list(resourceGroup, cb) {
+                            cb(null, [{ name: 'nic2', primary: true, tags: { app: 'web' } }]);
+                        },
+                        get: azureNetworkMock.networkInterfaces.get
+                    }
+                };
+                const otherComputeMock = {
+                    virtualMachineScaleSets: {
+                        list(resourceGroup, cb) {
+                            cb(null, []);
+                        }
+                    }
+                };
+                provider.subscriptionClients = {
+                    otherSubscriptionId: {
+                        computeClient: otherComputeMock,
+                        networkClient: otherNetworkMock
+                    }
+                };
+
+                return provider.getNicsByTag(
+                    { key: 'app', value: 'web' },
+                    { subscriptionIds: [subscriptionId, 'otherSubscriptionId'] }
+                )
+                    .then((nics) => {
+                        assert.deepStrictEqual(nics.map((nic) => {
+                            return `${nic.subscriptionId}/${nic.resourceGroup}/${nic.id}`;
+                        }), [
+                            'mySubscriptionId/rg/rg-nic1',
+                            'mySubscriptionId/rg/rg-nic3',
+                            'otherSubscriptionId/rg/rg-nic2'
+                        ]);
+                    });
+            });
+        });
+
+        it('bad resource type test', () => {
+            return provider.getNodesByResourceId('resourceId', 'resourceType')
+                .then(() => {
+                    assert.ok(false, 'should have thrown');
+                })
+                .catch((err) => {
+                    assert.notStrictEqual(err.message.indexOf('supported'), -1);
+                });
+        });
+    });
+
+    describe('elect primary tests', () => {
+        it('basic test', () => {
+            const instances = {
+                123: {
+                    mgmtIp: '5.6.7.8',
+                    privateIp: '5.6.7.8',
+                    hostname: '5.6.7.8_myHostname',
+                    providerVisible: true,
+                    versionOk: true
+                },
                 456: {
                     mgmtIp: '7.8.9.0',
                     privateIp: '7.8.9.0',
@@ -1042,56 +2661,502 @@ describe('azureCloudProvider', () => {
                 });
         });
 
-        it('external instances test', () => {
+        it('external instances test', () => {
+            const instances = {
+                123: {
+                    mgmtIp: '5.6.7.8',
+                    privateIp: '5.6.7.8',
+                    hostname: '5.6.7.8_myHostname',
+                    providerVisible: true,
+                    versionOk: true
+                },
+                456: {
+                    mgmtIp: '7.8.9.0',
+                    privateIp: '7.8.9.0',
+                    hostname: '7.8.9.0_myHostname',
+                    providerVisible: true,
+                    versionOk: true
+                },
+                999: {
+                    mgmtIp: '10.11.12.13',
+                    privateIp: '10.11.12.13',
+                    hostname: '10.11.12.13_myHostname',
+                    providerVisible: true,
+                    external: true,
+                    versionOk: true
+                },
+                888: {
+                    mgmtIp: '13.14.15.16',
+                    privateIp: '13.14.15.16',
+                    hostname: '13.14.15.16_myHostname',
+                    providerVisible: true,
+                    external: true,
+                    versionOk: true
+                }
+            };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '999');
+                });
+        });
+
+        it('election strategy test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    lastBackup: new Date(1970, 1, 1).getTime()
+                },
+                456: {
+                    privateIp: '7.8.9.0',
+                    providerVisible: true,
+                    versionOk: true,
+                    lastBackup: Date.now()
+                }
+            };
+            provider.providerOptions = { electionStrategy: 'lastBackup' };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '456');
+                });
+        });
+
+        it('draining zone test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    zone: '1'
+                },
+                456: {
+                    privateIp: '7.8.9.0',
+                    providerVisible: true,
+                    versionOk: true,
+                    zone: '2'
+                }
+            };
+            provider.providerOptions = { drainingZones: [1] };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '456');
+                });
+        });
+
+        it('exclude unhealthy test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    health: { status: 'unhealthy', healthy: false }
+                },
+                456: {
+                    privateIp: '7.8.9.0',
+                    providerVisible: true,
+                    versionOk: true,
+                    health: { status: 'healthy', healthy: true }
+                }
+            };
+            provider.providerOptions = { excludeUnhealthy: true };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '456');
+                    provider.providerOptions = {};
+                    return provider.electPrimary(instances);
+                })
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '123');
+                });
+        });
+
+        it('all unhealthy test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    health: { status: 'unhealthy', healthy: false }
+                }
+            };
+            provider.providerOptions = { excludeUnhealthy: true };
+
+            return provider.electPrimary(instances)
+                .then(() => {
+                    assert.ok(false, 'should have thrown no primary');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'No possible primary found');
+                });
+        });
+
+        it('exclude leaving test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    leaving: { eventId: 'event-1', eventType: 'Terminate', time: new Date().toJSON() }
+                },
+                456: {
+                    privateIp: '7.8.9.0',
+                    providerVisible: true,
+                    versionOk: true
+                }
+            };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '456');
+
+                    // A rebooted instance is back once the mark is old
+                    instances[123].leaving.time = new Date(Date.now() - (20 * 60000)).toJSON();
+                    return provider.electPrimary(instances);
+                })
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '123');
+                });
+        });
+
+        it('prefer regular priority test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    priority: 'Spot'
+                },
+                456: {
+                    privateIp: '7.8.9.0',
+                    providerVisible: true,
+                    versionOk: true,
+                    priority: 'Regular'
+                },
+                789: {
+                    privateIp: '7.8.9.1',
+                    providerVisible: true,
+                    versionOk: true,
+                    priority: 'Low'
+                }
+            };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '456');
+                });
+        });
+
+        it('only spot priority test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    priority: 'Spot'
+                },
+                456: {
+                    privateIp: '7.8.9.0',
+                    providerVisible: true,
+                    versionOk: true,
+                    priority: 'Spot'
+                }
+            };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '123');
+                });
+        });
+
+        it('draining zones before priority test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    zone: '1',
+                    priority: 'Regular'
+                },
+                456: {
+                    privateIp: '7.8.9.0',
+                    providerVisible: true,
+                    versionOk: true,
+                    zone: '2',
+                    priority: 'Spot'
+                },
+                789: {
+                    privateIp: '7.8.9.1',
+                    providerVisible: true,
+                    versionOk: true,
+                    zone: '2',
+                    priority: 'Regular'
+                }
+            };
+            provider.providerOptions = { drainingZones: ['1'] };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '789');
+                    delete instances['789'];
+                    return provider.electPrimary(instances);
+                })
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '456');
+                });
+        });
+
+        it('all zones draining test', () => {
+            const instances = {
+                123: {
+                    privateIp: '5.6.7.8',
+                    providerVisible: true,
+                    versionOk: true,
+                    zone: '1'
+                },
+                456: {
+                    privateIp: '7.8.9.0',
+                    providerVisible: true,
+                    versionOk: true,
+                    zone: '2'
+                }
+            };
+            provider.providerOptions = { drainingZones: ['1', '2'] };
+
+            return provider.electPrimary(instances)
+                .then((electedId) => {
+                    assert.strictEqual(electedId, '123');
+                });
+        });
+
+        it('unknown orchestration mode test', () => {
+            return provider.init({ orchestrationMode: 'foo' })
+                .then(() => {
+                    assert.ok(false, 'should have thrown unknown orchestration mode');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'Unknown orchestration mode: foo');
+                });
+        });
+
+        it('unknown ucs checksum algorithm test', () => {
+            return provider.init({ ucsChecksumAlgorithm: 'crc32' })
+                .then(() => {
+                    assert.ok(false, 'should have thrown unknown checksum algorithm');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'Unknown UCS checksum algorithm: crc32');
+                });
+        });
+
+        it('invalid ucs encryption key test', () => {
+            return provider.init({ ucsEncryptionKey: 'https://myvault.vault.azure.net/secrets/ucs' })
+                .then(() => {
+                    assert.ok(false, 'should have thrown invalid encryption key');
+                })
+                .catch((err) => {
+                    assert.strictEqual(
+                        err.message,
+                        'Invalid UCS encryption key: https://myvault.vault.azure.net/secrets/ucs'
+                    );
+                });
+        });
+
+        it('invalid ucs retention option test', () => {
+            return provider.init({ ucsKeepDailyDays: 'week' })
+                .then(() => {
+                    assert.ok(false, 'should have thrown invalid retention option');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'Invalid UCS retention option ucsKeepDailyDays: week');
+                });
+        });
+
+        it('unknown election strategy test', () => {
+            return provider.init({ electionStrategy: 'foo' })
+                .then(() => {
+                    assert.ok(false, 'should have thrown unknown strategy');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'Unknown election strategy: foo');
+                });
+        });
+
+        describe('flexible tests', () => {
+            let instances;
+
+            beforeEach(() => {
+                // Flexible scale set instances are keyed by VM name, which says nothing about age
+                const makeInstance = function (privateIp, timeCreated, properties) {
+                    return Object.assign(
+                        {
+                            privateIp,
+                            timeCreated,
+                            providerVisible: true,
+                            versionOk: true
+                        },
+                        properties
+                    );
+                };
+
+                instances = {
+                    vmss_ab12: makeInstance('10.0.0.4', '2026-03-01T08:00:00.0000000+00:00', {
+                        zone: '1',
+                        tags: { f5_election_priority: '10' }
+                    }),
+                    vmss_ff01: makeInstance('10.0.0.5', '2026-01-01T08:00:00.0000000+00:00', {
+                        zone: '2'
+                    }),
+                    vmss_cd34: makeInstance('10.0.0.6', '2026-02-01T08:00:00.0000000+00:00', {
+                        zone: '1',
+                        lastBackup: Date.parse('2026-03-02T00:00:00Z')
+                    })
+                };
+            });
+
+            it('default test', () => {
+                return provider.electPrimary(instances)
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, 'vmss_ff01');
+                    });
+            });
+
+            it('oldest test', () => {
+                provider.providerOptions = { electionStrategy: 'oldest' };
+
+                return provider.electPrimary(instances)
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, 'vmss_ff01');
+                    });
+            });
+
+            it('zone test', () => {
+                provider.providerOptions = { electionStrategy: { name: 'zone', zone: '1' } };
+
+                return provider.electPrimary(instances)
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, 'vmss_cd34');
+                    });
+            });
+
+            it('last backup test', () => {
+                provider.providerOptions = { electionStrategy: 'lastBackup' };
+
+                return provider.electPrimary(instances)
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, 'vmss_cd34');
+                        delete instances.vmss_cd34.lastBackup;
+                        return provider.electPrimary(instances);
+                    })
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, 'vmss_ff01');
+                    });
+            });
+
+            it('tag test', () => {
+                provider.providerOptions = { electionStrategy: 'tag' };
+
+                return provider.electPrimary(instances)
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, 'vmss_ab12');
+                        delete instances.vmss_ab12.tags;
+                        return provider.electPrimary(instances);
+                    })
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, 'vmss_ff01');
+                    });
+            });
+        });
+
+        it('no instances test', () => {
+            const instances = [];
+
+            return provider.electPrimary(instances)
+                .then(() => {
+                    assert.ok(false, 'should have thrown no instances');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'No instances');
+                });
+        });
+
+        describe('election lock tests', () => {
             const instances = {
                 123: {
-                    mgmtIp: '5.6.7.8',
                     privateIp: '5.6.7.8',
-                    hostname: '5.6.7.8_myHostname',
                     providerVisible: true,
                     versionOk: true
                 },
                 456: {
-                    mgmtIp: '7.8.9.0',
                     privateIp: '7.8.9.0',
-                    hostname: '7.8.9.0_myHostname',
-                    providerVisible: true,
-                    versionOk: true
-                },
-                999: {
-                    mgmtIp: '10.11.12.13',
-                    privateIp: '10.11.12.13',
-                    hostname: '10.11.12.13_myHostname',
-                    providerVisible: true,
-                    external: true,
-                    versionOk: true
-                },
-                888: {
-                    mgmtIp: '13.14.15.16',
-                    privateIp: '13.14.15.16',
-                    hostname: '13.14.15.16_myHostname',
                     providerVisible: true,
-                    external: true,
                     versionOk: true
                 }
             };
+            let lockHolderId;
+            let recordedElection;
 
-            return provider.electPrimary(instances)
-                .then((electedId) => {
-                    assert.strictEqual(electedId, '999');
-                });
-        });
+            beforeEach(() => {
+                lockHolderId = undefined;
+                recordedElection = undefined;
 
-        it('no instances test', () => {
-            const instances = [];
+                provider.getInstanceId = function getInstanceId() {
+                    return q('456');
+                };
+                provider.electionLock = {
+                    acquire(holderId) {
+                        return q(holderId === lockHolderId);
+                    },
+                    recordElection(primaryId) {
+                        recordedElection = { primaryId };
+                        return q();
+                    },
+                    getElection() {
+                        return q(recordedElection);
+                    }
+                };
+            });
 
-            return provider.electPrimary(instances)
-                .then(() => {
-                    assert.ok(false, 'should have thrown no instances');
-                })
-                .catch((err) => {
-                    assert.strictEqual(err.message, 'No instances');
-                });
+            it('lock holder test', () => {
+                lockHolderId = '456';
+
+                return provider.electPrimary(instances)
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, '123');
+                        assert.deepStrictEqual(recordedElection, { primaryId: '123' });
+                    });
+            });
+
+            it('not lock holder test', () => {
+                lockHolderId = '789';
+                recordedElection = { primaryId: '456' };
+
+                // Uses the holder's choice rather than running its own election
+                return provider.electPrimary(instances)
+                    .then((electedId) => {
+                        assert.strictEqual(electedId, '456');
+                    });
+            });
+
+            it('not lock holder no election test', () => {
+                lockHolderId = '789';
+                recordedElection = { primaryId: 'gone' };
+
+                return provider.electPrimary(instances)
+                    .then(() => {
+                        assert.ok(false, 'should have thrown waiting for holder');
+                    })
+                    .catch((err) => {
+                        assert.strictEqual(
+                            err.message,
+                            'Waiting for the election lock holder to elect a primary'
+                        );
+                    });
+            });
         });
     });
 
@@ -1170,26 +3235,15 @@ describe('azureCloudProvider', () => {
 
     describe('tag primary tests', () => {
         beforeEach(() => {
-            azureComputeMock.virtualMachineScaleSets = {
-                get(resourceGroup, scaleSetName, options, cb) {
-                    cb(null,
-                        {
-                            tags: {
-                                application: 'APP',
-                                cost: 'COST',
-                                'resourceGroupName-primary': '10.0.1.4'
-                            }
-                        });
-                },
-                update(resourceGroup, scaleSet, params, options, cb) {
-                    virtualMachineScaleSetUpdateParams = {
-                        resourceGroup,
-                        scaleSet,
-                        params,
-                        options
-                    };
-                    cb();
+            tagsPatch = undefined;
+            const sendRequest = azureComputeMock.sendRequest;
+            azureComputeMock.sendRequest = function captureTagsPatch(options, cb) {
+                if (options.method === 'PATCH') {
+                    tagsPatch = { url: options.url, body: options.body };
+                    cb(null, {}, {}, { statusCode: 200 });
+                    return;
                 }
+                sendRequest(options, cb);
             };
 
             provider.computeClient = azureComputeMock;
@@ -1219,13 +3273,260 @@ describe('azureCloudProvider', () => {
 
             return provider.tagPrimaryInstance(primaryIid, instances)
                 .then(() => {
+                    const tags = tagsPatch.body.properties.tags;
                     assert.strictEqual(
-                        virtualMachineScaleSetUpdateParams.params.tags['resourceGroupName-primary'],
-                        instances[primaryIid].privateIp
+                        tagsPatch.url,
+                        'https://management.azure.com/subscriptions/mySubscriptionId/resourceGroups/' +
+                        'resourceGroupName/providers/Microsoft.Compute/virtualMachineScaleSets/scaleSetName' +
+                        '/providers/Microsoft.Resources/tags/default?api-version=2019-10-01'
                     );
-                    assert.strictEqual(virtualMachineScaleSetUpdateParams.params.tags.application, 'APP');
-                    assert.strictEqual(virtualMachineScaleSetUpdateParams.resourceGroup, 'resourceGroupName');
+                    assert.strictEqual(tagsPatch.body.operation, 'Merge');
+                    assert.deepStrictEqual(Object.keys(tags).sort(), [
+                        'resourceGroupName-primary',
+                        'resourceGroupName-primary-elected',
+                        'resourceGroupName-primary-hostname'
+                    ]);
+                    assert.strictEqual(tags['resourceGroupName-primary'], instances[primaryIid].privateIp);
+                    assert.strictEqual(tags['resourceGroupName-primary-hostname'], '7.8.9.0_myHostname');
+                    assert.ok(Date.now() - Date.parse(tags['resourceGroupName-primary-elected']) < 60000);
+                });
+        });
+
+        it('primary tag name test', () => {
+            provider.providerOptions = { primaryTagName: 'f5_primary' };
+
+            return provider.tagPrimaryInstance('123', { 123: { privateIp: '5.6.7.8' } })
+                .then(() => {
+                    const tags = tagsPatch.body.properties.tags;
+                    assert.deepStrictEqual(Object.keys(tags).sort(), ['f5_primary', 'f5_primary-elected']);
+                    assert.strictEqual(tags.f5_primary, '5.6.7.8');
+                });
+        });
+
+        it('primary unchanged test', () => {
+            const tagsPath = '/subscriptions/mySubscriptionId/resourceGroups/resourceGroupName' +
+                '/providers/Microsoft.Compute/virtualMachineScaleSets/scaleSetName' +
+                '/providers/Microsoft.Resources/tags/default';
+            armResources[tagsPath] = {
+                properties: {
+                    tags: {
+                        'resourceGroupName-primary': '5.6.7.8',
+                        'resourceGroupName-primary-elected': '2026-10-01T00:00:00.000Z',
+                        'resourceGroupName-primary-hostname': 'host1'
+                    }
+                }
+            };
+
+            const instances = { 123: { privateIp: '5.6.7.8', hostname: 'host1' } };
+
+            return provider.tagPrimaryInstance('123', instances)
+                .then(() => {
+                    assert.strictEqual(tagsPatch, undefined);
+                    instances[123].hostname = 'host2';
+                    return provider.tagPrimaryInstance('123', instances);
+                })
+                .then(() => {
+                    // Only the hostname changed, which is not a new election
+                    assert.deepStrictEqual(tagsPatch.body.properties.tags, {
+                        'resourceGroupName-primary-hostname': 'host2'
+                    });
+                });
+        });
+
+        it('tag error test', () => {
+            const sendRequest = azureComputeMock.sendRequest;
+            azureComputeMock.sendRequest = function failTagWrite(options, cb) {
+                if (options.method === 'PATCH') {
+                    cb(null, { error: { message: 'forbidden' } }, {}, { statusCode: 403 });
+                    return;
+                }
+                sendRequest(options, cb);
+            };
+
+            return provider.tagPrimaryInstance('123', { 123: { privateIp: '5.6.7.8' } })
+                .then(() => {
+                    assert.ok(false, 'should have thrown tag error');
+                })
+                .catch((err) => {
+                    assert.notStrictEqual(err.message.indexOf('PATCH'), -1);
+                    assert.strictEqual(err.statusCode, 403);
+                });
+        });
+
+        describe('protect primary tests', () => {
+            const scaleSetPath = '/subscriptions/mySubscriptionId/resourceGroups/resourceGroupName' +
+                '/providers/Microsoft.Compute/virtualMachineScaleSets/scaleSetName';
+            const instances = {
+                123: { privateIp: '5.6.7.8' },
+                456: { privateIp: '7.8.9.0' },
+                789: { privateIp: '7.8.9.1' }
+            };
+            let puts;
+
+            beforeEach(() => {
+                puts = [];
+                const sendRequest = azureComputeMock.sendRequest;
+                azureComputeMock.sendRequest = function capturePuts(options, cb) {
+                    if (options.method === 'PUT') {
+                        puts.push({ path: options.url.split('?')[0], body: options.body });
+                        cb(null, {}, {}, { statusCode: 200 });
+                        return;
+                    }
+                    sendRequest(options, cb);
+                };
+                armResources[`${scaleSetPath}/virtualMachines`] = {
+                    value: [
+                        {
+                            instanceId: '123',
+                            properties: { protectionPolicy: { protectFromScaleIn: true } }
+                        },
+                        { instanceId: '456', properties: {} },
+                        {
+                            instanceId: '789',
+                            properties: { protectionPolicy: { protectFromScaleIn: false } }
+                        }
+                    ]
+                };
+                ['123', '456'].forEach((instanceId) => {
+                    armResources[`${scaleSetPath}/virtualMachines/${instanceId}`] = {
+                        name: `scaleSetName_${instanceId}`,
+                        location: 'westus',
+                        sku: { name: 'Standard_DS2_v2' },
+                        properties: {
+                            hardwareProfile: { vmSize: 'Standard_DS2_v2' },
+                            protectionPolicy: {
+                                protectFromScaleIn: instanceId === '123',
+                                protectFromScaleSetActions: false
+                            }
+                        }
+                    };
                 });
+            });
+
+            it('protect primary test', () => {
+                provider.providerOptions = { protectPrimary: true };
+
+                return provider.tagPrimaryInstance('456', instances)
+                    .then(() => {
+                        const vmPath = `https://management.azure.com${scaleSetPath}/virtualMachines`;
+                        const makeBody = function (instanceId, protectFromScaleIn) {
+                            // The whole VM model is written back, with only the protection changed
+                            return {
+                                name: `scaleSetName_${instanceId}`,
+                                location: 'westus',
+                                sku: { name: 'Standard_DS2_v2' },
+                                properties: {
+                                    hardwareProfile: { vmSize: 'Standard_DS2_v2' },
+                                    protectionPolicy: {
+                                        protectFromScaleIn,
+                                        protectFromScaleSetActions: false
+                                    }
+                                }
+                            };
+                        };
+                        assert.deepStrictEqual(puts, [
+                            { path: `${vmPath}/123`, body: makeBody('123', false) },
+                            { path: `${vmPath}/456`, body: makeBody('456', true) }
+                        ]);
+                    });
+            });
+
+            it('not enabled test', () => {
+                return provider.tagPrimaryInstance('456', instances)
+                    .then(() => {
+                        assert.deepStrictEqual(puts, []);
+                    });
+            });
+
+            it('flexible test', () => {
+                provider.providerOptions = { protectPrimary: true };
+                provider.orchestrationMode = 'Flexible';
+
+                return provider.tagPrimaryInstance('456', instances)
+                    .then(() => {
+                        assert.deepStrictEqual(puts, []);
+                    });
+            });
+
+            it('update error test', () => {
+                provider.providerOptions = { protectPrimary: true };
+                const sendRequest = azureComputeMock.sendRequest;
+                azureComputeMock.sendRequest = function failPuts(options, cb) {
+                    if (options.method === 'PUT') {
+                        cb(null, { error: { message: 'forbidden' } }, {}, { statusCode: 403 });
+                        return;
+                    }
+                    sendRequest(options, cb);
+                };
+
+                // The primary tag is already written, so the error is only logged
+                return provider.tagPrimaryInstance('456', instances)
+                    .then(() => {
+                        assert.strictEqual(
+                            tagsPatch.body.properties.tags['resourceGroupName-primary'],
+                            '7.8.9.0'
+                        );
+                    });
+            });
+        });
+
+        describe('election lock tests', () => {
+            const instances = {
+                456: {
+                    privateIp: '7.8.9.0'
+                }
+            };
+            let lockHolderId;
+
+            beforeEach(() => {
+                lockHolderId = undefined;
+
+                provider.getInstanceId = function getInstanceId() {
+                    return q('123');
+                };
+                provider.electionLock = {
+                    acquire(holderId) {
+                        return q(holderId === lockHolderId);
+                    }
+                };
+            });
+
+            it('lock holder test', () => {
+                lockHolderId = '123';
+
+                return provider.tagPrimaryInstance('456', instances)
+                    .then(() => {
+                        assert.strictEqual(
+                            tagsPatch.body.properties.tags['resourceGroupName-primary'],
+                            '7.8.9.0'
+                        );
+                    });
+            });
+
+            it('not lock holder test', () => {
+                lockHolderId = '789';
+
+                return provider.tagPrimaryInstance('456', instances)
+                    .then(() => {
+                        assert.strictEqual(tagsPatch, undefined);
+                    });
+            });
+
+            it('primary elected not lock holder test', () => {
+                let getInstancesCalled = false;
+                lockHolderId = '789';
+                provider.instanceStore = {
+                    getInstances() {
+                        getInstancesCalled = true;
+                        return q({});
+                    }
+                };
+
+                return provider.primaryElected('456')
+                    .then(() => {
+                        assert.strictEqual(getInstancesCalled, false);
+                    });
+            });
         });
     });
 
@@ -1276,6 +3577,26 @@ describe('azureCloudProvider', () => {
                 });
         });
 
+        it('multiple segments test', () => {
+            provider.storageClient.listBlobsSegmented = function listBlobsSegmented(container, token, o, cb) {
+                if (!token) {
+                    cb(null, {
+                        entries: [{ name: 'old.ucs', lastModified: 'Thu, 16 Mar 2017 18:08:54 GMT' }],
+                        continuationToken: { nextMarker: 'new.ucs' }
+                    });
+                } else {
+                    cb(null, {
+                        entries: [{ name: 'new.ucs', lastModified: 'Thu, 17 Mar 2017 18:08:54 GMT' }]
+                    });
+                }
+            };
+
+            return provider.getStoredUcs()
+                .then((ucsData) => {
+                    assert.strictEqual(ucsData.name, 'new.ucs');
+                });
+        });
+
         it('no ucs files test', () => {
             ucsEntries = [];
             return provider.getStoredUcs()
@@ -1298,6 +3619,308 @@ describe('azureCloudProvider', () => {
                     assert.strictEqual(err.message, errorMessage);
                 });
         });
+
+        describe('catalog tests', () => {
+            beforeEach(() => {
+                // No checksums, so getStoredUcs returns the first UCS it considers as is
+                ucsEntries = [
+                    {
+                        name: 'old.ucs',
+                        lastModified: 'Thu, 15 Mar 2017 18:08:54 GMT',
+                        contentLength: '1024',
+                        accessTier: 'Cool',
+                        metadata: {
+                            bigipversion: '14.1.2',
+                            hostname: 'bigip1.example.com',
+                            instanceid: '1',
+                            confighash: 'abc',
+                            checksumalgorithm: 'sha256'
+                        }
+                    },
+                    {
+                        name: 'newest.ucs',
+                        lastModified: 'Thu, 17 Mar 2017 18:08:54 GMT',
+                        metadata: {
+                            bigipversion: '15.1.0',
+                            hostname: 'bigip2.example.com'
+                        }
+                    },
+                    {
+                        name: 'legacy.ucs',
+                        lastModified: 'Thu, 16 Mar 2017 18:08:54 GMT'
+                    },
+                    {
+                        name: 'notUcs.txt',
+                        lastModified: 'Thu, 18 Mar 2017 18:08:54 GMT'
+                    }
+                ];
+            });
+
+            it('list test', () => {
+                ucsEntries[0].metadata.checksum = '123';
+                ucsEntries[1].metadata.encryption = 'AES256-GCM';
+
+                return provider.listStoredUcs()
+                    .then((catalog) => {
+                        assert.deepStrictEqual(catalog.map((entry) => {
+                            return entry.name;
+                        }), ['newest.ucs', 'legacy.ucs', 'old.ucs']);
+                        assert.deepStrictEqual(catalog[2], {
+                            name: 'old.ucs',
+                            lastModified: new Date('Thu, 15 Mar 2017 18:08:54 GMT'),
+                            size: 1024,
+                            version: '14.1.2',
+                            hostname: 'bigip1.example.com',
+                            instanceId: '1',
+                            configHash: 'abc',
+                            checksum: '123',
+                            checksumAlgorithm: 'sha256',
+                            encrypted: false,
+                            accessTier: 'Cool'
+                        });
+                        assert.strictEqual(catalog[0].encrypted, true);
+                        assert.strictEqual(catalog[1].version, undefined);
+                    });
+            });
+
+            it('name test', () => {
+                return provider.getStoredUcs({ name: 'old.ucs' })
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData.name, 'old.ucs');
+                    });
+            });
+
+            it('before test', () => {
+                return provider.getStoredUcs({ before: new Date('Thu, 16 Mar 2017 20:00:00 GMT') })
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData.name, 'legacy.ucs');
+                        return provider.getStoredUcs({ before: 'Thu, 16 Mar 2017 00:00:00 GMT' });
+                    })
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData.name, 'old.ucs');
+                    });
+            });
+
+            it('hostname test', () => {
+                return provider.getStoredUcs({ hostname: 'bigip1.example.com' })
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData.name, 'old.ucs');
+                    });
+            });
+
+            it('version test', () => {
+                return provider.getStoredUcs({ version: '15.0.1' })
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData.name, 'old.ucs');
+                        return provider.getStoredUcs({ version: '15.1.0' });
+                    })
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData.name, 'newest.ucs');
+                        return provider.getStoredUcs({ version: '13.1.1' });
+                    })
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData, undefined);
+                    });
+            });
+
+            it('no match test', () => {
+                return provider.getStoredUcs({ name: 'missing.ucs' })
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData, undefined);
+                    });
+            });
+
+            it('archived test', () => {
+                ucsEntries[1].accessTier = 'Archive';
+
+                return provider.getStoredUcs()
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData.name, 'legacy.ucs');
+                    });
+            });
+        });
+
+        describe('verify tests', () => {
+            const goodData = 'good ucs';
+            let blobData;
+            let infoMessages;
+            let warnMessages;
+            let errorMessages;
+
+            /* eslint-disable global-require */
+            const crypto = require('crypto');
+            const fs = require('fs');
+            const os = require('os');
+            const stream = require('stream');
+            /* eslint-enable global-require */
+
+            const sha256 = function (data) {
+                return crypto.createHash('sha256').update(data).digest('hex');
+            };
+
+            const readAll = function (ucsStream) {
+                const deferred = q.defer();
+                let data = '';
+                ucsStream.on('data', (chunk) => {
+                    data += chunk;
+                });
+                ucsStream.on('close', () => {
+                    deferred.resolve(data);
+                });
+                ucsStream.on('error', deferred.reject);
+                return deferred.promise;
+            };
+
+            beforeEach(() => {
+                blobData = {
+                    'newest.ucs': 'truncated',
+                    'newer.ucs': 'corrupted ucs',
+                    'old.ucs': goodData
+                };
+                infoMessages = [];
+                warnMessages = [];
+                errorMessages = [];
+
+                ucsEntries = [
+                    {
+                        name: 'old.ucs',
+                        lastModified: 'Thu, 15 Mar 2017 18:08:54 GMT',
+                        metadata: { checksum: sha256(goodData), checksumalgorithm: 'sha256' }
+                    },
+                    {
+                        name: 'newest.ucs',
+                        lastModified: 'Thu, 17 Mar 2017 18:08:54 GMT',
+                        metadata: { checksum: sha256(goodData), checksumalgorithm: 'sha256' }
+                    },
+                    {
+                        name: 'newer.ucs',
+                        lastModified: 'Thu, 16 Mar 2017 18:08:54 GMT',
+                        contentSettings: {
+                            contentMD5: crypto.createHash('md5').update(goodData).digest('base64')
+                        }
+                    }
+                ];
+
+                provider.providerOptions = { ucsVerifyDirectory: os.tmpdir() };
+                provider.storageClient.createReadStream = function createReadStream(container, name) {
+                    const blobStream = new stream.PassThrough();
+                    blobStream.end(blobData[name]);
+                    return blobStream;
+                };
+                provider.logger.info = function info(message) {
+                    infoMessages.push(message);
+                };
+                provider.logger.warn = function warn(message) {
+                    warnMessages.push(message);
+                };
+                provider.logger.error = function error(message, invalidUcs) {
+                    errorMessages.push(`${message} ${invalidUcs}`);
+                };
+            });
+
+            it('verified test', () => {
+                blobData['newest.ucs'] = goodData;
+
+                return provider.getStoredUcs()
+                    .then((ucsData) => {
+                        return readAll(ucsData);
+                    })
+                    .then((data) => {
+                        assert.strictEqual(data, goodData);
+                        assert.strictEqual(infoMessages.length, 1);
+                        assert.notStrictEqual(infoMessages[0].indexOf('Using UCS newest.ucs'), -1);
+                        assert.notStrictEqual(infoMessages[0].indexOf('because it is the newest'), -1);
+                        assert.notStrictEqual(infoMessages[0].indexOf('sha256 checksum'), -1);
+
+                        // The verified copy is removed once it has been read
+                        return q.delay(10);
+                    })
+                    .then(() => {
+                        assert.strictEqual(fs.existsSync(`${os.tmpdir()}/newest.ucs`), false);
+                    });
+            });
+
+            it('fallback test', () => {
+                return provider.getStoredUcs()
+                    .then((ucsData) => {
+                        return readAll(ucsData);
+                    })
+                    .then((data) => {
+                        // Restoring an older UCS is a warning
+                        const choice = warnMessages[warnMessages.length - 1];
+                        assert.strictEqual(data, goodData);
+                        assert.deepStrictEqual(infoMessages, []);
+                        assert.notStrictEqual(choice.indexOf('Using UCS old.ucs'), -1);
+                        assert.notStrictEqual(choice.indexOf('newest.ucs (sha256 checksum is'), -1);
+                        assert.notStrictEqual(choice.indexOf('newer.ucs (md5 checksum is'), -1);
+                        assert.strictEqual(fs.existsSync(`${os.tmpdir()}/newest.ucs`), false);
+                        assert.strictEqual(fs.existsSync(`${os.tmpdir()}/newer.ucs`), false);
+                    });
+            });
+
+            it('content md5 test', () => {
+                blobData['newer.ucs'] = goodData;
+
+                return provider.getStoredUcs()
+                    .then((ucsData) => {
+                        return readAll(ucsData);
+                    })
+                    .then((data) => {
+                        const choice = warnMessages[warnMessages.length - 1];
+                        assert.strictEqual(data, goodData);
+                        assert.notStrictEqual(choice.indexOf('Using UCS newer.ucs'), -1);
+                    });
+            });
+
+            it('not verifiable test', () => {
+                delete ucsEntries[2].contentSettings;
+
+                return provider.getStoredUcs()
+                    .then((ucsData) => {
+                        return readAll(ucsData);
+                    })
+                    .then((data) => {
+                        const choice = warnMessages[warnMessages.length - 1];
+                        assert.strictEqual(data, 'corrupted ucs');
+                        assert.notStrictEqual(choice.indexOf('Using UCS newer.ucs'), -1);
+                        assert.notStrictEqual(choice.indexOf('not verified'), -1);
+                    });
+            });
+
+            it('none valid test', () => {
+                blobData['old.ucs'] = 'also corrupted';
+
+                return provider.getStoredUcs()
+                    .then((ucsData) => {
+                        assert.strictEqual(ucsData, undefined);
+                        assert.strictEqual(infoMessages.length, 0);
+                        assert.notStrictEqual(errorMessages[0].indexOf('No valid UCS found'), -1);
+                        assert.notStrictEqual(errorMessages[0].indexOf('old.ucs'), -1);
+                    });
+            });
+
+            it('download error test', () => {
+                provider.storageClient.createReadStream = function createReadStream() {
+                    const blobStream = new stream.PassThrough();
+                    process.nextTick(() => {
+                        blobStream.emit('error', new Error('connection reset'));
+                    });
+                    return blobStream;
+                };
+
+                return provider.getStoredUcs()
+                    .then(() => {
+                        assert.ok(false, 'getStoredUcs should have thrown');
+                    })
+                    .catch((err) => {
+                        assert.strictEqual(err.message, 'connection reset');
+                        return q.delay(10);
+                    })
+                    .then(() => {
+                        assert.strictEqual(fs.existsSync(`${os.tmpdir()}/newest.ucs`), false);
+                    });
+            });
+        });
     });
 
     describe('put instance tests', () => {
@@ -1306,6 +3929,7 @@ describe('azureCloudProvider', () => {
                 container,
                 name,
                 data,
+                options,
                 cb
             ) {
                 createBlobFromTextParams = {
@@ -1379,6 +4003,29 @@ describe('azureCloudProvider', () => {
                 });
         });
 
+        it('azure gov test', () => {
+            // eslint-disable-next-line global-require
+            provider.environment = require('ms-rest-azure/lib/azureEnvironment').AzureUSGovernment;
+            return provider.getDataFromUri('https://account.blob.core.usgovcloudapi.net/myStuff/myFile')
+                .then((data) => {
+                    assert.strictEqual(getBlobToTextParams.container, 'myStuff');
+                    assert.strictEqual(getBlobToTextParams.blob, 'myFile');
+                    assert.strictEqual(data, 'AzureBlobData');
+                });
+        });
+
+        it('wrong environment test', () => {
+            // eslint-disable-next-line global-require
+            provider.environment = require('ms-rest-azure/lib/azureEnvironment').AzureUSGovernment;
+            return provider.getDataFromUri('https://account.blob.core.windows.net/myStuff/myFile')
+                .then(() => {
+                    assert.ok(false, 'Should have thrown invalid URI');
+                })
+                .catch((err) => {
+                    assert.notStrictEqual(err.message.indexOf('Invalid URI'), -1);
+                });
+        });
+
         it('invalid blob path test', () => {
             return provider.getDataFromUri('https://account.blob.core.windows.net/myStuff')
                 .then(() => {
@@ -0,0 +1,241 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+
+describe('blockUpload', () => {
+    const file = `${os.tmpdir()}/blockUploadTests.ucs`;
+    const fileData = Buffer.from('0123456789abcdefghij0123456789abcdefghij0123');
+    const retry = { maxRetries: 1, retryIntervalMs: 1 };
+
+    let blockUpload;
+    let storageClient;
+    let existingBlocks;
+    let createdBlocks;
+    let committed;
+
+    beforeEach(() => {
+        // eslint-disable-next-line global-require
+        blockUpload = require('../../lib/blockUpload');
+
+        fs.writeFileSync(file, fileData);
+
+        existingBlocks = undefined;
+        createdBlocks = {};
+        committed = undefined;
+
+        storageClient = {
+            listBlocks(container, name, type, cb) {
+                if (existingBlocks) {
+                    cb(null, existingBlocks);
+                } else {
+                    cb({ statusCode: 404, message: 'BlobNotFound' });
+                }
+            },
+            createBlockFromText(id, container, name, data, cb) {
+                createdBlocks[id] = data.toString();
+                cb();
+            },
+            commitBlocks(container, name, blockList, options, cb) {
+                committed = {
+                    container,
+                    name,
+                    blockIds: blockList.LatestBlocks,
+                    options
+                };
+                cb();
+            }
+        };
+    });
+
+    afterEach(() => {
+        fs.unlinkSync(file);
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    it('basic test', () => {
+        return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, { blockSize: 10, retry })
+            .then((result) => {
+                const sha256 = crypto.createHash('sha256').update(fileData).digest('hex');
+
+                assert.deepStrictEqual(result, {
+                    checksum: sha256,
+                    checksumAlgorithm: 'sha256',
+                    blocks: 5,
+                    resumedBlocks: 0
+                });
+                assert.strictEqual(committed.container, 'backup');
+                assert.strictEqual(committed.name, 'my.ucs');
+                assert.deepStrictEqual(committed.options, {
+                    metadata: {
+                        checksum: sha256,
+                        checksumalgorithm: 'sha256'
+                    }
+                });
+
+                // Committed in file order, all IDs the same length
+                assert.strictEqual(committed.blockIds.length, 5);
+                assert.ok(committed.blockIds[0].endsWith('-000000'));
+                assert.ok(committed.blockIds[4].endsWith('-000004'));
+                committed.blockIds.forEach((id) => {
+                    assert.strictEqual(id.length, committed.blockIds[0].length);
+                });
+                assert.strictEqual(committed.blockIds.map((id) => {
+                    return createdBlocks[id];
+                }).join(''), fileData.toString());
+            });
+    });
+
+    it('md5 test', () => {
+        const options = { blockSize: 10, checksumAlgorithm: 'MD5', retry };
+
+        return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, options)
+            .then((result) => {
+                const md5 = crypto.createHash('md5').update(fileData).digest();
+
+                assert.strictEqual(result.checksum, md5.toString('hex'));
+                assert.strictEqual(result.checksumAlgorithm, 'md5');
+                assert.strictEqual(committed.options.metadata.checksumalgorithm, 'md5');
+                assert.deepStrictEqual(committed.options.contentSettings, {
+                    contentMD5: md5.toString('base64')
+                });
+            });
+    });
+
+    it('resume test', () => {
+        const options = { blockSize: 10, parallelism: 2, retry };
+
+        return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, options)
+            .then(() => {
+                const blockIds = committed.blockIds;
+
+                // Blocks 0 and 1 were staged by an earlier upload, block 2 was cut short
+                existingBlocks = {
+                    UncommittedBlocks: [
+                        { Name: blockIds[0], Size: '10' },
+                        { Name: blockIds[1], Size: '10' },
+                        { Name: blockIds[2], Size: '4' }
+                    ]
+                };
+                createdBlocks = {};
+
+                return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, options);
+            })
+            .then((result) => {
+                assert.strictEqual(result.blocks, 5);
+                assert.strictEqual(result.resumedBlocks, 2);
+                assert.deepStrictEqual(Object.keys(createdBlocks).sort(), committed.blockIds.slice(2));
+            });
+    });
+
+    it('changed file test', () => {
+        const options = { blockSize: 10, retry };
+        let firstBlockIds;
+
+        return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, options)
+            .then(() => {
+                firstBlockIds = committed.blockIds;
+                existingBlocks = {
+                    CommittedBlocks: firstBlockIds.map((id) => {
+                        return { Name: id, Size: '10' };
+                    })
+                };
+                fs.writeFileSync(file, fileData.slice(0, 30));
+
+                return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, options);
+            })
+            .then((result) => {
+                assert.strictEqual(result.resumedBlocks, 0);
+                assert.notStrictEqual(committed.blockIds[0], firstBlockIds[0]);
+            });
+    });
+
+    it('block retry test', () => {
+        let failures = 0;
+        const createBlockFromText = storageClient.createBlockFromText;
+        storageClient.createBlockFromText = function createBlockFromTextMock(id, container, name, data, cb) {
+            if (id.endsWith('-000001') && failures === 0) {
+                failures += 1;
+                cb(new Error('connection reset'));
+                return;
+            }
+            createBlockFromText(id, container, name, data, cb);
+        };
+
+        return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, { blockSize: 10, retry })
+            .then((result) => {
+                assert.strictEqual(failures, 1);
+                assert.strictEqual(result.blocks, 5);
+            });
+    });
+
+    it('block error test', () => {
+        storageClient.createBlockFromText = function createBlockFromTextMock(id, container, name, data, cb) {
+            cb(new Error('connection reset'));
+        };
+
+        return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, { blockSize: 10, retry })
+            .then(() => {
+                assert.ok(false, 'should have thrown block error');
+            })
+            .catch((err) => {
+                assert.notStrictEqual(err.message.indexOf('connection reset'), -1);
+                assert.strictEqual(committed, undefined);
+            });
+    });
+
+    it('list blocks error test', () => {
+        storageClient.listBlocks = function listBlocks(container, name, type, cb) {
+            cb({ statusCode: 403, message: 'AuthorizationFailure' });
+        };
+
+        return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, { retry })
+            .then(() => {
+                assert.ok(false, 'should have thrown list blocks error');
+            })
+            .catch((err) => {
+                assert.strictEqual(err.message, 'AuthorizationFailure');
+            });
+    });
+
+    it('bad options test', () => {
+        const options = { blockSize: 200 * 1024 * 1024 };
+
+        return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, options)
+            .then(() => {
+                assert.ok(false, 'should have thrown bad block size');
+            })
+            .catch((err) => {
+                assert.notStrictEqual(err.message.indexOf('Block size must be between'), -1);
+                return blockUpload.uploadFile(storageClient, 'backup', 'my.ucs', file, {
+                    checksumAlgorithm: 'crc32'
+                });
+            })
+            .then(() => {
+                assert.ok(false, 'should have thrown bad checksum algorithm');
+            })
+            .catch((err) => {
+                assert.strictEqual(err.message, 'Unknown checksum algorithm: crc32');
+            });
+    });
+});
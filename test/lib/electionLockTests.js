@@ -0,0 +1,202 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+describe('electionLock', () => {
+    let ElectionLock;
+    let storageClient;
+    let currentLeaseId;
+    let receivedLeaseOptions;
+    let blobText;
+    let lock;
+
+    beforeEach(() => {
+        // eslint-disable-next-line global-require
+        ElectionLock = require('../../lib/electionLock').ElectionLock;
+
+        currentLeaseId = undefined;
+        receivedLeaseOptions = undefined;
+        blobText = '';
+        lock = undefined;
+
+        storageClient = {
+            createContainerIfNotExists(container, cb) {
+                cb();
+            },
+            createBlockBlobFromText(container, name, data, options, cb) {
+                if (!options.leaseId) {
+                    cb({ statusCode: 409 });
+                    return;
+                }
+                if (options.leaseId !== currentLeaseId) {
+                    cb({ statusCode: 412, message: 'lease ID mismatch' });
+                    return;
+                }
+                blobText = data;
+                cb();
+            },
+            getBlobToText(container, name, cb) {
+                cb(null, blobText);
+            },
+            acquireLease(container, name, options, cb) {
+                receivedLeaseOptions = options;
+                if (currentLeaseId && currentLeaseId !== options.proposedLeaseId) {
+                    cb({ statusCode: 409 });
+                    return;
+                }
+                currentLeaseId = options.proposedLeaseId;
+                cb(null, { id: currentLeaseId });
+            },
+            releaseLease(container, name, leaseId, cb) {
+                if (leaseId === currentLeaseId) {
+                    currentLeaseId = undefined;
+                }
+                cb();
+            }
+        };
+    });
+
+    afterEach(() => {
+        if (lock) {
+            lock.release();
+        }
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    it('init existing blob test', () => {
+        lock = new ElectionLock(storageClient);
+        return lock.init();
+    });
+
+    it('acquire test', () => {
+        lock = new ElectionLock(storageClient, { leaseDurationSec: 30 });
+
+        return lock.acquire('123')
+            .then((isHolder) => {
+                assert.strictEqual(isHolder, true);
+                assert.strictEqual(lock.isHolder(), true);
+                assert.strictEqual(receivedLeaseOptions.leaseDuration, 30);
+                assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+                    .test(receivedLeaseOptions.proposedLeaseId));
+            });
+    });
+
+    it('reacquire from new process test', () => {
+        lock = new ElectionLock(storageClient);
+
+        return lock.acquire('123')
+            .then(() => {
+                const otherProcessLock = new ElectionLock(storageClient);
+                return otherProcessLock.acquire('123');
+            })
+            .then((isHolder) => {
+                assert.strictEqual(isHolder, true);
+            });
+    });
+
+    it('held by other test', () => {
+        lock = new ElectionLock(storageClient);
+        const otherLock = new ElectionLock(storageClient);
+
+        return otherLock.acquire('456')
+            .then(() => {
+                return lock.acquire('123');
+            })
+            .then((isHolder) => {
+                assert.strictEqual(isHolder, false);
+                assert.strictEqual(lock.isHolder(), false);
+                return otherLock.release();
+            })
+            .then(() => {
+                return lock.acquire('123');
+            })
+            .then((isHolder) => {
+                assert.strictEqual(isHolder, true);
+            });
+    });
+
+    it('acquire error test', () => {
+        storageClient.acquireLease = function acquireLease(container, name, options, cb) {
+            cb({ statusCode: 500, message: 'server error' });
+        };
+        lock = new ElectionLock(storageClient);
+
+        return lock.acquire('123')
+            .then(() => {
+                assert.ok(false, 'should have thrown server error');
+            })
+            .catch((err) => {
+                assert.strictEqual(err.message, 'server error');
+            });
+    });
+
+    it('bad duration test', () => {
+        assert.throws(() => {
+            lock = new ElectionLock(storageClient, { leaseDurationSec: 120 });
+        }, /lease duration must be between 15 and 60 seconds/);
+    });
+
+    it('set storage client test', () => {
+        lock = new ElectionLock({});
+
+        // For example after the storage key is rotated
+        lock.setStorageClient(storageClient);
+
+        return lock.acquire('123')
+            .then((isHolder) => {
+                assert.strictEqual(isHolder, true);
+            });
+    });
+
+    it('record election test', () => {
+        lock = new ElectionLock(storageClient);
+        const otherLock = new ElectionLock(storageClient);
+
+        return otherLock.getElection()
+            .then((election) => {
+                assert.strictEqual(election, undefined);
+                return lock.acquire('123');
+            })
+            .then(() => {
+                return lock.recordElection('456');
+            })
+            .then(() => {
+                return otherLock.getElection();
+            })
+            .then((election) => {
+                assert.strictEqual(election.primaryId, '456');
+                assert.ok(election.time);
+            });
+    });
+
+    it('record election not holder test', () => {
+        lock = new ElectionLock(storageClient);
+
+        return lock.recordElection('456')
+            .then(() => {
+                assert.ok(false, 'should have thrown not held');
+            })
+            .catch((err) => {
+                assert.strictEqual(err.message, 'recordElection: election lock not held');
+                assert.strictEqual(blobText, '');
+            });
+    });
+});
@@ -0,0 +1,289 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+describe('electionStrategies', () => {
+    const noBackup = new Date(1970, 1, 1).getTime();
+
+    let electionStrategies;
+
+    const makeInstance = function (privateIp, properties) {
+        return Object.assign(
+            {
+                mgmtIp: privateIp,
+                privateIp,
+                providerVisible: true,
+                versionOk: true,
+                lastBackup: noBackup
+            },
+            properties
+        );
+    };
+
+    beforeEach(() => {
+        // eslint-disable-next-line global-require
+        electionStrategies = require('../../lib/electionStrategies');
+    });
+
+    afterEach(() => {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    describe('get tests', () => {
+        it('default test', () => {
+            const elect = electionStrategies.get();
+            const instances = {
+                456: makeInstance('10.0.0.5'),
+                123: makeInstance('10.0.0.4')
+            };
+
+            assert.strictEqual(elect(instances), '123');
+        });
+
+        it('function test', () => {
+            const elect = electionStrategies.get(() => {
+                return '456';
+            });
+
+            assert.strictEqual(elect({}), '456');
+        });
+
+        it('unknown strategy test', () => {
+            assert.throws(() => {
+                electionStrategies.get('newest');
+            }, /Unknown election strategy: newest/);
+        });
+
+        it('vm name test', () => {
+            const elect = electionStrategies.get();
+            const instances = {
+                vmss_ab12: makeInstance('10.0.0.4', { timeCreated: '2026-03-01T08:00:00Z' }),
+                vmss_ff01: makeInstance('10.0.0.5', { timeCreated: '2026-01-01T08:00:00Z' })
+            };
+
+            assert.strictEqual(elect(instances), 'vmss_ff01');
+        });
+
+        it('no candidates test', () => {
+            const instances = {
+                123: makeInstance('10.0.0.4', { providerVisible: false }),
+                456: makeInstance('10.0.0.5', { versionOk: false })
+            };
+
+            electionStrategies.STRATEGY_NAMES.forEach((name) => {
+                const elect = electionStrategies.get({ name, zone: '1' });
+                assert.strictEqual(elect(instances), undefined, name);
+            });
+        });
+    });
+
+    describe('default tests', () => {
+        it('running config test', () => {
+            const elect = electionStrategies.get('default');
+            const instances = {
+                123: makeInstance('10.0.0.4'),
+                456: makeInstance('10.0.0.5', { lastBackup: Date.now() })
+            };
+
+            assert.strictEqual(elect(instances), '456');
+        });
+
+        it('external mixed address family test', () => {
+            const elect = electionStrategies.get('default');
+            const instances = {
+                'b5e8f2a0-0000-4000-8000-000000000001': makeInstance('2001:db8::1', { external: true }),
+                'b5e8f2a0-0000-4000-8000-000000000002': makeInstance('10.0.0.20', { external: true }),
+                'b5e8f2a0-0000-4000-8000-000000000003': makeInstance('10.0.0.3', { external: true })
+            };
+
+            // IPv4 sorts before IPv6 and 10.0.0.3 is lower than 10.0.0.20
+            assert.strictEqual(elect(instances), 'b5e8f2a0-0000-4000-8000-000000000003');
+        });
+
+        it('external ipv6 test', () => {
+            const elect = electionStrategies.get('default');
+            const instances = {
+                'b5e8f2a0-0000-4000-8000-000000000001': makeInstance('2001:db8::a', { external: true }),
+                'b5e8f2a0-0000-4000-8000-000000000002': makeInstance('2001:DB8::9', { external: true })
+            };
+
+            assert.strictEqual(elect(instances), 'b5e8f2a0-0000-4000-8000-000000000002');
+        });
+    });
+
+    describe('oldest tests', () => {
+        it('numeric order test', () => {
+            const elect = electionStrategies.get('oldest');
+            const instances = {
+                9: makeInstance('10.0.0.9'),
+                10: makeInstance('10.0.0.10'),
+                11: makeInstance('10.0.0.11')
+            };
+
+            // A string comparison would pick '10'
+            assert.strictEqual(elect(instances), '9');
+        });
+
+        it('skips not visible test', () => {
+            const elect = electionStrategies.get('oldest');
+            const instances = {
+                1: makeInstance('10.0.0.1', { providerVisible: false }),
+                2: makeInstance('10.0.0.2', { versionOk: false }),
+                3: makeInstance('10.0.0.3')
+            };
+
+            assert.strictEqual(elect(instances), '3');
+        });
+
+        it('external last test', () => {
+            const elect = electionStrategies.get('oldest');
+            const instances = {
+                'b5e8f2a0-0000-4000-8000-000000000000': makeInstance('10.0.0.1', { external: true }),
+                7: makeInstance('10.0.0.7')
+            };
+
+            assert.strictEqual(elect(instances), '7');
+        });
+
+        it('time created test', () => {
+            const elect = electionStrategies.get('oldest');
+            const instances = {
+                vmss_ab12: makeInstance('10.0.0.1', { timeCreated: '2026-03-01T08:00:00Z' }),
+                vmss_ff01: makeInstance('10.0.0.2', { timeCreated: '2026-01-01T08:00:00Z' }),
+                'b5e8f2a0-0000-4000-8000-000000000000': makeInstance('10.0.0.3', { external: true })
+            };
+
+            // A string comparison would pick vmss_ab12
+            assert.strictEqual(elect(instances), 'vmss_ff01');
+        });
+    });
+
+    describe('zone tests', () => {
+        it('preferred zone test', () => {
+            const elect = electionStrategies.get({ name: 'zone', zone: '2' });
+            const instances = {
+                1: makeInstance('10.0.0.1', { zone: '1' }),
+                4: makeInstance('10.0.0.4', { zone: '2' }),
+                3: makeInstance('10.0.0.3', { zone: '2' })
+            };
+
+            assert.strictEqual(elect(instances), '3');
+        });
+
+        it('numeric zone test', () => {
+            const elect = electionStrategies.get({ name: 'zone', zone: 3 });
+            const instances = {
+                1: makeInstance('10.0.0.1', { zone: '1' }),
+                2: makeInstance('10.0.0.2', { zone: '3' })
+            };
+
+            assert.strictEqual(elect(instances), '2');
+        });
+
+        it('fallback test', () => {
+            const elect = electionStrategies.get({ name: 'zone', zone: '3' });
+            const instances = {
+                5: makeInstance('10.0.0.5', { zone: '1' }),
+                2: makeInstance('10.0.0.2', { zone: '2' }),
+                1: makeInstance('10.0.0.1', { zone: '3', providerVisible: false })
+            };
+
+            assert.strictEqual(elect(instances), '2');
+        });
+
+        it('no zone option test', () => {
+            const elect = electionStrategies.get('zone');
+
+            assert.throws(() => {
+                elect({ 1: makeInstance('10.0.0.1') });
+            }, /zone election strategy requires a zone/);
+        });
+    });
+
+    describe('last backup tests', () => {
+        it('newest backup test', () => {
+            const elect = electionStrategies.get('lastBackup');
+            const instances = {
+                1: makeInstance('10.0.0.1', { lastBackup: Date.parse('2020-01-01T00:00:00Z') }),
+                2: makeInstance('10.0.0.2', { lastBackup: Date.parse('2020-03-01T00:00:00Z') }),
+                3: makeInstance('10.0.0.3')
+            };
+
+            assert.strictEqual(elect(instances), '2');
+        });
+
+        it('string date test', () => {
+            // lastBackup round trips through JSON in the instance store
+            const elect = electionStrategies.get('lastBackup');
+            const instances = {
+                1: makeInstance('10.0.0.1', { lastBackup: '2020-05-01T00:00:00.000Z' }),
+                2: makeInstance('10.0.0.2', { lastBackup: Date.parse('2020-03-01T00:00:00Z') })
+            };
+
+            assert.strictEqual(elect(instances), '1');
+        });
+
+        it('tie test', () => {
+            const elect = electionStrategies.get('lastBackup');
+            const instances = {
+                12: makeInstance('10.0.0.12'),
+                8: makeInstance('10.0.0.8')
+            };
+
+            assert.strictEqual(elect(instances), '8');
+        });
+    });
+
+    describe('tag tests', () => {
+        it('highest priority test', () => {
+            const elect = electionStrategies.get('tag');
+            const instances = {
+                1: makeInstance('10.0.0.1', { tags: { f5_election_priority: '10' } }),
+                2: makeInstance('10.0.0.2', { tags: { f5_election_priority: '50' } }),
+                3: makeInstance('10.0.0.3', { tags: { f5_election_priority: '9' } })
+            };
+
+            assert.strictEqual(elect(instances), '2');
+        });
+
+        it('custom tag test', () => {
+            const elect = electionStrategies.get({ name: 'tag', tag: 'priority' });
+            const instances = {
+                1: makeInstance('10.0.0.1', { tags: { f5_election_priority: '100' } }),
+                2: makeInstance('10.0.0.2', { tags: { priority: '1' } })
+            };
+
+            assert.strictEqual(elect(instances), '2');
+        });
+
+        it('untagged and tie test', () => {
+            const elect = electionStrategies.get('tag');
+            const instances = {
+                1: makeInstance('10.0.0.1'),
+                2: makeInstance('10.0.0.2', { tags: { f5_election_priority: 'high' } }),
+                6: makeInstance('10.0.0.6', { tags: { f5_election_priority: '5' } }),
+                4: makeInstance('10.0.0.4', { tags: { f5_election_priority: '5' } })
+            };
+
+            assert.strictEqual(elect(instances), '4');
+        });
+    });
+});
@@ -0,0 +1,503 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const q = require('q');
+
+describe('instanceStore', () => {
+    let instanceStore;
+    let ConflictError;
+
+    beforeEach(() => {
+        /* eslint-disable global-require */
+        instanceStore = require('../../lib/instanceStore');
+        ConflictError = require('../../lib/errors').ConflictError;
+        /* eslint-enable global-require */
+    });
+
+    afterEach(() => {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    describe('create tests', () => {
+        it('default test', () => {
+            const store = instanceStore.create(undefined, { storageClient: {} });
+            assert.ok(store instanceof instanceStore.BlobInstanceStore);
+        });
+
+        it('table test', () => {
+            const store = instanceStore.create('table', { tableClient: {} });
+            assert.ok(store instanceof instanceStore.TableInstanceStore);
+        });
+
+        it('unknown type test', () => {
+            assert.throws(() => {
+                instanceStore.create('foo');
+            }, /Unknown instance store type: foo/);
+        });
+    });
+
+    describe('memory store tests', () => {
+        it('put and get test', () => {
+            const store = instanceStore.create('memory');
+            const lastUpdate = new Date();
+
+            return store.putInstance('123', { isPrimary: true, lastUpdate })
+                .then(() => {
+                    return store.getInstances();
+                })
+                .then((instances) => {
+                    assert.deepStrictEqual(Object.keys(instances), ['123']);
+                    assert.strictEqual(instances['123'].isPrimary, true);
+                    assert.strictEqual(instances['123'].lastUpdate, lastUpdate.toJSON());
+                });
+        });
+
+        it('delete test', () => {
+            const store = instanceStore.create('memory', {
+                instances: {
+                    123: { privateIp: '1.2.3.4' },
+                    456: { privateIp: '4.5.6.7' }
+                }
+            });
+
+            return store.deleteInstances(['123', '789'])
+                .then(() => {
+                    return store.getInstances();
+                })
+                .then((instances) => {
+                    assert.deepStrictEqual(Object.keys(instances), ['456']);
+                });
+        });
+
+        it('etag mismatch test', () => {
+            const store = instanceStore.create('memory', { instances: { 123: { isPrimary: true } } });
+
+            return store.getInstance('123')
+                .then((result) => {
+                    return store.putInstance('123', { isPrimary: false })
+                        .then(() => {
+                            return store.putInstance('123', { isPrimary: true }, { etag: result.etag });
+                        });
+                })
+                .then(() => {
+                    assert.ok(false, 'should have thrown conflict');
+                })
+                .catch((err) => {
+                    assert.ok(err instanceof ConflictError);
+                    assert.strictEqual(err.statusCode, 412);
+                });
+        });
+
+        it('if not exists test', () => {
+            const store = instanceStore.create('memory', { instances: { 123: { isPrimary: true } } });
+
+            return store.putInstance('123', { isPrimary: false }, { ifNotExists: true })
+                .then(() => {
+                    assert.ok(false, 'should have thrown conflict');
+                })
+                .catch((err) => {
+                    assert.ok(err instanceof ConflictError);
+                    return store.getInstances();
+                })
+                .then((instances) => {
+                    assert.strictEqual(instances['123'].isPrimary, true);
+                });
+        });
+
+        it('update retry test', () => {
+            const store = instanceStore.create('memory', { instances: { 123: { count: 0 } } });
+            const getInstance = store.getInstance;
+            let numGets = 0;
+
+            // Simulate another writer updating the instance between our read and write
+            store.getInstance = function getInstanceThenWrite(instanceId) {
+                numGets += 1;
+                return getInstance.call(this, instanceId)
+                    .then((result) => {
+                        if (numGets === 1) {
+                            return store.putInstance(instanceId, { count: 10 })
+                                .then(() => {
+                                    return result;
+                                });
+                        }
+                        return result;
+                    });
+            };
+
+            return store.updateInstance('123', (instance) => {
+                return { count: instance.count + 1 };
+            })
+                .then((updated) => {
+                    assert.strictEqual(numGets, 2);
+                    assert.strictEqual(updated.count, 11);
+                });
+        });
+
+        it('update conflict test', () => {
+            const store = instanceStore.create('memory');
+            store.putInstance = function putInstance() {
+                return q.reject(new ConflictError('changed'));
+            };
+
+            return store.updateInstance('123', () => {
+                return { isPrimary: false };
+            })
+                .then(() => {
+                    assert.ok(false, 'should have thrown conflict');
+                })
+                .catch((err) => {
+                    assert.ok(err instanceof ConflictError);
+                });
+        });
+
+        it('update skip test', () => {
+            const store = instanceStore.create('memory', { instances: { 123: { isPrimary: false } } });
+
+            return store.updateInstance('123', () => {
+                return undefined;
+            })
+                .then((updated) => {
+                    assert.strictEqual(updated, undefined);
+                });
+        });
+    });
+
+    describe('blob store tests', () => {
+        let storageClient;
+        let blobs;
+        let etags;
+        let receivedOptions;
+
+        beforeEach(() => {
+            blobs = {
+                123: JSON.stringify({ privateIp: '1.2.3.4' })
+            };
+            etags = {
+                123: '"0x1"'
+            };
+            receivedOptions = undefined;
+
+            storageClient = {
+                listBlobsSegmented(container, token, options, cb) {
+                    cb(null, {
+                        entries: Object.keys(blobs).map((name) => {
+                            return { name };
+                        })
+                    });
+                },
+                getBlobToText(container, name, cb) {
+                    if (!blobs[name]) {
+                        cb({ statusCode: 404 });
+                        return;
+                    }
+                    cb(null, blobs[name], { etag: etags[name] });
+                },
+                createBlockBlobFromText(container, name, data, options, cb) {
+                    assert.strictEqual(container, 'instances');
+                    receivedOptions = options;
+                    const conditions = options.accessConditions || {};
+                    if (conditions.EtagMatch && conditions.EtagMatch !== etags[name]) {
+                        cb({ statusCode: 412 });
+                        return;
+                    }
+                    if (conditions.EtagNonMatch === '*' && blobs[name]) {
+                        cb({ statusCode: 409 });
+                        return;
+                    }
+                    blobs[name] = data;
+                    etags[name] = `"0x${Object.keys(etags).length + 1}"`;
+                    cb();
+                },
+                deleteBlobIfExists(container, name, cb) {
+                    delete blobs[name];
+                    cb();
+                }
+            };
+        });
+
+        it('get instances test', () => {
+            const store = instanceStore.create('blob', { storageClient });
+            blobs['primary-election-lock'] = '';
+
+            return store.getInstances()
+                .then((instances) => {
+                    assert.deepStrictEqual(Object.keys(instances), ['123']);
+                    assert.strictEqual(instances['123'].privateIp, '1.2.3.4');
+                });
+        });
+
+        it('set clients test', () => {
+            const store = instanceStore.create('blob', { storageClient: {} });
+
+            // For example after the storage key is rotated
+            store.setClients({ storageClient });
+
+            return store.getInstance('123')
+                .then((result) => {
+                    assert.strictEqual(result.instance.privateIp, '1.2.3.4');
+                });
+        });
+
+        it('get instances multiple segments test', () => {
+            const store = instanceStore.create('blob', { storageClient });
+            blobs['456'] = JSON.stringify({ privateIp: '4.5.6.7' });
+            storageClient.listBlobsSegmented = function listBlobsSegmented(container, token, options, cb) {
+                if (!token) {
+                    cb(null, { entries: [{ name: '123' }], continuationToken: { nextMarker: '456' } });
+                } else {
+                    cb(null, { entries: [{ name: '456' }] });
+                }
+            };
+
+            return store.getInstances()
+                .then((instances) => {
+                    assert.deepStrictEqual(Object.keys(instances), ['123', '456']);
+                    assert.strictEqual(instances['456'].privateIp, '4.5.6.7');
+                });
+        });
+
+        it('put and delete test', () => {
+            const store = instanceStore.create('blob', { storageClient });
+
+            return store.putInstance('456', { privateIp: '4.5.6.7' })
+                .then(() => {
+                    assert.strictEqual(JSON.parse(blobs['456']).privateIp, '4.5.6.7');
+                    return store.deleteInstances(['123']);
+                })
+                .then(() => {
+                    assert.deepStrictEqual(Object.keys(blobs), ['456']);
+                });
+        });
+
+        it('get instance test', () => {
+            const store = instanceStore.create('blob', { storageClient });
+
+            return store.getInstance('123')
+                .then((result) => {
+                    assert.strictEqual(result.instance.privateIp, '1.2.3.4');
+                    assert.strictEqual(result.etag, '"0x1"');
+                    return store.getInstance('456');
+                })
+                .then((result) => {
+                    assert.strictEqual(result.instance, undefined);
+                    assert.strictEqual(result.etag, undefined);
+                });
+        });
+
+        it('update test', () => {
+            const store = instanceStore.create('blob', { storageClient });
+
+            return store.updateInstance('123', (instance) => {
+                const updated = instance;
+                updated.isPrimary = true;
+                return updated;
+            })
+                .then(() => {
+                    assert.deepStrictEqual(receivedOptions.accessConditions, { EtagMatch: '"0x1"' });
+                    assert.strictEqual(JSON.parse(blobs['123']).isPrimary, true);
+                    return store.updateInstance('456', () => {
+                        return { privateIp: '4.5.6.7' };
+                    });
+                })
+                .then(() => {
+                    assert.deepStrictEqual(receivedOptions.accessConditions, { EtagNonMatch: '*' });
+                    assert.strictEqual(JSON.parse(blobs['456']).privateIp, '4.5.6.7');
+                });
+        });
+
+        it('etag mismatch test', () => {
+            const store = instanceStore.create('blob', { storageClient });
+
+            return store.putInstance('123', { privateIp: '1.2.3.4' }, { etag: '"0x0"' })
+                .then(() => {
+                    assert.ok(false, 'should have thrown conflict');
+                })
+                .catch((err) => {
+                    assert.ok(err instanceof ConflictError);
+                    assert.strictEqual(err.statusCode, 412);
+                });
+        });
+
+        it('bad json test', () => {
+            const store = instanceStore.create('blob', { storageClient });
+            blobs['123'] = 'not json';
+
+            return store.getInstances()
+                .then(() => {
+                    assert.ok(false, 'should have thrown bad json');
+                })
+                .catch((err) => {
+                    assert.ok(err instanceof SyntaxError);
+                });
+        });
+    });
+
+    describe('table store tests', () => {
+        let tableClient;
+        let entities;
+        let tableName;
+
+        beforeEach(() => {
+            entities = {};
+            tableName = undefined;
+
+            tableClient = {
+                createTableIfNotExists(table, cb) {
+                    tableName = table;
+                    cb();
+                },
+                queryEntities(table, query, token, cb) {
+                    // Return one entity per page to exercise continuation
+                    const rowKeys = Object.keys(entities);
+                    const index = token ? token.index : 0;
+                    const result = {
+                        entries: rowKeys.length ? [entities[rowKeys[index]]] : []
+                    };
+                    if (index + 1 < rowKeys.length) {
+                        result.continuationToken = { index: index + 1 };
+                    }
+                    cb(null, result);
+                },
+                insertOrReplaceEntity(table, entity, cb) {
+                    entities[entity.RowKey._] = entity;
+                    cb();
+                },
+                retrieveEntity(table, partitionKey, rowKey, cb) {
+                    if (!entities[rowKey]) {
+                        cb({ statusCode: 404 });
+                        return;
+                    }
+                    cb(null, Object.assign({ '.metadata': { etag: 'W/"1"' } }, entities[rowKey]));
+                },
+                replaceEntity(table, entity, cb) {
+                    if (entity['.metadata'].etag !== 'W/"1"') {
+                        cb({ statusCode: 412 });
+                        return;
+                    }
+                    entities[entity.RowKey._] = entity;
+                    cb();
+                },
+                insertEntity(table, entity, cb) {
+                    if (entities[entity.RowKey._]) {
+                        cb({ statusCode: 409 });
+                        return;
+                    }
+                    entities[entity.RowKey._] = entity;
+                    cb();
+                },
+                deleteEntity(table, entity, cb) {
+                    if (!entities[entity.RowKey._]) {
+                        cb({ statusCode: 404 });
+                        return;
+                    }
+                    delete entities[entity.RowKey._];
+                    cb();
+                }
+            };
+        });
+
+        it('init test', () => {
+            const store = instanceStore.create('table', { tableClient, tableName: 'myInstances' });
+
+            return store.init()
+                .then(() => {
+                    assert.strictEqual(tableName, 'myInstances');
+                });
+        });
+
+        it('put and get test', () => {
+            const store = instanceStore.create('table', { tableClient });
+
+            return store.putInstance('123', { privateIp: '1.2.3.4', isPrimary: true })
+                .then(() => {
+                    return store.putInstance('456', { privateIp: '4.5.6.7' });
+                })
+                .then(() => {
+                    assert.strictEqual(entities['123'].PartitionKey._, 'instance');
+                    return store.getInstances();
+                })
+                .then((instances) => {
+                    assert.strictEqual(instances['123'].privateIp, '1.2.3.4');
+                    assert.strictEqual(instances['123'].isPrimary, true);
+                    assert.strictEqual(instances['456'].privateIp, '4.5.6.7');
+                });
+        });
+
+        it('update test', () => {
+            const store = instanceStore.create('table', { tableClient });
+
+            return store.putInstance('123', { privateIp: '1.2.3.4', isPrimary: true })
+                .then(() => {
+                    return store.updateInstance('123', (instance) => {
+                        const updated = instance;
+                        updated.isPrimary = false;
+                        return updated;
+                    });
+                })
+                .then(() => {
+                    assert.strictEqual(JSON.parse(entities['123'].data._).isPrimary, false);
+                });
+        });
+
+        it('insert conflict test', () => {
+            const store = instanceStore.create('table', { tableClient });
+
+            return store.putInstance('123', { privateIp: '1.2.3.4' })
+                .then(() => {
+                    return store.putInstance('123', { privateIp: '4.5.6.7' }, { ifNotExists: true });
+                })
+                .then(() => {
+                    assert.ok(false, 'should have thrown conflict');
+                })
+                .catch((err) => {
+                    assert.ok(err instanceof ConflictError);
+                    assert.strictEqual(err.statusCode, 409);
+                });
+        });
+
+        it('delete missing test', () => {
+            const store = instanceStore.create('table', { tableClient });
+
+            return store.putInstance('123', { privateIp: '1.2.3.4' })
+                .then(() => {
+                    return store.deleteInstances(['123', '456']);
+                })
+                .then(() => {
+                    assert.deepStrictEqual(entities, {});
+                });
+        });
+
+        it('delete error test', () => {
+            const store = instanceStore.create('table', { tableClient });
+            tableClient.deleteEntity = function deleteEntity(table, entity, cb) {
+                cb({ statusCode: 500 });
+            };
+
+            return store.deleteInstances(['123'])
+                .then(() => {
+                    assert.ok(false, 'should have thrown delete error');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.statusCode, 500);
+                });
+        });
+    });
+});
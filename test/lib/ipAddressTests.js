@@ -0,0 +1,98 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+describe('ipAddress', () => {
+    let ipAddress;
+
+    beforeEach(() => {
+        // eslint-disable-next-line global-require
+        ipAddress = require('../../lib/ipAddress');
+    });
+
+    afterEach(() => {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    describe('strip tests', () => {
+        it('route domain and prefix test', () => {
+            assert.strictEqual(ipAddress.strip('10.0.0.4%1/24'), '10.0.0.4');
+            assert.strictEqual(ipAddress.strip('2001:db8::4%2/64'), '2001:db8::4');
+            assert.strictEqual(ipAddress.strip(undefined), undefined);
+        });
+    });
+
+    describe('get family tests', () => {
+        it('family test', () => {
+            assert.strictEqual(ipAddress.getFamily('10.0.0.4'), 4);
+            assert.strictEqual(ipAddress.getFamily('2001:db8::4'), 6);
+            assert.strictEqual(ipAddress.getFamily('::ffff:10.0.0.4'), 6);
+            assert.strictEqual(ipAddress.getFamily('10.0.0.256'), undefined);
+            assert.strictEqual(ipAddress.getFamily('2001:db8::4::5'), undefined);
+            assert.strictEqual(ipAddress.getFamily('1:2:3:4:5:6:7'), undefined);
+            assert.strictEqual(ipAddress.getFamily('myHost'), undefined);
+        });
+    });
+
+    describe('normalize tests', () => {
+        it('ipv6 test', () => {
+            assert.strictEqual(ipAddress.normalize('2001:0DB8:0:0:0:0:0:4%1/64'), '2001:db8::4');
+            assert.strictEqual(ipAddress.normalize('2001:db8:0:0:1:0:0:0'), '2001:db8:0:0:1::');
+            assert.strictEqual(ipAddress.normalize('2001:db8:0:1:1:1:1:1'), '2001:db8:0:1:1:1:1:1');
+            assert.strictEqual(ipAddress.normalize('::'), '::');
+        });
+
+        it('ipv4 test', () => {
+            assert.strictEqual(ipAddress.normalize('10.0.0.4%1/24'), '10.0.0.4');
+        });
+
+        it('invalid test', () => {
+            assert.strictEqual(ipAddress.normalize('myHost%1'), 'myHost');
+        });
+    });
+
+    describe('is same tests', () => {
+        it('same test', () => {
+            assert.strictEqual(ipAddress.isSame('2001:DB8:0::4%1/64', '2001:db8::4'), true);
+            assert.strictEqual(ipAddress.isSame('10.0.0.4', '10.0.0.4%0'), true);
+            assert.strictEqual(ipAddress.isSame('10.0.0.4', '10.0.0.5'), false);
+            assert.strictEqual(ipAddress.isSame(undefined, undefined), false);
+        });
+    });
+
+    describe('compare tests', () => {
+        it('sort test', () => {
+            const addresses = ['2001:db8::a', undefined, '10.0.0.20', '2001:db8::9', '10.0.0.3'];
+
+            assert.deepStrictEqual(addresses.sort(ipAddress.compare), [
+                '10.0.0.3',
+                '10.0.0.20',
+                '2001:db8::9',
+                '2001:db8::a',
+                undefined
+            ]);
+        });
+
+        it('equal test', () => {
+            assert.strictEqual(ipAddress.compare('2001:db8::1', '2001:DB8:0:0:0:0:0:1'), 0);
+        });
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+describe('paging', () => {
+    let paging;
+
+    // SDK list results are arrays with a nextLink property
+    const makePage = function (items, nextLink) {
+        const page = items.slice();
+        if (nextLink) {
+            page.nextLink = nextLink;
+        }
+        return page;
+    };
+
+    beforeEach(() => {
+        // eslint-disable-next-line global-require
+        paging = require('../../lib/paging');
+    });
+
+    afterEach(() => {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    describe('list all tests', () => {
+        it('multiple pages test', () => {
+            const receivedArgs = [];
+            const receivedLinks = [];
+            const pages = {
+                page2: makePage([3, 4], 'page3'),
+                page3: makePage([5])
+            };
+            const operations = {
+                list(resourceGroup, options, cb) {
+                    receivedArgs.push(resourceGroup, options);
+                    cb(null, makePage([1, 2], 'page2'), {}, { body: 'page1' });
+                },
+                listNext(nextLink, cb) {
+                    receivedLinks.push(nextLink);
+                    cb(null, pages[nextLink], {}, { body: nextLink });
+                }
+            };
+            const receivedBodies = [];
+
+            return paging.listAll(operations, 'list', ['myResourceGroup', { expand: 'foo' }], {
+                onPage(page, response) {
+                    receivedBodies.push(response.body);
+                }
+            })
+                .then((results) => {
+                    assert.deepStrictEqual(results, [1, 2, 3, 4, 5]);
+                    assert.deepStrictEqual(receivedArgs, ['myResourceGroup', { expand: 'foo' }]);
+                    assert.deepStrictEqual(receivedLinks, ['page2', 'page3']);
+                    assert.deepStrictEqual(receivedBodies, ['page1', 'page2', 'page3']);
+                });
+        });
+
+        it('no args test', () => {
+            const operations = {
+                listAll(cb) {
+                    cb(null, makePage(['a']));
+                }
+            };
+
+            return paging.listAll(operations, 'listAll')
+                .then((results) => {
+                    assert.deepStrictEqual(results, ['a']);
+                });
+        });
+
+        it('next page error test', () => {
+            const operations = {
+                list(cb) {
+                    cb(null, makePage([1], 'page2'));
+                },
+                listNext(nextLink, cb) {
+                    cb(new Error('page error'));
+                }
+            };
+
+            return paging.listAll(operations, 'list')
+                .then(() => {
+                    assert.ok(false, 'should have thrown page error');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'page error');
+                });
+        });
+    });
+
+    describe('list all blobs tests', () => {
+        it('continuation test', () => {
+            const receivedTokens = [];
+            const storageClient = {
+                listBlobsSegmented(container, token, options, cb) {
+                    receivedTokens.push(token);
+                    if (!token) {
+                        cb(null, { entries: [{ name: 'one' }], continuationToken: { nextMarker: 'two' } });
+                    } else {
+                        cb(null, { entries: [{ name: 'two' }] });
+                    }
+                }
+            };
+
+            return paging.listAllBlobs(storageClient, 'myContainer')
+                .then((entries) => {
+                    assert.deepStrictEqual(entries, [{ name: 'one' }, { name: 'two' }]);
+                    assert.deepStrictEqual(receivedTokens, [null, { nextMarker: 'two' }]);
+                });
+        });
+
+        it('error test', () => {
+            const storageClient = {
+                listBlobsSegmented(container, token, options, cb) {
+                    cb(new Error('list error'));
+                }
+            };
+
+            return paging.listAllBlobs(storageClient, 'myContainer')
+                .then(() => {
+                    assert.ok(false, 'should have thrown list error');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'list error');
+                });
+        });
+    });
+});
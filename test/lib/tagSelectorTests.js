@@ -0,0 +1,132 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+describe('tagSelector', () => {
+    let tagSelector;
+
+    const tags = {
+        app: 'web',
+        Tier: 'Front End',
+        f5_tg: 'traffic-group-1',
+        empty: ''
+    };
+
+    beforeEach(() => {
+        // eslint-disable-next-line global-require
+        tagSelector = require('../../lib/tagSelector');
+    });
+
+    afterEach(() => {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    describe('parse tests', () => {
+        it('key value object test', () => {
+            const match = tagSelector.parse({ key: 'app', value: 'web' });
+
+            assert.strictEqual(match(tags), true);
+            assert.strictEqual(match({ app: 'WEB' }), false);
+            assert.strictEqual(match(undefined), false);
+        });
+
+        it('selector object test', () => {
+            assert.strictEqual(tagSelector.parse({ selector: 'app AND f5_tg' })(tags), true);
+        });
+
+        it('compiled selector test', () => {
+            const match = tagSelector.parse('app=web');
+            assert.strictEqual(tagSelector.parse(match), match);
+        });
+
+        it('bad object test', () => {
+            assert.throws(() => {
+                tagSelector.parse({ key: 'app' });
+            }, /must have a key and value/);
+        });
+
+        it('empty test', () => {
+            assert.throws(() => {
+                tagSelector.parse('  ');
+            }, /must be an expression/);
+        });
+
+        it('syntax error test', () => {
+            assert.throws(() => {
+                tagSelector.parse('(app=web');
+            }, /expected '\)' but found the end/);
+            assert.throws(() => {
+                tagSelector.parse('app= AND f5_tg');
+            }, /expected a tag key or value but found 'AND'/);
+            assert.throws(() => {
+                tagSelector.parse('app web');
+            }, /unexpected 'web'/);
+            assert.throws(() => {
+                tagSelector.parse("app='web");
+            }, /unterminated quote/);
+        });
+    });
+
+    describe('matches tests', () => {
+        it('no selector test', () => {
+            assert.strictEqual(tagSelector.matches(undefined, undefined), true);
+        });
+
+        it('existence test', () => {
+            assert.strictEqual(tagSelector.matches(tags, 'empty'), true);
+            assert.strictEqual(tagSelector.matches(tags, 'missing'), false);
+            assert.strictEqual(tagSelector.matches(undefined, 'app'), false);
+        });
+
+        it('equality test', () => {
+            assert.strictEqual(tagSelector.matches(tags, 'app=web'), true);
+            assert.strictEqual(tagSelector.matches(tags, 'app=Web'), false);
+            assert.strictEqual(tagSelector.matches(tags, 'tier=Front'), false);
+        });
+
+        it('ignore case test', () => {
+            assert.strictEqual(tagSelector.matches(tags, "tier~='front end'"), true);
+            assert.strictEqual(tagSelector.matches(tags, 'APP~=WEB'), true);
+        });
+
+        it('wildcard test', () => {
+            assert.strictEqual(tagSelector.matches(tags, 'f5_tg=traffic-group-?'), true);
+            assert.strictEqual(tagSelector.matches(tags, 'f5_tg=traffic*'), true);
+            assert.strictEqual(tagSelector.matches(tags, 'f5_tg=group*'), false);
+            assert.strictEqual(tagSelector.matches(tags, 'empty=?*'), false);
+            // other regular expression characters are literal
+            assert.strictEqual(tagSelector.matches({ ip: '10.0.0.1' }, 'ip=10.0.0.1'), true);
+            assert.strictEqual(tagSelector.matches({ ip: '10a0b0c1' }, 'ip=10.0.0.1'), false);
+        });
+
+        it('and or test', () => {
+            assert.strictEqual(tagSelector.matches(tags, 'app=web AND missing'), false);
+            assert.strictEqual(tagSelector.matches(tags, 'app=db OR f5_tg'), true);
+            // AND binds tighter than OR
+            assert.strictEqual(tagSelector.matches(tags, 'app=db and missing or app=web'), true);
+            assert.strictEqual(tagSelector.matches(tags, 'app=db AND (missing OR app=web)'), false);
+        });
+
+        it('quoted keyword test', () => {
+            assert.strictEqual(tagSelector.matches({ or: 'and' }, "'or'=\"and\""), true);
+        });
+    });
+});
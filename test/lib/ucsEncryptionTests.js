@@ -0,0 +1,234 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const q = require('q');
+
+describe('ucsEncryption', () => {
+    const keyUri = 'https://myvault.vault.azure.net/keys/ucs';
+    const source = `${os.tmpdir()}/ucsEncryptionTests.ucs`;
+    const encrypted = `${source}.encrypted`;
+    const decrypted = `${source}.decrypted`;
+    const ucsData = 'my ucs with private keys';
+
+    let ucsEncryption;
+    let cryptoUtilMock;
+    let localCryptoUtilMock;
+    let keyVaultClient;
+    let keyVersion;
+    let wrappedKeys;
+    let keyVaultRequests;
+
+    beforeEach(() => {
+        /* eslint-disable global-require */
+        cryptoUtilMock = require('@f5devcentral/f5-cloud-libs').cryptoUtil;
+        localCryptoUtilMock = require('@f5devcentral/f5-cloud-libs').localCryptoUtil;
+        ucsEncryption = require('../../lib/ucsEncryption');
+        /* eslint-enable global-require */
+
+        fs.writeFileSync(source, ucsData);
+
+        keyVersion = 'v1';
+        wrappedKeys = {};
+        keyVaultRequests = [];
+
+        // Wraps keys by remembering them under the current key version
+        keyVaultClient = {
+            sendRequest(options, cb) {
+                const url = options.url.split('?')[0];
+                keyVaultRequests.push(url);
+
+                if (url === `${keyUri}/wrapkey`) {
+                    const kid = `${keyUri}/${keyVersion}`;
+                    const value = Buffer.from(`wrapped-${Object.keys(wrappedKeys).length}`)
+                        .toString('base64')
+                        .replace(/=+$/, '');
+                    wrappedKeys[`${kid}:${value}`] = options.body.value;
+                    cb(null, { kid, value }, {}, { statusCode: 200 });
+                    return;
+                }
+
+                const kid = url.replace(/\/unwrapkey$/, '');
+                const value = options.body.value;
+                if (wrappedKeys[`${kid}:${value}`]) {
+                    cb(null, { kid, value: wrappedKeys[`${kid}:${value}`] }, {}, { statusCode: 200 });
+                } else {
+                    cb(null, { error: { message: 'Bad key' } }, {}, { statusCode: 400 });
+                }
+            }
+        };
+    });
+
+    afterEach(() => {
+        [source, encrypted, decrypted].forEach((file) => {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    it('is valid key test', () => {
+        assert.strictEqual(ucsEncryption.isValidKey('local'), true);
+        assert.strictEqual(ucsEncryption.isValidKey(keyUri), true);
+        assert.strictEqual(ucsEncryption.isValidKey(`${keyUri}/0123456789abcdef`), true);
+        assert.strictEqual(ucsEncryption.isValidKey('https://myvault.vault.azure.net/secrets/ucs'), false);
+        assert.strictEqual(ucsEncryption.isValidKey('http://myvault.vault.azure.net/keys/ucs'), false);
+        assert.strictEqual(ucsEncryption.isValidKey('remote'), false);
+    });
+
+    it('key vault test', () => {
+        const options = { key: keyUri, keyVaultClient };
+        let metadata;
+
+        return ucsEncryption.encryptFile(source, encrypted, options)
+            .then((response) => {
+                metadata = response;
+                assert.strictEqual(metadata.encryption, 'AES256-GCM');
+                assert.strictEqual(metadata.encryptionkeyid, `${keyUri}/v1`);
+                assert.ok(metadata.encryptedkey);
+                assert.ok(metadata.encryptioniv);
+                assert.ok(metadata.encryptiontag);
+                assert.strictEqual(ucsEncryption.isEncrypted(metadata), true);
+                assert.strictEqual(fs.readFileSync(encrypted).indexOf(ucsData), -1);
+
+                return ucsEncryption.decryptFile(encrypted, decrypted, metadata, { keyVaultClient });
+            })
+            .then(() => {
+                assert.strictEqual(fs.readFileSync(decrypted, 'utf8'), ucsData);
+            });
+    });
+
+    it('key rotation test', () => {
+        const options = { key: keyUri, keyVaultClient };
+        const oldEncrypted = `${encrypted}.old`;
+        let oldMetadata;
+
+        return ucsEncryption.encryptFile(source, encrypted, options)
+            .then((metadata) => {
+                oldMetadata = metadata;
+                fs.renameSync(encrypted, oldEncrypted);
+                return ucsEncryption.removeEncryptedFile(encrypted);
+            })
+            .then(() => {
+                keyVersion = 'v2';
+                return ucsEncryption.encryptFile(source, encrypted, options);
+            })
+            .then((metadata) => {
+                assert.strictEqual(metadata.encryptionkeyid, `${keyUri}/v2`);
+                return ucsEncryption.decryptFile(oldEncrypted, decrypted, oldMetadata, { keyVaultClient });
+            })
+            .then(() => {
+                assert.strictEqual(fs.readFileSync(decrypted, 'utf8'), ucsData);
+                assert.strictEqual(keyVaultRequests[keyVaultRequests.length - 1], `${keyUri}/v1/unwrapkey`);
+            })
+            .finally(() => {
+                fs.unlinkSync(oldEncrypted);
+            });
+    });
+
+    it('local key test', () => {
+        let encryptedKeyFile;
+        let decryptParams;
+
+        cryptoUtilMock.encrypt = function encrypt(publicKeyFile, data) {
+            encryptedKeyFile = publicKeyFile;
+            return q(`encrypted:${data}`);
+        };
+        localCryptoUtilMock.decryptData = function decryptData(data, folder, name) {
+            decryptParams = { folder, name };
+            return q(data.replace(/^encrypted:/, ''));
+        };
+
+        return ucsEncryption.encryptFile(source, encrypted, { key: 'local' })
+            .then((metadata) => {
+                assert.strictEqual(encryptedKeyFile, '/config/cloud/keys/cloudLocalPublic.pub');
+                assert.strictEqual(
+                    metadata.encryptionkeyid,
+                    'local:CloudLibsLocal/cloudLibsLocalPrivate.key'
+                );
+
+                return ucsEncryption.decryptFile(encrypted, decrypted, metadata);
+            })
+            .then(() => {
+                assert.deepStrictEqual(decryptParams, {
+                    folder: 'CloudLibsLocal',
+                    name: 'cloudLibsLocalPrivate.key'
+                });
+                assert.strictEqual(fs.readFileSync(decrypted, 'utf8'), ucsData);
+            });
+    });
+
+    it('remove encrypted file test', () => {
+        return ucsEncryption.encryptFile(source, encrypted, { key: keyUri, keyVaultClient })
+            .then(() => {
+                return ucsEncryption.removeEncryptedFile(encrypted);
+            })
+            .then(() => {
+                assert.strictEqual(fs.existsSync(encrypted), false);
+
+                // Nothing to remove is not an error
+                return ucsEncryption.removeEncryptedFile(encrypted);
+            });
+    });
+
+    it('tampered test', () => {
+        return ucsEncryption.encryptFile(source, encrypted, { key: keyUri, keyVaultClient })
+            .then((metadata) => {
+                const data = fs.readFileSync(encrypted);
+                data[0] ^= 1; // eslint-disable-line no-bitwise
+                fs.writeFileSync(encrypted, data);
+
+                return ucsEncryption.decryptFile(encrypted, decrypted, metadata, { keyVaultClient });
+            })
+            .then(() => {
+                assert.ok(false, 'should have thrown tampered');
+            })
+            .catch((err) => {
+                assert.notStrictEqual(err.message.indexOf('authenticate'), -1);
+            });
+    });
+
+    it('unwrap error test', () => {
+        return ucsEncryption.encryptFile(source, encrypted, { key: keyUri, keyVaultClient })
+            .then((metadata) => {
+                wrappedKeys = {};
+                return ucsEncryption.decryptFile(encrypted, decrypted, metadata, { keyVaultClient });
+            })
+            .then(() => {
+                assert.ok(false, 'should have thrown unwrap error');
+            })
+            .catch((err) => {
+                assert.strictEqual(err.message, `POST ${keyUri}/v1/unwrapkey failed: Bad key`);
+            });
+    });
+
+    it('not encrypted test', () => {
+        return ucsEncryption.decryptFile(encrypted, decrypted, { checksum: 'abc' })
+            .then(() => {
+                assert.ok(false, 'should have thrown not encrypted');
+            })
+            .catch((err) => {
+                assert.strictEqual(err.message, 'No encryption metadata');
+            });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+describe('ucsRetention', () => {
+    // Wednesday, 12:00 UTC
+    const now = Date.parse('Wed, 14 Oct 2026 12:00:00 GMT');
+    const hoursAgo = function (hours) {
+        return new Date(now - (hours * 3600000)).toUTCString();
+    };
+
+    let ucsRetention;
+
+    beforeEach(() => {
+        // eslint-disable-next-line global-require
+        ucsRetention = require('../../lib/ucsRetention');
+    });
+
+    afterEach(() => {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    it('get policy test', () => {
+        const policy = ucsRetention.getPolicy(
+            {
+                ucsKeepAllHours: '24',
+                ucsKeepWeeklyWeeks: 4,
+                ucsCoolTierAfterDays: 7,
+                ucsRetentionDryRun: 'true'
+            },
+            '5'
+        );
+
+        assert.deepStrictEqual(policy, {
+            maxCopies: 5,
+            dryRun: true,
+            keepAllHours: 24,
+            keepWeeklyWeeks: 4,
+            coolAfterDays: 7,
+            tiered: true
+        });
+        assert.deepStrictEqual(ucsRetention.getPolicy(), {
+            maxCopies: undefined,
+            dryRun: false,
+            tiered: false
+        });
+    });
+
+    it('invalid policy test', () => {
+        assert.throws(() => {
+            ucsRetention.getPolicy({ ucsArchiveTierAfterDays: -1 });
+        }, /Invalid UCS retention option ucsArchiveTierAfterDays: -1/);
+        assert.throws(() => {
+            ucsRetention.getPolicy({ ucsKeepAllHours: 'foo' });
+        }, /Invalid UCS retention option ucsKeepAllHours: foo/);
+    });
+
+    it('max copies test', () => {
+        const entries = [
+            { name: 'a.ucs', lastModified: hoursAgo(3) },
+            { name: 'b.ucs', lastModified: hoursAgo(1) },
+            { name: 'c.ucs', lastModified: hoursAgo(2) }
+        ];
+
+        assert.deepStrictEqual(ucsRetention.plan(entries, ucsRetention.getPolicy({}, 2), now), {
+            keep: ['b.ucs', 'c.ucs'],
+            delete: ['a.ucs'],
+            tier: {}
+        });
+        assert.deepStrictEqual(ucsRetention.plan(entries, ucsRetention.getPolicy({}), now).delete, []);
+
+        // The newest UCS is kept even with no copies
+        const result = ucsRetention.plan(entries, ucsRetention.getPolicy({}, 0), now);
+        assert.deepStrictEqual(result.keep, ['b.ucs']);
+    });
+
+    it('tiered policy test', () => {
+        const policy = ucsRetention.getPolicy({
+            ucsKeepAllHours: 6,
+            ucsKeepDailyDays: 3,
+            ucsKeepWeeklyWeeks: 3
+        });
+        const entries = [
+            { name: 'now.ucs', lastModified: hoursAgo(1) },
+            { name: 'today.ucs', lastModified: hoursAgo(5) },
+            { name: 'todayEarly.ucs', lastModified: hoursAgo(10) },
+            { name: 'monday.ucs', lastModified: hoursAgo(40) },
+            { name: 'mondayEarly.ucs', lastModified: hoursAgo(44) },
+            { name: 'lastWeek.ucs', lastModified: hoursAgo(6 * 24) },
+            { name: 'lastWeekEarly.ucs', lastModified: hoursAgo(7 * 24) },
+            { name: 'monthAgo.ucs', lastModified: hoursAgo(30 * 24) }
+        ];
+
+        const result = ucsRetention.plan(entries, policy, now);
+
+        assert.deepStrictEqual(result.keep, ['now.ucs', 'today.ucs', 'monday.ucs', 'lastWeek.ucs']);
+        assert.deepStrictEqual(
+            result.delete,
+            ['todayEarly.ucs', 'mondayEarly.ucs', 'lastWeekEarly.ucs', 'monthAgo.ucs']
+        );
+    });
+
+    it('tier test', () => {
+        const policy = ucsRetention.getPolicy({
+            ucsCoolTierAfterDays: 1,
+            ucsArchiveTierAfterDays: 7
+        });
+        const entries = [
+            { name: 'newestOld.ucs', lastModified: hoursAgo(10 * 24), accessTier: 'Hot' },
+            { name: 'week.ucs', lastModified: hoursAgo(8 * 24), accessTier: 'Hot' },
+            { name: 'days.ucs', lastModified: hoursAgo(2 * 24) },
+            { name: 'alreadyCool.ucs', lastModified: hoursAgo(3 * 24), accessTier: 'Cool' },
+            { name: 'alreadyArchived.ucs', lastModified: hoursAgo(4 * 24), accessTier: 'Archive' },
+            { name: 'hours.ucs', lastModified: hoursAgo(12) }
+        ];
+
+        const result = ucsRetention.plan(entries.slice(1), policy, now);
+        assert.deepStrictEqual(result.delete, []);
+        assert.deepStrictEqual(result.tier, {
+            'days.ucs': 'Cool',
+            'week.ucs': 'Archive'
+        });
+
+        // The newest UCS is never moved, however old
+        assert.deepStrictEqual(ucsRetention.plan(entries.slice(0, 1), policy, now).tier, {});
+    });
+});
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2019 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Local stand-in for the parts of the Azure Instance Metadata Service (IMDS) used by
+ * scripts/scheduledEvents.js, so that Scheduled Events can be tested off Azure.
+ *
+ * Serves:
+ *     GET  /metadata/instance                - compute.name and compute.vmId of one VM
+ *     GET  /metadata/scheduledevents         - events scheduled with scheduleEvent
+ *     POST /metadata/scheduledevents         - acknowledges events, which then start
+ *     POST /stand-in/events                  - schedules an event, for manual testing.
+ *                                              Body { EventType, Resources } (both optional)
+ *
+ * From the command line:
+ *
+ *     node test/mocks/imdsStandIn.js --port 8080 --vm-name myScaleSet_0
+ *     curl -X POST -d '{"EventType":"Preempt"}' http://localhost:8080/stand-in/events
+ *     node scripts/scheduledEvents.js --metadata-server localhost:8080 ...
+ */
+
+'use strict';
+
+const http = require('http');
+const q = require('q');
+
+const DEFAULT_NOT_BEFORE_MS = {
+    Preempt: 30000,
+    Terminate: 5 * 60000
+};
+
+/**
+ * @class
+ *
+ * @param {Object} [options]        - Optional parameters
+ * @param {String} [options.vmName] - Name of the VM this stand-in is the metadata service of.
+ *                                    Default myScaleSet_0.
+ */
+function ImdsStandIn(options) {
+    this.vmName = options && options.vmName ? options.vmName : 'myScaleSet_0';
+    this.events = [];
+    this.acknowledged = [];
+    this.documentIncarnation = 0;
+    this.nextEventId = 1;
+    this.server = http.createServer(handleRequest.bind(this));
+}
+
+/**
+ * Starts listening on localhost
+ *
+ * @param {Number} [port] - Port to listen on. Default is any free port.
+ *
+ * @returns {Promise} A promise which is resolved with the port
+ */
+ImdsStandIn.prototype.listen = function listen(port) {
+    const deferred = q.defer();
+
+    this.server.once('error', deferred.reject);
+    this.server.listen(port || 0, '127.0.0.1', () => {
+        deferred.resolve(this.server.address().port);
+    });
+
+    return deferred.promise;
+};
+
+/**
+ * Stops listening
+ *
+ * @returns {Promise} A promise which is resolved when the server is closed
+ */
+ImdsStandIn.prototype.close = function close() {
+    const deferred = q.defer();
+    this.server.close(() => {
+        deferred.resolve();
+    });
+    return deferred.promise;
+};
+
+/**
+ * Schedules an event, as Azure would before terminating, preempting, rebooting or
+ * redeploying a VM
+ *
+ * @param {String}   eventType           - Terminate, Preempt, Reboot, Redeploy or Freeze
+ * @param {String[]} [resources]         - Names of the VMs the event is for. Default this VM.
+ *
+ * @returns {Object} The event, as returned by GET /metadata/scheduledevents
+ */
+ImdsStandIn.prototype.scheduleEvent = function scheduleEvent(eventType, resources) {
+    const event = {
+        EventId: `stand-in-event-${this.nextEventId}`,
+        EventType: eventType,
+        ResourceType: 'VirtualMachine',
+        Resources: resources || [this.vmName],
+        EventStatus: 'Scheduled',
+        NotBefore: new Date(Date.now() + (DEFAULT_NOT_BEFORE_MS[eventType] || 15 * 60000)).toUTCString(),
+        Description: `${eventType} scheduled by the IMDS stand-in`,
+        EventSource: 'Platform'
+    };
+
+    this.nextEventId += 1;
+    this.documentIncarnation += 1;
+    this.events.push(event);
+    return event;
+};
+
+function handleRequest(request, response) {
+    let body = '';
+
+    request.on('data', (chunk) => {
+        body += chunk;
+    });
+    request.on('end', () => {
+        const path = request.url.split('?')[0];
+        let parsedBody;
+
+        if (request.headers.metadata !== 'true' && request.headers.metadata !== 'True'
+            && path !== '/stand-in/events') {
+            send(response, 400, { error: 'Bad request. Required metadata header not specified' });
+            return;
+        }
+
+        try {
+            parsedBody = body ? JSON.parse(body) : {};
+        } catch (err) {
+            send(response, 400, { error: err.message });
+            return;
+        }
+
+        if (request.method === 'GET' && path === '/metadata/instance') {
+            send(response, 200, { compute: { name: this.vmName, vmId: `${this.vmName}-vmId` } });
+        } else if (request.method === 'GET' && path === '/metadata/scheduledevents') {
+            send(response, 200, { DocumentIncarnation: this.documentIncarnation, Events: this.events });
+        } else if (request.method === 'POST' && path === '/metadata/scheduledevents') {
+            startEvents.call(this, parsedBody.StartRequests || []);
+            send(response, 200);
+        } else if (request.method === 'POST' && path === '/stand-in/events') {
+            send(response, 201, this.scheduleEvent(parsedBody.EventType || 'Preempt', parsedBody.Resources));
+        } else {
+            send(response, 404, { error: `Not found: ${request.method} ${path}` });
+        }
+    });
+}
+
+function startEvents(startRequests) {
+    startRequests.forEach((startRequest) => {
+        this.events.forEach((event) => {
+            if (event.EventId === startRequest.EventId && event.EventStatus === 'Scheduled') {
+                /* eslint-disable no-param-reassign */
+                event.EventStatus = 'Started';
+                event.NotBefore = '';
+                /* eslint-enable no-param-reassign */
+                this.acknowledged.push(event.EventId);
+                this.documentIncarnation += 1;
+            }
+        });
+    });
+}
+
+function send(response, statusCode, body) {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    response.end(body ? JSON.stringify(body) : undefined);
+}
+
+module.exports = ImdsStandIn;
+
+if (!module.parent) {
+    const args = process.argv.slice(2);
+    const getArg = function (name, defaultValue) {
+        const index = args.indexOf(name);
+        return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+    };
+
+    const standIn = new ImdsStandIn({ vmName: getArg('--vm-name') });
+    standIn.listen(parseInt(getArg('--port', '8080'), 10))
+        .then((port) => {
+            // eslint-disable-next-line no-console
+            console.log(`IMDS stand-in for ${standIn.vmName} listening on 127.0.0.1:${port}`);
+        })
+        .done();
+}
@@ -0,0 +1,286 @@
+/**
+ * Copyright 2019 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+
+describe('failover provider tests', () => {
+    const subscriptionId = '1234-4567';
+    const configFile = `${os.tmpdir()}/failoverProviderTests.azCredentials`;
+    const managedRoutesFile = `${os.tmpdir()}/failoverProviderTests.managedRoutes`;
+    const stateFile = `${os.tmpdir()}/failoverProviderTests.failoverState`;
+    const argv = ['node', 'failoverProvider', '--log-level', 'none', '--config-file', configFile,
+        '--managed-routes-file', managedRoutesFile, '--state-file', stateFile];
+
+    let failoverProvider;
+    let config;
+    let statusDb;
+    let statusDbVersion;
+    let onConditionalWrite;
+    let routeTables;
+    let updatedRoutes;
+    let bigIpInitialized;
+    let infoMessages;
+    let testOptions;
+
+    const makeRouteTable = function (name, tags, routes) {
+        return {
+            id: `/subscriptions/${subscriptionId}/resourceGroups/rtRg/providers/Microsoft.Network` +
+                `/routeTables/${name}`,
+            name,
+            tags,
+            routes
+        };
+    };
+
+    const runFailover = function () {
+        const deferred = q.defer();
+        failoverProvider.run(argv, testOptions, () => {
+            deferred.resolve();
+        });
+        return deferred.promise;
+    };
+
+    beforeEach(() => {
+        /* eslint-disable global-require */
+        const localCryptoUtilMock = require('@f5devcentral/f5-cloud-libs').localCryptoUtil;
+        failoverProvider = require('../../scripts/failoverProvider');
+        /* eslint-enable global-require */
+
+        config = {
+            subscriptionId,
+            location: 'westus',
+            uniqueLabel: 'f5',
+            resourceGroupName: 'myRg',
+            storageAccount: 'myStorage',
+            storageKey: 'myKey',
+            clientId: 'myClient',
+            tenantId: 'myTenant',
+            secret: 'mySecret'
+        };
+        localCryptoUtilMock.symmetricDecryptPassword = function symmetricDecryptPassword() {
+            return q(JSON.stringify(config));
+        };
+        fs.writeFileSync(configFile, 'encrypted config');
+        fs.writeFileSync(managedRoutesFile, '192.168.1.0/24,fd00:1::/64');
+
+        statusDb = { status: 'succeeded', timeStamp: '', desiredConfiguration: {} };
+        statusDbVersion = 1;
+        onConditionalWrite = undefined;
+        updatedRoutes = [];
+        bigIpInitialized = false;
+        infoMessages = [];
+
+        routeTables = [
+            makeRouteTable('rt1', { f5_tg: 'traffic-group-1', f5_ha: 'ext' }, [
+                { name: 'route4', addressPrefix: '192.168.1.0/24' },
+                { name: 'route6', addressPrefix: 'fd00:1::/64' },
+                { name: 'unmanaged', addressPrefix: '192.168.2.0/24' }
+            ])
+        ];
+
+        const storageClient = {
+            createContainerIfNotExists(container, cb) {
+                cb();
+            },
+            doesBlobExist(container, name, cb) {
+                cb(null, { exists: true });
+            },
+            getBlobToText(container, name, cb) {
+                cb(null, JSON.stringify(statusDb), { etag: `etag${statusDbVersion}` });
+            },
+            createBlockBlobFromText(container, name, text, requestOptions, cb) {
+                const conditions = requestOptions.accessConditions;
+                if (conditions && conditions.EtagMatch) {
+                    if (onConditionalWrite) {
+                        onConditionalWrite();
+                    }
+                    if (conditions.EtagMatch !== `etag${statusDbVersion}`) {
+                        cb({ statusCode: 412, message: 'ConditionNotMet' });
+                        return;
+                    }
+                }
+                statusDb = JSON.parse(text);
+                statusDbVersion += 1;
+                cb();
+            }
+        };
+
+        const networkClient = {
+            routeTables: {
+                listAll(cb) {
+                    cb(null, routeTables);
+                }
+            },
+            networkInterfaces: {
+                list(resourceGroup, cb) {
+                    cb(null, []);
+                }
+            },
+            routes: {
+                beginCreateOrUpdate(routeTableGroup, routeTableName, routeName, routeParams, cb) {
+                    updatedRoutes.push(`${routeTableName}/${routeName}:${routeParams.nextHopIpAddress}`);
+                    cb(null, routeParams);
+                }
+            }
+        };
+
+        const localOnly = '/Common/traffic-group-local-only';
+        const bigIpResponses = {
+            '/tm/cm/traffic-group/stats': {
+                entries: {
+                    tg1: {
+                        nestedStats: {
+                            entries: {
+                                deviceName: { description: '/Common/bigip1.example.com' },
+                                failoverState: { description: 'active' },
+                                trafficGroup: { description: '/Common/traffic-group-1' }
+                            }
+                        }
+                    }
+                }
+            },
+            '/tm/sys/global-settings': { hostname: 'bigip1.example.com' },
+            '/tm/net/self': [
+                { name: 'ext-self', address: '10.0.1.5/24', trafficGroup: localOnly },
+                { name: 'ext-self-v6', address: 'fd00::5/64', trafficGroup: localOnly }
+            ],
+            '/tm/ltm/virtual-address': []
+        };
+
+        testOptions = {
+            logger: {
+                silly() {},
+                debug() {},
+                info(message) {
+                    infoMessages.push(message);
+                },
+                warn() {},
+                error() {}
+            },
+            bigIp: {
+                init() {
+                    bigIpInitialized = true;
+                    return q();
+                },
+                list(path) {
+                    return q(bigIpResponses[path]);
+                }
+            },
+            storageClient,
+            networkClients: { [subscriptionId]: networkClient }
+        };
+    });
+
+    afterEach(() => {
+        [configFile, managedRoutesFile, stateFile].forEach((file) => {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    it('basic test', () => {
+        return runFailover()
+            .then(() => {
+                assert.notStrictEqual(updatedRoutes.indexOf('rt1/route4:10.0.1.5'), -1);
+                assert.strictEqual(statusDb.status, 'succeeded');
+                assert.strictEqual(fs.existsSync(stateFile), false);
+            });
+    }).timeout(5000);
+
+    it('address family test', () => {
+        return runFailover()
+            .then(() => {
+                // Each route points at the self IP of its own address family
+                assert.deepStrictEqual(updatedRoutes.sort(), [
+                    'rt1/route4:10.0.1.5',
+                    'rt1/route6:fd00::5'
+                ]);
+            });
+    }).timeout(5000);
+
+    it('concurrent failover test', () => {
+        const otherTimeStamp = new Date().toJSON();
+
+        // Another instance starts its failover between our status read and our write
+        onConditionalWrite = function () {
+            onConditionalWrite = undefined;
+            statusDb = { status: 'running', timeStamp: otherTimeStamp, desiredConfiguration: {} };
+            statusDbVersion += 1;
+        };
+
+        return runFailover()
+            .then(() => {
+                assert.strictEqual(bigIpInitialized, false);
+                assert.deepStrictEqual(updatedRoutes, []);
+                assert.deepStrictEqual(statusDb, {
+                    status: 'running',
+                    timeStamp: otherTimeStamp,
+                    desiredConfiguration: {}
+                });
+                assert.notStrictEqual(infoMessages.indexOf('Not failing over:'), -1);
+            });
+    }).timeout(5000);
+
+    it('stale running status test', () => {
+        // A failover which never finished does not block later ones
+        onConditionalWrite = function () {
+            onConditionalWrite = undefined;
+            statusDb = {
+                status: 'running',
+                timeStamp: new Date(Date.now() - (60 * 60000)).toJSON(),
+                desiredConfiguration: {}
+            };
+            statusDbVersion += 1;
+        };
+
+        return runFailover()
+            .then(() => {
+                assert.strictEqual(bigIpInitialized, true);
+                assert.strictEqual(statusDb.status, 'succeeded');
+            });
+    }).timeout(5000);
+
+    it('route table tag selector test', () => {
+        // Combined with the f5_tg and f5_ha tags which are always required
+        config.routeTableTagSelector = 'environment~=prod OR environment=stage';
+        routeTables = [
+            makeRouteTable('prod', { f5_tg: 'traffic-group-1', f5_ha: 'ext', environment: 'Prod' }, [
+                { name: 'route4', addressPrefix: '192.168.1.0/24' }
+            ]),
+            makeRouteTable('dev', { f5_tg: 'traffic-group-1', f5_ha: 'ext', environment: 'dev' }, [
+                { name: 'route4', addressPrefix: '192.168.1.0/24' }
+            ]),
+            // Matches the selector, but not the required tags
+            makeRouteTable('untagged', { environment: 'stage' }, [
+                { name: 'route4', addressPrefix: '192.168.1.0/24' }
+            ])
+        ];
+
+        return runFailover()
+            .then(() => {
+                assert.deepStrictEqual(updatedRoutes, ['prod/route4:10.0.1.5']);
+            });
+    }).timeout(5000);
+});
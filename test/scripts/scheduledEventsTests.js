@@ -0,0 +1,423 @@
+/**
+ * Copyright 2019 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const EventEmitter = require('events');
+const ImdsStandIn = require('../mocks/imdsStandIn');
+
+describe('scheduled events tests', () => {
+    const stateFile = `${os.tmpdir()}/scheduledEventsTests.state`;
+
+    let httpMock;
+    let httpRequest;
+    let bigIpMock;
+    let providerMock;
+    let loggerMock;
+    let scheduledEvents;
+
+    let scheduledEventsResponse;
+    let metadataRequests;
+    let savedUcs;
+    let storedUcs;
+    let storeUcsCount;
+    let leavingParams;
+    let providerInitOptions;
+    let revokedInstances;
+    let instances;
+    let errors;
+    let calls;
+    let argv;
+
+    const testOptions = {};
+
+    beforeEach(() => {
+        /* eslint-disable global-require */
+        httpMock = require('http');
+        scheduledEvents = require('../../scripts/scheduledEvents');
+        /* eslint-enable global-require */
+
+        httpRequest = httpMock.request;
+
+        metadataRequests = [];
+        calls = [];
+        savedUcs = undefined;
+        storedUcs = undefined;
+        storeUcsCount = 0;
+        leavingParams = undefined;
+        providerInitOptions = undefined;
+        revokedInstances = undefined;
+        errors = [];
+
+        scheduledEventsResponse = {
+            DocumentIncarnation: 1,
+            Events: [
+                {
+                    EventId: 'event-1',
+                    EventType: 'Terminate',
+                    EventStatus: 'Scheduled',
+                    ResourceType: 'VirtualMachine',
+                    Resources: ['scaleSet_3'],
+                    NotBefore: 'Mon, 19 Oct 2026 10:00:00 GMT'
+                }
+            ]
+        };
+
+        instances = {
+            3: {
+                isPrimary: true,
+                privateIp: '10.0.0.7'
+            }
+        };
+
+        httpMock.request = function request(options, cb) {
+            const req = new EventEmitter();
+            let body = '';
+            req.write = (data) => {
+                body += data;
+            };
+            req.end = () => {
+                const metadataRequest = {
+                    method: options.method,
+                    path: options.path,
+                    headers: options.headers,
+                    body: body ? JSON.parse(body) : undefined
+                };
+                metadataRequests.push(metadataRequest);
+
+                let responseBody = '';
+                if (options.path.startsWith('/metadata/instance')) {
+                    responseBody = JSON.stringify({ compute: { name: 'scaleSet_3' } });
+                } else if (options.method === 'GET') {
+                    responseBody = JSON.stringify(scheduledEventsResponse);
+                }
+
+                const response = new EventEmitter();
+                response.statusCode = 200;
+                cb(response);
+                response.emit('data', responseBody);
+                response.emit('end');
+            };
+            return req;
+        };
+
+        bigIpMock = {
+            init() {
+                return q();
+            },
+            saveUcs(name) {
+                calls.push('saveUcs');
+                savedUcs = name;
+                return q();
+            }
+        };
+
+        providerMock = {
+            init(providerOptions, options) {
+                providerInitOptions = options;
+                return q();
+            },
+            storeUcs(file, maxCopies, prefix, options) {
+                storeUcsCount += 1;
+                storedUcs = {
+                    file,
+                    maxCopies,
+                    prefix,
+                    bigIp: options.bigIp
+                };
+                return q();
+            },
+            markInstanceLeaving(vmName, leaving) {
+                calls.push('markInstanceLeaving');
+                leavingParams = { vmName, leaving };
+                if (!instances[3]) {
+                    return q();
+                }
+                instances[3].isPrimary = false;
+                instances[3].leaving = leaving;
+                return q({ instanceId: '3', instance: instances[3] });
+            },
+            revokeLicenses(instancesToRevoke) {
+                calls.push('revokeLicenses');
+                revokedInstances = instancesToRevoke;
+                return q();
+            }
+        };
+
+        loggerMock = {
+            error(message) {
+                errors.push(message);
+            },
+            warn() {},
+            info() {},
+            debug() {},
+            silly() {}
+        };
+
+        testOptions.bigIp = bigIpMock;
+        testOptions.cloudProvider = providerMock;
+        testOptions.logger = loggerMock;
+
+        argv = ['node', 'scheduledEvents', '--log-level', 'none', '--max-ucs-files', '5',
+            '--state-file', stateFile];
+    });
+
+    afterEach(() => {
+        httpMock.request = httpRequest;
+        if (fs.existsSync(stateFile)) {
+            fs.unlinkSync(stateFile);
+        }
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+    });
+
+    it('terminate test', (done) => {
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.deepStrictEqual(errors, []);
+            assert.ok(savedUcs.startsWith('ucsAutosave_'));
+            assert.deepStrictEqual(storedUcs, {
+                file: `/var/local/ucs/${savedUcs}.ucs`,
+                maxCopies: '5',
+                prefix: 'ucsAutosave_',
+                bigIp: bigIpMock
+            });
+            assert.deepStrictEqual(calls, ['markInstanceLeaving', 'saveUcs', 'revokeLicenses']);
+            assert.strictEqual(providerInitOptions, undefined);
+            assert.strictEqual(leavingParams.vmName, 'scaleSet_3');
+            assert.strictEqual(leavingParams.leaving.eventId, 'event-1');
+            assert.strictEqual(leavingParams.leaving.eventType, 'Terminate');
+            assert.ok(leavingParams.leaving.time);
+            assert.deepStrictEqual(revokedInstances, [instances[3]]);
+
+            const ack = metadataRequests[metadataRequests.length - 1];
+            assert.strictEqual(ack.method, 'POST');
+            assert.strictEqual(ack.path, '/metadata/scheduledevents?api-version=2020-07-01');
+            assert.strictEqual(ack.headers.Metadata, 'True');
+            assert.deepStrictEqual(ack.body, { StartRequests: [{ EventId: 'event-1' }] });
+            done();
+        });
+    });
+
+    it('reboot test', (done) => {
+        scheduledEventsResponse.Events[0].EventType = 'Reboot';
+        instances[3].isPrimary = false;
+
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.ok(savedUcs);
+            assert.strictEqual(leavingParams.leaving.eventType, 'Reboot');
+            assert.strictEqual(revokedInstances, undefined);
+            assert.strictEqual(metadataRequests[metadataRequests.length - 1].method, 'POST');
+            done();
+        });
+    });
+
+    it('no events test', (done) => {
+        scheduledEventsResponse.Events[0].Resources = ['scaleSet_4'];
+        scheduledEventsResponse.Events.push({
+            EventId: 'event-2',
+            EventType: 'Freeze',
+            EventStatus: 'Scheduled',
+            Resources: ['scaleSet_3']
+        });
+        scheduledEventsResponse.Events.push({
+            EventId: 'event-3',
+            EventType: 'Terminate',
+            EventStatus: 'Started',
+            Resources: ['scaleSet_3']
+        });
+
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.strictEqual(savedUcs, undefined);
+            assert.strictEqual(metadataRequests.length, 2);
+            assert.strictEqual(metadataRequests[1].method, 'GET');
+            done();
+        });
+    });
+
+    it('backup error test', (done) => {
+        providerMock.storeUcs = function storeUcs() {
+            return q.reject(new Error('storage unavailable'));
+        };
+
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.notStrictEqual(errors[0].indexOf('storage unavailable'), -1);
+            assert.strictEqual(revokedInstances, undefined);
+            assert.strictEqual(metadataRequests[metadataRequests.length - 1].method, 'GET');
+            done();
+        });
+    });
+
+    it('retry test', (done) => {
+        const storeUcs = providerMock.storeUcs;
+        providerMock.storeUcs = function failOnce(file, maxCopies, prefix, options) {
+            storeUcs(file, maxCopies, prefix, options);
+            if (storeUcsCount === 1) {
+                return q.reject(new Error('storage unavailable'));
+            }
+            return q();
+        };
+        argv = argv.concat(['--poll-interval', '1', '--run-time', '5']);
+
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.strictEqual(errors.length, 1);
+
+            // The second check stores the UCS saved by the first
+            assert.deepStrictEqual(calls, ['markInstanceLeaving', 'saveUcs', 'revokeLicenses']);
+            assert.strictEqual(storeUcsCount, 2);
+            assert.strictEqual(storedUcs.file, `/var/local/ucs/${savedUcs}.ucs`);
+            assert.strictEqual(metadataRequests[metadataRequests.length - 1].method, 'POST');
+            done();
+        });
+    }).timeout(5000);
+
+    it('state file test', (done) => {
+        fs.writeFileSync(stateFile, JSON.stringify({
+            'event-1': {
+                leave: { instanceId: '3', instance: instances[3] },
+                saveUcs: 'ucsAutosave_1234'
+            },
+            'event-0': { leave: true }
+        }));
+
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.deepStrictEqual(errors, []);
+            assert.deepStrictEqual(calls, ['revokeLicenses']);
+            assert.strictEqual(storedUcs.file, '/var/local/ucs/ucsAutosave_1234.ucs');
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')), {
+                'event-1': {
+                    leave: { instanceId: '3', instance: instances[3] },
+                    saveUcs: 'ucsAutosave_1234',
+                    storeUcs: true,
+                    revokeLicense: true
+                }
+            });
+            done();
+        });
+    });
+
+    it('preempt best effort test', (done) => {
+        scheduledEventsResponse.Events[0].EventType = 'Preempt';
+        scheduledEventsResponse.Events[0].NotBefore = new Date(Date.now() + 30000).toUTCString();
+        providerMock.markInstanceLeaving = function markInstanceLeaving() {
+            calls.push('markInstanceLeaving');
+            return q.reject(new Error('store unavailable'));
+        };
+        providerMock.storeUcs = function storeUcs() {
+            return q.reject(new Error('storage unavailable'));
+        };
+
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.deepStrictEqual(errors, []);
+            assert.deepStrictEqual(calls, ['markInstanceLeaving', 'saveUcs']);
+            assert.strictEqual(providerInitOptions, undefined);
+
+            const ack = metadataRequests[metadataRequests.length - 1];
+            assert.strictEqual(ack.method, 'POST');
+            assert.deepStrictEqual(ack.body, { StartRequests: [{ EventId: 'event-1' }] });
+            done();
+        });
+    });
+
+    it('preempt deadline test', (done) => {
+        // Leaves half a second for the backup, which never finishes
+        scheduledEventsResponse.Events[0].EventType = 'Preempt';
+        scheduledEventsResponse.Events[0].NotBefore = new Date(Date.now() + 5500).toUTCString();
+        bigIpMock.saveUcs = function saveUcs() {
+            calls.push('saveUcs');
+            return q.defer().promise;
+        };
+
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.deepStrictEqual(calls, ['markInstanceLeaving', 'saveUcs']);
+            assert.strictEqual(instances[3].isPrimary, false);
+            assert.strictEqual(metadataRequests[metadataRequests.length - 1].method, 'POST');
+            done();
+        });
+    }).timeout(5000);
+
+    it('metadata error test', (done) => {
+        const request = httpMock.request;
+        httpMock.request = function failingRequest(options, cb) {
+            return request(options, (response) => {
+                response.statusCode = 500; // eslint-disable-line no-param-reassign
+                cb(response);
+            });
+        };
+
+        scheduledEvents.run(argv, testOptions, () => {
+            assert.notStrictEqual(errors[0].indexOf('returned status code 500'), -1);
+            assert.strictEqual(savedUcs, undefined);
+            done();
+        });
+    });
+
+    describe('imds stand-in tests', () => {
+        let standIn;
+        let port;
+
+        beforeEach(() => {
+            httpMock.request = httpRequest;
+            standIn = new ImdsStandIn({ vmName: 'scaleSet_3' });
+            return standIn.listen()
+                .then((response) => {
+                    port = response;
+                });
+        });
+
+        afterEach(() => {
+            return standIn.close();
+        });
+
+        it('preempt test', (done) => {
+            argv = argv.concat([
+                '--metadata-server', `127.0.0.1:${port}`, '--poll-interval', '1', '--run-time', '10'
+            ]);
+
+            // The event shows up after the first check
+            setTimeout(() => {
+                standIn.scheduleEvent('Preempt');
+                standIn.scheduleEvent('Preempt', ['scaleSet_4']);
+            }, 500);
+
+            scheduledEvents.run(argv, testOptions, () => {
+                assert.deepStrictEqual(errors, []);
+                assert.deepStrictEqual(calls, ['markInstanceLeaving', 'saveUcs', 'revokeLicenses']);
+                assert.strictEqual(instances[3].isPrimary, false);
+                assert.deepStrictEqual(standIn.acknowledged, ['stand-in-event-1']);
+                assert.strictEqual(standIn.events[0].EventStatus, 'Started');
+                assert.strictEqual(standIn.events[1].EventStatus, 'Scheduled');
+                done();
+            });
+        });
+
+        it('run time test', (done) => {
+            argv = argv.concat([
+                '--metadata-server', `127.0.0.1:${port}`, '--poll-interval', '1', '--run-time', '1'
+            ]);
+
+            scheduledEvents.run(argv, testOptions, () => {
+                assert.deepStrictEqual(calls, []);
+                assert.deepStrictEqual(standIn.acknowledged, []);
+                done();
+            });
+        });
+    });
+});